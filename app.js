@@ -3,38 +3,216 @@
  * for initializing the Express application, configuring middleware, setting up routes, 
  * and starting the server. The application uses middleware for logging, rate-limiting, 
  * and request parsing, with the main user-related functionality defined in external routes 
- * and controllers.
+ * and controllers. Errors are turned into JSON error responses by the error-handling middleware.
+ * The health, readiness and metrics endpoints (see `routes/health.js`) are served before
+ * the rate limiters, so monitoring is never rate limited.
  *
  * Environment Variables:
  * - `PORT`: Specifies the port on which the server will run. Default is 3000.
- * - `SECRET_KEY`: Secret key used for JWT token generation and verification (handled in controllers).
- * - `RATE_LIMIT_MAX`: Maximum number of requests allowed in the rate-limiting window (configured in middleware).
+ * - `SECRET_KEY`, `JWT_PRIVATE_KEY_PATH`: The key JWT tokens are signed with (see `services/signingKeys.js`).
+ *   Without one, the application refuses to start in production.
+ * - `RATE_LIMIT_MAX`: Maximum number of requests allowed in the rate-limiting window (see `config/rateLimitPolicies.js`).
+ * - `SHUTDOWN_DELAY_MS`, `SHUTDOWN_TIMEOUT_MS`: How long the server keeps serving once it reports itself as not ready,
+ *   and how long requests in progress are given to finish, when it shuts down (see `services/serverLifecycle.js`).
+ *
+ * Every variable is validated when the application starts (see `config/index.js`): an invalid
+ * configuration stops it with a report of every invalid variable.
+ *
+ * The application is built by `createApp` from the dependencies it is given (the configuration,
+ * the user model, the logger, the clock and the mailer), which are handed down to the services,
+ * middleware, controllers and routes. The exported application is built from the configured
+ * instances of the process; tests can build isolated applications, e.g. against an in-memory store.
+ *
+ * When executed directly, the server is run by `services/serverLifecycle.js`: on `SIGTERM` or
+ * `SIGINT` it fails its readiness probe, drains the requests in progress and waits for the
+ * pending writes of the stores and the logs before the process exits.
  */
 
-require('dotenv').config(); // Load environment variables from the .env file
-
 const express = require('express');
 const bodyParser = require('body-parser');
-const userRoutes = require('./routes/user');                              // User-related API routes
-const loggerMiddleware = require('./middleware/loggerMiddleware');        // Middleware to log request details
-const rateLimitMiddleware = require('./middleware/rateLimitMiddleware');  // Middleware to apply rate-limiting
+const {
+	createAuditLog
+} = require('./services/auditLog');                                       // Audit log of security events
+const {
+	createRateLimitStore
+} = require('./services/rateLimitStore');                                 // Store of the rate limit hit counters
+const {
+	createMetrics
+} = require('./services/metrics');                                        // Request, login and rate limit metrics
+const {
+	createServices
+} = require('./services');                                                // Services wired from the dependencies
+const {
+	createRoutes
+} = require('./routes');                                                  // API routers and their mount paths
+const {
+	createDocsRoutes
+} = require('./routes/docs');                                             // OpenAPI document and docs page
+const {
+	createHealthRoutes
+} = require('./routes/health');                                           // Health, readiness and metrics endpoints
+const {
+	listRoutes
+} = require('./docs/openapi');                                            // Path patterns of the routes, labelling the metrics
+const {
+	createLoggerMiddleware
+} = require('./middleware/loggerMiddleware');                             // Middleware to log requests as structured JSON
+const {
+	createMetricsMiddleware
+} = require('./middleware/metricsMiddleware');                            // Middleware to count requests and measure their latency
+const {
+	createRateLimiters
+} = require('./middleware/rateLimitMiddleware');                          // Middleware to apply rate-limiting
+const {
+	createRateLimitPolicies
+} = require('./config/rateLimitPolicies');                                // Rate-limit policies of the route groups
+const requestIdMiddleware = require('./middleware/requestIdMiddleware');  // Middleware to assign an ID to every request
+const {
+	notFoundHandler,
+	createErrorHandler
+} = require('./middleware/errorMiddleware');                              // Middleware to send JSON error responses
+
+/**
+ * Creates the Express application.
+ *
+ * @param {Object} dependencies - The dependencies of the application.
+ * @param {Object} dependencies.config - The configuration (see `config/index.js`).
+ * @param {Object} dependencies.userModel - The user model (see `models/userModel.js`).
+ * @param {Object} dependencies.logger - The logger (see `services/logger.js`).
+ * @param {Object} dependencies.clock - The clock (see `utils/clock.js`).
+ * @param {Object} dependencies.mailer - The mailer (see `services/mailer.js`).
+ * @param {Object} [dependencies.auditLog] - The audit log. Default is one created from the configuration.
+ * @param {Object} [dependencies.rateLimitStore] - The rate-limit store. Default is one created from the configuration.
+ * @param {Object} [dependencies.tokenService] - The token service. Default is one created from the configuration.
+ * @param {Object} [dependencies.metrics] - The metrics of the application. Default is a new set of metrics.
+ * @returns {Object} The Express application, exposing its route table as `app.locals.routes`.
+ */
+function createApp({
+	config,
+	userModel,
+	logger,
+	clock,
+	mailer,
+	auditLog = createAuditLog(config.auditLog),
+	rateLimitStore = createRateLimitStore({
+		driver: config.rateLimit.store,
+		filePath: config.rateLimit.storePath,
+		url: config.rateLimit.redisUrl,
+		clock,
+	}),
+	tokenService,
+	metrics = createMetrics()
+}) {
+	const services = createServices({
+		config,
+		userModel,
+		logger,
+		clock,
+		mailer,
+		auditLog,
+		metrics,
+		tokenService
+	});
+	const rateLimitFor = createRateLimiters({
+		policies: createRateLimitPolicies(config.rateLimit),
+		store: rateLimitStore,
+		allowlist: config.rateLimit.allowlist,
+		tokenService: services.tokenService,
+		testMode: config.env === 'test',
+		metrics,
+	});
+	const routes = createRoutes({
+		...services,
+		rateLimitFor
+	});
 
-const app = express();                  // Initialize the Express application
-const PORT = process.env.PORT || 3000;  // Use the port from the environment or default to 3000
+	const docsRoutes = createDocsRoutes(routes);
+	const healthRoutes = createHealthRoutes(services);
 
-// Apply middleware for logging, request parsing, and rate limiting
-app.use(bodyParser.json());   // Middleware to parse JSON request bodies
-app.use(loggerMiddleware);    // Custom middleware for logging request details
-app.use(rateLimitMiddleware); // Apply rate limiting to all requests
+	// Path patterns the requests are recorded under in the metrics
+	const metricRoutes = listRoutes([...routes, {
+			path: '/api',
+			router: docsRoutes
+		},
+		{
+			path: '',
+			router: healthRoutes
+		},
+	]);
 
-// Setup user-related routes under the /api path
-app.use('/api', userRoutes);
+	const app = express(); // Initialize the Express application
+	app.locals.routes = routes;
+	app.locals.shuttingDown = false; // Set when the server starts shutting down, failing the readiness probe
+
+	// Apply middleware for request IDs, logging and metrics
+	app.use(requestIdMiddleware);                            // Assign an ID to every request, used in logs and error responses
+	app.use(createLoggerMiddleware(logger));                 // Log every request with its status and latency, and attach `req.log`
+	app.use(createMetricsMiddleware(metrics, metricRoutes)); // Count every request and measure its latency, by route
+
+	// Serve /healthz, /readyz and /metrics before the rate limiters, so probes are never rate limited
+	app.use(healthRoutes);
+
+	// Apply middleware for request parsing and rate limiting
+	app.use(bodyParser.json());      // Middleware to parse JSON request bodies
+	app.use(rateLimitFor('global')); // Apply rate limiting to all requests
+
+	// Setup the user-related routes under /api, the admin user-management routes under /api/admin
+	// and the JSON Web Key Set under /.well-known
+	routes.forEach(({
+		path,
+		router
+	}) => app.use(path, router));
+
+	// Serve the OpenAPI document at /api/openapi.json and the docs page at /api/docs
+	app.use('/api', docsRoutes);
+
+	// Respond to unknown routes and errors with JSON error responses; must come after all routes
+	app.use(notFoundHandler);
+	app.use(createErrorHandler(logger));
+
+	return app;
+}
+
+// The application of the process, built from the configured instances
+const config = require('./config');
+const logger = require('./services/logger');
+const userModel = require('./models/userModel');
+const auditLog = require('./services/auditLog');
+const rateLimitStore = require('./services/rateLimitStore');
+const app = createApp({
+	config,
+	userModel,
+	logger,
+	clock: require('./utils/clock'),
+	mailer: require('./services/mailer'),
+	auditLog,
+	rateLimitStore,
+	tokenService: require('./services/tokenService'),
+});
 
 // Start the server only if this file is executed directly (not required in test environments)
 if (require.main === module) {
-	app.listen(PORT, () => {
-		console.log(`Server is running on port ${PORT}`);
+	const {
+		createServerLifecycle
+	} = require('./services/serverLifecycle');
+
+	const lifecycle = createServerLifecycle({
+		app,
+		port: config.port,
+		logger,
+		timeoutMs: config.shutdown.timeoutMs,
+		delayMs: config.shutdown.delayMs,
+		// Once the requests have drained, wait for the pending writes of the stores
+		close: () => Promise.all([userModel.close(), auditLog.close(), rateLimitStore.close()]),
+	});
+	lifecycle.handleSignals();
+	lifecycle.start().catch((err) => {
+		logger.error('server failed to start', {
+			error: err
+		});
+		process.exit(1);
 	});
 }
 
 module.exports = app; // Export the app for testing and other use cases
+module.exports.createApp = createApp;
@@ -0,0 +1,396 @@
+/**
+ * This module loads and validates the configuration of the application.
+ *
+ * The configuration is read once from the environment variables (and the `.env` file,
+ * loaded with dotenv) and validated against a Joi schema: types, ranges and allowed
+ * values, plus the rules of the production environment. Every module reads its settings
+ * from the exported configuration object instead of `process.env`.
+ *
+ * Values are resolved in this order:
+ * 1. The environment variable, if set and not empty.
+ * 2. The default of the environment (`NODE_ENV`), see `ENVIRONMENT_DEFAULTS`. For
+ *    example, tests keep emails and audit events in memory.
+ * 3. The default of the schema.
+ *
+ * An invalid configuration stops the process at boot with a report of every invalid
+ * variable at once, for example:
+ *
+ *   Invalid configuration:
+ *   - RATE_LIMIT_MAX must be a number (got "1O0")
+ *   - SECRET_KEY or JWT_PRIVATE_KEY_PATH is required in production
+ *
+ * In production, a JWT signing key (`SECRET_KEY` of at least 32 characters, or
+ * `JWT_PRIVATE_KEY_PATH`), the public `APP_BASE_URL` and a `MAIL_TRANSPORT` delivering
+ * emails (not `console` or `memory`) are required.
+ *
+ * The files a configuration names (signing keys and the breached-password list) are read
+ * when the application starts; `checkConfigFiles` checks that they can still be read,
+ * e.g. for a readiness probe.
+ *
+ * See `.env.example` for a description of every variable.
+ */
+
+require('dotenv').config(); // Load environment variables from the .env file
+
+const fs = require('fs/promises');
+const path = require('path');
+const Joi = require('joi');
+
+// Directory of the data files
+const DATA_DIR = path.join(__dirname, '../data');
+
+// Placeholder secret of `.env.example`, refused in production
+const PLACEHOLDER_SECRET = 'your_secret_key_here';
+
+// Defaults of each environment, applied to the variables that are not set
+const ENVIRONMENT_DEFAULTS = {
+	development: {},
+	test: {
+		LOG_LEVEL: 'silent',
+		USER_STORE_PATH: path.join(DATA_DIR, 'test_users.json'),
+		AUDIT_LOG_SINK: 'memory',
+		MAIL_TRANSPORT: 'memory',
+	},
+	production: {},
+};
+
+/**
+ * Schema of a positive integer.
+ *
+ * @returns {Object} The Joi schema.
+ */
+function positiveInteger() {
+	return Joi.number().integer().min(1);
+}
+
+/**
+ * Schema of a duration in the format understood by `jsonwebtoken`, such as `15m`.
+ *
+ * @returns {Object} The Joi schema.
+ */
+function duration() {
+	return Joi.string().pattern(/^\d+(ms|s|m|h|d|w|y)$/).messages({
+		'string.pattern.base': '{#label} must be a duration such as 15m, 1h or 7d',
+	});
+}
+
+/**
+ * Schema of a comma-separated list, such as `a,b,c`.
+ *
+ * @param {Object} item - The schema of the items.
+ * @returns {Object} The Joi schema, converting the list to an array.
+ */
+function commaSeparated(item) {
+	return Joi.array().items(item).default([]);
+}
+
+// Variables holding comma-separated lists
+const LIST_VARIABLES = ['PREVIOUS_SECRET_KEYS', 'JWT_PREVIOUS_PUBLIC_KEY_PATHS', 'RATE_LIMIT_ALLOWLIST'];
+
+// Schema of the environment variables
+const envSchema = Joi.object({
+	NODE_ENV: Joi.string().valid(...Object.keys(ENVIRONMENT_DEFAULTS)).default('development'),
+
+	// Server
+	PORT: Joi.number().port().default(3000),
+	LOG_LEVEL: Joi.string().valid('debug', 'info', 'warn', 'error', 'silent').default('info'),
+	LOG_FILE: Joi.string(),
+	SHUTDOWN_TIMEOUT_MS: Joi.number().integer().min(0).default(10000),
+	SHUTDOWN_DELAY_MS: Joi.number().integer().min(0).default(0),
+
+	// Storage
+	USER_STORE: Joi.string().valid('json', 'memory', 'sqlite').default('json'),
+	USER_STORE_PATH: Joi.string(),
+
+	// Authentication
+	SECRET_KEY: Joi.string().when('NODE_ENV', {
+		is: 'production',
+		then: Joi.string().min(32).invalid(PLACEHOLDER_SECRET).messages({
+			'any.invalid': '{#label} must be replaced with a random secret in production',
+			'string.min': '{#label} must be at least {#limit} characters long in production',
+		}),
+	}),
+	JWT_PRIVATE_KEY_PATH: Joi.string(),
+	PREVIOUS_SECRET_KEYS: commaSeparated(Joi.string()),
+	JWT_PREVIOUS_PUBLIC_KEY_PATHS: commaSeparated(Joi.string()),
+	JWT_ISSUER: Joi.string().default('backend-design-exercise'),
+	JWT_AUDIENCE: Joi.string().default('backend-design-exercise'),
+	ACCESS_TOKEN_EXPIRES_IN: duration().default('1h'),
+	REFRESH_TOKEN_EXPIRES_IN: duration().default('7d'),
+	TWO_FACTOR_CHALLENGE_EXPIRES_IN: duration().default('5m'),
+	TOTP_ISSUER: Joi.string().default('Backend Design Exercise'),
+	LOGIN_MAX_FAILED_ATTEMPTS: positiveInteger().default(5),
+	LOGIN_LOCKOUT_MINUTES: positiveInteger().default(15),
+	LOGIN_FAILURE_DELAY_MS: Joi.number().integer().min(0).default(250),
+
+	// Passwords
+	PASSWORD_HASH_ALGORITHM: Joi.string().valid('bcrypt', 'scrypt', 'argon2').default('bcrypt'),
+	BCRYPT_COST: Joi.number().integer().min(4).max(31).default(10),
+	SCRYPT_COST: Joi.number().integer().min(10).max(20).default(15),
+	PASSWORD_MIN_LENGTH: positiveInteger().default(8),
+	// bcrypt ignores the bytes of a password after the 72nd
+	PASSWORD_MAX_LENGTH: positiveInteger().min(Joi.ref('PASSWORD_MIN_LENGTH')).max(72).default(72).messages({
+		'number.min': '{#label} must not be less than PASSWORD_MIN_LENGTH',
+		'number.max': '{#label} must not be more than 72, the number of bytes bcrypt hashes',
+	}),
+	PASSWORD_BREACHED_LIST_PATH: Joi.string().default(path.join(__dirname, 'breached-passwords.txt')),
+
+	// Audit log
+	AUDIT_LOG_SINK: Joi.string().valid('file', 'memory').default('file'),
+	AUDIT_LOG_PATH: Joi.string().default(path.join(DATA_DIR, 'audit.log')),
+
+	// Email
+	MAIL_TRANSPORT: Joi.string().valid('console', 'file', 'memory').when('NODE_ENV', {
+		is: 'production',
+		then: Joi.required().valid(Joi.override, 'file').messages({
+			'any.only': '{#label} must be file in production, as console prints the emails and memory drops them',
+			'any.required': '{#label} is required in production',
+		}),
+		otherwise: Joi.optional().default('console'),
+	}),
+	MAIL_FILE_PATH: Joi.string().default(path.join(DATA_DIR, 'mail.log')),
+	MAIL_FROM: Joi.string().email().default('no-reply@example.com'),
+	APP_BASE_URL: Joi.string().uri({
+		scheme: ['http', 'https']
+	}).when('NODE_ENV', {
+		is: 'production',
+		then: Joi.required(),
+	}).messages({
+		'string.uriCustomScheme': '{#label} must be an http or https URL',
+		'any.required': '{#label} is required in production',
+	}),
+	EMAIL_VERIFICATION_TOKEN_EXPIRES_IN: duration().default('24h'),
+	PASSWORD_RESET_TOKEN_TTL_MINUTES: positiveInteger().default(30),
+
+	// Rate limiting
+	RATE_LIMIT_MAX: positiveInteger().default(100),
+	RATE_LIMIT_WINDOW_MINUTES: positiveInteger().default(15),
+	AUTH_RATE_LIMIT_MAX: positiveInteger().default(10),
+	AUTH_RATE_LIMIT_WINDOW_MINUTES: positiveInteger().default(15),
+	ACCOUNT_RATE_LIMIT_MAX: positiveInteger().default(10),
+	ACCOUNT_RATE_LIMIT_WINDOW_MINUTES: positiveInteger().default(15),
+	RATE_LIMIT_ALLOWLIST: commaSeparated(Joi.string().ip({
+		cidr: 'forbidden'
+	}).messages({
+		'string.ip': '{#label} must be an IP address',
+	})),
+	RATE_LIMIT_STORE: Joi.string().valid('memory', 'file', 'sqlite', 'redis').default('memory'),
+	RATE_LIMIT_STORE_PATH: Joi.string(),
+	RATE_LIMIT_REDIS_URL: Joi.string().uri({
+		scheme: ['redis', 'rediss']
+	}).default('redis://localhost:6379').messages({
+		'string.uriCustomScheme': '{#label} must be a redis or rediss URL',
+	}),
+}).when(Joi.object({
+	NODE_ENV: Joi.valid('production').required()
+}).unknown(), {
+	then: Joi.object().or('SECRET_KEY', 'JWT_PRIVATE_KEY_PATH').messages({
+		'object.missing': 'SECRET_KEY or JWT_PRIVATE_KEY_PATH is required in production',
+	}),
+});
+
+/**
+ * Raised when the configuration is invalid. The message lists every invalid variable.
+ */
+class ConfigError extends Error {
+	/**
+	 * @param {Array<Object>} details - The invalid variables, each with its `variable`, `message` and `value`.
+	 */
+	constructor(details) {
+		super(['Invalid configuration:', ...details.map(detail => `- ${detail.message}`)].join('\n'));
+		this.name = 'ConfigError';
+		this.details = details;
+	}
+}
+
+/**
+ * Reads the variables to validate from the environment: empty variables count as not
+ * set, and comma-separated lists are split.
+ *
+ * @param {Object} env - The environment variables.
+ * @returns {Object} The variables.
+ */
+function readVariables(env) {
+	const variables = {};
+	for (const [name, value] of Object.entries(env)) {
+		if (value === undefined || value.trim() === '') continue;
+
+		variables[name] = LIST_VARIABLES.includes(name) ?
+			value.split(',').map(item => item.trim()).filter(item => item !== '') :
+			value.trim();
+	}
+	return variables;
+}
+
+/**
+ * Describes an error of the schema as an invalid variable.
+ *
+ * @param {Object} detail - The Joi error detail.
+ * @returns {{variable: string, message: string, value: *}} The invalid variable.
+ */
+function describeError(detail) {
+	// Errors about the variables together, such as a missing signing key, name the first one
+	const variable = detail.path.length > 0 ? String(detail.path[0]) : detail.context.peers[0];
+	const value = detail.path.length > 0 ? detail.context.value : undefined;
+
+	return {
+		variable,
+		message: value !== undefined ? `${detail.message} (got ${JSON.stringify(value)})` : detail.message,
+		value,
+	};
+}
+
+/**
+ * Loads and validates the configuration from environment variables.
+ *
+ * @param {Object} env - The environment variables, such as `process.env`.
+ * @returns {Object} The configuration.
+ * @throws {ConfigError} If a variable is invalid, listing every invalid variable.
+ */
+function loadConfig(env) {
+	const variables = readVariables(env);
+
+	const {
+		error,
+		value: vars
+	} = envSchema.validate({
+		...ENVIRONMENT_DEFAULTS[variables.NODE_ENV],
+		...variables
+	}, {
+		abortEarly: false,
+		stripUnknown: true, // Ignore the other environment variables
+		errors: {
+			wrap: {
+				label: false
+			}
+		},
+	});
+	if (error) {
+		throw new ConfigError(error.details.map(describeError));
+	}
+
+	return {
+		env: vars.NODE_ENV,
+		port: vars.PORT,
+		log: {
+			level: vars.LOG_LEVEL,
+			file: vars.LOG_FILE,
+		},
+		shutdown: {
+			timeoutMs: vars.SHUTDOWN_TIMEOUT_MS,
+			delayMs: vars.SHUTDOWN_DELAY_MS,
+		},
+		userStore: {
+			driver: vars.USER_STORE,
+			filePath: vars.USER_STORE_PATH || path.join(DATA_DIR, vars.USER_STORE === 'sqlite' ? 'users.sqlite' : 'users.json'),
+		},
+		jwt: {
+			secret: vars.SECRET_KEY,
+			privateKeyPath: vars.JWT_PRIVATE_KEY_PATH,
+			previousSecrets: vars.PREVIOUS_SECRET_KEYS,
+			previousPublicKeyPaths: vars.JWT_PREVIOUS_PUBLIC_KEY_PATHS,
+			issuer: vars.JWT_ISSUER,
+			audience: vars.JWT_AUDIENCE,
+			accessTokenExpiresIn: vars.ACCESS_TOKEN_EXPIRES_IN,
+			refreshTokenExpiresIn: vars.REFRESH_TOKEN_EXPIRES_IN,
+			emailVerificationTokenExpiresIn: vars.EMAIL_VERIFICATION_TOKEN_EXPIRES_IN,
+			twoFactorChallengeExpiresIn: vars.TWO_FACTOR_CHALLENGE_EXPIRES_IN,
+		},
+		totpIssuer: vars.TOTP_ISSUER,
+		login: {
+			maxFailedAttempts: vars.LOGIN_MAX_FAILED_ATTEMPTS,
+			lockoutMinutes: vars.LOGIN_LOCKOUT_MINUTES,
+			failureDelayMs: vars.LOGIN_FAILURE_DELAY_MS,
+		},
+		passwords: {
+			hashAlgorithm: vars.PASSWORD_HASH_ALGORITHM,
+			bcryptCost: vars.BCRYPT_COST,
+			scryptCost: vars.SCRYPT_COST,
+			minLength: vars.PASSWORD_MIN_LENGTH,
+			maxLength: vars.PASSWORD_MAX_LENGTH,
+			breachedListPath: vars.PASSWORD_BREACHED_LIST_PATH,
+			resetTokenTtlMinutes: vars.PASSWORD_RESET_TOKEN_TTL_MINUTES,
+		},
+		auditLog: {
+			sink: vars.AUDIT_LOG_SINK,
+			filePath: vars.AUDIT_LOG_PATH,
+		},
+		mail: {
+			transport: vars.MAIL_TRANSPORT,
+			filePath: vars.MAIL_FILE_PATH,
+			from: vars.MAIL_FROM,
+			appBaseUrl: vars.APP_BASE_URL || `http://localhost:${vars.PORT}`,
+		},
+		rateLimit: {
+			global: {
+				max: vars.RATE_LIMIT_MAX,
+				windowMinutes: vars.RATE_LIMIT_WINDOW_MINUTES,
+			},
+			auth: {
+				max: vars.AUTH_RATE_LIMIT_MAX,
+				windowMinutes: vars.AUTH_RATE_LIMIT_WINDOW_MINUTES,
+			},
+			account: {
+				max: vars.ACCOUNT_RATE_LIMIT_MAX,
+				windowMinutes: vars.ACCOUNT_RATE_LIMIT_WINDOW_MINUTES,
+			},
+			allowlist: vars.RATE_LIMIT_ALLOWLIST,
+			store: vars.RATE_LIMIT_STORE,
+			storePath: vars.RATE_LIMIT_STORE_PATH || path.join(DATA_DIR, vars.RATE_LIMIT_STORE === 'sqlite' ? 'rate-limits.sqlite' : 'rate-limits.json'),
+			redisUrl: vars.RATE_LIMIT_REDIS_URL,
+		},
+	};
+}
+
+/**
+ * Checks that the files a configuration names can be read.
+ *
+ * @param {Object} config - The configuration, as returned by `loadConfig`.
+ * @returns {Promise<void>}
+ * @throws {ConfigError} If a file cannot be read, listing every unreadable file.
+ */
+async function checkConfigFiles(config) {
+	const files = [
+		['JWT_PRIVATE_KEY_PATH', config.jwt.privateKeyPath],
+		...config.jwt.previousPublicKeyPaths.map(filePath => ['JWT_PREVIOUS_PUBLIC_KEY_PATHS', filePath]),
+		['PASSWORD_BREACHED_LIST_PATH', config.passwords.breachedListPath],
+	].filter(([, filePath]) => filePath);
+
+	const details = [];
+	for (const [variable, filePath] of files) {
+		try {
+			await fs.access(filePath, fs.constants.R_OK);
+		} catch (err) {
+			details.push({
+				variable,
+				message: `${variable} cannot be read (got ${JSON.stringify(filePath)})`,
+				value: filePath,
+			});
+		}
+	}
+	if (details.length > 0) {
+		throw new ConfigError(details);
+	}
+}
+
+/**
+ * Loads the configuration of the process, which stops with the report of the invalid
+ * variables if it is invalid.
+ *
+ * @returns {Object} The configuration.
+ */
+function loadProcessConfig() {
+	try {
+		return loadConfig(process.env);
+	} catch (err) {
+		if (!(err instanceof ConfigError)) throw err;
+
+		console.error(err.message); // The logger cannot be used, as it is configured here
+		process.exit(1);
+	}
+}
+
+module.exports = loadProcessConfig();
+module.exports.loadConfig = loadConfig;
+module.exports.checkConfigFiles = checkConfigFiles;
+module.exports.ConfigError = ConfigError;
@@ -0,0 +1,67 @@
+/**
+ * Rate-limit policies of the route groups of the application.
+ *
+ * Each policy sets the time window and the maximum number of requests of a group of
+ * routes, and what a client is identified by:
+ * - `global`: Every request. Authenticated traffic is counted per user, anonymous traffic per IP address.
+ * - `auth`: Routes that check credentials or send emails (registration, login, verification
+ *   emails and password resets), on top of `global`. Counted per IP address, since the
+ *   client is not authenticated yet.
+ * - `account`: Authenticated routes that check passwords or send emails (profile changes,
+ *   password changes, account deletion and two-factor settings), on top of `global`.
+ *   Counted per user.
+ *
+ * `subject` names what is limited in the message of '429 Too Many Requests' responses,
+ * such as "Too many authentication attempts from this IP, please try again after 15 minutes."
+ *
+ * Requests from allowlisted IP addresses (such as internal monitoring) are never limited.
+ *
+ * Environment Variables:
+ * - `RATE_LIMIT_MAX`, `RATE_LIMIT_WINDOW_MINUTES`: The `global` policy. Default is 100 requests per 15 minutes.
+ * - `AUTH_RATE_LIMIT_MAX`, `AUTH_RATE_LIMIT_WINDOW_MINUTES`: The `auth` policy. Default is 10 requests per 15 minutes.
+ * - `ACCOUNT_RATE_LIMIT_MAX`, `ACCOUNT_RATE_LIMIT_WINDOW_MINUTES`: The `account` policy. Default is 10 requests per 15 minutes.
+ * - `RATE_LIMIT_ALLOWLIST`: Comma-separated IP addresses exempt from rate limiting.
+ */
+
+const config = require('./index');
+
+/**
+ * Creates the rate-limit policies of a configuration.
+ *
+ * @param {Object} rateLimitConfig - The rate limiting configuration (`config.rateLimit`).
+ * @returns {Object} The rate-limit policies, keyed by route group.
+ */
+function createRateLimitPolicies(rateLimitConfig) {
+	return {
+		global: {
+			windowMs: rateLimitConfig.global.windowMinutes * 60 * 1000,
+			max: rateLimitConfig.global.max,
+			keyBy: 'user',
+			subject: 'requests',
+		},
+		auth: {
+			windowMs: rateLimitConfig.auth.windowMinutes * 60 * 1000,
+			max: rateLimitConfig.auth.max,
+			keyBy: 'ip',
+			subject: 'authentication attempts',
+		},
+		account: {
+			windowMs: rateLimitConfig.account.windowMinutes * 60 * 1000,
+			max: rateLimitConfig.account.max,
+			keyBy: 'user',
+			subject: 'account changes',
+		},
+	};
+}
+
+// Rate-limit policies of the configuration, keyed by route group
+const RATE_LIMIT_POLICIES = createRateLimitPolicies(config.rateLimit);
+
+// IP addresses exempt from rate limiting
+const RATE_LIMIT_ALLOWLIST = config.rateLimit.allowlist;
+
+module.exports = {
+	RATE_LIMIT_POLICIES,
+	RATE_LIMIT_ALLOWLIST,
+	createRateLimitPolicies,
+};
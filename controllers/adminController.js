@@ -0,0 +1,220 @@
+/**
+ * This file defines the controller for the admin user-management operations:
+ * listing, viewing, updating, disabling, enabling, unlocking and deleting users.
+ * It handles business logic and interacts with the user model. Every change is
+ * recorded in the audit log of the affected user, with the admin as the actor.
+ * The controller is created by `createAdminController` from the services it is given.
+ */
+
+const {
+	roleOf
+} = require('../models/roles');
+const {
+	toAdminView
+} = require('../serializers/userSerializer');
+const parseUserId = require('../utils/parseUserId');
+const {
+	BadRequestError,
+	NotFoundError
+} = require('../utils/httpErrors');
+const {
+	EVENT_TYPES
+} = require('../services/auditLog');
+
+/**
+ * Creates the controller of the admin routes.
+ *
+ * @param {Object} services - The services of the application (see `services/index.js`).
+ * @returns {Object} The route handlers, keyed by name.
+ */
+function createAdminController({
+	userModel,
+	loginAttemptService,
+	auditLog
+}) {
+	/**
+	 * Finds the user targeted by the `:id` route parameter.
+	 *
+	 * @param {Object} req - The HTTP request object
+	 * @returns {Promise<Object>} The user.
+	 * @throws {NotFoundError} If there is no such user.
+	 */
+	async function findTargetUser(req) {
+		const user = await userModel.findUserById(parseUserId(req.validated.params.id));
+		if (!user) throw new NotFoundError('User not found.');
+		return user;
+	}
+
+	return {
+		/**
+		 * Lists users, paginated and optionally filtered by role, disabled status, or a
+		 * search term matched against usernames and email addresses.
+		 *
+		 * @param {Object} req - The HTTP request object
+		 * @param {Object} res - The HTTP response object
+		 */
+		listUsers: async (req, res) => {
+			const query = req.validated.query;
+
+			const search = query.search && query.search.toLowerCase();
+			const users = (await userModel.getAllUsers()).filter(user =>
+				(!query.role || roleOf(user) === query.role) &&
+				(query.disabled === undefined || Boolean(user.disabled) === query.disabled) &&
+				(!search || user.username.toLowerCase().includes(search) || (user.email || '').toLowerCase().includes(search))
+			);
+
+			const start = (query.page - 1) * query.limit;
+			res.status(200).json({
+				users: users.slice(start, start + query.limit).map(toAdminView),
+				pagination: {
+					page: query.page,
+					limit: query.limit,
+					total: users.length,
+					totalPages: Math.ceil(users.length / query.limit),
+				},
+			});
+		},
+
+		/**
+		 * Retrieves a single user.
+		 *
+		 * @param {Object} req - The HTTP request object
+		 * @param {Object} res - The HTTP response object
+		 */
+		getUser: async (req, res) => {
+			const user = await findTargetUser(req);
+
+			res.status(200).json({
+				user: toAdminView(user)
+			});
+		},
+
+		/**
+		 * Updates the email address, role or email verification status of a user.
+		 * Admins cannot change their own role, so that the last admin cannot lock everyone out.
+		 *
+		 * @param {Object} req - The HTTP request object
+		 * @param {Object} res - The HTTP response object
+		 */
+		updateUser: async (req, res) => {
+			const changes = req.validated.body;
+			const user = await findTargetUser(req);
+
+			if (changes.role !== undefined && user.id === req.userId) {
+				throw new BadRequestError('You cannot change your own role.');
+			}
+
+			const updatedUser = {
+				...user,
+				...changes
+			};
+			await userModel.updateUser(updatedUser);
+			await auditLog.recordRequest(req, EVENT_TYPES.ADMIN_USER_UPDATE, {
+				userId: user.id,
+				details: {
+					fields: Object.keys(changes)
+				},
+			});
+
+			res.status(200).json({
+				message: 'User updated successfully.',
+				user: toAdminView(updatedUser),
+			});
+		},
+
+		/**
+		 * Disables a user, preventing them from logging in and revoking all of their sessions.
+		 *
+		 * @param {Object} req - The HTTP request object
+		 * @param {Object} res - The HTTP response object
+		 */
+		disableUser: async (req, res) => {
+			const user = await findTargetUser(req);
+
+			if (user.id === req.userId) {
+				throw new BadRequestError('You cannot disable your own account.');
+			}
+
+			await userModel.updateUser({
+				...user,
+				disabled: true,
+				sessions: [], // Sign the user out everywhere
+			});
+			await auditLog.recordRequest(req, EVENT_TYPES.ADMIN_USER_DISABLE, {
+				userId: user.id
+			});
+
+			res.status(200).json({
+				message: 'User disabled successfully.'
+			});
+		},
+
+		/**
+		 * Re-enables a previously disabled user.
+		 *
+		 * @param {Object} req - The HTTP request object
+		 * @param {Object} res - The HTTP response object
+		 */
+		enableUser: async (req, res) => {
+			const user = await findTargetUser(req);
+
+			await userModel.updateUser({
+				...user,
+				disabled: false,
+			});
+			await auditLog.recordRequest(req, EVENT_TYPES.ADMIN_USER_ENABLE, {
+				userId: user.id
+			});
+
+			res.status(200).json({
+				message: 'User enabled successfully.'
+			});
+		},
+
+		/**
+		 * Unlocks a user locked out after too many failed logins, and resets their failed login attempts.
+		 *
+		 * @param {Object} req - The HTTP request object
+		 * @param {Object} res - The HTTP response object
+		 */
+		unlockUser: async (req, res) => {
+			const user = await findTargetUser(req);
+
+			await userModel.updateUser(loginAttemptService.clearLockout(user));
+			await auditLog.recordRequest(req, EVENT_TYPES.ADMIN_USER_UNLOCK, {
+				userId: user.id
+			});
+
+			res.status(200).json({
+				message: 'User unlocked successfully.'
+			});
+		},
+
+		/**
+		 * Deletes a user. Tokens issued to the user stop being accepted since the user no longer exists.
+		 *
+		 * @param {Object} req - The HTTP request object
+		 * @param {Object} res - The HTTP response object
+		 */
+		deleteUser: async (req, res) => {
+			const user = await findTargetUser(req);
+
+			if (user.id === req.userId) {
+				throw new BadRequestError('You cannot delete your own account.');
+			}
+
+			await userModel.deleteUser(user.id);
+			await auditLog.recordRequest(req, EVENT_TYPES.ADMIN_USER_DELETE, {
+				userId: user.id
+			});
+
+			res.status(200).json({
+				message: 'User deleted successfully.'
+			});
+		},
+	};
+}
+
+module.exports = {
+	createAdminController
+};
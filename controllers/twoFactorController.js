@@ -0,0 +1,185 @@
+/**
+ * This file defines the controller for two-factor authentication (2FA): enrolling an
+ * authenticator app, disabling 2FA, and completing a login with a code.
+ * It handles business logic and interacts with the user model and the 2FA service.
+ * Enabling and disabling 2FA and second login steps are recorded in the audit log, and
+ * second login steps are counted in the metrics.
+ * The controller is created by `createTwoFactorController` from the services it is given.
+ */
+
+const {
+	EVENT_TYPES
+} = require('../services/auditLog');
+const {
+	BadRequestError,
+	AuthenticationError
+} = require('../utils/httpErrors');
+
+/**
+ * Creates the controller of the two-factor authentication routes.
+ *
+ * @param {Object} services - The services of the application (see `services/index.js`).
+ * @returns {Object} The route handlers, keyed by name.
+ */
+function createTwoFactorController({
+	userModel,
+	twoFactorService,
+	loginAttemptService,
+	sessionService,
+	tokenService,
+	passwordHasher,
+	auditLog,
+	metrics
+}) {
+	return {
+		/**
+		 * Starts the enrollment of an authenticator app for the authenticated user.
+		 * Returns the secret and the otpauth URI to import into the app.
+		 *
+		 * @param {Object} req - The HTTP request object
+		 * @param {Object} res - The HTTP response object
+		 */
+		setup: async (req, res) => {
+			const user = await userModel.findUserById(req.userId);
+
+			if (twoFactorService.isEnabled(user)) {
+				throw new BadRequestError('Two-factor authentication is already enabled.');
+			}
+
+			const {
+				secret,
+				otpauthUri
+			} = await twoFactorService.startEnrollment(user);
+
+			res.status(200).json({
+				message: 'Add the secret to your authenticator app, then confirm with a code.',
+				secret,
+				otpauthUri,
+			});
+		},
+
+		/**
+		 * Confirms the enrollment with a first code, enabling 2FA. Returns the recovery
+		 * codes, which are shown only once.
+		 *
+		 * @param {Object} req - The HTTP request object
+		 * @param {Object} res - The HTTP response object
+		 */
+		confirm: async (req, res) => {
+			const user = await userModel.findUserById(req.userId);
+
+			if (twoFactorService.isEnabled(user)) {
+				throw new BadRequestError('Two-factor authentication is already enabled.');
+			}
+			if (!user.twoFactor || !user.twoFactor.pendingSecret) {
+				throw new BadRequestError('Two-factor setup has not been started.');
+			}
+
+			const recoveryCodes = await twoFactorService.confirmEnrollment(user, req.validated.body.code);
+			if (!recoveryCodes) {
+				throw new BadRequestError('Invalid two-factor code.');
+			}
+
+			await auditLog.recordRequest(req, EVENT_TYPES.TWO_FACTOR_ENABLE);
+
+			res.status(200).json({
+				message: 'Two-factor authentication enabled successfully.',
+				recoveryCodes,
+			});
+		},
+
+		/**
+		 * Disables 2FA for the authenticated user, who must confirm their password and a
+		 * code or recovery code.
+		 *
+		 * @param {Object} req - The HTTP request object
+		 * @param {Object} res - The HTTP response object
+		 */
+		disable: async (req, res) => {
+			const user = await userModel.findUserById(req.userId);
+
+			if (!twoFactorService.isEnabled(user)) {
+				throw new BadRequestError('Two-factor authentication is not enabled.');
+			}
+			if (!await passwordHasher.verify(req.validated.body.password, user.password)) {
+				throw new BadRequestError('Invalid password.');
+			}
+
+			const verifiedUser = await twoFactorService.verifySecondFactor(user, req.validated.body.code);
+			if (!verifiedUser) {
+				throw new BadRequestError('Invalid two-factor code.');
+			}
+
+			await twoFactorService.disable(verifiedUser);
+			await auditLog.recordRequest(req, EVENT_TYPES.TWO_FACTOR_DISABLE);
+
+			res.status(200).json({
+				message: 'Two-factor authentication disabled successfully.'
+			});
+		},
+
+		/**
+		 * Completes the login of a user with 2FA by exchanging the challenge token returned
+		 * by the login, together with a code or recovery code, for an access token and a
+		 * refresh token. Invalid codes count as failed logins for the account lockout.
+		 *
+		 * @param {Object} req - The HTTP request object
+		 * @param {Object} res - The HTTP response object
+		 */
+		completeLogin: async (req, res) => {
+			const {
+				challengeToken,
+				code
+			} = req.validated.body;
+
+			const decoded = tokenService.verifyTwoFactorChallengeToken(challengeToken);
+			const user = decoded && await userModel.findUserById(decoded.id);
+			if (!user || user.disabled || !twoFactorService.isEnabled(user)) {
+				throw new AuthenticationError('Invalid or expired challenge token.');
+			}
+
+			let verifiedUser = null;
+			if (!loginAttemptService.isLocked(user)) {
+				verifiedUser = await twoFactorService.verifySecondFactor(user, code);
+			}
+			if (!verifiedUser) {
+				const reason = loginAttemptService.isLocked(user) ? 'account_locked' : 'invalid_code';
+				const locked = await loginAttemptService.recordFailure(user);
+				await auditLog.recordRequest(req, EVENT_TYPES.LOGIN_TWO_FACTOR, {
+					userId: user.id,
+					outcome: 'failure',
+					reason
+				});
+				metrics.recordLogin('failure', reason);
+				if (locked) {
+					await auditLog.recordRequest(req, EVENT_TYPES.ACCOUNT_LOCK, {
+						userId: user.id
+					});
+				}
+				throw new AuthenticationError('Invalid two-factor code.');
+			}
+
+			// Reset the failed-attempt counter now that the second factor is verified, then open
+			// a new session and issue its access and refresh tokens
+			await loginAttemptService.recordSuccess(verifiedUser);
+			const {
+				token,
+				refreshToken
+			} = await sessionService.createSession(verifiedUser);
+			await auditLog.recordRequest(req, EVENT_TYPES.LOGIN_TWO_FACTOR, {
+				userId: user.id
+			});
+			metrics.recordLogin('success');
+
+			res.status(200).json({
+				message: 'Login successful.',
+				token,
+				refreshToken,
+			});
+		},
+	};
+}
+
+module.exports = {
+	createTwoFactorController
+};
@@ -1,190 +1,613 @@
 /**
  * This file defines the controller for user-related operations such as 
- * registration, login, profile retrieval, and password management.
- * It handles business logic and interacts with the user model.
+ * registration, email verification, login, profile management (retrieval, update and
+ * account deletion), and password management (including forgotten password resets).
+ * It handles business logic and interacts with the user model. Errors are thrown as
+ * HTTP errors and turned into error responses by the error-handling middleware.
+ * Security-relevant account events are recorded in the audit log, and logins are counted
+ * in the metrics. The controller is created by `createUserController` from the services
+ * it is given.
  */
 
-const userModel = require('../models/userModel');
-const jwt = require('jsonwebtoken');
-const Joi = require('joi');
-const bcrypt = require('bcrypt');
-
-// JWT secret key from environment variables or a default value
-const secretKey = process.env.SECRET_KEY || 'default_secret_key';
-
-// Schema for validating registration data
-const registerSchema = Joi.object({
-	username: Joi.string().min(3).required(),
-	email: Joi.string().email().required(),
-	password: Joi.string().min(6).required(),
-});
-
-// Schema for validating login data
-const loginSchema = Joi.object({
-	username: Joi.string().required(),
-	password: Joi.string().required(),
-});
-
-// Schema for validating password change request
-const changePasswordSchema = Joi.object({
-	oldPassword: Joi.string().required(),
-	newPassword: Joi.string().min(6).required(),
-});
+const {
+	DuplicateUserError
+} = require('../models/errors');
+const {
+	ROLES
+} = require('../models/roles');
+const {
+	toSelfView,
+	toPublicView
+} = require('../serializers/userSerializer');
+const {
+	toSecurityEventView
+} = require('../serializers/securityEventSerializer');
+const parseUserId = require('../utils/parseUserId');
+const {
+	HttpError,
+	BadRequestError,
+	ValidationError,
+	AuthenticationError,
+	ForbiddenError,
+	NotFoundError,
+	ConflictError
+} = require('../utils/httpErrors');
+const {
+	PasswordPolicyError
+} = require('../services/passwordPolicy');
+const {
+	EVENT_TYPES
+} = require('../services/auditLog');
 
 /**
- * Registers a new user.
- * 
- * Validates user input using Joi, checks for duplicate usernames, 
- * hashes the password using bcrypt, and stores the new user in the model.
- * 
- * @param {Object} req - The HTTP request object
- * @param {Object} res - The HTTP response object
+ * Turns a password policy violation into a validation error of the request body field
+ * holding the password, with one detail per broken rule.
+ *
+ * @param {PasswordPolicyError} err - The password policy violation.
+ * @param {string} field - The name of the field.
+ * @returns {ValidationError} The validation error.
  */
-exports.register = (req, res) => {
-	// Validate registration data using Joi schema
-	const {
-		error
-	} = registerSchema.validate(req.body);
-	if (error) return res.status(400).json({
-		message: error.details[0].message
+function toPasswordValidationError(err, field) {
+	return new ValidationError(err.message, {
+		details: err.violations.map(violation => ({
+			field,
+			location: 'body',
+			message: violation.message,
+			type: violation.type,
+		})),
 	});
+}
 
-	const {
-		username,
-		email,
-		password
-	} = req.body;
+/**
+ * Creates the controller of the user routes.
+ *
+ * @param {Object} services - The services of the application (see `services/index.js`).
+ * @returns {Object} The route handlers, keyed by name.
+ */
+function createUserController({
+	userModel,
+	sessionService,
+	emailVerificationService,
+	passwordResetService,
+	loginAttemptService,
+	twoFactorService,
+	tokenService,
+	passwordHasher,
+	passwordPolicy,
+	auditLog,
+	metrics
+}) {
+	/**
+	 * Checks a new password against the password policy.
+	 *
+	 * @param {string} password - The new password, in plain text.
+	 * @param {string} username - The username of the account.
+	 * @param {string} field - The request body field holding the password.
+	 * @throws {ValidationError} If the password breaks a rule of the policy.
+	 */
+	function assertPasswordAllowed(password, username, field) {
+		try {
+			passwordPolicy.assertAllowed(password, {
+				username
+			});
+		} catch (err) {
+			if (err instanceof PasswordPolicyError) throw toPasswordValidationError(err, field);
+			throw err;
+		}
+	}
 
-	// Check if username already exists in the database
-	const userExists = userModel.findUserByUsername(username);
-	if (userExists) return res.status(409).json({
-		message: 'Username already exists.'
-	});
+	/**
+	 * Records a failed login attempt for the account lockout, in the audit log and in the metrics.
+	 *
+	 * @param {Object} req - The HTTP request object
+	 * @param {Object|null} user - The user the login was attempted for, if any.
+	 * @returns {Promise<void>}
+	 */
+	async function recordLoginFailure(req, user) {
+		if (!user) {
+			await loginAttemptService.recordFailure(null, req.validated.body.username);
+			await auditLog.recordRequest(req, EVENT_TYPES.LOGIN, {
+				outcome: 'failure',
+				reason: 'unknown_user',
+				details: {
+					username: req.validated.body.username
+				},
+			});
+			metrics.recordLogin('failure', 'unknown_user');
+			return;
+		}
 
-	// Hash the password before saving it
-	const hashedPassword = bcrypt.hashSync(password, 10);
-	const users = userModel.getAllUsers();
+		const reason = loginAttemptService.isLocked(user) ? 'account_locked' : 'invalid_password';
+		const locked = await loginAttemptService.recordFailure(user);
+		await auditLog.recordRequest(req, EVENT_TYPES.LOGIN, {
+			userId: user.id,
+			outcome: 'failure',
+			reason
+		});
+		metrics.recordLogin('failure', reason);
+		if (locked) {
+			await auditLog.recordRequest(req, EVENT_TYPES.ACCOUNT_LOCK, {
+				userId: user.id
+			});
+		}
+	}
 
-	// Construct new user object
-	const newUser = {
-		id: users.length + 1,
-		username,
-		email,
-		password: hashedPassword,
-	};
+	return {
+		/**
+		 * Registers a new user.
+		 * 
+		 * Checks the password against the password policy and for duplicate usernames, 
+		 * hashes the password, and stores the new user in the model,
+		 * which assigns the user's ID. The account stays unverified until the link
+		 * emailed to the user is opened.
+		 * 
+		 * @param {Object} req - The HTTP request object
+		 * @param {Object} res - The HTTP response object
+		 */
+		register: async (req, res) => {
+			const {
+				username,
+				email,
+				password
+			} = req.validated.body;
 
-	// Save the new user to the mock database
-	userModel.addUser(newUser);
-	res.status(201).json({
-		message: 'User registered successfully.',
-		user: newUser,
-	});
-};
+			assertPasswordAllowed(password, username, 'password');
 
-/**
- * Logs in a user by validating credentials.
- * 
- * Checks the user's username and password, then generates a JWT if credentials are valid.
- * 
- * @param {Object} req - The HTTP request object
- * @param {Object} res - The HTTP response object
- */
-exports.login = (req, res) => {
-	// Validate login data using Joi schema
-	const {
-		error
-	} = loginSchema.validate(req.body);
-	if (error) return res.status(400).json({
-		message: error.details[0].message
-	});
+			// Check if username already exists in the database
+			const userExists = await userModel.findUserByUsername(username);
+			if (userExists) throw new ConflictError('Username already exists.');
 
-	const {
-		username,
-		password
-	} = req.body;
+			// Hash the password before saving it
+			const hashedPassword = await passwordHasher.hash(password);
 
-	// Find user by username
-	const user = userModel.findUserByUsername(username);
-	if (!user || !bcrypt.compareSync(password, user.password)) {
-		return res.status(401).json({
-			message: 'Invalid credentials.'
-		});
-	}
+			// Save the new user to the database; the model assigns its ID
+			let newUser;
+			try {
+				newUser = await userModel.addUser({
+					username,
+					email,
+					password: hashedPassword,
+					role: ROLES.USER,
+					emailVerified: false,
+				});
+			} catch (err) {
+				// Another registration claimed the username since the check above
+				if (err instanceof DuplicateUserError && err.field === 'username') throw new ConflictError('Username already exists.');
+				throw err;
+			}
 
-	// Generate JWT token for the user, expires in 1 hour
-	const token = jwt.sign({
-		id: user.id
-	}, secretKey, {
-		expiresIn: '1h'
-	});
+			req.log.info('user registered', {
+				userId: newUser.id
+			});
+			await auditLog.recordRequest(req, EVENT_TYPES.REGISTER, {
+				userId: newUser.id
+			});
 
-	res.status(200).json({
-		message: 'Login successful.',
-		token,
-	});
-};
+			// Email the verification link for the new account
+			await emailVerificationService.sendVerificationEmail(newUser);
 
-/**
- * Retrieves the profile of the authenticated user.
- * 
- * Protected by authentication middleware. Fetches the user data based on the user ID from the token.
- * 
- * @param {Object} req - The HTTP request object
- * @param {Object} res - The HTTP response object
- */
-exports.getProfile = (req, res) => {
-	const userId = req.userId; // Extracted from JWT by authentication middleware
+			res.status(201).json({
+				message: 'User registered successfully.',
+				user: toSelfView(newUser),
+			});
+		},
 
-	// Fetch the user from the model using user ID
-	const user = userModel.findUserById(userId);
-	if (!user) return res.status(404).json({
-		message: 'User not found.'
-	});
+		/**
+		 * Verifies a user's email address using the token from the emailed verification link.
+		 * 
+		 * Tokens are single-use, and only the most recently sent token is accepted.
+		 * 
+		 * @param {Object} req - The HTTP request object
+		 * @param {Object} res - The HTTP response object
+		 */
+		verifyEmail: async (req, res) => {
+			const verifiedUser = await emailVerificationService.verifyEmail(req.validated.query.token);
+			if (!verifiedUser) throw new BadRequestError('Invalid or expired verification token.');
 
-	res.status(200).json({
-		user
-	});
-};
+			await auditLog.recordRequest(req, EVENT_TYPES.EMAIL_VERIFY, {
+				userId: verifiedUser.id,
+				details: {
+					email: verifiedUser.email
+				},
+			});
 
-/**
- * Changes the password of the authenticated user.
- * 
- * Validates the old password, hashes the new password, and updates the user in the mock database.
- * 
- * @param {Object} req - The HTTP request object
- * @param {Object} res - The HTTP response object
- */
-exports.changePassword = (req, res) => {
-	// Validate password change data using Joi schema
-	const {
-		error
-	} = changePasswordSchema.validate(req.body);
-	if (error) return res.status(400).json({
-		message: error.details[0].message
-	});
+			res.status(200).json({
+				message: 'Email verified successfully.'
+			});
+		},
 
-	const userId = req.userId; // Extracted from JWT by authentication middleware
+		/**
+		 * Sends a new verification email to an unverified account.
+		 * 
+		 * The response is the same whether or not an unverified account exists for the
+		 * address, so that the endpoint cannot be used to discover registered emails.
+		 * 
+		 * @param {Object} req - The HTTP request object
+		 * @param {Object} res - The HTTP response object
+		 */
+		resendVerification: async (req, res) => {
+			// Resend to the pending new address of the account if it has one, otherwise to its unverified address
+			const user = await userModel.findUserByEmail(req.validated.body.email);
+			if (user && user.pendingEmail) {
+				await emailVerificationService.sendVerificationEmail(user, user.pendingEmail);
+			} else if (user && !emailVerificationService.isEmailVerified(user)) {
+				await emailVerificationService.sendVerificationEmail(user);
+			}
 
-	// Fetch the user from the model
-	const user = userModel.findUserById(userId);
-	if (!user || !bcrypt.compareSync(req.body.oldPassword, user.password)) {
-		return res.status(400).json({
-			message: 'Invalid old password.'
-		});
-	}
+			res.status(200).json({
+				message: 'If an unverified account exists for this email address, a verification email has been sent.'
+			});
+		},
 
-	// Hash the new password
-	user.password = bcrypt.hashSync(req.body.newPassword, 10);
+		/**
+		 * Logs in a user by validating credentials.
+		 * 
+		 * Checks the user's username and password, then opens a new session and returns
+		 * a short-lived access token together with a long-lived refresh token. Users with
+		 * two-factor authentication get a challenge token instead, to be exchanged together
+		 * with a code for the tokens (see `twoFactorController.completeLogin`).
+		 * 
+		 * @param {Object} req - The HTTP request object
+		 * @param {Object} res - The HTTP response object
+		 */
+		login: async (req, res) => {
+			const {
+				username,
+				password
+			} = req.validated.body;
 
-	// Update user data in the mock database
-	const updated = userModel.updateUser(user);
-	if (updated) {
-		res.status(200).json({
-			message: 'Password changed successfully.'
-		});
-	} else {
-		res.status(500).json({
-			message: 'Failed to update password.'
-		});
-	}
+			// Find user by username
+			const user = await userModel.findUserByUsername(username);
+			const passwordMatches = await passwordHasher.verify(password, user ? user.password : null);
+
+			// Locked accounts get the same response as a wrong password, so lockout does not reveal accounts
+			if (!user || !passwordMatches || loginAttemptService.isLocked(user)) {
+				await recordLoginFailure(req, user);
+				throw new AuthenticationError('Invalid credentials.');
+			}
+
+			// Refuse accounts disabled by an administrator only once the password is verified,
+			// so the response does not confirm the account to anyone guessing passwords, and
+			// before the lockout state is cleared
+			if (user.disabled) {
+				await auditLog.recordRequest(req, EVENT_TYPES.LOGIN, {
+					userId: user.id,
+					outcome: 'failure',
+					reason: 'account_disabled'
+				});
+				metrics.recordLogin('failure', 'account_disabled');
+				throw new ForbiddenError('Account has been disabled.');
+			}
+
+			// Reset the failed-attempt counter after a successful login. Users with 2FA keep
+			// their counter until the code is verified, so wrong codes keep counting towards
+			// the lockout (see `twoFactorController.completeLogin`)
+			if (!twoFactorService.isEnabled(user)) {
+				await loginAttemptService.recordSuccess(user);
+			}
+
+			// Replace a password hash created with an outdated algorithm or cost now that the
+			// password is known, unless the password has been changed since it was checked
+			if (passwordHasher.needsRehash(user.password)) {
+				const hash = await passwordHasher.hash(password);
+				await userModel.modifyUser(user.id, storedUser => storedUser.password === user.password ? {
+					...storedUser,
+					password: hash
+				} : null);
+				req.log.info('password rehashed', {
+					userId: user.id
+				});
+			}
+
+			// Refuse accounts whose email address has not been verified yet
+			if (!emailVerificationService.isEmailVerified(user)) {
+				await auditLog.recordRequest(req, EVENT_TYPES.LOGIN, {
+					userId: user.id,
+					outcome: 'failure',
+					reason: 'email_unverified'
+				});
+				metrics.recordLogin('failure', 'email_unverified');
+				throw new ForbiddenError('Email address has not been verified.');
+			}
+
+			// Users with two-factor authentication must complete the login with a code
+			if (twoFactorService.isEnabled(user)) {
+				return res.status(200).json({
+					message: 'Two-factor authentication required.',
+					twoFactorRequired: true,
+					challengeToken: tokenService.signTwoFactorChallengeToken(user),
+				});
+			}
+
+			// Open a new session and issue its access and refresh tokens
+			const {
+				token,
+				refreshToken
+			} = await sessionService.createSession(user);
+			await auditLog.recordRequest(req, EVENT_TYPES.LOGIN, {
+				userId: user.id
+			});
+			metrics.recordLogin('success');
+
+			res.status(200).json({
+				message: 'Login successful.',
+				token,
+				refreshToken,
+			});
+		},
+
+		/**
+		 * Exchanges a refresh token for a new access token and refresh token.
+		 * 
+		 * Refresh tokens are single-use: the presented token is rotated out, and presenting
+		 * an already-used token revokes the whole session it belongs to.
+		 * 
+		 * @param {Object} req - The HTTP request object
+		 * @param {Object} res - The HTTP response object
+		 */
+		refreshToken: async (req, res) => {
+			const tokens = await sessionService.rotateSession(req.validated.body.refreshToken);
+			if (!tokens) throw new AuthenticationError('Invalid refresh token.');
+
+			res.status(200).json({
+				message: 'Token refreshed successfully.',
+				token: tokens.token,
+				refreshToken: tokens.refreshToken,
+			});
+		},
+
+		/**
+		 * Logs out a user by revoking the session of the given refresh token.
+		 * 
+		 * Access tokens issued for the revoked session are rejected from then on.
+		 * 
+		 * @param {Object} req - The HTTP request object
+		 * @param {Object} res - The HTTP response object
+		 */
+		logout: async (req, res) => {
+			const userId = await sessionService.revokeRefreshToken(req.validated.body.refreshToken);
+			if (userId === null) throw new AuthenticationError('Invalid refresh token.');
+
+			await auditLog.recordRequest(req, EVENT_TYPES.LOGOUT, {
+				userId
+			});
+
+			res.status(200).json({
+				message: 'Logged out successfully.'
+			});
+		},
+
+		/**
+		 * Retrieves the profile of the authenticated user.
+		 * 
+		 * Protected by authentication middleware. Fetches the user data based on the user ID from the token.
+		 * 
+		 * @param {Object} req - The HTTP request object
+		 * @param {Object} res - The HTTP response object
+		 */
+		getProfile: async (req, res) => {
+			const userId = req.userId; // Extracted from JWT by authentication middleware
+
+			// Fetch the user from the model using user ID
+			const user = await userModel.findUserById(userId);
+			if (!user) throw new NotFoundError('User not found.');
+
+			res.status(200).json({
+				user: toSelfView(user)
+			});
+		},
+
+		/**
+		 * Retrieves the most recent security events of the authenticated user, such as
+		 * logins, failed logins and password changes, newest first.
+		 * 
+		 * @param {Object} req - The HTTP request object
+		 * @param {Object} res - The HTTP response object
+		 */
+		getSecurityEvents: async (req, res) => {
+			const events = await auditLog.findByUser(req.userId, req.validated.query.limit);
+
+			res.status(200).json({
+				events: events.map(toSecurityEventView)
+			});
+		},
+
+		/**
+		 * Retrieves the public profile of another user.
+		 * 
+		 * Only the fields of the public view are returned.
+		 * 
+		 * @param {Object} req - The HTTP request object
+		 * @param {Object} res - The HTTP response object
+		 */
+		getPublicProfile: async (req, res) => {
+			const user = await userModel.findUserById(parseUserId(req.validated.params.id));
+			if (!user || user.disabled) throw new NotFoundError('User not found.');
+
+			res.status(200).json({
+				user: toPublicView(user)
+			});
+		},
+
+		/**
+		 * Updates the editable profile fields of the authenticated user.
+		 * 
+		 * A new email address is not applied immediately: it is stored as pending and a
+		 * verification link is sent to it. The address replaces the current one once verified.
+		 * Setting `displayName` to null removes it.
+		 * 
+		 * @param {Object} req - The HTTP request object
+		 * @param {Object} res - The HTTP response object
+		 */
+		updateProfile: async (req, res) => {
+			const value = req.validated.body;
+
+			const user = await userModel.findUserById(req.userId);
+			if (!user) throw new NotFoundError('User not found.');
+
+			if (value.displayName === null) {
+				delete user.displayName;
+			} else if (value.displayName !== undefined) {
+				user.displayName = value.displayName;
+			}
+
+			// A new email address must be verified before it replaces the current one
+			const emailChanged = value.email !== undefined && value.email !== user.email;
+			if (emailChanged) {
+				user.pendingEmail = value.email;
+			}
+
+			await userModel.updateUser(user);
+			if (emailChanged) {
+				await emailVerificationService.sendVerificationEmail(user, user.pendingEmail);
+			}
+			await auditLog.recordRequest(req, EVENT_TYPES.PROFILE_UPDATE, {
+				details: {
+					fields: Object.keys(value)
+				},
+			});
+
+			res.status(200).json({
+				message: emailChanged ?
+					'Profile updated successfully. Please verify your new email address.' :
+					'Profile updated successfully.',
+				user: toSelfView(user),
+			});
+		},
+
+		/**
+		 * Deletes the account of the authenticated user after confirming their password.
+		 * 
+		 * Deleting the user also discards its sessions, so every token issued to the user
+		 * stops being accepted.
+		 * 
+		 * @param {Object} req - The HTTP request object
+		 * @param {Object} res - The HTTP response object
+		 */
+		deleteProfile: async (req, res) => {
+			const user = await userModel.findUserById(req.userId);
+			if (!user || !await passwordHasher.verify(req.validated.body.password, user.password)) {
+				await auditLog.recordRequest(req, EVENT_TYPES.ACCOUNT_DELETE, {
+					outcome: 'failure',
+					reason: 'invalid_password'
+				});
+				throw new BadRequestError('Invalid password.');
+			}
+
+			await userModel.deleteUser(user.id);
+			await auditLog.recordRequest(req, EVENT_TYPES.ACCOUNT_DELETE);
+
+			res.status(200).json({
+				message: 'Account deleted successfully.'
+			});
+		},
+
+		/**
+		 * Changes the password of the authenticated user.
+		 * 
+		 * Validates the old password, checks the new password against the password policy, hashes
+		 * it, and updates the user in the mock database. Every other session of the user is
+		 * revoked, so only the session the password was changed from stays signed in.
+		 * 
+		 * @param {Object} req - The HTTP request object
+		 * @param {Object} res - The HTTP response object
+		 */
+		changePassword: async (req, res) => {
+			const userId = req.userId; // Extracted from JWT by authentication middleware
+
+			const {
+				oldPassword,
+				newPassword
+			} = req.validated.body;
+
+			// Fetch the user from the model
+			const user = await userModel.findUserById(userId);
+			if (!user || !await passwordHasher.verify(oldPassword, user.password)) {
+				await auditLog.recordRequest(req, EVENT_TYPES.PASSWORD_CHANGE, {
+					outcome: 'failure',
+					reason: 'invalid_password'
+				});
+				throw new BadRequestError('Invalid old password.');
+			}
+
+			assertPasswordAllowed(newPassword, user.username, 'newPassword');
+
+			// Hash the new password
+			user.password = await passwordHasher.hash(newPassword);
+
+			// Update user data in the mock database
+			const updated = await userModel.updateUser(user);
+			if (!updated) throw new HttpError('Failed to update password.');
+
+			// Sign the user out everywhere else, like a password reset does
+			await sessionService.revokeAllSessions(user.id, req.sessionId);
+			await auditLog.recordRequest(req, EVENT_TYPES.PASSWORD_CHANGE);
+
+			res.status(200).json({
+				message: 'Password changed successfully.'
+			});
+		},
+
+		/**
+		 * Requests a password reset for a forgotten password.
+		 * 
+		 * Emails a short-lived, single-use reset token to the account with the given email
+		 * address. The response is the same whether or not such an account exists, so that
+		 * the endpoint cannot be used to discover registered emails. It is also sent before
+		 * the account is looked up, so its timing does not reveal it either: the token is
+		 * stored and emailed afterwards.
+		 * 
+		 * @param {Object} req - The HTTP request object
+		 * @param {Object} res - The HTTP response object
+		 */
+		forgotPassword: async (req, res) => {
+			res.status(200).json({
+				message: 'If an account exists for this email address, a password reset email has been sent.'
+			});
+
+			try {
+				await passwordResetService.requestPasswordReset(req.validated.body.email);
+			} catch (err) {
+				req.log.error('password reset request failed', {
+					err
+				});
+			}
+		},
+
+		/**
+		 * Resets the password of a user using an emailed reset token.
+		 * 
+		 * Sets the new password, invalidates the token and revokes every existing session,
+		 * so the user has to log in again everywhere.
+		 * 
+		 * @param {Object} req - The HTTP request object
+		 * @param {Object} res - The HTTP response object
+		 */
+		resetPassword: async (req, res) => {
+			const {
+				token,
+				newPassword
+			} = req.validated.body;
+			let resetUser;
+			try {
+				resetUser = await passwordResetService.resetPassword(token, newPassword);
+			} catch (err) {
+				if (err instanceof PasswordPolicyError) throw toPasswordValidationError(err, 'newPassword');
+				throw err;
+			}
+			if (!resetUser) throw new BadRequestError('Invalid or expired password reset token.');
+
+			await auditLog.recordRequest(req, EVENT_TYPES.PASSWORD_RESET, {
+				userId: resetUser.id
+			});
+
+			res.status(200).json({
+				message: 'Password reset successfully.'
+			});
+		},
+	};
+}
+
+module.exports = {
+	createUserController
 };
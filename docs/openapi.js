@@ -0,0 +1,548 @@
+/**
+ * This module generates the OpenAPI 3 document of the API.
+ *
+ * The document is derived from two sources, so it cannot drift from the code:
+ * - The route table: the routes defined by the routers of the application (see
+ *   `createRoutes` in `routes/index.js`), with their methods, paths and the request
+ *   schemas of their `validate` middleware (see `middleware/validationMiddleware.js`).
+ * - The Joi schemas: those request schemas, and the response schemas below.
+ *
+ * `OPERATIONS` adds what the code cannot tell, keyed by method and path: a summary,
+ * tags, whether an access token is required, the success response and the specific
+ * error responses. Validation (400), authentication (401, 403) and rate limiting (429)
+ * errors are added to every operation they apply to. Every route must have an entry,
+ * which the test suite enforces (see `test/openapi.test.js`).
+ *
+ * The document is served at `GET /api/openapi.json`, and rendered by an interactive
+ * docs page at `GET /api/docs` (see `routes/docs.js`).
+ */
+
+const Joi = require('joi');
+const joiToJsonSchema = require('../utils/joiToJsonSchema');
+const {
+	ALL_ROLES
+} = require('../models/roles');
+const {
+	EVENT_TYPES
+} = require('../services/auditLog');
+const {
+	version
+} = require('../package.json');
+
+// Schema of a user as shown to the user themselves (see `serializers/userSerializer.js`)
+const userSchema = Joi.object({
+	id: Joi.string().description('The UUID of the user.'),
+	username: Joi.string(),
+	email: Joi.string().email(),
+	pendingEmail: Joi.string().email().description('A new email address waiting to be verified.'),
+	displayName: Joi.string(),
+	role: Joi.string().valid(...ALL_ROLES),
+	emailVerified: Joi.boolean(),
+	twoFactorEnabled: Joi.boolean(),
+});
+
+// Schema of a user as shown to administrators
+const adminUserSchema = userSchema.keys({
+	disabled: Joi.boolean(),
+	failedLoginAttempts: Joi.number().integer().description('Consecutive failed logins.'),
+	lockedUntil: Joi.date().iso().description('The end of the login lockout, if the account is locked.'),
+	legacyId: Joi.number().integer().description('The numeric ID of a user migrated to UUIDs.'),
+});
+
+// Schema of a user as shown to other users
+const publicUserSchema = Joi.object({
+	id: Joi.string(),
+	username: Joi.string(),
+	displayName: Joi.string(),
+});
+
+// Schema of a security event (see `serializers/securityEventSerializer.js`)
+const securityEventSchema = Joi.object({
+	id: Joi.string(),
+	type: Joi.string().valid(...Object.values(EVENT_TYPES)),
+	outcome: Joi.string().valid('success', 'failure'),
+	reason: Joi.string().description('Why the action failed.'),
+	actorId: Joi.string().description('The user who performed the action, such as an admin.'),
+	ip: Joi.string(),
+	userAgent: Joi.string(),
+	details: Joi.object().unknown(true),
+	timestamp: Joi.date().iso(),
+});
+
+// Schemas of the response bodies, published as components of the document
+const RESPONSE_SCHEMAS = {
+	Error: Joi.object({
+		code: Joi.string().example('VALIDATION_ERROR'),
+		message: Joi.string(),
+		details: Joi.array().items(Joi.object({
+			field: Joi.string(),
+			location: Joi.string().valid('params', 'query', 'headers', 'body'),
+			message: Joi.string(),
+			type: Joi.string(),
+		})),
+		requestId: Joi.string(),
+	}),
+	Message: Joi.object({
+		message: Joi.string(),
+	}),
+	User: userSchema,
+	AdminUser: adminUserSchema,
+	PublicUser: publicUserSchema,
+	SecurityEvent: securityEventSchema,
+	UserResponse: Joi.object({
+		message: Joi.string(),
+		user: userSchema,
+	}),
+	PublicUserResponse: Joi.object({
+		user: publicUserSchema,
+	}),
+	Tokens: Joi.object({
+		message: Joi.string(),
+		token: Joi.string().description('The access token, sent as `Authorization: Bearer <token>`.'),
+		refreshToken: Joi.string().description('The single-use refresh token.'),
+	}),
+	TwoFactorChallenge: Joi.object({
+		message: Joi.string(),
+		twoFactorRequired: Joi.boolean().valid(true),
+		challengeToken: Joi.string().description('The token to exchange at `POST /api/login/2fa`.'),
+	}),
+	TwoFactorSetup: Joi.object({
+		message: Joi.string(),
+		secret: Joi.string().description('The base32 secret to add to an authenticator app.'),
+		otpauthUri: Joi.string().description('The otpauth URI of the secret, for QR codes.'),
+	}),
+	RecoveryCodes: Joi.object({
+		message: Joi.string(),
+		recoveryCodes: Joi.array().items(Joi.string()).description('One-time recovery codes, shown only once.'),
+	}),
+	SecurityEventList: Joi.object({
+		events: Joi.array().items(securityEventSchema),
+	}),
+	AdminUserResponse: Joi.object({
+		message: Joi.string(),
+		user: adminUserSchema,
+	}),
+	Jwks: Joi.object({
+		keys: Joi.array().items(Joi.object({
+			kty: Joi.string().valid('RSA', 'EC'),
+			kid: Joi.string().description('The JWK thumbprint of the key, matching the `kid` header of the tokens it signed.'),
+			alg: Joi.string().valid('RS256', 'ES256'),
+			use: Joi.string().valid('sig'),
+		}).unknown(true)),
+	}),
+	AdminUserList: Joi.object({
+		users: Joi.array().items(adminUserSchema),
+		pagination: Joi.object({
+			page: Joi.number().integer(),
+			limit: Joi.number().integer(),
+			total: Joi.number().integer(),
+			totalPages: Joi.number().integer(),
+		}),
+	}),
+};
+
+// Error responses, keyed by status code, with the name of their component
+const ERROR_RESPONSES = {
+	400: ['BadRequest', 'The request is invalid, such as a body that does not match the schema (`VALIDATION_ERROR`).'],
+	401: ['Unauthorized', 'The credentials or the access token are invalid (`AUTHENTICATION_FAILED`).'],
+	403: ['Forbidden', 'No access token was given, or the user is not allowed to perform the action (`FORBIDDEN`).'],
+	404: ['NotFound', 'The user does not exist (`NOT_FOUND`).'],
+	409: ['Conflict', 'The username or email address is already taken (`CONFLICT`).'],
+	429: ['TooManyRequests', 'A rate limit has been exceeded (`RATE_LIMITED`).'],
+};
+
+// Documentation of every route, keyed by method and OpenAPI path
+const OPERATIONS = {
+	'POST /api/register': {
+		operationId: 'register',
+		tags: ['Authentication'],
+		summary: 'Register a new user and email them a verification link.',
+		response: [201, 'The user has been registered.', 'UserResponse'],
+		errors: [409],
+	},
+	'GET /api/verify-email': {
+		operationId: 'verifyEmail',
+		tags: ['Authentication'],
+		summary: "Verify a user's email address. This is the link sent by email.",
+		response: [200, 'The email address has been verified.', 'Message'],
+	},
+	'POST /api/verify-email/resend': {
+		operationId: 'resendVerification',
+		tags: ['Authentication'],
+		summary: 'Send a new verification email. The response does not reveal whether the account exists.',
+		response: [200, 'A verification email has been sent if the account exists.', 'Message'],
+	},
+	'POST /api/login': {
+		operationId: 'login',
+		tags: ['Authentication'],
+		summary: 'Log in with a username and password.',
+		description: 'Users with two-factor authentication receive a challenge token to exchange at `POST /api/login/2fa` instead of tokens.',
+		response: [200, 'The user has been logged in, or must complete a two-factor challenge.', ['Tokens', 'TwoFactorChallenge']],
+		errors: [401, 403],
+	},
+	'POST /api/login/2fa': {
+		operationId: 'completeTwoFactorLogin',
+		tags: ['Authentication'],
+		summary: 'Complete the login of a user with two-factor authentication.',
+		response: [200, 'The user has been logged in.', 'Tokens'],
+		errors: [401, 403],
+	},
+	'POST /api/2fa/setup': {
+		operationId: 'setupTwoFactor',
+		tags: ['Two-Factor Authentication'],
+		summary: 'Start enabling two-factor authentication.',
+		auth: true,
+		response: [200, 'The secret to add to an authenticator app.', 'TwoFactorSetup'],
+	},
+	'POST /api/2fa/confirm': {
+		operationId: 'confirmTwoFactor',
+		tags: ['Two-Factor Authentication'],
+		summary: 'Enable two-factor authentication with a first code from the authenticator app.',
+		auth: true,
+		response: [200, 'Two-factor authentication has been enabled.', 'RecoveryCodes'],
+	},
+	'POST /api/2fa/disable': {
+		operationId: 'disableTwoFactor',
+		tags: ['Two-Factor Authentication'],
+		summary: 'Disable two-factor authentication.',
+		auth: true,
+		response: [200, 'Two-factor authentication has been disabled.', 'Message'],
+	},
+	'POST /api/token/refresh': {
+		operationId: 'refreshToken',
+		tags: ['Authentication'],
+		summary: 'Exchange a refresh token for a new access token and refresh token.',
+		response: [200, 'The tokens have been refreshed.', 'Tokens'],
+		errors: [401],
+	},
+	'POST /api/logout': {
+		operationId: 'logout',
+		tags: ['Authentication'],
+		summary: 'Revoke the session of a refresh token.',
+		response: [200, 'The session has been revoked.', 'Message'],
+		errors: [401],
+	},
+	'GET /api/profile': {
+		operationId: 'getProfile',
+		tags: ['Profile'],
+		summary: "Retrieve the authenticated user's profile.",
+		auth: true,
+		response: [200, 'The profile of the user.', 'UserResponse'],
+		errors: [404],
+	},
+	'PATCH /api/profile': {
+		operationId: 'updateProfile',
+		tags: ['Profile'],
+		summary: "Update the authenticated user's email address or display name.",
+		description: 'A new email address replaces the current one once verified through the link emailed to it.',
+		auth: true,
+		response: [200, 'The profile has been updated.', 'UserResponse'],
+		errors: [404, 409],
+	},
+	'DELETE /api/profile': {
+		operationId: 'deleteProfile',
+		tags: ['Profile'],
+		summary: "Delete the authenticated user's account.",
+		auth: true,
+		response: [200, 'The account has been deleted.', 'Message'],
+		errors: [404],
+	},
+	'GET /api/profile/security-events': {
+		operationId: 'getSecurityEvents',
+		tags: ['Profile'],
+		summary: 'List the most recent security events of the authenticated user, newest first.',
+		auth: true,
+		response: [200, 'The security events of the user.', 'SecurityEventList'],
+	},
+	'GET /api/users/{id}': {
+		operationId: 'getPublicProfile',
+		tags: ['Profile'],
+		summary: 'Retrieve the public profile of a user.',
+		auth: true,
+		response: [200, 'The public profile of the user.', 'PublicUserResponse'],
+		errors: [404],
+	},
+	'PUT /api/change-password': {
+		operationId: 'changePassword',
+		tags: ['Password'],
+		summary: "Change the authenticated user's password, revoking every other session of the user.",
+		auth: true,
+		response: [200, 'The password has been changed.', 'Message'],
+		errors: [404],
+	},
+	'POST /api/forgot-password': {
+		operationId: 'forgotPassword',
+		tags: ['Password'],
+		summary: 'Email a password reset token. The response does not reveal whether the account exists.',
+		response: [200, 'A password reset email has been sent if the account exists.', 'Message'],
+	},
+	'POST /api/reset-password': {
+		operationId: 'resetPassword',
+		tags: ['Password'],
+		summary: 'Set a new password using a reset token, revoking every session of the user.',
+		response: [200, 'The password has been reset.', 'Message'],
+	},
+	'GET /api/admin/users': {
+		operationId: 'adminListUsers',
+		tags: ['Admin'],
+		summary: 'List users, paginated and filtered.',
+		auth: true,
+		response: [200, 'A page of users.', 'AdminUserList'],
+	},
+	'GET /api/admin/users/{id}': {
+		operationId: 'adminGetUser',
+		tags: ['Admin'],
+		summary: 'Retrieve a user.',
+		auth: true,
+		response: [200, 'The user.', 'AdminUserResponse'],
+		errors: [404],
+	},
+	'PATCH /api/admin/users/{id}': {
+		operationId: 'adminUpdateUser',
+		tags: ['Admin'],
+		summary: 'Update the email address, role or email verification status of a user.',
+		auth: true,
+		response: [200, 'The user has been updated.', 'AdminUserResponse'],
+		errors: [404, 409],
+	},
+	'POST /api/admin/users/{id}/disable': {
+		operationId: 'adminDisableUser',
+		tags: ['Admin'],
+		summary: 'Disable a user and revoke all of their sessions.',
+		auth: true,
+		response: [200, 'The user has been disabled.', 'Message'],
+		errors: [404],
+	},
+	'POST /api/admin/users/{id}/enable': {
+		operationId: 'adminEnableUser',
+		tags: ['Admin'],
+		summary: 'Re-enable a disabled user.',
+		auth: true,
+		response: [200, 'The user has been enabled.', 'Message'],
+		errors: [404],
+	},
+	'POST /api/admin/users/{id}/unlock': {
+		operationId: 'adminUnlockUser',
+		tags: ['Admin'],
+		summary: 'Lift the login lockout of a user.',
+		auth: true,
+		response: [200, 'The user has been unlocked.', 'Message'],
+		errors: [404],
+	},
+	'DELETE /api/admin/users/{id}': {
+		operationId: 'adminDeleteUser',
+		tags: ['Admin'],
+		summary: 'Delete a user.',
+		auth: true,
+		response: [200, 'The user has been deleted.', 'Message'],
+		errors: [404],
+	},
+	'GET /.well-known/jwks.json': {
+		operationId: 'getJwks',
+		tags: ['Authentication'],
+		summary: 'List the public keys access tokens can be verified with.',
+		description: 'A JSON Web Key Set, empty when tokens are signed with a secret (HS256).',
+		response: [200, 'The JSON Web Key Set.', 'Jwks'],
+	},
+};
+
+/**
+ * Lists the routes of the API routers, in the order they are defined.
+ *
+ * @param {Array<Object>} routes - The route table of the application: the routers and their mount `path`.
+ * @returns {Array<Object>} The routes, with their `method`, OpenAPI `path` (such as
+ * `/api/users/{id}`) and the request `schemas` of their `validate` middleware, if any.
+ */
+function listRoutes(routes) {
+	return routes.flatMap(({
+		path,
+		router
+	}) => router.stack
+		.filter(layer => layer.route)
+		.flatMap(layer => {
+			const validator = layer.route.stack.find(routeLayer => routeLayer.handle.schemas);
+			return Object.keys(layer.route.methods).map(method => ({
+				method: method.toUpperCase(),
+				path: (path + layer.route.path).replace(/:(\w+)/g, '{$1}'),
+				schemas: validator ? validator.handle.schemas : {},
+			}));
+		}));
+}
+
+/**
+ * Builds a reference to a response schema component.
+ *
+ * @param {string} name - The name of the component.
+ * @returns {Object} The reference.
+ */
+function schemaRef(name) {
+	return {
+		$ref: `#/components/schemas/${name}`
+	};
+}
+
+/**
+ * Documents the fields of a Joi schema of the path, query string or headers as
+ * parameters.
+ *
+ * @param {string} location - The location of the parameters: `path`, `query` or `header`.
+ * @param {Object} schema - The Joi schema.
+ * @returns {Array<Object>} The parameters.
+ */
+function parametersIn(location, schema) {
+	const {
+		properties = {}, required = []
+	} = joiToJsonSchema(schema);
+	return Object.entries(properties).map(([name, parameterSchema]) => ({
+		name,
+		in: location,
+		required: location === 'path' || required.includes(name),
+		schema: parameterSchema,
+	}));
+}
+
+/**
+ * Documents the parameters of an operation: the parameters of its path, and the fields
+ * of its query and header schemas. Path parameters without a schema are documented as
+ * strings.
+ *
+ * @param {string} path - The OpenAPI path of the route.
+ * @param {Object} schemas - The request schemas of the route, keyed by request location.
+ * @returns {Array<Object>} The parameters.
+ */
+function parametersOf(path, schemas) {
+	const pathParameters = schemas.params ? parametersIn('path', schemas.params) : [...path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+		name,
+		in: 'path',
+		required: true,
+		schema: {
+			type: 'string'
+		},
+	}));
+	return [
+		...pathParameters,
+		...(schemas.query ? parametersIn('query', schemas.query) : []),
+		...(schemas.headers ? parametersIn('header', schemas.headers) : []),
+	];
+}
+
+/**
+ * Builds the OpenAPI operation of a route.
+ *
+ * @param {Object} route - The route, as listed by `listRoutes`.
+ * @param {Object} operation - The documentation of the route (see `OPERATIONS`).
+ * @returns {Object} The OpenAPI operation.
+ */
+function buildOperation(route, operation) {
+	const {
+		schemas
+	} = route;
+	const [status, description, schemaNames] = operation.response;
+
+	const built = {
+		operationId: operation.operationId,
+		tags: operation.tags,
+		summary: operation.summary,
+	};
+	if (operation.description) built.description = operation.description;
+
+	const parameters = parametersOf(route.path, schemas);
+	if (parameters.length > 0) built.parameters = parameters;
+
+	if (schemas.body) {
+		built.requestBody = {
+			required: true,
+			content: {
+				'application/json': {
+					schema: joiToJsonSchema(schemas.body)
+				}
+			},
+		};
+	}
+	if (operation.auth) built.security = [{
+		bearerAuth: []
+	}];
+
+	// Errors every operation of this kind can respond with, and its specific ones
+	const errorStatuses = new Set([
+		...(Object.keys(schemas).length > 0 ? [400] : []),
+		...(operation.auth ? [401, 403] : []),
+		...(operation.errors || []),
+		429,
+	]);
+
+	built.responses = {
+		[status]: {
+			description,
+			content: {
+				'application/json': {
+					schema: Array.isArray(schemaNames) ? {
+						oneOf: schemaNames.map(schemaRef)
+					} : schemaRef(schemaNames)
+				}
+			},
+		},
+	};
+	for (const errorStatus of [...errorStatuses].sort()) {
+		built.responses[errorStatus] = {
+			$ref: `#/components/responses/${ERROR_RESPONSES[errorStatus][0]}`
+		};
+	}
+	return built;
+}
+
+/**
+ * Builds the OpenAPI document of the API. Routes without an entry in `OPERATIONS` are
+ * left out.
+ *
+ * @param {Array<Object>} routes - The route table of the application.
+ * @returns {Object} The OpenAPI 3 document.
+ */
+function buildOpenApiDocument(routes) {
+	const paths = {};
+	for (const route of listRoutes(routes)) {
+		const operation = OPERATIONS[`${route.method} ${route.path}`];
+		if (!operation) continue; // Reported by the test suite
+
+		paths[route.path] = paths[route.path] || {};
+		paths[route.path][route.method.toLowerCase()] = buildOperation(route, operation);
+	}
+
+	return {
+		openapi: '3.0.3',
+		info: {
+			title: 'Backend Design Exercise API',
+			version,
+			description: 'User registration, authentication and profile management. Errors are returned as `{ code, message, details, requestId }`.',
+		},
+		servers: [{
+			url: '/'
+		}],
+		paths,
+		components: {
+			securitySchemes: {
+				bearerAuth: {
+					type: 'http',
+					scheme: 'bearer',
+					bearerFormat: 'JWT'
+				},
+			},
+			schemas: Object.fromEntries(Object.entries(RESPONSE_SCHEMAS).map(([name, schema]) => [name, joiToJsonSchema(schema)])),
+			responses: Object.fromEntries(Object.values(ERROR_RESPONSES).map(([name, description]) => [name, {
+				description,
+				content: {
+					'application/json': {
+						schema: schemaRef('Error')
+					}
+				},
+			}])),
+		},
+	};
+}
+
+module.exports = {
+	OPERATIONS,
+	RESPONSE_SCHEMAS,
+	listRoutes,
+	buildOpenApiDocument,
+};
@@ -3,49 +3,88 @@
  * 
  * This middleware is used to protect routes that require user authentication.
  * It checks the 'Authorization' header for a valid JWT token and verifies the token
- * using the secret key. If the token is valid, the user's ID is extracted and attached 
- * to the request object for further use in the controller.
+ * using the token service. If the token is valid and the session it was issued for
+ * has not been revoked, the user's ID and role are attached to the request object
+ * for further use in the controller.
  * 
- * Environment Variables:
- * - `SECRET_KEY`: Secret key used for signing/verifying JWT tokens.
+ * The middleware is created with `createAuthMiddleware` from the services of the
+ * application, so every application checks tokens against its own store.
  * 
  * Errors:
  * - 403: No token provided in the 'Authorization' header.
  * - 401: Token is invalid or expired.
+ * - 401: The session the token belongs to has been revoked.
+ * - 403: The user's account has been disabled.
  * 
  * @param {Object} req    - The HTTP request object.
  * @param {Object} res    - The HTTP response object.
  * @param {Function} next - Function to pass control to the next middleware.
  */
 
-const jwt = require('jsonwebtoken');
+const {
+	roleOf
+} = require('../models/roles');
+const {
+	AuthenticationError,
+	ForbiddenError
+} = require('../utils/httpErrors');
 
-// Retrieve the JWT secret key from environment variables or use a default value
-const secretKey = process.env.SECRET_KEY || 'default_secret_key';
+/**
+ * Creates the authentication middleware.
+ *
+ * @param {Object} services - The services of the application.
+ * @param {Object} services.tokenService - The token service verifying access tokens.
+ * @param {Object} services.sessionService - The session service checking whether sessions are active.
+ * @param {Object} services.userModel - The user model.
+ * @returns {Function} The middleware function.
+ */
+function createAuthMiddleware({
+	tokenService,
+	sessionService,
+	userModel
+}) {
+	return async (req, res, next) => {
+		const authHeader = req.headers['authorization'];
+
+		// Check if the 'Authorization' header is present and starts with 'Bearer '
+		if (!authHeader || !authHeader.startsWith('Bearer ')) {
+			return next(new ForbiddenError('No token provided.'));
+		}
 
-module.exports = (req, res, next) => {
-	const authHeader = req.headers['authorization'];
+		// Extract the token from the 'Authorization' header
+		const token = authHeader.split(' ')[1];
 
-	// Check if the 'Authorization' header is present and starts with 'Bearer '
-	if (!authHeader || !authHeader.startsWith('Bearer ')) {
-		return res.status(403).json({
-			message: 'No token provided.'
-		});
-	}
+		// Verify the token signature, expiry and type
+		const decoded = tokenService.verifyAccessToken(token);
+		if (!decoded) {
+			return next(new AuthenticationError('Failed to authenticate token.'));
+		}
 
-	// Extract the token from the 'Authorization' header
-	const token = authHeader.split(' ')[1];
+		// Reject tokens whose session has been revoked (logout, refresh token reuse, ...)
+		let user;
+		try {
+			user = await userModel.findUserById(decoded.id);
+		} catch (err) {
+			return next(err); // Let the error-handling middleware handle storage failures
+		}
+		if (!user || !sessionService.isSessionActive(user, decoded.sid)) {
+			return next(new AuthenticationError('Session has been revoked.'));
+		}
 
-	// Verify the token using the secret key
-	jwt.verify(token, secretKey, (err, decoded) => {
-		if (err) {
-			return res.status(401).json({
-				message: 'Failed to authenticate token.'
-			});
+		// Reject users whose account has been disabled by an administrator
+		if (user.disabled) {
+			return next(new ForbiddenError('Account has been disabled.'));
 		}
 
-		// Attach the decoded user ID to the request object for use in protected routes
-		req.userId = decoded.id;
+		// Attach the user ID to the request object for use in protected routes. The stored ID
+		// is used rather than the token's, which may be a legacy ID of a migrated user.
+		req.userId = user.id;
+		req.userRole = roleOf(user);
+		req.sessionId = decoded.sid;
 		next(); // Pass control to the next middleware or route handler
-	});
+	};
+}
+
+module.exports = {
+	createAuthMiddleware
 };
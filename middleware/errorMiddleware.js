@@ -0,0 +1,125 @@
+/**
+ * Error-handling middleware that turns errors into the JSON error envelope of the API.
+ * 
+ * Every error response has the same shape:
+ * 
+ *   {
+ *     "code": "VALIDATION_ERROR",         // Stable, machine-readable error code
+ *     "message": "\"email\" is required", // Human-readable message
+ *     "details": [{ "field": "email", "message": "\"email\" is required", "type": "any.required" }],
+ *     "requestId": "..."                  // ID of the request, also sent as X-Request-Id
+ *   }
+ * 
+ * Handled errors:
+ * - `HttpError` and its subclasses (see `utils/httpErrors.js`): their status, code and details.
+ * - Request body parsing errors from `body-parser`: 400 `INVALID_JSON` or 413 `PAYLOAD_TOO_LARGE`.
+ * - `DuplicateUserError` from the user model (see `models/errors.js`): 409 `CONFLICT`.
+ * - Any other error: 500 `INTERNAL_ERROR`. The error is logged, but its message and
+ *   stack trace are never sent to the client.
+ * 
+ * `notFoundHandler` responds to requests that match no route with a 404 `ROUTE_NOT_FOUND`.
+ * Both must be registered after all routes; the error handler is created by
+ * `createErrorHandler` with the logger of the application.
+ */
+
+const {
+	HttpError,
+	NotFoundError,
+	ConflictError
+} = require('../utils/httpErrors');
+const {
+	DuplicateUserError
+} = require('../models/errors');
+
+/**
+ * Converts an error from `body-parser` into an HTTP error.
+ *
+ * @param {Error} err - The error raised while parsing the request body.
+ * @returns {HttpError|null} The HTTP error, or null if the error is not a body parsing error.
+ */
+function fromBodyParserError(err) {
+	switch (err.type) {
+		case 'entity.parse.failed':
+			return new HttpError('Request body is not valid JSON.', {
+				status: 400,
+				code: 'INVALID_JSON'
+			});
+		case 'entity.too.large':
+			return new HttpError('Request body is too large.', {
+				status: 413,
+				code: 'PAYLOAD_TOO_LARGE'
+			});
+		default:
+			return err.type && err.status >= 400 && err.status < 500 ?
+				new HttpError(err.message, {
+					status: err.status,
+					code: 'BAD_REQUEST'
+				}) :
+				null;
+	}
+}
+
+/**
+ * Converts an error of the user model into an HTTP error.
+ *
+ * @param {Error} err - The error raised by the user model.
+ * @returns {HttpError|null} The HTTP error, or null if the error is not a known model error.
+ */
+function fromModelError(err) {
+	return err instanceof DuplicateUserError ? new ConflictError(err.message) : null;
+}
+
+/**
+ * Responds to requests that match no route.
+ *
+ * @param {Object} req    - The HTTP request object.
+ * @param {Object} res    - The HTTP response object.
+ * @param {Function} next - Function to pass control to the error handler.
+ */
+function notFoundHandler(req, res, next) {
+	next(new NotFoundError(`Route ${req.method} ${req.path} not found.`, {
+		code: 'ROUTE_NOT_FOUND'
+	}));
+}
+
+/**
+ * Creates the error handler, which sends the error envelope for an error.
+ *
+ * @param {Object} logger - The logger unexpected errors are written with when the request
+ * has no logger of its own (`req.log`, see `middleware/loggerMiddleware.js`).
+ * @returns {Function} The error-handling middleware function.
+ */
+function createErrorHandler(logger) {
+	/**
+	 * Sends the error envelope for an error.
+	 *
+	 * @param {Error} err     - The error.
+	 * @param {Object} req    - The HTTP request object.
+	 * @param {Object} res    - The HTTP response object.
+	 * @param {Function} next - Function to pass control to Express's default error handler.
+	 */
+	return function errorHandler(err, req, res, next) {
+		// A response that has already started cannot be replaced; let Express close the connection
+		if (res.headersSent) return next(err);
+
+		let error = err instanceof HttpError ? err : fromBodyParserError(err) || fromModelError(err);
+		if (!error) {
+			(req.log || logger).error('unhandled error', {
+				err
+			});
+			error = new HttpError('An unexpected error occurred.');
+		}
+
+		res.status(error.status).json({
+			code: error.code,
+			message: error.message,
+			details: error.details,
+			requestId: req.id,
+		});
+	};
+}
+
+module.exports = {
+	notFoundHandler,
+	createErrorHandler,
+};
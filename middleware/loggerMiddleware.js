@@ -1,27 +1,107 @@
 /**
- * Middleware to log incoming HTTP requests.
+ * Middleware to log HTTP requests with the structured logger.
  * 
- * This middleware logs the HTTP method, accessed route, and timestamp of each request.
- * It is invoked for every incoming request before any route handlers or other middleware are executed.
+ * For every request, this middleware attaches a child logger to the request object as
+ * `req.log`, carrying the request ID (see `requestIdMiddleware`), so controllers can
+ * log entries that are tied to the request. When the response has been sent, one
+ * `request completed` entry is logged with:
+ * - HTTP method and URL (credentials in the query string, such as tokens, are redacted)
+ * - Status code and latency in milliseconds
+ * - Size of the response body in bytes
+ * - ID of the authenticated user, if any (`req.userId`)
  * 
- * The log includes:
- * - HTTP method (e.g., GET, POST)
- * - Original route requested (e.g., /api/register)
- * - Timestamp when the request was made, formatted as ISO string
+ * Server errors are logged at the `error` level, client errors at the `warn` level and
+ * other responses at the `info` level. At the `debug` level, the request headers and
+ * body are included, with the `Authorization` header and password fields redacted.
+ * Requests aborted by the client before the response was sent are logged as well.
  * 
- * This can be useful for debugging, monitoring, or analytics purposes.
+ * Must be registered after `requestIdMiddleware`.
  * 
  * @param {Object} req		- The HTTP request object.
  * @param {Object} res		- The HTTP response object.
  * @param {Function} next	- Function to pass control to the next middleware or route handler.
  */
-module.exports = (req, res, next) => {
-	const method = req.method;					// Extract HTTP method (e.g., GET, POST)
-	const route = req.originalUrl;				// Extract the original requested URL
-	const timestamp = new Date().toISOString();	// Get current timestamp in ISO format
 
-	// Log the request details to the console
-	console.log(`[${timestamp}] ${method} ${route}`);
+const logger = require('../services/logger');
 
-	next(); // Pass control to the next middleware or route handler
-};
+/**
+ * Redacts credentials from the query string of a URL.
+ *
+ * @param {string} url - The URL of the request, such as `/api/verify-email?token=...`.
+ * @returns {string} The URL with redacted query parameters.
+ */
+function redactUrl(url) {
+	const queryStart = url.indexOf('?');
+	if (queryStart === -1) return url;
+
+	const params = [...new URLSearchParams(url.slice(queryStart + 1))].map(([key, value]) => {
+		const redactedValue = logger.redact({
+			[key]: value
+		})[key];
+		return `${encodeURIComponent(key)}=${redactedValue === value ? encodeURIComponent(value) : redactedValue}`;
+	});
+	return `${url.slice(0, queryStart)}?${params.join('&')}`;
+}
+
+/**
+ * Picks the log level of a completed request from its status code.
+ *
+ * @param {number} status - The status code of the response.
+ * @returns {string} The log level.
+ */
+function levelOf(status) {
+	if (status >= 500) return 'error';
+	if (status >= 400) return 'warn';
+	return 'info';
+}
+
+/**
+ * Creates the request logging middleware.
+ *
+ * @param {Object} requestLogger - The logger request entries are written with.
+ * @returns {Function} The middleware function.
+ */
+function createLoggerMiddleware(requestLogger) {
+	return (req, res, next) => {
+		const start = process.hrtime.bigint();
+		req.log = requestLogger.child({
+			requestId: req.id
+		});
+
+		/**
+		 * Collects the fields describing the request and its response.
+		 *
+		 * @returns {Object} The fields of the log entry.
+		 */
+		const requestFields = () => {
+			const fields = {
+				method: req.method,
+				url: redactUrl(req.originalUrl),
+				status: res.statusCode,
+				durationMs: Number(process.hrtime.bigint() - start) / 1e6,
+				bytes: Number(res.getHeader('content-length')) || 0,
+				userId: req.userId,
+			};
+			if (req.log.isLevelEnabled('debug')) {
+				fields.headers = req.headers;
+				fields.body = req.body;
+			}
+			return fields;
+		};
+
+		res.on('finish', () => {
+			const fields = requestFields();
+			req.log[levelOf(fields.status)]('request completed', fields);
+		});
+
+		res.on('close', () => {
+			if (!res.writableFinished) req.log.warn('request aborted', requestFields());
+		});
+
+		next(); // Pass control to the next middleware or route handler
+	};
+}
+
+// Export the middleware writing to the application logger
+module.exports = createLoggerMiddleware(logger);
+module.exports.createLoggerMiddleware = createLoggerMiddleware;
@@ -0,0 +1,77 @@
+/**
+ * Middleware to record the count and latency of HTTP requests in the metrics of the
+ * application (see `services/metrics.js`).
+ *
+ * When the response has been sent, the request is recorded with its method, status
+ * code, latency and route. The route is the path pattern of the matching route (such
+ * as `/api/users/{id}`), looked up in the routes the middleware is created with, so
+ * requests rejected before reaching their handler (by authentication, validation or
+ * rate limiting) are still recorded under their route. Requests matching no route are
+ * recorded under the `unmatched` route, so unknown URLs cannot create new series.
+ *
+ * @param {Object} req    - The HTTP request object.
+ * @param {Object} res    - The HTTP response object.
+ * @param {Function} next - Function to pass control to the next middleware or route handler.
+ */
+
+/**
+ * Creates a matcher of request paths for a path pattern.
+ *
+ * @param {string} pattern - The path pattern, with parameters in braces, such as `/api/users/{id}`.
+ * @returns {RegExp} The regular expression matching the paths of the pattern, with or without a trailing slash.
+ */
+function pathMatcher(pattern) {
+	const source = pattern.split(/\{\w+\}/)
+		.map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+		.join('[^/]+');
+	return new RegExp(`^${source}/?$`, 'i');
+}
+
+/**
+ * Creates the metrics middleware.
+ *
+ * @param {Object} metrics - The metrics requests are recorded in.
+ * @param {Array<Object>} routes - The routes of the application, with their `method` and path pattern `path`.
+ * @returns {Function} The middleware function.
+ */
+function createMetricsMiddleware(metrics, routes) {
+	const matchers = routes.map(route => ({
+		method: route.method,
+		route: route.path,
+		matcher: pathMatcher(route.path),
+	}));
+
+	/**
+	 * Finds the path pattern of the route a request matches.
+	 *
+	 * @param {Object} req - The HTTP request object.
+	 * @returns {string} The path pattern, or `unmatched`.
+	 */
+	const routeOf = (req) => {
+		const path = req.originalUrl.split('?')[0];
+		const match = matchers.find(({
+			method,
+			matcher
+		}) => method === req.method && matcher.test(path));
+		return match ? match.route : 'unmatched';
+	};
+
+	return (req, res, next) => {
+		const start = process.hrtime.bigint();
+
+		res.on('finish', () => {
+			metrics.observeRequest({
+				method: req.method,
+				route: routeOf(req),
+				status: res.statusCode,
+				durationSeconds: Number(process.hrtime.bigint() - start) / 1e9,
+			});
+		});
+
+		next(); // Pass control to the next middleware or route handler
+	};
+}
+
+module.exports = {
+	createMetricsMiddleware
+};
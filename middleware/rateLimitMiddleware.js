@@ -1,49 +1,197 @@
 /**
- * Rate-limiting middleware for controlling the number of requests made by an IP address.
- * 
- * This middleware is applied globally to all incoming requests. It limits the number of requests
- * made from the same IP address within a defined window of time. If the rate limit is exceeded, 
- * further requests are blocked, and a '429 Too Many Requests' response is sent.
- * 
- * Environment Variables:
- * - `RATE_LIMIT_MAX`: Maximum number of requests allowed within the time window. Default is 100.
- * 
+ * Rate-limiting middleware for controlling the number of requests made by a client.
+ *
+ * Every route group has its own rate-limit policy (see `config/rateLimitPolicies.js`),
+ * setting its time window, its maximum number of requests and what a client is
+ * identified by. The `global` policy is applied to all incoming requests; stricter
+ * policies, such as `auth` for the routes that check credentials, are applied to their
+ * routes on top of it with the `rateLimitFor(policyName)` function returned by
+ * `createRateLimiters`.
+ *
+ * Clients are identified by:
+ * - `user`: The ID of the authenticated user (`req.userId`, or the user of a valid access
+ *   token when authentication has not run yet), falling back to the IP address.
+ * - `ip`: The IP address of the client.
+ *
+ * Every response carries the standard `RateLimit-Policy`, `RateLimit-Limit`,
+ * `RateLimit-Remaining` and `RateLimit-Reset` headers (as well as the former
+ * `X-RateLimit-*` headers). When a limit is exceeded, further requests are blocked with
+ * a '429 Too Many Requests' response, a `Retry-After` header and a message stating the
+ * window of the policy, and counted in the metrics of the application. Requests from
+ * allowlisted IP addresses are never limited.
+ *
  * Configuration:
- * - Time window: 15 minutes (configurable by `windowMs`).
- * - Default maximum requests: 100 requests per IP address per window (can be overridden via environment variable).
- * - When in 'test' mode, rate limiting is disabled unless the header `x-enable-rate-limit` is explicitly set.
- * 
+ * - Policies and the allowlist are configured through environment variables, see `config/rateLimitPolicies.js`.
+ * - Hit counters are kept in the configured store, see `services/rateLimitStore.js`.
+ * - In test mode (the 'test' environment), rate limiting is disabled unless the header
+ *   `x-enable-rate-limit` is explicitly set.
+ *
  * Errors:
  * - 429: Too many requests.
- * 
+ *
  * @param {Object} req    - The HTTP request object.
  * @param {Object} res    - The HTTP response object.
  * @param {Function} next - Function to pass control to the next middleware or route handler.
  */
 
 const rateLimit = require('express-rate-limit');
+const rateLimitStore = require('../services/rateLimitStore');
+const {
+	RATE_LIMIT_ALLOWLIST
+} = require('../config/rateLimitPolicies');
+const {
+	TooManyRequestsError
+} = require('../utils/httpErrors');
 
-// Configure the rate limiter with a 15-minute window and dynamic request limit
-const limiter = rateLimit({
-	windowMs: 15 * 60 * 1000, // 15 minutes
-	max: (req, res) => {
-		// Use RATE_LIMIT_MAX environment variable if available, otherwise default to 100
-		const maxRequests = process.env.RATE_LIMIT_MAX ?
-			parseInt(process.env.RATE_LIMIT_MAX, 10) :
-			100;
-		return maxRequests;
-	},
-	skip: (req, res) => {
-		// During tests, rate limiting is disabled unless 'x-enable-rate-limit' header is set
-		if (process.env.NODE_ENV === 'test' && !req.headers['x-enable-rate-limit']) {
-			return true; // Skip rate limiting
+/**
+ * Formats a duration for a message, such as "15 minutes" or "1 hour".
+ *
+ * @param {number} ms - The duration in milliseconds.
+ * @returns {string} The formatted duration.
+ */
+function formatDuration(ms) {
+	const units = [
+		['hour', 60 * 60 * 1000],
+		['minute', 60 * 1000],
+	];
+	const [unit, unitMs] = units.find(([, size]) => ms % size === 0) || ['second', 1000];
+	const count = Math.ceil(ms / unitMs);
+	return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Normalizes an IP address, so IPv4 clients of a dual-stack server match their IPv4 address.
+ *
+ * @param {string} ip - The IP address, such as `::ffff:127.0.0.1`.
+ * @returns {string} The normalized IP address, such as `127.0.0.1`.
+ */
+function normalizeIp(ip) {
+	return ip && ip.startsWith('::ffff:') ? ip.slice('::ffff:'.length) : ip;
+}
+
+/**
+ * Finds the ID of the authenticated user of a request. Before the authentication
+ * middleware has run, the user is read from a valid access token; the session is not
+ * checked, which only matters for counting requests.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} [tokenService] - The token service verifying access tokens. Without it, only `req.userId` is used.
+ * @returns {string|number|undefined} The ID of the user, or undefined for anonymous requests.
+ */
+function userIdOf(req, tokenService) {
+	if (req.userId !== undefined) return req.userId;
+	if (!tokenService) return undefined;
+
+	const authHeader = req.headers['authorization'];
+	if (!authHeader || !authHeader.startsWith('Bearer ')) return undefined;
+
+	const decoded = tokenService.verifyAccessToken(authHeader.split(' ')[1]);
+	return decoded ? decoded.id : undefined;
+}
+
+/**
+ * Identifies the client of a request for a policy.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} policy - The rate-limit policy.
+ * @param {Object} [tokenService] - The token service verifying access tokens.
+ * @returns {Object} The `key` the requests of the client are counted under, and whether it is a `user`.
+ */
+function clientOf(req, policy, tokenService) {
+	const userId = policy.keyBy === 'user' ? userIdOf(req, tokenService) : undefined;
+	if (userId !== undefined) {
+		return {
+			key: `user:${userId}`,
+			user: true
+		};
+	}
+	return {
+		key: `ip:${normalizeIp(req.ip)}`,
+		user: false
+	};
+}
+
+/**
+ * Creates a rate limiter enforcing a policy.
+ *
+ * @param {string} name - The name of the policy, used as the key prefix in the store.
+ * @param {Object} policy - The rate-limit policy.
+ * @param {number} policy.windowMs - The time window in milliseconds.
+ * @param {number} policy.max - The maximum number of requests of a client within the window.
+ * @param {string} policy.keyBy - What clients are identified by (`user` or `ip`).
+ * @param {string} policy.subject - What is limited, as named in the message, such as `requests`.
+ * @param {Object} [options] - Rate limiter options.
+ * @param {Object} [options.store] - The rate-limit store. Default is the configured store.
+ * @param {Array<string>} [options.allowlist] - IP addresses exempt from rate limiting. Default is the configured allowlist.
+ * @param {Object} [options.tokenService] - The token service identifying users by their access token before authentication.
+ * @param {boolean} [options.testMode=false] - Whether to skip requests without the `x-enable-rate-limit` header.
+ * @param {Object} [options.metrics] - The metrics rejected requests are counted in (see `services/metrics.js`).
+ * @returns {Function} The middleware function.
+ */
+function createRateLimiter(name, policy, {
+	store = rateLimitStore,
+	allowlist = RATE_LIMIT_ALLOWLIST,
+	tokenService,
+	testMode = false,
+	metrics
+} = {}) {
+	const allowedIps = new Set(allowlist.map(normalizeIp));
+
+	return rateLimit({
+		windowMs: policy.windowMs,
+		max: policy.max,
+		keyGenerator: (req, res) => clientOf(req, policy, tokenService).key,
+		skip: (req, res) => {
+			// During tests, rate limiting is disabled unless 'x-enable-rate-limit' header is set
+			if (testMode && !req.headers['x-enable-rate-limit']) {
+				return true; // Skip rate limiting
+			}
+			return allowedIps.has(normalizeIp(req.ip));
+		},
+		handler: (req, res, next, options) => {
+			if (metrics) metrics.recordRateLimitRejection(name);
+
+			// Respond with the error envelope of the API
+			const from = clientOf(req, policy, tokenService).user ? 'for this account' : 'from this IP';
+			next(new TooManyRequestsError(`Too many ${policy.subject} ${from}, please try again after ${formatDuration(policy.windowMs)}.`));
+		},
+		store: store.forLimiter(`${name}:`), // Keep the hit counters in the configured store
+		standardHeaders: 'draft-6', // Send the RateLimit-* headers, and Retry-After once limited
+		legacyHeaders: true, // Keep sending the X-RateLimit-* headers
+	});
+}
+
+/**
+ * Creates the rate limiters of a set of policies.
+ *
+ * @param {Object} options - Rate limiter options (see `createRateLimiter`).
+ * @param {Object} options.policies - The rate-limit policies, keyed by name (see `config/rateLimitPolicies.js`).
+ * @returns {Function} `rateLimitFor(name)`, returning the rate limiter of a policy.
+ */
+function createRateLimiters({
+	policies,
+	...options
+}) {
+	// Rate limiters of the policies, created on first use and shared by their routes
+	const limiters = {};
+
+	/**
+	 * Returns the rate limiter of a policy.
+	 *
+	 * @param {string} name - The name of the policy.
+	 * @returns {Function} The middleware function.
+	 */
+	return function rateLimitFor(name) {
+		if (!policies[name]) {
+			throw new Error(`Unknown rate limit policy "${name}". Expected one of: ${Object.keys(policies).join(', ')}.`);
 		}
-		return false;
-	},
-	message: {
-		message: 'Too many requests from this IP, please try again after 15 minutes.',
-	},
-	headers: true, // Send rate limit headers with the response (e.g., X-RateLimit-Limit, X-RateLimit-Remaining)
-});
-
-module.exports = limiter;
+		if (!limiters[name]) limiters[name] = createRateLimiter(name, policies[name], options);
+		return limiters[name];
+	};
+}
+
+module.exports = {
+	createRateLimiter,
+	createRateLimiters,
+	formatDuration
+};
@@ -0,0 +1,27 @@
+/**
+ * Middleware to assign an ID to every request.
+ * 
+ * The ID is attached to the request object as `req.id`, sent back in the
+ * `X-Request-Id` response header and included in error responses, so a client
+ * report can be matched with the server logs. An ID sent by the client (or a proxy)
+ * in the `X-Request-Id` header is reused if it is well-formed; otherwise a random
+ * UUID is generated.
+ * 
+ * @param {Object} req		- The HTTP request object.
+ * @param {Object} res		- The HTTP response object.
+ * @param {Function} next	- Function to pass control to the next middleware or route handler.
+ */
+
+const crypto = require('crypto');
+
+// Incoming request IDs are reused only if short and made of safe characters
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+module.exports = (req, res, next) => {
+	const incomingId = req.headers['x-request-id'];
+
+	req.id = incomingId && VALID_REQUEST_ID.test(incomingId) ? incomingId : crypto.randomUUID();
+	res.set('X-Request-Id', req.id);
+
+	next(); // Pass control to the next middleware or route handler
+};
@@ -0,0 +1,26 @@
+/**
+ * Authorization middleware that restricts routes to users with specific roles.
+ * 
+ * This middleware must be used after `authMiddleware`, which attaches the role of
+ * the authenticated user to the request object as `req.userRole`.
+ * 
+ * Usage:
+ *   router.get('/admin/users', authMiddleware, requireRole('admin'), handler);
+ * 
+ * Errors:
+ * - 403: The authenticated user does not have any of the required roles.
+ * 
+ * @param {...string} roles - The roles allowed to access the route.
+ * @returns {Function} The middleware function.
+ */
+const {
+	ForbiddenError
+} = require('../utils/httpErrors');
+
+module.exports.requireRole = (...roles) => (req, res, next) => {
+	if (!roles.includes(req.userRole)) {
+		return next(new ForbiddenError('Insufficient permissions.'));
+	}
+
+	next(); // Pass control to the next middleware or route handler
+};
@@ -0,0 +1,78 @@
+/**
+ * Validation middleware that checks requests against the Joi schemas of their route.
+ *
+ * Usage:
+ *   router.post('/register', validate({ body: registerSchema }), handler);
+ *
+ * The schemas are keyed by request location: `params`, `query`, `headers` and `body`.
+ * Every location is validated, and every invalid field of every location is reported
+ * at once in the `details` of a single '400 Bad Request' response, each with its
+ * `location`. Unknown keys are rejected, or stripped with `{ unknown: 'strip' }`;
+ * unknown headers are always stripped, since clients and proxies add their own.
+ *
+ * The validated values, with the defaults and conversions of the schemas applied
+ * (such as trimmed strings and numbers parsed from the query string), are attached to
+ * the request as `req.validated`, keyed by location. Controllers read their input
+ * from there rather than from the raw request.
+ *
+ * The schemas are kept on the middleware as `schemas`, so the OpenAPI document (see
+ * `docs/openapi.js`) can publish the schemas of every route.
+ *
+ * Errors:
+ * - 400: The request does not match the schemas of the route.
+ *
+ * @param {Object} schemas - The Joi schemas, keyed by request location.
+ * @param {Object} [options] - Validation options.
+ * @param {string} [options.unknown='reject'] - What to do with unknown keys: `reject` or `strip`.
+ * @returns {Function} The middleware function.
+ */
+
+const {
+	ValidationError
+} = require('../utils/httpErrors');
+
+// Request locations that can be validated, in the order they are reported
+const LOCATIONS = ['params', 'query', 'headers', 'body'];
+
+module.exports.validate = (schemas, {
+	unknown = 'reject'
+} = {}) => {
+	const unknownLocations = Object.keys(schemas).filter(location => !LOCATIONS.includes(location));
+	if (unknownLocations.length > 0) {
+		throw new Error(`Unknown request location "${unknownLocations[0]}". Expected one of: ${LOCATIONS.join(', ')}.`);
+	}
+
+	const middleware = (req, res, next) => {
+		const validated = {};
+		const errors = [];
+
+		for (const location of LOCATIONS.filter(location => schemas[location])) {
+			const strip = unknown === 'strip' || location === 'headers';
+			const {
+				error,
+				value
+			} = schemas[location].validate(req[location] || {}, {
+				abortEarly: false,
+				allowUnknown: location === 'headers',
+				stripUnknown: strip,
+			});
+
+			if (error) {
+				errors.push({
+					error,
+					location
+				});
+			} else {
+				validated[location] = value;
+			}
+		}
+
+		if (errors.length > 0) return next(ValidationError.fromJoi(errors));
+
+		req.validated = validated;
+		next(); // Pass control to the next middleware or route handler
+	};
+
+	middleware.schemas = schemas;
+	return middleware;
+};
@@ -0,0 +1,193 @@
+/**
+ * JSON file storage adapter for the user model.
+ *
+ * Users are stored as a single JSON array in a file on disk. Every operation reads
+ * the file and every change rewrites it, which keeps the file the single source of
+ * truth (it can be inspected or edited between requests) at the cost of scaling
+ * poorly with the number of users. All file access is asynchronous so that disk
+ * I/O never blocks the event loop.
+ *
+ * To keep the file safe:
+ * - Writes go to a temporary file that is then renamed over the data file, so a crash
+ *   mid-write leaves either the old or the new content, never a truncated file.
+ * - Read-modify-write operations (`addUser`, `replaceUser`, `modifyUser`, `deleteUser`)
+ *   run one at a time through an in-process write queue, so overlapping requests cannot
+ *   overwrite each other's changes or both claim the same username or email address.
+ * - A file that cannot be parsed raises an error instead of being treated as empty,
+ *   so a corrupt file is never silently replaced by an empty user list.
+ * - Closing the adapter waits for the queued writes, so a shutdown never interrupts one.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const {
+	assertUnique
+} = require('../uniqueness');
+
+/**
+ * Creates a storage adapter backed by a JSON file.
+ *
+ * @param {Object} options - Adapter options.
+ * @param {string} options.filePath - The path to the JSON file storing user data.
+ * @returns {Object} A storage adapter implementing the user model operations.
+ */
+function createJsonFileAdapter({
+	filePath
+}) {
+	// Resolve the absolute path to the data file
+	const resolvedPath = path.resolve(filePath);
+
+	// Tail of the write queue: each read-modify-write operation chains onto it
+	let writeQueue = Promise.resolve();
+
+	/**
+	 * Reads the user data from the JSON file and parses it into an array of user objects.
+	 *
+	 * @returns {Promise<Array>} List of users from the JSON file, or an empty array if the file does not exist yet.
+	 * @throws {Error} If the file cannot be read or does not contain a JSON array of users.
+	 */
+	async function readUsersFromFile() {
+		let data;
+		try {
+			data = await fs.readFile(resolvedPath, 'utf8'); // Read file content as UTF-8 string
+		} catch (err) {
+			if (err.code === 'ENOENT') return []; // No users have been stored yet
+			throw err;
+		}
+
+		let users;
+		try {
+			users = JSON.parse(data); // Parse the string into a JSON object
+		} catch (err) {
+			throw new Error(`User store file "${resolvedPath}" is corrupt: ${err.message}`);
+		}
+		if (!Array.isArray(users)) {
+			throw new Error(`User store file "${resolvedPath}" is corrupt: expected a JSON array of users.`);
+		}
+		return users;
+	}
+
+	/**
+	 * Writes the updated user data back to the JSON file atomically, by writing a
+	 * temporary file next to it and renaming it over the data file.
+	 *
+	 * @param {Array} users - The updated list of user objects to be written to the JSON file.
+	 * @returns {Promise<void>}
+	 */
+	async function writeUsersToFile(users) {
+		const tempPath = `${resolvedPath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+		try {
+			await fs.writeFile(tempPath, JSON.stringify(users, null, 2), 'utf8'); // Save data with 2-space indentation
+			await fs.rename(tempPath, resolvedPath);
+		} catch (err) {
+			await fs.rm(tempPath, {
+				force: true
+			});
+			throw err;
+		}
+	}
+
+	/**
+	 * Runs a read-modify-write operation once every previously queued one has settled.
+	 *
+	 * @param {Function} operation - An async function that reads and rewrites the file.
+	 * @returns {Promise<*>} The result of the operation.
+	 */
+	function enqueueWrite(operation) {
+		const result = writeQueue.then(operation);
+		writeQueue = result.catch(() => {}); // A failed write must not block the ones queued after it
+		return result;
+	}
+
+	return {
+		getAllUsers: async function() {
+			return readUsersFromFile();
+		},
+
+		findUserByUsername: async function(username) {
+			const users = await readUsersFromFile();
+			return users.find(user => user.username === username) || null;
+		},
+
+		findUserByEmail: async function(email) {
+			const users = await readUsersFromFile();
+			return users.find(user => user.email && user.email.toLowerCase() === email.toLowerCase()) || null;
+		},
+
+		findUserById: async function(id) {
+			const users = await readUsersFromFile();
+			return users.find(user => user.id === id) ||
+				users.find(user => user.legacyId === id) ||
+				null;
+		},
+
+		addUser: function(user) {
+			return enqueueWrite(async () => {
+				const users = await readUsersFromFile();
+
+				// Check uniqueness inside the queue so concurrent additions cannot both pass
+				assertUnique(users, user);
+
+				users.push(user); // Append the new user to the list
+				await writeUsersToFile(users); // Persist the updated user list to the JSON file
+			});
+		},
+
+		replaceUser: function(id, updatedUser) {
+			return enqueueWrite(async () => {
+				const users = await readUsersFromFile();
+				const index = users.findIndex(user => user.id === id); // Find the index of the user by ID
+				if (index === -1) return false;
+
+				assertUnique(users, updatedUser, users[index]);
+				users[index] = updatedUser; // Replace the old user with the updated user
+				await writeUsersToFile(users); // Save changes to disk
+				return true;
+			});
+		},
+
+		modifyUser: function(id, mutate) {
+			return enqueueWrite(async () => {
+				const users = await readUsersFromFile();
+				let index = users.findIndex(user => user.id === id);
+				if (index === -1) index = users.findIndex(user => user.legacyId === id);
+				if (index === -1) return null;
+
+				// The user is read inside the queue, so no other write can slip in before it is replaced
+				const updatedUser = mutate(users[index]);
+				if (!updatedUser) return users[index];
+
+				assertUnique(users, updatedUser, users[index]);
+				users[index] = updatedUser;
+				await writeUsersToFile(users);
+				return updatedUser;
+			});
+		},
+
+		deleteUser: function(id) {
+			return enqueueWrite(async () => {
+				const users = await readUsersFromFile();
+				const index = users.findIndex(user => user.id === id);
+				if (index === -1) return false;
+
+				users.splice(index, 1); // Remove the user from the list
+				await writeUsersToFile(users);
+				return true;
+			});
+		},
+
+		checkHealth: async function() {
+			await readUsersFromFile(); // Fails if the file cannot be read or is corrupt
+
+			// Writes replace the data file with a temporary file created in its directory
+			await fs.access(path.dirname(resolvedPath), fs.constants.W_OK);
+		},
+
+		close: async function() {
+			await writeQueue; // Let the queued writes finish, so none is cut off mid-write
+		},
+	};
+}
+
+module.exports = createJsonFileAdapter;
@@ -0,0 +1,100 @@
+/**
+ * In-memory storage adapter for the user model.
+ *
+ * Users live in an array owned by the adapter and are lost when the process exits,
+ * which makes this adapter a fast, isolated store for tests. Users are copied on the
+ * way in and on the way out so that callers mutating a returned object cannot change
+ * the stored record without going through the model's `updateUser`, just like with the
+ * persistent adapters.
+ */
+
+const {
+	assertUnique
+} = require('../uniqueness');
+
+/**
+ * Creates a storage adapter that keeps users in memory.
+ *
+ * @param {Object} [options] - Adapter options.
+ * @param {Array} [options.users] - Users to seed the store with.
+ * @returns {Object} A storage adapter implementing the user model operations.
+ */
+function createMemoryAdapter({
+	users: initialUsers = []
+} = {}) {
+	const users = initialUsers.map(user => structuredClone(user));
+
+	/**
+	 * Returns a copy of a stored user, or null if there is none.
+	 *
+	 * @param {Object|undefined} user - The stored user.
+	 * @returns {Object|null} A copy of the user, or null.
+	 */
+	function copy(user) {
+		return user ? structuredClone(user) : null;
+	}
+
+	return {
+		getAllUsers: async function() {
+			return users.map(copy);
+		},
+
+		findUserByUsername: async function(username) {
+			return copy(users.find(user => user.username === username));
+		},
+
+		findUserByEmail: async function(email) {
+			return copy(users.find(user => user.email && user.email.toLowerCase() === email.toLowerCase()));
+		},
+
+		findUserById: async function(id) {
+			return copy(users.find(user => user.id === id) || users.find(user => user.legacyId === id));
+		},
+
+		addUser: async function(user) {
+			assertUnique(users, user);
+			users.push(copy(user));
+		},
+
+		replaceUser: async function(id, updatedUser) {
+			const index = users.findIndex(user => user.id === id);
+			if (index === -1) return false;
+
+			assertUnique(users, updatedUser, users[index]);
+			users[index] = copy(updatedUser);
+			return true;
+		},
+
+		modifyUser: async function(id, mutate) {
+			let index = users.findIndex(user => user.id === id);
+			if (index === -1) index = users.findIndex(user => user.legacyId === id);
+			if (index === -1) return null;
+
+			// Nothing is awaited between reading and replacing the user, so the change is atomic
+			const updatedUser = mutate(copy(users[index]));
+			if (updatedUser) {
+				assertUnique(users, updatedUser, users[index]);
+				users[index] = copy(updatedUser);
+			}
+			return copy(users[index]);
+		},
+
+		deleteUser: async function(id) {
+			const index = users.findIndex(user => user.id === id);
+			if (index === -1) return false;
+
+			users.splice(index, 1);
+			return true;
+		},
+
+		checkHealth: async function() {
+			// Memory can always be read and written
+		},
+
+		close: async function() {
+			// Nothing to release
+		},
+	};
+}
+
+module.exports = createMemoryAdapter;
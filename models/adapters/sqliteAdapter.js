@@ -0,0 +1,165 @@
+/**
+ * SQLite storage adapter for the user model.
+ *
+ * Users are stored in an embedded SQLite database file, one row per user. The ID
+ * and username are kept in their own indexed columns for lookups, while the full
+ * user record is stored as JSON so that new user fields never require a schema
+ * migration.
+ *
+ * The adapter relies on the `better-sqlite3` package, which is only loaded
+ * when this adapter is selected.
+ */
+
+const path = require('path');
+const {
+	DuplicateUserError
+} = require('../errors');
+
+/**
+ * Creates a storage adapter backed by an SQLite database file.
+ *
+ * @param {Object} options - Adapter options.
+ * @param {string} options.filePath - The path to the SQLite database file (or `:memory:`).
+ * @returns {Object} A storage adapter implementing the user model operations.
+ */
+function createSqliteAdapter({
+	filePath
+}) {
+	const Database = require('better-sqlite3');
+	const db = new Database(filePath === ':memory:' ? filePath : path.resolve(filePath));
+
+	// The ID column has no declared type so numeric and string IDs are compared strictly
+	db.exec(`
+		CREATE TABLE IF NOT EXISTS users (
+			id PRIMARY KEY,
+			username TEXT NOT NULL UNIQUE,
+			data TEXT NOT NULL
+		)
+	`);
+
+	const statements = {
+		all: db.prepare('SELECT data FROM users ORDER BY rowid'),
+		byUsername: db.prepare('SELECT data FROM users WHERE username = ?'),
+		byEmail: db.prepare("SELECT data FROM users WHERE lower(json_extract(data, '$.email')) = lower(?) ORDER BY rowid LIMIT 1"),
+		byId: db.prepare('SELECT data FROM users WHERE id = ?'),
+		byLegacyId: db.prepare("SELECT data FROM users WHERE json_extract(data, '$.legacyId') = ? ORDER BY rowid LIMIT 1"),
+		idsByEmail: db.prepare("SELECT id FROM users WHERE lower(json_extract(data, '$.email')) = lower(?)"),
+		insert: db.prepare('INSERT INTO users (id, username, data) VALUES (?, ?, ?)'),
+		update: db.prepare('UPDATE users SET id = ?, username = ?, data = ? WHERE id = ?'),
+		delete: db.prepare('DELETE FROM users WHERE id = ?'),
+		writeProbe: db.prepare('DELETE FROM users WHERE 0'), // Changes nothing, but fails if the database cannot be written
+	};
+
+	/**
+	 * Parses a user row, or returns null if there is none.
+	 *
+	 * @param {Object|undefined} row - The database row.
+	 * @returns {Object|null} The user object, or null.
+	 */
+	function toUser(row) {
+		return row ? JSON.parse(row.data) : null;
+	}
+
+	/**
+	 * Runs a write, turning violations of the unique ID and username columns into duplicate user errors.
+	 *
+	 * @param {Object} statement - The prepared statement.
+	 * @param {...*} params - The parameters of the statement.
+	 * @returns {Object} The result of the statement.
+	 * @throws {DuplicateUserError} If the ID or username is already taken.
+	 */
+	function runUnique(statement, ...params) {
+		try {
+			return statement.run(...params);
+		} catch (err) {
+			if (err.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') throw new DuplicateUserError('id');
+			if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') throw new DuplicateUserError('username');
+			throw err;
+		}
+	}
+
+	/**
+	 * Throws if another user has the email address of a user that has just been written.
+	 * Email addresses are only stored in the JSON record, so they are checked in the same
+	 * transaction as the write, which rolls back on the error. An update only checks the
+	 * address if it changes, like the other adapters.
+	 *
+	 * @param {Object} user - The user that has been written.
+	 * @param {Object} [current] - The user as stored before an update.
+	 * @throws {DuplicateUserError} If the email address is already taken.
+	 */
+	function assertUniqueEmail(user, current = null) {
+		if (typeof user.email !== 'string') return;
+		if (current && typeof current.email === 'string' && current.email.toLowerCase() === user.email.toLowerCase()) return;
+
+		if (statements.idsByEmail.all(user.email).some(row => row.id !== user.id)) {
+			throw new DuplicateUserError('email');
+		}
+	}
+
+	return {
+		getAllUsers: async function() {
+			return statements.all.all().map(toUser);
+		},
+
+		findUserByUsername: async function(username) {
+			return toUser(statements.byUsername.get(username));
+		},
+
+		findUserByEmail: async function(email) {
+			return toUser(statements.byEmail.get(email));
+		},
+
+		findUserById: async function(id) {
+			return toUser(statements.byId.get(id) || statements.byLegacyId.get(id));
+		},
+
+		addUser: async function(user) {
+			db.transaction(() => {
+				runUnique(statements.insert, user.id, user.username, JSON.stringify(user));
+				assertUniqueEmail(user);
+			}).immediate();
+		},
+
+		replaceUser: async function(id, updatedUser) {
+			return db.transaction(() => {
+				const user = toUser(statements.byId.get(id));
+				if (!user) return false;
+
+				runUnique(statements.update, updatedUser.id, updatedUser.username, JSON.stringify(updatedUser), id);
+				assertUniqueEmail(updatedUser, user);
+				return true;
+			}).immediate();
+		},
+
+		modifyUser: async function(id, mutate) {
+			// An immediate transaction takes the write lock before reading the user
+			return db.transaction(() => {
+				const user = toUser(statements.byId.get(id) || statements.byLegacyId.get(id));
+				if (!user) return null;
+
+				const updatedUser = mutate(user);
+				if (!updatedUser) return user;
+
+				runUnique(statements.update, updatedUser.id, updatedUser.username, JSON.stringify(updatedUser), user.id);
+				assertUniqueEmail(updatedUser, user);
+				return updatedUser;
+			}).immediate();
+		},
+
+		deleteUser: async function(id) {
+			return statements.delete.run(id).changes > 0;
+		},
+
+		checkHealth: async function() {
+			statements.byId.get(null);
+			statements.writeProbe.run();
+		},
+
+		close: async function() {
+			db.close();
+		},
+	};
+}
+
+module.exports = createSqliteAdapter;
@@ -0,0 +1,21 @@
+/**
+ * Errors raised by the user model and its storage adapters.
+ */
+
+/**
+ * Raised when adding or updating a user whose ID, username or email address is already taken.
+ */
+class DuplicateUserError extends Error {
+	/**
+	 * @param {string} field - The field that must be unique (`id`, `username` or `email`).
+	 */
+	constructor(field) {
+		super(`A user with this ${field} already exists.`);
+		this.name = 'DuplicateUserError';
+		this.field = field;
+	}
+}
+
+module.exports = {
+	DuplicateUserError,
+};
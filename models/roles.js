@@ -0,0 +1,25 @@
+/**
+ * Roles that can be assigned to users. Users stored before roles existed have no
+ * `role` field and are treated as regular users.
+ */
+
+const ROLES = {
+	USER: 'user',
+	ADMIN: 'admin',
+};
+
+/**
+ * Returns the role of a user.
+ *
+ * @param {Object} user - The user.
+ * @returns {string} The user's role, defaulting to `user`.
+ */
+function roleOf(user) {
+	return user.role || ROLES.USER;
+}
+
+module.exports = {
+	ROLES,
+	ALL_ROLES: Object.values(ROLES),
+	roleOf,
+};
@@ -0,0 +1,43 @@
+/**
+ * Uniqueness rules of the user fields, shared by the storage adapters that keep users in a list.
+ *
+ * IDs, usernames and email addresses must be unique. Email addresses are compared without
+ * case, like `findUserByEmail` looks them up. When a user is updated, only the values that
+ * change are checked, so duplicates stored before a rule was enforced do not block
+ * unrelated updates such as a login.
+ */
+
+const {
+	DuplicateUserError
+} = require('./errors');
+
+// Unique fields, with the function turning a value into the key it is compared by
+const UNIQUE_FIELDS = {
+	id: value => value,
+	username: value => value,
+	email: value => (typeof value === 'string' ? value.toLowerCase() : value),
+};
+
+/**
+ * Throws if another stored user already has the ID, username or email address of a user.
+ *
+ * @param {Array} users - The stored users.
+ * @param {Object} user - The user being added, or the updated user.
+ * @param {Object} [current] - The stored user being updated, which is not compared with itself.
+ * @throws {DuplicateUserError} If a unique value is taken by another user.
+ */
+function assertUnique(users, user, current = null) {
+	Object.entries(UNIQUE_FIELDS).forEach(([field, toKey]) => {
+		const key = toKey(user[field]);
+		if (key === undefined || key === null) return;
+		if (current && toKey(current[field]) === key) return; // Unchanged
+
+		if (users.some(existing => existing !== current && toKey(existing[field]) === key)) {
+			throw new DuplicateUserError(field);
+		}
+	});
+}
+
+module.exports = {
+	assertUnique,
+};
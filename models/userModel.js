@@ -1,127 +1,220 @@
 /**
- * This module handles basic operations on the mock user database, which is stored
- * in a JSON file. It includes functions to read, write, and update user data,
- * simulating the behavior of a persistent data storage.
+ * This module handles basic operations on the user database. The actual storage is
+ * delegated to a pluggable storage adapter, so the rest of the application uses the
+ * same model API regardless of which backend is live.
  *
- * The user data is stored in a JSON file, and this file provides functions for:
+ * The user model provides asynchronous functions for:
  * - Retrieving all users
- * - Finding users by username or ID
+ * - Finding users by username, email address or ID
  * - Adding new users
- * - Updating existing users
+ * - Updating existing users, also atomically from their stored state
+ * - Deleting users
+ * - Migrating users from legacy numeric IDs to UUIDs
+ * - Checking and closing the storage backend
  *
- * Note: Since the data is stored in a JSON file, changes are written to disk
- * every time an update occurs. This is not optimized for large-scale applications
- * and is only used here for demonstration purposes.
+ * User IDs are UUIDs generated by the model when a user is added, and every adapter
+ * enforces that IDs, usernames and email addresses are unique, whether users are added
+ * or updated (see `models/uniqueness.js`). Users migrated from the former numeric
+ * IDs keep their old ID as `legacyId`, which `findUserById` still resolves so that
+ * tokens issued before the migration keep working.
+ *
+ * Available storage adapters (see `models/adapters/`):
+ * - `json`: Users stored as a JSON array in a file (default).
+ * - `memory`: Users kept in memory, mainly for tests.
+ * - `sqlite`: Users stored in an embedded SQLite database file.
+ *
+ * Environment Variables:
+ * - `USER_STORE`: The storage adapter to use (`json`, `memory` or `sqlite`). Default is `json`.
+ * - `USER_STORE_PATH`: The data file used by the `json` and `sqlite` adapters.
+ *   Defaults to `data/users.json` (or `data/users.sqlite`), and to `data/test_users.json`
+ *   when `NODE_ENV` is `test`.
  */
 
-const fs = require('fs');
-const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+
+// Storage adapters available to the user model, keyed by name
+const adapters = {
+	json: require('./adapters/jsonFileAdapter'),
+	memory: require('./adapters/memoryAdapter'),
+	sqlite: require('./adapters/sqliteAdapter'),
+};
 
 /**
- * Initializes the user model with a specific data file.
- * Allows for dependency injection of the data file path.
+ * Initializes the user model with a specific storage adapter.
+ * Allows for dependency injection of the storage backend and its options.
  *
- * @param {string} dataFilePath - The path to the JSON file storing user data.
+ * @param {Object} options - The storage configuration.
+ * @param {string} [options.driver='json'] - The name of the storage adapter (`json`, `memory` or `sqlite`).
+ * @param {string} [options.filePath] - The data file used by the `json` and `sqlite` adapters.
+ * @param {Array} [options.users] - Users to seed the `memory` adapter with.
  * @returns {Object} An object containing user-related operations.
  */
-function createUserModel(dataFilePath) {
-	// Resolve the absolute path to the data file
-	const resolvedPath = path.resolve(dataFilePath);
-
-	/**
-	 * Reads the user data from the specified JSON file and parses it into an array of user objects.
-	 * This simulates the behavior of a database read operation.
-	 *
-	 * @returns {Array} List of users from the JSON file, or an empty array if the file is empty or missing.
-	 */
-	function readUsersFromFile() {
-		try {
-			const data = fs.readFileSync(resolvedPath, 'utf8'); // Read file content as UTF-8 string
-			return JSON.parse(data); // Parse the string into a JSON object
-		} catch (err) {
-			return []; // Return an empty array if the file is not found or any error occurs
-		}
-	}
+function createUserModel(options) {
+	const {
+		driver = 'json',
+		...adapterOptions
+	} = options;
 
-	/**
-	 * Writes the updated user data back to the specified JSON file. This simulates a database
-	 * write operation by persisting the updated user list to disk.
-	 *
-	 * @param {Array} users - The updated list of user objects to be written to the JSON file.
-	 */
-	function writeUsersToFile(users) {
-		fs.writeFileSync(resolvedPath, JSON.stringify(users, null, 2), 'utf8'); // Save data with 2-space indentation
+	const createAdapter = adapters[driver];
+	if (!createAdapter) {
+		throw new Error(`Unknown user store "${driver}". Expected one of: ${Object.keys(adapters).join(', ')}.`);
 	}
 
+	const adapter = createAdapter(adapterOptions);
+
 	return {
 		/**
-		 * Retrieves all users from the mock database.
+		 * Retrieves all users from the database.
 		 *
-		 * @returns {Array} List of all users.
+		 * @returns {Promise<Array>} List of all users.
 		 */
 		getAllUsers: function() {
-			return readUsersFromFile();
+			return adapter.getAllUsers();
 		},
 
 		/**
-		 * Finds a user by their username. This function simulates a database query
-		 * by iterating through the list of users and returning the first match.
+		 * Finds a user by their username.
 		 *
 		 * @param {string} username - The username of the user to find.
-		 * @returns {Object|null} The user object if found, or null if not found.
+		 * @returns {Promise<Object|null>} The user object if found, or null if not found.
 		 */
 		findUserByUsername: function(username) {
-			const users = readUsersFromFile();
-			return users.find(user => user.username === username) || null; // Return null if user is not found
+			return adapter.findUserByUsername(username);
 		},
 
 		/**
-		 * Finds a user by their ID. This function simulates a database query
-		 * by searching for a user with a matching ID.
+		 * Finds a user by their email address, ignoring case. Email addresses are not
+		 * required to be unique; the first matching user is returned.
 		 *
-		 * @param {number} id - The ID of the user to find.
-		 * @returns {Object|null} The user object if found, or null if not found.
+		 * @param {string} email - The email address of the user to find.
+		 * @returns {Promise<Object|null>} The user object if found, or null if not found.
+		 */
+		findUserByEmail: function(email) {
+			return adapter.findUserByEmail(email);
+		},
+
+		/**
+		 * Finds a user by their ID, or by the legacy numeric ID they had before being migrated.
+		 *
+		 * @param {string|number} id - The ID of the user to find.
+		 * @returns {Promise<Object|null>} The user object if found, or null if not found.
 		 */
 		findUserById: function(id) {
-			const users = readUsersFromFile();
-			return users.find(user => user.id === id) || null;
+			return adapter.findUserById(id);
 		},
 
 		/**
-		 * Adds a new user to the mock database. This function simulates inserting a new
-		 * record into a database by appending the new user object to the list of users.
+		 * Adds a new user to the database. A UUID is generated for the user unless it
+		 * already carries an ID (e.g. when importing existing users).
 		 *
-		 * @param {Object} user - The new user object to add, including the fields: id, username, email, and password.
+		 * @param {Object} user - The new user object to add, including the fields: username, email, and password.
+		 * @returns {Promise<Object>} The stored user, including its ID.
+		 * @throws {DuplicateUserError} If the ID, username or email address is already taken (see `models/errors.js`).
 		 */
-		addUser: function(user) {
-			const users = readUsersFromFile();
-			users.push(user); // Append the new user to the list
-			writeUsersToFile(users); // Persist the updated user list to the JSON file
+		addUser: async function(user) {
+			const newUser = {
+				id: user.id === undefined ? crypto.randomUUID() : user.id,
+				...user,
+			};
+			await adapter.addUser(newUser);
+			return newUser;
 		},
 
 		/**
-		 * Updates an existing user in the mock database. This function simulates an update
-		 * operation by replacing the old user object with the updated one, if found.
+		 * Updates an existing user in the database by replacing the stored user that has the same ID.
 		 *
 		 * @param {Object} updatedUser - The updated user object with the same ID as the user to be updated.
-		 * @returns {boolean} True if the user was successfully updated, false if the user was not found.
+		 * @returns {Promise<boolean>} True if the user was successfully updated, false if the user was not found.
+		 * @throws {DuplicateUserError} If the user is given a username or email address taken by another user.
 		 */
 		updateUser: function(updatedUser) {
-			const users = readUsersFromFile();
-			const index = users.findIndex(user => user.id === updatedUser.id); // Find the index of the user by ID
-			if (index !== -1) {
-				users[index] = updatedUser; // Replace the old user with the updated user
-				writeUsersToFile(users); // Save changes to disk
-				return true;
+			return adapter.replaceUser(updatedUser.id, updatedUser);
+		},
+
+		/**
+		 * Updates a user from its stored state, as one atomic step: the user is read again
+		 * and replaced before any other change to the store is made. Use it instead of
+		 * `updateUser` when the change depends on the current state of the user, such as
+		 * incrementing a counter, so that concurrent requests cannot overwrite each other.
+		 *
+		 * @param {string|number} id - The ID of the user, or the legacy numeric ID they had before being migrated.
+		 * @param {Function} mutate - Called synchronously with a copy of the stored user; returns the updated user, or null to leave it unchanged.
+		 * @returns {Promise<Object|null>} The user as stored afterwards, or null if the user was not found.
+		 * @throws {DuplicateUserError} If the user is given a username or email address taken by another user.
+		 */
+		modifyUser: function(id, mutate) {
+			return adapter.modifyUser(id, mutate);
+		},
+
+		/**
+		 * Deletes a user from the database.
+		 *
+		 * @param {string|number} id - The ID of the user to delete.
+		 * @returns {Promise<boolean>} True if the user was deleted, false if the user was not found.
+		 */
+		deleteUser: function(id) {
+			return adapter.deleteUser(id);
+		},
+
+		/**
+		 * Checks that the storage backend can be read and written, e.g. for a readiness probe.
+		 *
+		 * @returns {Promise<void>}
+		 * @throws {Error} If the storage backend cannot be read or written.
+		 */
+		checkHealth: function() {
+			return adapter.checkHealth();
+		},
+
+		/**
+		 * Closes the storage backend once its pending writes have finished, e.g. when the
+		 * server shuts down. The model must not be used afterwards.
+		 *
+		 * @returns {Promise<void>}
+		 */
+		close: function() {
+			return adapter.close();
+		},
+
+		/**
+		 * Migrates users with legacy numeric IDs to UUIDs. The old ID is kept as
+		 * `legacyId` so that `findUserById` keeps resolving tokens issued with it.
+		 *
+		 * Legacy IDs were derived from the user count and may be duplicated; only the
+		 * first user with a given ID keeps it as `legacyId`, since that is the user the
+		 * ID resolved to before the migration.
+		 *
+		 * @returns {Promise<number>} The number of migrated users.
+		 */
+		migrateLegacyIds: async function() {
+			const users = await adapter.getAllUsers();
+			const claimedLegacyIds = new Set(users.map(user => user.legacyId));
+			let migrated = 0;
+
+			for (const user of users) {
+				if (typeof user.id !== 'number') continue;
+
+				const migratedUser = {
+					...user,
+					id: crypto.randomUUID()
+				};
+				if (!claimedLegacyIds.has(user.id)) {
+					migratedUser.legacyId = user.id;
+					claimedLegacyIds.add(user.id);
+				}
+
+				await adapter.replaceUser(user.id, migratedUser);
+				migrated++;
 			}
-			return false; // Return false if the user was not found
-		}
+			return migrated;
+		},
 	};
 }
 
-// Determine the data file path based on the environment
-const isTestEnv = process.env.NODE_ENV === 'test';
-const dataFilePath = isTestEnv ? path.join(__dirname, '../data/test_users.json') : path.join(__dirname, '../data/users.json');
-
-// Export the user model initialized with the appropriate data file
-module.exports = createUserModel(dataFilePath);
+// Export the user model initialized with the configured storage adapter
+module.exports = createUserModel({
+	driver: config.userStore.driver,
+	filePath: config.userStore.filePath
+});
+module.exports.createUserModel = createUserModel;
@@ -0,0 +1,109 @@
+/**
+ * This file defines the routes for admin user-management operations such as
+ * listing, viewing, updating, disabling, enabling, unlocking and deleting users.
+ * 
+ * Each route is mapped to a corresponding controller function that implements
+ * the business logic. Every route is restricted to authenticated admins.
+ * 
+ * Middleware:
+ * - `authMiddleware`: Protects routes by verifying JWT tokens.
+ * - `requireRole('admin')`: Restricts routes to users with the admin role.
+ * - `validate`: Validates the request against the schemas of the route (see
+ *   `schemas/adminSchemas.js`) and exposes the validated values as `req.validated`.
+ *
+ * The router is created with `createAdminRoutes` from the controller and middleware
+ * of the application (see `routes/index.js`).
+ */
+
+const express = require('express');
+const {
+	requireRole
+} = require('../middleware/roleMiddleware');
+const {
+	ROLES
+} = require('../models/roles');
+const {
+	validate
+} = require('../middleware/validationMiddleware');
+const adminSchemas = require('../schemas/adminSchemas');
+const asyncHandler = require('../utils/asyncHandler');
+
+/**
+ * Creates the router of the admin routes.
+ *
+ * @param {Object} components - The components of the application (see `routes/index.js`).
+ * @param {Object} components.adminController - The controller of the admin routes.
+ * @param {Function} components.authMiddleware - The authentication middleware.
+ * @returns {Object} The Express router.
+ */
+function createAdminRoutes({
+	adminController,
+	authMiddleware
+}) {
+	const router = express.Router();
+
+	// Every admin route requires an authenticated admin
+	router.use(authMiddleware, requireRole(ROLES.ADMIN));
+
+	/**
+	 * Route: GET /users
+	 * 
+	 * Lists users, paginated with `page` and `limit`, and optionally filtered by `role`,
+	 * `disabled` and `search` (matched against usernames and email addresses).
+	 * 
+	 * Input Validation:
+	 * - The query string is validated by the `validate` middleware.
+	 */
+	router.get('/users', validate(adminSchemas.listUsers), asyncHandler(adminController.listUsers));
+
+	/**
+	 * Route: GET /users/:id
+	 * 
+	 * Retrieves a single user.
+	 */
+	router.get('/users/:id', validate(adminSchemas.targetUser), asyncHandler(adminController.getUser));
+
+	/**
+	 * Route: PATCH /users/:id
+	 * 
+	 * Updates the email address, role or email verification status of a user.
+	 * 
+	 * Input Validation:
+	 * - The updated fields are validated by the `validate` middleware.
+	 */
+	router.patch('/users/:id', validate(adminSchemas.updateUser), asyncHandler(adminController.updateUser));
+
+	/**
+	 * Route: POST /users/:id/disable
+	 * 
+	 * Disables a user, preventing them from logging in and revoking all of their sessions.
+	 */
+	router.post('/users/:id/disable', validate(adminSchemas.targetUser), asyncHandler(adminController.disableUser));
+
+	/**
+	 * Route: POST /users/:id/enable
+	 * 
+	 * Re-enables a previously disabled user.
+	 */
+	router.post('/users/:id/enable', validate(adminSchemas.targetUser), asyncHandler(adminController.enableUser));
+
+	/**
+	 * Route: POST /users/:id/unlock
+	 * 
+	 * Lifts the login lockout of a user and resets their failed login attempts.
+	 */
+	router.post('/users/:id/unlock', validate(adminSchemas.targetUser), asyncHandler(adminController.unlockUser));
+
+	/**
+	 * Route: DELETE /users/:id
+	 * 
+	 * Deletes a user.
+	 */
+	router.delete('/users/:id', validate(adminSchemas.targetUser), asyncHandler(adminController.deleteUser));
+
+	return router;
+}
+
+module.exports = {
+	createAdminRoutes
+};
@@ -0,0 +1,76 @@
+/**
+ * This file defines the routes serving the documentation of the API.
+ *
+ * The OpenAPI document is generated once, on its first request, from the route table
+ * of the application and the Joi schemas (see `docs/openapi.js`). The interactive docs page renders it
+ * with Swagger UI, whose assets are served from the `swagger-ui-dist` package.
+ */
+
+const express = require('express');
+const swaggerUiDist = require('swagger-ui-dist');
+const {
+	buildOpenApiDocument
+} = require('../docs/openapi');
+
+/**
+ * Creates the router of the documentation routes.
+ *
+ * @param {Array<Object>} routes - The route table of the application (see `routes/index.js`).
+ * @returns {Object} The Express router.
+ */
+function createDocsRoutes(routes) {
+	const router = express.Router();
+
+	// The OpenAPI document, built on first use
+	let openApiDocument = null;
+
+	/**
+	 * Route: GET /openapi.json
+	 *
+	 * Returns the OpenAPI 3 document of the API.
+	 */
+	router.get('/openapi.json', (req, res) => {
+		if (!openApiDocument) openApiDocument = buildOpenApiDocument(routes);
+		res.status(200).json(openApiDocument);
+	});
+
+	/**
+	 * Route: GET /docs
+	 *
+	 * Serves the interactive docs page, which renders the OpenAPI document with Swagger UI
+	 * and lets authenticated requests be tried out.
+	 */
+	router.get('/docs', (req, res) => {
+		const assets = `${req.baseUrl}/docs`;
+		res.status(200).type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+	<meta charset="utf-8">
+	<title>Backend Design Exercise API</title>
+	<link rel="stylesheet" href="${assets}/swagger-ui.css">
+</head>
+<body>
+	<div id="swagger-ui"></div>
+	<script src="${assets}/swagger-ui-bundle.js"></script>
+	<script>
+		window.ui = SwaggerUIBundle({
+			url: '${req.baseUrl}/openapi.json',
+			dom_id: '#swagger-ui',
+		});
+	</script>
+</body>
+</html>
+`);
+	});
+
+	// Serve the Swagger UI assets used by the docs page
+	router.use('/docs', express.static(swaggerUiDist.getAbsoluteFSPath(), {
+		index: false
+	}));
+
+	return router;
+}
+
+module.exports = {
+	createDocsRoutes
+};
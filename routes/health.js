@@ -0,0 +1,100 @@
+/**
+ * This file defines the monitoring routes of the application, mounted at the root.
+ *
+ * They are meant for orchestrators and monitoring rather than API clients, so they are
+ * mounted before the rate limiters and never rate limited, and they are not part of
+ * the OpenAPI document.
+ *
+ * Route: GET /healthz
+ *
+ * Liveness probe: answers as long as the process can handle requests.
+ *
+ * Route: GET /readyz
+ *
+ * Readiness probe: checks that the application can serve requests, and answers
+ * '503 Service Unavailable' when a check fails. The failure is logged, while the
+ * response only names the failed check. Checks:
+ * - `config`: The files the configuration names can still be read (see `checkConfigFiles`
+ *   in `config/index.js`). The variables themselves are validated when the application starts.
+ * - `userStore`: The user store can be read and written.
+ *
+ * Once the server has started shutting down (`app.locals.shuttingDown`, see
+ * `services/serverLifecycle.js`), it answers '503 Service Unavailable' without running
+ * the checks, so no new traffic is routed to the process while it drains.
+ *
+ * Route: GET /metrics
+ *
+ * Returns the metrics of the application in the Prometheus text format (see `services/metrics.js`).
+ */
+
+const express = require('express');
+const {
+	checkConfigFiles
+} = require('../config');
+
+/**
+ * Creates the router of the monitoring routes.
+ *
+ * @param {Object} components - The components of the application.
+ * @param {Object} components.config - The configuration.
+ * @param {Object} components.userModel - The user model.
+ * @param {Object} components.metrics - The metrics of the application.
+ * @returns {Object} The Express router.
+ */
+function createHealthRoutes({
+	config,
+	userModel,
+	metrics
+}) {
+	const router = express.Router();
+
+	// Readiness checks, keyed by name
+	const checks = {
+		config: () => checkConfigFiles(config),
+		userStore: () => userModel.checkHealth(),
+	};
+
+	router.get('/healthz', (req, res) => {
+		res.status(200).json({
+			status: 'ok'
+		});
+	});
+
+	router.get('/readyz', async (req, res) => {
+		if (req.app.locals.shuttingDown) {
+			return res.status(503).json({
+				status: 'stopping'
+			});
+		}
+
+		const results = {};
+		for (const [name, check] of Object.entries(checks)) {
+			try {
+				await check();
+				results[name] = 'ok';
+			} catch (err) {
+				req.log.error('readiness check failed', {
+					check: name,
+					error: err.message
+				});
+				results[name] = 'failed';
+			}
+		}
+
+		const ready = Object.values(results).every(result => result === 'ok');
+		res.status(ready ? 200 : 503).json({
+			status: ready ? 'ready' : 'unavailable',
+			checks: results,
+		});
+	});
+
+	router.get('/metrics', (req, res) => {
+		res.status(200).type('text/plain; version=0.0.4').send(metrics.render());
+	});
+
+	return router;
+}
+
+module.exports = {
+	createHealthRoutes
+};
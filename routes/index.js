@@ -0,0 +1,67 @@
+/**
+ * This file lists the routers of the API and the paths they are mounted at.
+ *
+ * The application mounts the routers in this order, and the OpenAPI document (see
+ * `docs/openapi.js`) is generated from the routes they define, so a route added to one
+ * of these routers is served and checked for documentation alike.
+ *
+ * The routers, their controllers and the authentication middleware are created by
+ * `createRoutes` from the services of the application (see `services/index.js`).
+ */
+
+const {
+	createUserRoutes
+} = require('./user');                                   // User-related API routes
+const {
+	createAdminRoutes
+} = require('./admin');                                  // Admin user-management API routes
+const {
+	createWellKnownRoutes
+} = require('./wellKnown');                              // JSON Web Key Set of the token verification keys
+const {
+	createUserController
+} = require('../controllers/userController');
+const {
+	createTwoFactorController
+} = require('../controllers/twoFactorController');
+const {
+	createAdminController
+} = require('../controllers/adminController');
+const {
+	createAuthMiddleware
+} = require('../middleware/authMiddleware');
+
+/**
+ * Creates the routers of the API.
+ *
+ * @param {Object} services - The services of the application (see `services/index.js`).
+ * @param {Function} services.rateLimitFor - Returns the rate limiter of a policy (see `middleware/rateLimitMiddleware.js`).
+ * @returns {Array<Object>} The route table: the routers and the `path` they are mounted at.
+ */
+function createRoutes(services) {
+	const components = {
+		...services,
+		userController: createUserController(services),
+		twoFactorController: createTwoFactorController(services),
+		adminController: createAdminController(services),
+		authMiddleware: createAuthMiddleware(services),
+	};
+
+	return [{
+			path: '/api',
+			router: createUserRoutes(components)
+		},
+		{
+			path: '/api/admin',
+			router: createAdminRoutes(components)
+		},
+		{
+			path: '/.well-known',
+			router: createWellKnownRoutes(components)
+		},
+	];
+}
+
+module.exports = {
+	createRoutes
+};
@@ -1,6 +1,7 @@
 /**
  * This file defines the routes for user-related operations such as 
- * registration, login, profile retrieval, and password change.
+ * registration, email verification, login, two-factor authentication, token refresh,
+ * logout, profile management, password change, and forgotten password resets.
  * 
  * Each route is mapped to a corresponding controller function that implements
  * the business logic. Some routes are protected by authentication middleware,
@@ -8,59 +9,303 @@
  * 
  * Middleware:
  * - `authMiddleware`: Protects routes by verifying JWT tokens.
+ * - `authRateLimit`: Applies the stricter `auth` rate-limit policy to routes that check
+ *   credentials or send emails, per IP address.
+ * - `accountRateLimit`: Applies the stricter `account` rate-limit policy to authenticated
+ *   routes that check passwords or send emails, per user.
+ * - `validate`: Validates the request against the schemas of the route (see
+ *   `schemas/userSchemas.js`), rejecting unknown fields, and exposes the validated
+ *   values to the controller as `req.validated`.
+ *
+ * The router is created with `createUserRoutes` from the controllers and middleware
+ * of the application (see `routes/index.js`).
  */
 
 const express = require('express');
-const router = express.Router();
-const userController = require('../controllers/userController');
-const authMiddleware = require('../middleware/authMiddleware');
+const {
+	validate
+} = require('../middleware/validationMiddleware');
+const userSchemas = require('../schemas/userSchemas');
+const asyncHandler = require('../utils/asyncHandler');
 
 /**
- * Route: POST /register
- * 
- * Registers a new user by invoking the register function in the controller.
- * Expects a request body containing the user's username, email, and password.
- * 
- * Input Validation:
- * - Username, email, and password are validated within the controller.
+ * Creates the router of the user routes.
+ *
+ * @param {Object} components - The components of the application (see `routes/index.js`).
+ * @param {Object} components.userController - The controller of the user routes.
+ * @param {Object} components.twoFactorController - The controller of the two-factor authentication routes.
+ * @param {Function} components.authMiddleware - The authentication middleware.
+ * @param {Function} components.rateLimitFor - Returns the rate limiter of a policy.
+ * @returns {Object} The Express router.
  */
-router.post('/register', userController.register);
+function createUserRoutes({
+	userController,
+	twoFactorController,
+	authMiddleware,
+	rateLimitFor
+}) {
+	const router = express.Router();
 
-/**
- * Route: POST /login
- * 
- * Logs in a user by validating their credentials (username and password).
- * If successful, it returns a JWT token for authenticated access.
- * 
- * Input Validation:
- * - Username and password are validated within the controller.
- */
-router.post('/login', userController.login);
+	// Stricter rate limits of route groups, applied on top of the global rate limit
+	const authRateLimit = rateLimitFor('auth');
+	const accountRateLimit = rateLimitFor('account');
 
-/**
- * Route: GET /profile
- * 
- * Retrieves the profile details of the authenticated user.
- * Protected by authentication middleware that verifies the user's JWT token.
- * 
- * Middleware:
- * - `authMiddleware`: Ensures the request is made by an authenticated user.
- */
-router.get('/profile', authMiddleware, userController.getProfile);
+	/**
+	 * Route: POST /register
+	 * 
+	 * Registers a new user by invoking the register function in the controller.
+	 * Expects a request body containing the user's username, email, and password.
+	 * A verification link is emailed to the user, who cannot log in until it has been opened.
+	 * 
+	 * Middleware:
+	 * - `authRateLimit`: Applies the stricter rate limit of the authentication routes.
+	 * 
+	 * Input Validation:
+	 * - Username, email, and password are validated by the `validate` middleware.
+	 */
+	router.post('/register', authRateLimit, validate(userSchemas.register), asyncHandler(userController.register));
 
-/**
- * Route: PUT /change-password
- * 
- * Allows an authenticated user to change their password. The user must provide
- * their current password and a new password. The current password is verified,
- * and the new password is hashed before updating.
- * 
- * Middleware:
- * - `authMiddleware`: Ensures the request is made by an authenticated user.
- * 
- * Input Validation:
- * - Old and new passwords are validated within the controller.
- */
-router.put('/change-password', authMiddleware, userController.changePassword);
+	/**
+	 * Route: GET /verify-email
+	 * 
+	 * Verifies a user's email address. This is the link emailed to users on registration,
+	 * carrying a single-use verification token in the `token` query parameter.
+	 * 
+	 * Input Validation:
+	 * - The token is validated by the `validate` middleware. Other query parameters, such
+	 *   as those added to links by email clients, are stripped rather than rejected.
+	 */
+	router.get('/verify-email', validate(userSchemas.verifyEmail, {
+		unknown: 'strip'
+	}), asyncHandler(userController.verifyEmail));
+
+	/**
+	 * Route: POST /verify-email/resend
+	 * 
+	 * Sends a new verification email to an unverified account. The response does not
+	 * reveal whether such an account exists.
+	 * 
+	 * Middleware:
+	 * - `authRateLimit`: Applies the stricter rate limit of the authentication routes.
+	 * 
+	 * Input Validation:
+	 * - The email address is validated by the `validate` middleware.
+	 */
+	router.post('/verify-email/resend', authRateLimit, validate(userSchemas.resendVerification), asyncHandler(userController.resendVerification));
+
+	/**
+	 * Route: POST /login
+	 * 
+	 * Logs in a user by validating their credentials (username and password).
+	 * If successful, it returns a JWT token for authenticated access. Repeated failed
+	 * attempts are delayed progressively and temporarily lock the account.
+	 * 
+	 * Middleware:
+	 * - `authRateLimit`: Applies the stricter rate limit of the authentication routes.
+	 * 
+	 * Input Validation:
+	 * - Username and password are validated by the `validate` middleware.
+	 */
+	router.post('/login', authRateLimit, validate(userSchemas.login), asyncHandler(userController.login));
+
+	/**
+	 * Route: POST /login/2fa
+	 * 
+	 * Completes the login of a user with two-factor authentication. Exchanges the
+	 * challenge token returned by POST /login, together with a code from the user's
+	 * authenticator app or a recovery code, for a JWT token.
+	 * 
+	 * Middleware:
+	 * - `authRateLimit`: Applies the stricter rate limit of the authentication routes.
+	 * 
+	 * Input Validation:
+	 * - The challenge token and code are validated by the `validate` middleware.
+	 */
+	router.post('/login/2fa', authRateLimit, validate(userSchemas.completeTwoFactorLogin), asyncHandler(twoFactorController.completeLogin));
+
+	/**
+	 * Route: POST /2fa/setup
+	 * 
+	 * Starts enabling two-factor authentication for the authenticated user. Returns a
+	 * secret and an otpauth URI to add to an authenticator app.
+	 * 
+	 * Middleware:
+	 * - `authMiddleware`: Ensures the request is made by an authenticated user.
+	 * - `accountRateLimit`: Applies the stricter rate limit of the account routes.
+	 * 
+	 * Input Validation:
+	 * - The `validate` middleware refuses a body with any field.
+	 */
+	router.post('/2fa/setup', authMiddleware, accountRateLimit, validate(userSchemas.setupTwoFactor), asyncHandler(twoFactorController.setup));
+
+	/**
+	 * Route: POST /2fa/confirm
+	 * 
+	 * Enables two-factor authentication once the user confirms a first code from their
+	 * authenticator app. Returns one-time recovery codes.
+	 * 
+	 * Middleware:
+	 * - `authMiddleware`: Ensures the request is made by an authenticated user.
+	 * - `accountRateLimit`: Applies the stricter rate limit of the account routes.
+	 * 
+	 * Input Validation:
+	 * - The code is validated by the `validate` middleware.
+	 */
+	router.post('/2fa/confirm', authMiddleware, accountRateLimit, validate(userSchemas.confirmTwoFactor), asyncHandler(twoFactorController.confirm));
+
+	/**
+	 * Route: POST /2fa/disable
+	 * 
+	 * Disables two-factor authentication. The user must confirm their password and a
+	 * code or recovery code.
+	 * 
+	 * Middleware:
+	 * - `authMiddleware`: Ensures the request is made by an authenticated user.
+	 * - `accountRateLimit`: Applies the stricter rate limit of the account routes.
+	 * 
+	 * Input Validation:
+	 * - The password and code are validated by the `validate` middleware.
+	 */
+	router.post('/2fa/disable', authMiddleware, accountRateLimit, validate(userSchemas.disableTwoFactor), asyncHandler(twoFactorController.disable));
+
+	/**
+	 * Route: POST /token/refresh
+	 * 
+	 * Exchanges a refresh token for a new access token and refresh token.
+	 * Each refresh token can only be used once; reusing one revokes its whole session.
+	 * 
+	 * Input Validation:
+	 * - The refresh token is validated by the `validate` middleware.
+	 */
+	router.post('/token/refresh', validate(userSchemas.refreshToken), asyncHandler(userController.refreshToken));
+
+	/**
+	 * Route: POST /logout
+	 * 
+	 * Logs out a user by revoking the session of the given refresh token.
+	 * Access tokens issued for that session stop being accepted.
+	 * 
+	 * Input Validation:
+	 * - The refresh token is validated by the `validate` middleware.
+	 */
+	router.post('/logout', validate(userSchemas.logout), asyncHandler(userController.logout));
+
+	/**
+	 * Route: GET /profile
+	 * 
+	 * Retrieves the profile details of the authenticated user.
+	 * Protected by authentication middleware that verifies the user's JWT token.
+	 * 
+	 * Middleware:
+	 * - `authMiddleware`: Ensures the request is made by an authenticated user.
+	 */
+	router.get('/profile', authMiddleware, asyncHandler(userController.getProfile));
+
+	/**
+	 * Route: PATCH /profile
+	 * 
+	 * Updates the editable profile fields (email address and display name) of the
+	 * authenticated user. A new email address only replaces the current one once it
+	 * has been verified through the link emailed to it.
+	 * 
+	 * Middleware:
+	 * - `authMiddleware`: Ensures the request is made by an authenticated user.
+	 * - `accountRateLimit`: Applies the stricter rate limit of the account routes.
+	 * 
+	 * Input Validation:
+	 * - The profile fields are validated by the `validate` middleware.
+	 */
+	router.patch('/profile', authMiddleware, accountRateLimit, validate(userSchemas.updateProfile), asyncHandler(userController.updateProfile));
+
+	/**
+	 * Route: DELETE /profile
+	 * 
+	 * Deletes the account of the authenticated user. The user must confirm their
+	 * current password. Every token issued to the user stops being accepted.
+	 * 
+	 * Middleware:
+	 * - `authMiddleware`: Ensures the request is made by an authenticated user.
+	 * - `accountRateLimit`: Applies the stricter rate limit of the account routes.
+	 * 
+	 * Input Validation:
+	 * - The password is validated by the `validate` middleware.
+	 */
+	router.delete('/profile', authMiddleware, accountRateLimit, validate(userSchemas.deleteProfile), asyncHandler(userController.deleteProfile));
+
+	/**
+	 * Route: GET /profile/security-events
+	 * 
+	 * Retrieves the most recent security events of the authenticated user (logins,
+	 * failed logins, password changes, ...) from the audit log, newest first.
+	 * 
+	 * Middleware:
+	 * - `authMiddleware`: Ensures the request is made by an authenticated user.
+	 * 
+	 * Input Validation:
+	 * - The `limit` query parameter is validated by the `validate` middleware.
+	 */
+	router.get('/profile/security-events', authMiddleware, validate(userSchemas.getSecurityEvents), asyncHandler(userController.getSecurityEvents));
+
+	/**
+	 * Route: GET /users/:id
+	 * 
+	 * Retrieves the public profile (ID, username and display name) of a user.
+	 * 
+	 * Middleware:
+	 * - `authMiddleware`: Ensures the request is made by an authenticated user.
+	 * 
+	 * Input Validation:
+	 * - The user ID is validated by the `validate` middleware.
+	 */
+	router.get('/users/:id', authMiddleware, validate(userSchemas.getPublicProfile), asyncHandler(userController.getPublicProfile));
+
+	/**
+	 * Route: PUT /change-password
+	 * 
+	 * Allows an authenticated user to change their password. The user must provide
+	 * their current password and a new password. The current password is verified,
+	 * and the new password is hashed before updating.
+	 * 
+	 * Middleware:
+	 * - `authMiddleware`: Ensures the request is made by an authenticated user.
+	 * - `accountRateLimit`: Applies the stricter rate limit of the account routes.
+	 * 
+	 * Input Validation:
+	 * - Old and new passwords are validated by the `validate` middleware.
+	 */
+	router.put('/change-password', authMiddleware, accountRateLimit, validate(userSchemas.changePassword), asyncHandler(userController.changePassword));
+
+	/**
+	 * Route: POST /forgot-password
+	 * 
+	 * Emails a short-lived, single-use password reset token to the account with the given
+	 * email address. The response does not reveal whether such an account exists.
+	 * 
+	 * Middleware:
+	 * - `authRateLimit`: Applies the stricter rate limit of the authentication routes.
+	 * 
+	 * Input Validation:
+	 * - The email address is validated by the `validate` middleware.
+	 */
+	router.post('/forgot-password', authRateLimit, validate(userSchemas.forgotPassword), asyncHandler(userController.forgotPassword));
+
+	/**
+	 * Route: POST /reset-password
+	 * 
+	 * Sets a new password using a reset token from the forgot-password email, and revokes
+	 * every existing session of the user.
+	 * 
+	 * Middleware:
+	 * - `authRateLimit`: Applies the stricter rate limit of the authentication routes.
+	 * 
+	 * Input Validation:
+	 * - The reset token and new password are validated by the `validate` middleware.
+	 */
+	router.post('/reset-password', authRateLimit, validate(userSchemas.resetPassword), asyncHandler(userController.resetPassword));
+
+	return router;
+}
 
-module.exports = router;
+module.exports = {
+	createUserRoutes
+};
@@ -0,0 +1,36 @@
+/**
+ * This file defines the well-known routes of the application, mounted at `/.well-known`.
+ *
+ * Route: GET /jwks.json
+ *
+ * Publishes the JSON Web Key Set (JWKS) of the public keys the tokens of the application
+ * can be verified with, so other services can verify access tokens without sharing a
+ * secret. Keys are matched to tokens by the `kid` header of the tokens. The set is empty
+ * when tokens are signed with a secret (HS256), since secrets are never published.
+ */
+
+const express = require('express');
+
+/**
+ * Creates the router of the well-known routes.
+ *
+ * @param {Object} components - The components of the application (see `routes/index.js`).
+ * @param {Object} components.tokenService - The token service publishing the keys.
+ * @returns {Object} The Express router.
+ */
+function createWellKnownRoutes({
+	tokenService
+}) {
+	const router = express.Router();
+
+	router.get('/jwks.json', (req, res) => {
+		res.set('Cache-Control', 'public, max-age=300'); // Lets verifiers cache the keys, while picking up rotations quickly
+		res.status(200).json(tokenService.jwks());
+	});
+
+	return router;
+}
+
+module.exports = {
+	createWellKnownRoutes
+};
@@ -0,0 +1,42 @@
+/**
+ * This module defines the request schemas of the admin routes (see `routes/admin.js`).
+ *
+ * Each entry is the set of Joi schemas a route validates its request against, keyed
+ * by request location, and is given to the `validate` middleware of the route.
+ */
+
+const Joi = require('joi');
+const {
+	ALL_ROLES
+} = require('../models/roles');
+const {
+	userIdParamsSchema
+} = require('./userSchemas');
+
+module.exports = {
+	// Query string of the user list (pagination and filters)
+	listUsers: {
+		query: Joi.object({
+			page: Joi.number().integer().min(1).default(1),
+			limit: Joi.number().integer().min(1).max(100).default(20),
+			role: Joi.string().valid(...ALL_ROLES),
+			disabled: Joi.boolean(),
+			search: Joi.string().trim().min(1),
+		}),
+	},
+
+	// Routes targeting a single user
+	targetUser: {
+		params: userIdParamsSchema,
+	},
+
+	// Updates of a user by an admin
+	updateUser: {
+		params: userIdParamsSchema,
+		body: Joi.object({
+			email: Joi.string().email(),
+			role: Joi.string().valid(...ALL_ROLES),
+			emailVerified: Joi.boolean(),
+		}).min(1),
+	},
+};
@@ -0,0 +1,149 @@
+/**
+ * This module defines the request schemas of the user routes (see `routes/user.js`).
+ *
+ * Each entry is the set of Joi schemas a route validates its request against, keyed
+ * by request location (`body`, `query`, `params` or `headers`), and is given to the
+ * `validate` middleware of the route. Controllers read the validated values from
+ * `req.validated`, and the OpenAPI document is generated from the same schemas.
+ */
+
+const Joi = require('joi');
+const passwordPolicy = require('../services/passwordPolicy');
+
+// Schema of the `:id` route parameter of routes targeting a user
+const userIdParamsSchema = Joi.object({
+	id: Joi.string().required(),
+});
+
+// Schema of new passwords, with the length limits of the password policy (see `services/passwordPolicy.js`).
+// The maximum length is measured in UTF-8 bytes, as bcrypt hashes at most 72 of them
+const newPasswordSchema = Joi.string().min(passwordPolicy.minLength).max(passwordPolicy.maxLength, 'utf8').required().messages({
+	'string.max': '{#label} must be at most {#limit} bytes long in UTF-8',
+});
+
+module.exports = {
+	userIdParamsSchema,
+
+	// Registration data
+	register: {
+		body: Joi.object({
+			username: Joi.string().min(3).required(),
+			email: Joi.string().email().required(),
+			password: newPasswordSchema,
+		}),
+	},
+
+	// Query string of email verification links
+	verifyEmail: {
+		query: Joi.object({
+			token: Joi.string().required(),
+		}),
+	},
+
+	// Requests to resend the verification email
+	resendVerification: {
+		body: Joi.object({
+			email: Joi.string().email().required(),
+		}),
+	},
+
+	// Login data
+	login: {
+		body: Joi.object({
+			username: Joi.string().required(),
+			password: Joi.string().required(),
+		}),
+	},
+
+	// The second step of a login; the code may be a recovery code
+	completeTwoFactorLogin: {
+		body: Joi.object({
+			challengeToken: Joi.string().required(),
+			code: Joi.string().required(),
+		}),
+	},
+
+	// The start of a two-factor enrollment, which takes no input
+	setupTwoFactor: {
+		body: Joi.object({}),
+	},
+
+	// The confirmation of a two-factor enrollment with a first code
+	confirmTwoFactor: {
+		body: Joi.object({
+			code: Joi.string().pattern(/^\d{6}$/).required(),
+		}),
+	},
+
+	// Requests to disable two-factor authentication; the code may be a recovery code
+	disableTwoFactor: {
+		body: Joi.object({
+			password: Joi.string().required(),
+			code: Joi.string().required(),
+		}),
+	},
+
+	// Refresh requests
+	refreshToken: {
+		body: Joi.object({
+			refreshToken: Joi.string().required(),
+		}),
+	},
+
+	// Logout requests
+	logout: {
+		body: Joi.object({
+			refreshToken: Joi.string().required(),
+		}),
+	},
+
+	// Profile updates; at least one editable field is required
+	updateProfile: {
+		body: Joi.object({
+			email: Joi.string().email(),
+			displayName: Joi.string().trim().min(1).max(50).allow(null),
+		}).min(1),
+	},
+
+	// Account deletion, which requires the current password
+	deleteProfile: {
+		body: Joi.object({
+			password: Joi.string().required(),
+		}),
+	},
+
+	// Query string of the security event list
+	getSecurityEvents: {
+		query: Joi.object({
+			limit: Joi.number().integer().min(1).max(100).default(20),
+		}),
+	},
+
+	// Public profile requests
+	getPublicProfile: {
+		params: userIdParamsSchema,
+	},
+
+	// Password changes
+	changePassword: {
+		body: Joi.object({
+			oldPassword: Joi.string().required(),
+			newPassword: newPasswordSchema,
+		}),
+	},
+
+	// Forgotten password requests
+	forgotPassword: {
+		body: Joi.object({
+			email: Joi.string().email().required(),
+		}),
+	},
+
+	// Password resets, with the same password rules as a password change
+	resetPassword: {
+		body: Joi.object({
+			token: Joi.string().required(),
+			newPassword: newPasswordSchema,
+		}),
+	},
+};
@@ -0,0 +1,779 @@
+/**
+ * Command-line tool to manage the users of the store without the API, e.g. to fix an
+ * account or to back up and restore the store, instead of editing the data file by hand.
+ *
+ * The store is selected with the same environment variables as the application
+ * (`USER_STORE`, `USER_STORE_PATH`), and passwords are hashed and checked against the
+ * password policy with its settings. Every change to an account is recorded in the
+ * audit log, with `cli` as its source (`import` for imported users) and no acting user.
+ *
+ * Usage:
+ *   npm run users -- <command> [options]
+ *
+ * Commands:
+ * - `list`: Lists users, optionally filtered by a search term, a role or a status.
+ * - `create`: Creates a user, hashing their password.
+ * - `reset-password`: Sets a new password, lifting a lockout and signing the user out everywhere.
+ * - `set-role`: Changes the role of a user.
+ * - `disable`, `enable`: Disables a user (signing them out everywhere) or enables them again.
+ * - `delete`: Deletes a user.
+ * - `export`: Writes the account fields of every user as JSON or CSV. Secrets (password
+ *   hashes, two-factor secrets and recovery codes, sessions and pending tokens) are left
+ *   out unless `--include-secrets` is given, e.g. for a backup to restore with `import`:
+ *   JSON exports then hold the complete records, and CSV exports the password hashes.
+ * - `import`: Adds the users of a JSON or CSV export. Nothing is imported if a user is
+ *   invalid or already exists, unless existing users are skipped with `--skip-existing`,
+ *   or if a user has no password, unless `--allow-passwordless` is given.
+ *
+ * Users are given by ID or username. Passwords not given with `--password` are read from
+ * the first line of the standard input, so they stay out of the shell history. With
+ * `--dry-run`, commands report their changes without making them. The last enabled admin
+ * cannot be demoted, disabled or deleted.
+ *
+ * Exit codes: 0 on success, 1 when the command fails (e.g. an unknown user or a password
+ * refused by the policy), and 2 on invalid usage.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const readline = require('readline');
+const {
+	parseArgs
+} = require('util');
+const Joi = require('joi');
+const {
+	ROLES,
+	ALL_ROLES,
+	roleOf
+} = require('../models/roles');
+const {
+	DuplicateUserError
+} = require('../models/errors');
+const {
+	isLocked,
+	clearLockout
+} = require('../services/loginAttemptService');
+const {
+	PasswordPolicyError
+} = require('../services/passwordPolicy');
+const {
+	EVENT_TYPES
+} = require('../services/auditLog');
+const {
+	toAdminView
+} = require('../serializers/userSerializer');
+const {
+	formatCsv,
+	parseCsv
+} = require('../utils/csv');
+const parseUserId = require('../utils/parseUserId');
+
+// Exit codes of the tool
+const EXIT_CODES = {
+	SUCCESS: 0,
+	FAILURE: 1,
+	USAGE: 2,
+};
+
+// Formats of exports and imports
+const FORMATS = ['json', 'csv'];
+
+// Fields of exported users, in the order of the CSV columns. The other fields of the user
+// record hold secrets, which are only exported with `--include-secrets`
+const ACCOUNT_FIELDS = ['id', 'legacyId', 'username', 'email', 'displayName', 'role', 'emailVerified', 'disabled'];
+
+// Schema of imported users; the other fields of complete records are kept as they are
+const importedUserSchema = Joi.object({
+	id: Joi.alternatives(Joi.string(), Joi.number().integer()),
+	legacyId: Joi.number().integer(),
+	username: Joi.string().min(3).required(),
+	email: Joi.string().email(),
+	displayName: Joi.string(),
+	role: Joi.string().valid(...ALL_ROLES),
+	emailVerified: Joi.boolean(),
+	disabled: Joi.boolean(),
+	password: Joi.string(),
+}).unknown(true);
+
+/**
+ * Raised when a command fails.
+ */
+class CommandError extends Error {
+	/**
+	 * @param {string} message - What went wrong.
+	 * @param {number} [exitCode=1] - The exit code of the process.
+	 */
+	constructor(message, exitCode = EXIT_CODES.FAILURE) {
+		super(message);
+		this.name = 'CommandError';
+		this.exitCode = exitCode;
+	}
+}
+
+/**
+ * Raised when the tool is used incorrectly, e.g. with an unknown command or option.
+ */
+class UsageError extends CommandError {
+	/**
+	 * @param {string} message - What is wrong with the usage.
+	 */
+	constructor(message) {
+		super(message, EXIT_CODES.USAGE);
+		this.name = 'UsageError';
+	}
+}
+
+/**
+ * Copies the account fields of a user that are set.
+ *
+ * @param {Object} user - The stored user.
+ * @returns {Object} The account fields of the user.
+ */
+function accountFieldsOf(user) {
+	return Object.fromEntries(ACCOUNT_FIELDS.filter(field => user[field] !== undefined).map(field => [field, user[field]]));
+}
+
+/**
+ * Describes a user in messages, such as `"alice" (0b4c…)`.
+ *
+ * @param {Object} user - The user.
+ * @returns {string} The username and ID of the user.
+ */
+function describeUser(user) {
+	return `"${user.username}" (${user.id})`;
+}
+
+/**
+ * Checks that a role exists.
+ *
+ * @param {string} role - The role.
+ * @throws {UsageError} If there is no such role.
+ */
+function assertRole(role) {
+	if (!ALL_ROLES.includes(role)) {
+		throw new UsageError(`Unknown role "${role}". Expected one of: ${ALL_ROLES.join(', ')}.`);
+	}
+}
+
+/**
+ * Finds a user by ID, or by username.
+ *
+ * @param {Object} userModel - The user model.
+ * @param {string} reference - The ID or username of the user.
+ * @returns {Promise<Object>} The user.
+ * @throws {CommandError} If there is no such user.
+ */
+async function findUser(userModel, reference) {
+	const user = await userModel.findUserById(parseUserId(reference)) || await userModel.findUserByUsername(reference);
+	if (!user) throw new CommandError(`User "${reference}" not found.`);
+	return user;
+}
+
+/**
+ * Checks that a change leaves at least one enabled admin, so the admin API stays usable.
+ *
+ * @param {Object} userModel - The user model.
+ * @param {Object} user - The user losing their admin rights, or being disabled or deleted.
+ * @throws {CommandError} If the user is the last enabled admin.
+ */
+async function assertNotLastAdmin(userModel, user) {
+	if (roleOf(user) !== ROLES.ADMIN || user.disabled) return;
+
+	const admins = (await userModel.getAllUsers()).filter(other => roleOf(other) === ROLES.ADMIN && !other.disabled);
+	if (admins.length <= 1) {
+		throw new CommandError(`${describeUser(user)} is the last enabled admin.`);
+	}
+}
+
+/**
+ * Returns the password given with `--password`, or reads it from the first line of the
+ * standard input.
+ *
+ * @param {Object} values - The options of the command.
+ * @param {Object} stdin - The standard input.
+ * @returns {Promise<string>} The password, in plain text.
+ * @throws {UsageError} If no password is given.
+ */
+async function readPassword(values, stdin) {
+	if (values.password !== undefined) return values.password;
+
+	const lines = readline.createInterface({
+		input: stdin,
+		terminal: false
+	});
+	for await (const line of lines) {
+		lines.close();
+		if (line !== '') return line;
+	}
+	throw new UsageError('A password is required: pass --password <password> or write it to the standard input.');
+}
+
+/**
+ * Checks a password against the password policy.
+ *
+ * @param {Object} passwordPolicy - The password policy.
+ * @param {string} password - The password, in plain text.
+ * @param {string} username - The username of the account.
+ * @throws {CommandError} If the password breaks a rule of the policy, listing every broken rule.
+ */
+function assertPasswordAllowed(passwordPolicy, password, username) {
+	try {
+		passwordPolicy.assertAllowed(password, {
+			username
+		});
+	} catch (err) {
+		if (!(err instanceof PasswordPolicyError)) throw err;
+		throw new CommandError(['The password was refused:', ...err.violations.map(violation => violation.message)].join('\n- '));
+	}
+}
+
+/**
+ * Finds the format of an export or import, from the `--format` option or the file extension.
+ *
+ * @param {string} [format] - The `--format` option.
+ * @param {string} [filePath] - The file, if any.
+ * @returns {string} `json` or `csv`.
+ * @throws {UsageError} If the format is unknown.
+ */
+function formatOf(format, filePath) {
+	const resolved = format || (filePath ? path.extname(filePath).slice(1).toLowerCase() : 'json');
+	if (!FORMATS.includes(resolved)) {
+		throw new UsageError(`Unknown format "${resolved}". Expected one of: ${FORMATS.join(', ')}; pass --format for other file extensions.`);
+	}
+	return resolved;
+}
+
+/**
+ * Makes a change unless in dry-run mode, and reports it.
+ *
+ * @param {Object} context - The context of the command.
+ * @param {string} planned - The change, as reported in dry-run mode, such as `would delete user "alice"`.
+ * @param {Function} change - Makes the change, and returns its report.
+ * @returns {Promise<void>}
+ */
+async function apply(context, planned, change) {
+	context.print(context.dryRun ? `Dry run: ${planned}.` : await change());
+}
+
+/**
+ * Records a change to an account in the audit log.
+ *
+ * @param {Object} context - The context of the command.
+ * @param {string} type - The type of the event (see `EVENT_TYPES`).
+ * @param {Object} user - The user the change concerns.
+ * @param {Object} [details] - Additional information about the change.
+ * @returns {Promise<Object>} The recorded event.
+ */
+function recordChange(context, type, user, details = {}) {
+	return context.auditLog.record({
+		type,
+		userId: user.id,
+		actorId: null, // Made by an operator, not by a user of the application
+		details: {
+			source: 'cli',
+			...details
+		},
+	});
+}
+
+/**
+ * Formats rows as a table with aligned columns.
+ *
+ * @param {Array<string>} headers - The headers of the columns.
+ * @param {Array<Array<string>>} rows - The rows.
+ * @returns {Array<string>} The lines of the table.
+ */
+function formatTable(headers, rows) {
+	const widths = headers.map((header, column) => Math.max(header.length, ...rows.map(row => row[column].length)));
+	return [headers, ...rows].map(row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd());
+}
+
+// Commands of the tool, keyed by name
+const COMMANDS = {
+	list: {
+		usage: 'list [--search <term>] [--role <role>] [--disabled | --enabled] [--json]',
+		options: {
+			search: {
+				type: 'string'
+			},
+			role: {
+				type: 'string'
+			},
+			disabled: {
+				type: 'boolean'
+			},
+			enabled: {
+				type: 'boolean'
+			},
+			json: {
+				type: 'boolean'
+			},
+		},
+		arguments: [],
+		run: async ({
+			values
+		}, context) => {
+			if (values.role !== undefined) assertRole(values.role);
+			if (values.disabled && values.enabled) throw new UsageError('Pass either --disabled or --enabled.');
+
+			const search = values.search && values.search.toLowerCase();
+			const users = (await context.userModel.getAllUsers()).filter(user =>
+				(!values.role || roleOf(user) === values.role) &&
+				(!values.disabled || Boolean(user.disabled)) &&
+				(!values.enabled || !user.disabled) &&
+				(!search || user.username.toLowerCase().includes(search) || (user.email || '').toLowerCase().includes(search))
+			);
+
+			if (values.json) {
+				context.print(JSON.stringify(users.map(toAdminView), null, 2));
+				return;
+			}
+
+			const rows = users.map(user => [
+				String(user.id),
+				user.username,
+				user.email || '',
+				roleOf(user),
+				user.disabled ? 'disabled' : isLocked(user) ? 'locked' : 'active',
+			]);
+			formatTable(['ID', 'USERNAME', 'EMAIL', 'ROLE', 'STATUS'], rows).forEach(line => context.print(line));
+			context.print(`${users.length} user(s)`);
+		},
+	},
+
+	create: {
+		usage: 'create <username> [--email <email>] [--role <role>] [--verified] [--password <password>] [--dry-run]',
+		options: {
+			email: {
+				type: 'string'
+			},
+			role: {
+				type: 'string',
+				default: ROLES.USER
+			},
+			verified: {
+				type: 'boolean',
+				default: false
+			},
+			password: {
+				type: 'string'
+			},
+		},
+		arguments: ['username'],
+		changes: true,
+		run: async ({
+			values,
+			positionals: [username]
+		}, context) => {
+			assertRole(values.role);
+			if (username.length < 3) throw new UsageError('The username must be at least 3 characters long.');
+			if (values.email !== undefined && Joi.string().email().validate(values.email).error) {
+				throw new UsageError(`Invalid email address "${values.email}".`);
+			}
+
+			const password = await readPassword(values, context.stdin);
+			assertPasswordAllowed(context.passwordPolicy, password, username);
+			if (await context.userModel.findUserByUsername(username)) {
+				throw new CommandError(`Username "${username}" already exists.`);
+			}
+
+			await apply(context, `would create user "${username}"`, async () => {
+				let newUser;
+				try {
+					newUser = await context.userModel.addUser({
+						username,
+						email: values.email,
+						password: await context.passwordHasher.hash(password),
+						role: values.role,
+						emailVerified: values.verified,
+					});
+				} catch (err) {
+					if (err instanceof DuplicateUserError && err.field === 'email') throw new CommandError(`Email address "${values.email}" is already in use.`);
+					if (err instanceof DuplicateUserError) throw new CommandError(`Username "${username}" already exists.`);
+					throw err;
+				}
+				await recordChange(context, EVENT_TYPES.REGISTER, newUser);
+				return `Created user ${describeUser(newUser)}.`;
+			});
+		},
+	},
+
+	'reset-password': {
+		usage: 'reset-password <user> [--password <password>] [--dry-run]',
+		options: {
+			password: {
+				type: 'string'
+			},
+		},
+		arguments: ['user'],
+		changes: true,
+		run: async ({
+			values,
+			positionals: [reference]
+		}, context) => {
+			const user = await findUser(context.userModel, reference);
+			const password = await readPassword(values, context.stdin);
+			assertPasswordAllowed(context.passwordPolicy, password, user.username);
+
+			await apply(context, `would reset the password of user ${describeUser(user)}`, async () => {
+				const {
+					passwordReset,
+					...resetUser
+				} = user;
+				const updatedUser = clearLockout(resetUser); // The new password lifts a lockout
+				updatedUser.password = await context.passwordHasher.hash(password);
+				updatedUser.sessions = []; // Sign the user out everywhere
+
+				await context.userModel.updateUser(updatedUser);
+				await recordChange(context, EVENT_TYPES.PASSWORD_RESET, user);
+				return `Reset the password of user ${describeUser(user)}.`;
+			});
+		},
+	},
+
+	'set-role': {
+		usage: 'set-role <user> <role> [--dry-run]',
+		options: {},
+		arguments: ['user', 'role'],
+		changes: true,
+		run: async ({
+			positionals: [reference, role]
+		}, context) => {
+			assertRole(role);
+			const user = await findUser(context.userModel, reference);
+			if (role !== ROLES.ADMIN) await assertNotLastAdmin(context.userModel, user);
+
+			await apply(context, `would change the role of user ${describeUser(user)} from ${roleOf(user)} to ${role}`, async () => {
+				await context.userModel.updateUser({
+					...user,
+					role
+				});
+				await recordChange(context, EVENT_TYPES.ADMIN_USER_UPDATE, user, {
+					fields: ['role']
+				});
+				return `Changed the role of user ${describeUser(user)} from ${roleOf(user)} to ${role}.`;
+			});
+		},
+	},
+
+	disable: {
+		usage: 'disable <user> [--dry-run]',
+		options: {},
+		arguments: ['user'],
+		changes: true,
+		run: async ({
+			positionals: [reference]
+		}, context) => {
+			const user = await findUser(context.userModel, reference);
+			await assertNotLastAdmin(context.userModel, user);
+
+			await apply(context, `would disable user ${describeUser(user)}`, async () => {
+				await context.userModel.updateUser({
+					...user,
+					disabled: true,
+					sessions: [], // Sign the user out everywhere
+				});
+				await recordChange(context, EVENT_TYPES.ADMIN_USER_DISABLE, user);
+				return `Disabled user ${describeUser(user)}.`;
+			});
+		},
+	},
+
+	enable: {
+		usage: 'enable <user> [--dry-run]',
+		options: {},
+		arguments: ['user'],
+		changes: true,
+		run: async ({
+			positionals: [reference]
+		}, context) => {
+			const user = await findUser(context.userModel, reference);
+
+			await apply(context, `would enable user ${describeUser(user)}`, async () => {
+				await context.userModel.updateUser({
+					...user,
+					disabled: false,
+				});
+				await recordChange(context, EVENT_TYPES.ADMIN_USER_ENABLE, user);
+				return `Enabled user ${describeUser(user)}.`;
+			});
+		},
+	},
+
+	delete: {
+		usage: 'delete <user> [--dry-run]',
+		options: {},
+		arguments: ['user'],
+		changes: true,
+		run: async ({
+			positionals: [reference]
+		}, context) => {
+			const user = await findUser(context.userModel, reference);
+			await assertNotLastAdmin(context.userModel, user);
+
+			await apply(context, `would delete user ${describeUser(user)}`, async () => {
+				await context.userModel.deleteUser(user.id);
+				await recordChange(context, EVENT_TYPES.ADMIN_USER_DELETE, user);
+				return `Deleted user ${describeUser(user)}.`;
+			});
+		},
+	},
+
+	export: {
+		usage: 'export [--format json|csv] [--output <file>] [--include-secrets]',
+		options: {
+			format: {
+				type: 'string'
+			},
+			output: {
+				type: 'string'
+			},
+			'include-secrets': {
+				type: 'boolean',
+				default: false
+			},
+		},
+		arguments: [],
+		run: async ({
+			values
+		}, context) => {
+			const format = formatOf(values.format, values.output);
+			const includeSecrets = values['include-secrets'];
+
+			// Secrets let anyone holding the file sign in as the users or crack their passwords
+			// offline, so they only leave the store when asked for
+			const storedUsers = await context.userModel.getAllUsers();
+			const users = includeSecrets ? storedUsers : storedUsers.map(accountFieldsOf);
+			const columns = includeSecrets ? [...ACCOUNT_FIELDS, 'password'] : ACCOUNT_FIELDS;
+			const data = format === 'csv' ? formatCsv(columns, users) : JSON.stringify(users, null, 2) + '\n';
+
+			if (!values.output) {
+				context.stdout.write(data);
+				return;
+			}
+			await fs.writeFile(values.output, data, 'utf8');
+			context.print(`Exported ${users.length} user(s) to ${values.output}.`);
+		},
+	},
+
+	import: {
+		usage: 'import <file> [--format json|csv] [--skip-existing] [--allow-passwordless] [--dry-run]',
+		options: {
+			format: {
+				type: 'string'
+			},
+			'skip-existing': {
+				type: 'boolean',
+				default: false
+			},
+			'allow-passwordless': {
+				type: 'boolean',
+				default: false
+			},
+		},
+		arguments: ['file'],
+		changes: true,
+		run: async ({
+			values,
+			positionals: [filePath]
+		}, context) => {
+			const format = formatOf(values.format, filePath);
+
+			let records;
+			try {
+				const data = await fs.readFile(filePath, 'utf8');
+				records = format === 'csv' ?
+					parseCsv(data).map(row => Object.fromEntries(Object.entries(row)
+						.filter(([, value]) => value !== '')
+						.map(([column, value]) => [column, column === 'id' ? parseUserId(value) : value]))) :
+					JSON.parse(data);
+			} catch (err) {
+				throw new CommandError(`Cannot read ${filePath}: ${err.message}`);
+			}
+			if (!Array.isArray(records)) throw new CommandError(`Cannot read ${filePath}: expected a list of users.`);
+
+			// Validate every user first, so an invalid file changes nothing
+			const problems = [];
+			const users = records.map((record, index) => {
+				const {
+					error,
+					value
+				} = importedUserSchema.validate(record, {
+					abortEarly: false,
+					errors: {
+						wrap: {
+							label: false
+						}
+					},
+				});
+				if (error) problems.push(`User ${index + 1}: ${error.details.map(detail => detail.message).join(', ')}`);
+				// Exports without secrets hold no password hashes, and their users could not log in
+				else if (value.password === undefined && !values['allow-passwordless']) {
+					problems.push(`User ${index + 1}: "${value.username}" has no password (export with --include-secrets, or pass --allow-passwordless to import users who cannot log in)`);
+				}
+				return value;
+			});
+
+			// Email addresses are unique regardless of case, like usernames are unique
+			const emailKey = user => (user.email ? user.email.toLowerCase() : undefined);
+			const existing = await context.userModel.getAllUsers();
+			const ids = new Set(existing.map(user => user.id));
+			const usernames = new Set(existing.map(user => user.username));
+			const emails = new Set(existing.map(emailKey).filter(Boolean));
+			const importedIds = new Set();
+			const importedUsernames = new Set();
+			const importedEmails = new Set();
+			const skipped = [];
+			const newUsers = [];
+			// Conflicts are only looked for once every user is valid
+			(problems.length === 0 ? users : []).forEach((user, index) => {
+				const email = emailKey(user);
+				if (importedIds.has(user.id) || importedUsernames.has(user.username) || importedEmails.has(email)) {
+					problems.push(`User ${index + 1}: "${user.username}" appears more than once in the file`);
+				} else if (ids.has(user.id) || usernames.has(user.username) || emails.has(email)) {
+					if (values['skip-existing']) skipped.push(user);
+					else problems.push(`User ${index + 1}: "${user.username}" already exists (pass --skip-existing to skip existing users)`);
+				} else {
+					newUsers.push(user);
+				}
+				if (user.id !== undefined) importedIds.add(user.id);
+				importedUsernames.add(user.username);
+				if (email !== undefined) importedEmails.add(email);
+			});
+			if (problems.length > 0) {
+				throw new CommandError(['Nothing was imported:', ...problems].join('\n- '));
+			}
+
+			const skippedReport = skipped.length > 0 ? `, skipping ${skipped.length} existing user(s)` : '';
+			await apply(context, `would import ${newUsers.length} user(s)${skippedReport}`, async () => {
+				for (const user of newUsers) {
+					const storedUser = await context.userModel.addUser(user);
+					await recordChange(context, EVENT_TYPES.REGISTER, storedUser, {
+						source: 'import'
+					});
+				}
+				return `Imported ${newUsers.length} user(s)${skippedReport}.`;
+			});
+		},
+	},
+};
+
+/**
+ * Formats the usage of the tool.
+ *
+ * @returns {string} The usage.
+ */
+function formatUsage() {
+	return [
+		'Usage: npm run users -- <command> [options]',
+		'',
+		'Commands:',
+		...Object.values(COMMANDS).map(command => `  ${command.usage}`),
+		'',
+		'<user> is the ID or the username of a user. Passwords not given with --password are read',
+		'from the first line of the standard input. --dry-run reports the changes of a command',
+		'without making them. export leaves secrets such as password hashes out unless given',
+		'--include-secrets, which exports meant to be imported back need: import refuses users',
+		'without a password unless given --allow-passwordless.',
+	].join('\n');
+}
+
+/**
+ * Runs a command of the tool.
+ *
+ * @param {Array<string>} argv - The command-line arguments, without the executable and the script.
+ * @param {Object} dependencies - The dependencies of the commands.
+ * @param {Object} dependencies.userModel - The user model (see `models/userModel.js`).
+ * @param {Object} dependencies.passwordHasher - The password hasher (see `services/passwordHasher.js`).
+ * @param {Object} dependencies.passwordPolicy - The password policy (see `services/passwordPolicy.js`).
+ * @param {Object} dependencies.auditLog - The audit log changes are recorded in (see `services/auditLog.js`).
+ * @param {Object} [dependencies.stdin=process.stdin] - The stream passwords are read from.
+ * @param {Object} [dependencies.stdout=process.stdout] - The stream reports and exports are written to.
+ * @param {Object} [dependencies.stderr=process.stderr] - The stream errors are written to.
+ * @returns {Promise<number>} The exit code (see `EXIT_CODES`).
+ */
+async function runCli(argv, {
+	userModel,
+	passwordHasher,
+	passwordPolicy,
+	auditLog,
+	stdin = process.stdin,
+	stdout = process.stdout,
+	stderr = process.stderr
+}) {
+	const [name, ...args] = argv;
+	if (name === 'help' || name === '--help') {
+		stdout.write(formatUsage() + '\n');
+		return EXIT_CODES.SUCCESS;
+	}
+
+	const command = COMMANDS[name];
+	try {
+		if (!command) {
+			throw new UsageError(name ? `Unknown command "${name}".` : 'No command given.');
+		}
+
+		let parsed;
+		try {
+			parsed = parseArgs({
+				args,
+				options: command.changes ? {
+					...command.options,
+					'dry-run': {
+						type: 'boolean',
+						default: false
+					}
+				} : command.options,
+				allowPositionals: true,
+			});
+		} catch (err) {
+			throw new UsageError(err.message);
+		}
+		if (parsed.positionals.length !== command.arguments.length) {
+			throw new UsageError(`Expected ${command.arguments.length} argument(s), got ${parsed.positionals.length}.`);
+		}
+
+		await command.run(parsed, {
+			userModel,
+			passwordHasher,
+			passwordPolicy,
+			auditLog,
+			stdin,
+			stdout,
+			dryRun: Boolean(parsed.values['dry-run']),
+			print: line => stdout.write(line + '\n'),
+		});
+		return EXIT_CODES.SUCCESS;
+	} catch (err) {
+		stderr.write(`Error: ${err.message}\n`);
+		if (err instanceof UsageError) {
+			stderr.write(command ? `Usage: npm run users -- ${command.usage}\n` : '\n' + formatUsage() + '\n');
+		}
+		return err instanceof CommandError ? err.exitCode : EXIT_CODES.FAILURE;
+	}
+}
+
+// Run the tool only if this file is executed directly (not required in tests)
+if (require.main === module) {
+	const userModel = require('../models/userModel');
+	const auditLog = require('../services/auditLog');
+
+	runCli(process.argv.slice(2), {
+		userModel,
+		passwordHasher: require('../services/passwordHasher'),
+		passwordPolicy: require('../services/passwordPolicy'),
+		auditLog,
+	}).then(async (exitCode) => {
+		// Let the pending writes of the store and the audit log finish
+		await Promise.all([userModel.close(), auditLog.close()]);
+		process.exitCode = exitCode;
+	}).catch((err) => {
+		process.stderr.write(`Error: ${err.message}\n`);
+		process.exitCode = EXIT_CODES.FAILURE;
+	});
+}
+
+module.exports = {
+	runCli,
+	EXIT_CODES
+};
@@ -0,0 +1,25 @@
+/**
+ * One-off migration that replaces the legacy numeric user IDs with UUIDs.
+ *
+ * Users used to be assigned `users.length + 1` as their ID, which could produce
+ * duplicates. This script gives every user with a numeric ID a UUID and keeps the
+ * old ID as `legacyId`, so tokens issued before the migration keep resolving.
+ * Running it again is harmless: users that already have a UUID are left untouched.
+ *
+ * The store to migrate is selected with the same environment variables as the
+ * application (`USER_STORE`, `USER_STORE_PATH`).
+ *
+ * Usage:
+ *   npm run migrate:user-ids
+ */
+
+const userModel = require('../models/userModel');
+
+userModel.migrateLegacyIds()
+	.then((migrated) => {
+		console.log(`Migrated ${migrated} user(s) to UUIDs.`);
+	})
+	.catch((err) => {
+		console.error(`Migration failed: ${err.message}`);
+		process.exitCode = 1;
+	});
@@ -0,0 +1,28 @@
+/**
+ * This module defines how audit log events are represented in API responses.
+ *
+ * Users can list their own security events (see `GET /api/profile/security-events`).
+ * Like the user views, the view is an explicit allowlist, so fields added to audit
+ * events later are not sent to clients by accident.
+ */
+
+// Fields of an audit event visible to the user it concerns
+const SECURITY_EVENT_FIELDS = ['id', 'type', 'outcome', 'reason', 'actorId', 'ip', 'userAgent', 'details', 'timestamp'];
+
+module.exports = {
+	SECURITY_EVENT_FIELDS,
+
+	/**
+	 * Serializes an audit event for the user it concerns.
+	 *
+	 * @param {Object} event - The recorded event.
+	 * @returns {Object} The security event view.
+	 */
+	toSecurityEventView: (event) => {
+		const view = {};
+		for (const field of SECURITY_EVENT_FIELDS) {
+			if (event[field] !== undefined) view[field] = event[field];
+		}
+		return view;
+	},
+};
@@ -0,0 +1,66 @@
+/**
+ * This module defines how users are represented in API responses.
+ *
+ * Every response containing a user must go through one of the views below. Each view
+ * is an explicit allowlist of public fields, so fields added to the user record later
+ * (password hashes, token records, ...) are never sent to clients by accident.
+ *
+ * Views:
+ * - Self: the profile of the authenticated user, as shown to the user themselves.
+ * - Admin: a user as shown to administrators, including account status fields.
+ * - Public: the profile of a user as shown to other users.
+ */
+
+// Fields of the user record visible to the user themselves
+const SELF_FIELDS = ['id', 'username', 'email', 'pendingEmail', 'displayName', 'role', 'emailVerified', 'twoFactorEnabled'];
+
+// Fields of the user record visible to administrators
+const ADMIN_FIELDS = [...SELF_FIELDS, 'disabled', 'failedLoginAttempts', 'lockedUntil', 'legacyId'];
+
+// Fields of the user record visible to other users
+const PUBLIC_FIELDS = ['id', 'username', 'displayName'];
+
+/**
+ * Copies the allowed fields of a user that are set.
+ *
+ * @param {Object} user - The stored user.
+ * @param {Array<string>} fields - The fields to copy.
+ * @returns {Object} A new object with only the allowed fields.
+ */
+function pick(user, fields) {
+	const view = {};
+	for (const field of fields) {
+		if (user[field] !== undefined) view[field] = user[field];
+	}
+	return view;
+}
+
+module.exports = {
+	SELF_FIELDS,
+	ADMIN_FIELDS,
+	PUBLIC_FIELDS,
+
+	/**
+	 * Serializes a user for the user themselves.
+	 *
+	 * @param {Object} user - The stored user.
+	 * @returns {Object} The self view of the user.
+	 */
+	toSelfView: (user) => pick(user, SELF_FIELDS),
+
+	/**
+	 * Serializes a user for administrators.
+	 *
+	 * @param {Object} user - The stored user.
+	 * @returns {Object} The admin view of the user.
+	 */
+	toAdminView: (user) => pick(user, ADMIN_FIELDS),
+
+	/**
+	 * Serializes a user for other users.
+	 *
+	 * @param {Object} user - The stored user.
+	 * @returns {Object} The public view of the user.
+	 */
+	toPublicView: (user) => pick(user, PUBLIC_FIELDS),
+};
@@ -0,0 +1,268 @@
+/**
+ * This module records security-relevant account events in an append-only audit log.
+ *
+ * Every event records what happened (`type`), whether it succeeded (`outcome`, with an
+ * optional `reason` for failures), the user it concerns (`userId`), who performed it
+ * (`actorId`, e.g. an admin acting on another account), where the request came from
+ * (`ip`, `userAgent`), the request ID and a timestamp. Events are never updated or
+ * deleted, not even when the account they concern is deleted.
+ *
+ * Events are stored through a pluggable sink:
+ * - `file`: Appends each event as a JSON line to a file (default).
+ * - `memory`: Keeps events in memory (`sink.events`), so tests can assert on them.
+ *
+ * A sink appends events and returns the most recent events of a user. The file sink
+ * reads the whole file to do so, which is fine for the size of this application; a
+ * larger deployment would plug in a sink backed by a database or a log service. Lines
+ * of the file that do not parse, such as one torn by a crash, are skipped.
+ * Closing the audit log waits for the events still being appended, so none is lost
+ * when the server shuts down.
+ *
+ * Environment Variables:
+ * - `AUDIT_LOG_SINK`: The sink to use (`file` or `memory`).
+ *   Default is `file`, or `memory` when `NODE_ENV` is `test`.
+ * - `AUDIT_LOG_PATH`: The file written by the `file` sink. Default is `data/audit.log`.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config');
+
+// Types of the recorded events
+const EVENT_TYPES = {
+	REGISTER: 'register',
+	EMAIL_VERIFY: 'email.verify',
+	LOGIN: 'login',
+	LOGIN_TWO_FACTOR: 'login.two_factor',
+	LOGOUT: 'logout',
+	ACCOUNT_LOCK: 'account.lock',
+	PASSWORD_CHANGE: 'password.change',
+	PASSWORD_RESET: 'password.reset',
+	PROFILE_UPDATE: 'profile.update',
+	ACCOUNT_DELETE: 'account.delete',
+	TWO_FACTOR_ENABLE: 'two_factor.enable',
+	TWO_FACTOR_DISABLE: 'two_factor.disable',
+	ADMIN_USER_UPDATE: 'admin.user.update',
+	ADMIN_USER_DISABLE: 'admin.user.disable',
+	ADMIN_USER_ENABLE: 'admin.user.enable',
+	ADMIN_USER_UNLOCK: 'admin.user.unlock',
+	ADMIN_USER_DELETE: 'admin.user.delete',
+};
+
+/**
+ * Sorts events from the most recent to the oldest and keeps the first ones.
+ *
+ * @param {Array<Object>} events - The events of a user, oldest first.
+ * @param {number} limit - The maximum number of events to return.
+ * @returns {Array<Object>} The most recent events, newest first.
+ */
+function mostRecent(events, limit) {
+	return events.slice(-limit).reverse();
+}
+
+/**
+ * Parses a line of an audit log file.
+ *
+ * @param {string} line - The line.
+ * @returns {Object|null} The event, or null if the line does not parse, such as a line
+ * torn by a crash while it was being appended.
+ */
+function parseEventLine(line) {
+	try {
+		return JSON.parse(line);
+	} catch (err) {
+		return null;
+	}
+}
+
+/**
+ * Creates a sink that appends events as JSON lines to a file.
+ *
+ * @param {Object} options - Sink options.
+ * @param {string} options.filePath - The file events are appended to.
+ * @returns {Object} An audit log sink.
+ */
+function createFileSink({
+	filePath
+}) {
+	const resolvedPath = path.resolve(filePath);
+
+	// Tail of the write queue: each append chains onto it, so events are written in order
+	let writeQueue = Promise.resolve();
+
+	return {
+		append: function(event) {
+			const write = writeQueue.then(async () => {
+				await fs.mkdir(path.dirname(resolvedPath), {
+					recursive: true
+				});
+				await fs.appendFile(resolvedPath, JSON.stringify(event) + '\n', 'utf8');
+			});
+			writeQueue = write.catch(() => {}); // A failed append must not block the ones queued after it
+			return write;
+		},
+
+		findByUser: async function(userId, limit) {
+			let data;
+			try {
+				data = await fs.readFile(resolvedPath, 'utf8');
+			} catch (err) {
+				if (err.code === 'ENOENT') return []; // Nothing has been recorded yet
+				throw err;
+			}
+
+			const events = data.split('\n')
+				.filter(line => line.trim() !== '')
+				.map(parseEventLine)
+				.filter(event => event && event.userId === userId); // Lines that do not parse are skipped
+			return mostRecent(events, limit);
+		},
+
+		close: async function() {
+			await writeQueue;
+		},
+	};
+}
+
+/**
+ * Creates a sink that keeps events in memory.
+ *
+ * @returns {Object} An audit log sink exposing the recorded events as `events`.
+ */
+function createMemorySink() {
+	return {
+		events: [],
+
+		append: async function(event) {
+			this.events.push(structuredClone(event));
+		},
+
+		findByUser: async function(userId, limit) {
+			return mostRecent(this.events.filter(event => event.userId === userId), limit)
+				.map(event => structuredClone(event));
+		},
+
+		close: async function() {
+			// Nothing to flush
+		},
+	};
+}
+
+// Audit log sinks available to the audit log, keyed by name
+const sinks = {
+	file: createFileSink,
+	memory: createMemorySink,
+};
+
+/**
+ * Creates an audit log storing events through the given sink.
+ *
+ * @param {Object} options - The audit log configuration.
+ * @param {string} [options.sink='file'] - The name of the sink (`file` or `memory`).
+ * @param {string} [options.filePath] - The file written by the `file` sink.
+ * @returns {Object} The audit log, exposing `record`, `recordRequest`, `findByUser`, `close` and the underlying `sink`.
+ */
+function createAuditLog({
+	sink = 'file',
+	...sinkOptions
+}) {
+	const createSink = sinks[sink];
+	if (!createSink) {
+		throw new Error(`Unknown audit log sink "${sink}". Expected one of: ${Object.keys(sinks).join(', ')}.`);
+	}
+
+	const auditSink = createSink(sinkOptions);
+
+	const auditLog = {
+		sink: auditSink,
+
+		/**
+		 * Records an event.
+		 *
+		 * @param {Object} event - The event.
+		 * @param {string} event.type - The type of the event (see `EVENT_TYPES`).
+		 * @param {string|number} [event.userId] - The ID of the user the event concerns.
+		 * @param {string|number} [event.actorId] - The ID of the user who performed the action. Default is `userId`.
+		 * @param {string} [event.outcome='success'] - `success` or `failure`.
+		 * @param {string} [event.reason] - Why the action failed.
+		 * @param {string} [event.ip] - The IP address of the client.
+		 * @param {string} [event.userAgent] - The user agent of the client.
+		 * @param {string} [event.requestId] - The ID of the request.
+		 * @param {Object} [event.details] - Additional information about the event.
+		 * @returns {Promise<Object>} The recorded event.
+		 */
+		record: async function({
+			type,
+			userId,
+			actorId = userId,
+			outcome = 'success',
+			...fields
+		}) {
+			const event = {
+				id: crypto.randomUUID(),
+				type,
+				userId,
+				actorId,
+				outcome,
+				...fields,
+				timestamp: new Date().toISOString(),
+			};
+			await auditSink.append(event);
+			return event;
+		},
+
+		/**
+		 * Records an event of an HTTP request, taking the actor, IP address, user agent and
+		 * request ID from the request.
+		 *
+		 * @param {Object} req - The HTTP request object.
+		 * @param {string} type - The type of the event (see `EVENT_TYPES`).
+		 * @param {Object} [fields] - The other fields of the event (`userId`, `outcome`, `reason`, `details`).
+		 * @returns {Promise<Object>} The recorded event.
+		 */
+		recordRequest: function(req, type, fields = {}) {
+			const userId = fields.userId !== undefined ? fields.userId : req.userId;
+
+			return auditLog.record({
+				type,
+				userId,
+				actorId: req.userId !== undefined ? req.userId : userId,
+				ip: req.ip,
+				userAgent: req.get('user-agent'),
+				requestId: req.id,
+				...fields,
+			});
+		},
+
+		/**
+		 * Returns the most recent events concerning a user, newest first.
+		 *
+		 * @param {string|number} userId - The ID of the user.
+		 * @param {number} [limit=20] - The maximum number of events to return.
+		 * @returns {Promise<Array<Object>>} The events.
+		 */
+		findByUser: function(userId, limit = 20) {
+			return auditSink.findByUser(userId, limit);
+		},
+
+		/**
+		 * Waits for the events being appended, e.g. when the server shuts down.
+		 *
+		 * @returns {Promise<void>}
+		 */
+		close: function() {
+			return auditSink.close();
+		},
+	};
+
+	return auditLog;
+}
+
+// Export the audit log initialized with the configured sink
+module.exports = createAuditLog({
+	sink: config.auditLog.sink,
+	filePath: config.auditLog.filePath,
+});
+module.exports.createAuditLog = createAuditLog;
+module.exports.EVENT_TYPES = EVENT_TYPES;
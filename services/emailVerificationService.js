@@ -0,0 +1,115 @@
+/**
+ * This module implements the email verification flow for new registrations and
+ * email address changes.
+ *
+ * New users are stored with `emailVerified: false` and receive an email containing a
+ * signed verification link. The ID of the only token that may currently be redeemed
+ * is stored on the user record under `emailVerification`, which makes tokens
+ * single-use and lets a resent email invalidate the previous one.
+ *
+ * When a user changes their email address, the new address is kept as `pendingEmail`
+ * and only replaces `email` once it has been verified, so a mistyped address cannot
+ * lock the user out of their account.
+ *
+ * Users stored before email verification existed have no `emailVerified` field and
+ * are treated as verified.
+ *
+ * Environment Variables:
+ * - `APP_BASE_URL`: The public URL of the application, used to build verification
+ *   links. Default is `http://localhost:<PORT>`.
+ */
+
+/**
+ * Checks whether a user has verified their email address.
+ *
+ * @param {Object} user - The user to check.
+ * @returns {boolean} True unless the user is explicitly marked as unverified.
+ */
+function isEmailVerified(user) {
+	return user.emailVerified !== false;
+}
+
+/**
+ * Creates the email verification service.
+ *
+ * @param {Object} options - The dependencies and settings of the service.
+ * @param {Object} options.userModel - The user model verifications are stored with.
+ * @param {Object} options.tokenService - The token service verification tokens are signed and verified with.
+ * @param {Object} options.mailer - The mailer verification emails are sent with.
+ * @param {string} options.appBaseUrl - The public URL of the application, used to build the links sent by email.
+ * @returns {Object} The service.
+ */
+function createEmailVerificationService({
+	userModel,
+	tokenService,
+	mailer,
+	appBaseUrl
+}) {
+	/**
+	 * Issues a new verification token for the user and emails the verification link.
+	 * Any previously sent token stops being valid.
+	 *
+	 * @param {Object} user - The user whose email address should be verified.
+	 * @param {string} [email=user.email] - The address to verify: the user's email, or their pending new email.
+	 * @returns {Promise<void>}
+	 */
+	async function sendVerificationEmail(user, email = user.email) {
+		const verification = tokenService.signEmailVerificationToken(user, email);
+
+		await userModel.updateUser({
+			...user,
+			emailVerification: {
+				tokenId: verification.tokenId,
+				expiresAt: verification.expiresAt,
+			},
+		});
+
+		const link = `${appBaseUrl}/api/verify-email?token=${encodeURIComponent(verification.token)}`;
+		await mailer.send({
+			to: email,
+			subject: 'Verify your email address',
+			text: `Hello ${user.username},\n\nPlease verify your email address by opening the following link:\n${link}\n\nThe link expires on ${verification.expiresAt}.`,
+		});
+	}
+
+	/**
+	 * Redeems a verification token and marks the user's email address as verified. If the
+	 * token was issued for the user's pending email, it becomes their email address.
+	 *
+	 * @param {string} token - The verification token from the emailed link.
+	 * @returns {Promise<Object|null>} The verified user, or null if the token is invalid, expired or already used.
+	 */
+	async function verifyEmail(token) {
+		const decoded = tokenService.verifyEmailVerificationToken(token);
+		if (!decoded) return null;
+
+		const user = await userModel.findUserById(decoded.id);
+		if (!user || !user.emailVerification) return null;
+
+		// Only the latest token is accepted, and only for the address it was issued for
+		if (user.emailVerification.tokenId !== decoded.jti) return null;
+		if (decoded.email !== user.email && decoded.email !== user.pendingEmail) return null;
+
+		const {
+			emailVerification,
+			pendingEmail,
+			...verifiedUser
+		} = user;
+		verifiedUser.email = decoded.email;
+		verifiedUser.emailVerified = true;
+
+		const updated = await userModel.updateUser(verifiedUser);
+		return updated ? verifiedUser : null;
+	}
+
+	return {
+		isEmailVerified,
+		sendVerificationEmail,
+		verifyEmail,
+	};
+}
+
+module.exports = {
+	isEmailVerified,
+	createEmailVerificationService
+};
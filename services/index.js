@@ -0,0 +1,130 @@
+/**
+ * This module wires the services of the application from their dependencies.
+ *
+ * The services never reach for the store, the mailer, the clock or the audit log of
+ * the process: `createServices` hands them the ones it is given, so every application
+ * created with `createApp` (see `app.js`) has services of its own. Settings such as
+ * token lifetimes and login lockouts are read from the given configuration (see
+ * `config/index.js`).
+ */
+
+const {
+	createSigningKeysFromConfig
+} = require('./signingKeys');
+const {
+	createTokenService
+} = require('./tokenService');
+const {
+	createPasswordHasher
+} = require('./passwordHasher');
+const {
+	createPasswordPolicy
+} = require('./passwordPolicy');
+const {
+	createSessionService
+} = require('./sessionService');
+const {
+	createLoginAttemptService
+} = require('./loginAttemptService');
+const {
+	createEmailVerificationService
+} = require('./emailVerificationService');
+const {
+	createPasswordResetService
+} = require('./passwordResetService');
+const {
+	createTwoFactorService
+} = require('./twoFactorService');
+
+/**
+ * Creates the services of the application.
+ *
+ * @param {Object} dependencies - The dependencies of the services.
+ * @param {Object} dependencies.config - The configuration (see `config/index.js`).
+ * @param {Object} dependencies.userModel - The user model.
+ * @param {Object} dependencies.logger - The logger.
+ * @param {Object} dependencies.clock - The clock time-dependent services read time from (see `utils/clock.js`).
+ * @param {Object} dependencies.mailer - The mailer.
+ * @param {Object} dependencies.auditLog - The audit log.
+ * @param {Object} dependencies.metrics - The metrics of the application (see `services/metrics.js`).
+ * @param {Object} [dependencies.tokenService] - The token service. Default is one signing with the keys of the configuration.
+ * @returns {Object} The dependencies, together with the services created from them.
+ */
+function createServices({
+	config,
+	userModel,
+	logger,
+	clock,
+	mailer,
+	auditLog,
+	metrics,
+	tokenService = createTokenService({
+		keys: createSigningKeysFromConfig(config.jwt, logger),
+		issuer: config.jwt.issuer,
+		audience: config.jwt.audience,
+		accessTokenExpiresIn: config.jwt.accessTokenExpiresIn,
+		refreshTokenExpiresIn: config.jwt.refreshTokenExpiresIn,
+		emailVerificationTokenExpiresIn: config.jwt.emailVerificationTokenExpiresIn,
+		twoFactorChallengeExpiresIn: config.jwt.twoFactorChallengeExpiresIn,
+		clock,
+	})
+}) {
+	const passwordHasher = createPasswordHasher({
+		algorithm: config.passwords.hashAlgorithm,
+		bcryptCost: config.passwords.bcryptCost,
+		scryptCost: config.passwords.scryptCost,
+	});
+	const passwordPolicy = createPasswordPolicy({
+		minLength: config.passwords.minLength,
+		maxLength: config.passwords.maxLength,
+		breachedListPath: config.passwords.breachedListPath,
+	});
+	const loginAttemptService = createLoginAttemptService({
+		userModel,
+		clock,
+		...config.login
+	});
+
+	return {
+		config,
+		userModel,
+		logger,
+		clock,
+		mailer,
+		auditLog,
+		metrics,
+		tokenService,
+		passwordHasher,
+		passwordPolicy,
+		loginAttemptService,
+		sessionService: createSessionService({
+			userModel,
+			tokenService,
+			clock
+		}),
+		emailVerificationService: createEmailVerificationService({
+			userModel,
+			tokenService,
+			mailer,
+			appBaseUrl: config.mail.appBaseUrl
+		}),
+		passwordResetService: createPasswordResetService({
+			userModel,
+			mailer,
+			loginAttemptService,
+			passwordHasher,
+			passwordPolicy,
+			clock,
+			resetTokenTtlMinutes: config.passwords.resetTokenTtlMinutes
+		}),
+		twoFactorService: createTwoFactorService({
+			userModel,
+			clock,
+			issuer: config.totpIssuer
+		}),
+	};
+}
+
+module.exports = {
+	createServices
+};
@@ -0,0 +1,190 @@
+/**
+ * This module provides the structured logger of the application.
+ *
+ * Each log entry is written as one JSON line with the time, the level, a message and
+ * any additional fields, so logs can be searched and aggregated by log tools:
+ *
+ *   {"time":"2024-01-01T00:00:00.000Z","level":"info","msg":"request completed","requestId":"...","status":200}
+ *
+ * Fields holding credentials (such as `authorization`, `password` or `refreshToken`)
+ * are replaced by `[REDACTED]` at any depth before an entry is written, as is the `code`
+ * of a request body, the two-factor code or recovery code of a login. Other codes, such
+ * as the codes of errors, are written.
+ *
+ * `child` creates a logger that adds fields to every entry, such as the ID of the
+ * request being handled. The request logger (see `middleware/loggerMiddleware.js`)
+ * attaches such a child logger to every request as `req.log`, so controllers log
+ * with the request ID without passing it around.
+ *
+ * `close` flushes the entries written to a log file and closes it, e.g. when the server
+ * shuts down; entries logged afterwards are dropped.
+ *
+ * Environment Variables:
+ * - `LOG_LEVEL`: The minimum level written (`debug`, `info`, `warn`, `error` or `silent`).
+ *   Default is `info`, or `silent` when `NODE_ENV` is `test`.
+ * - `LOG_FILE`: A file entries are appended to instead of the standard output.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+// Severity of each level; entries below the configured level are dropped
+const LEVELS = {
+	debug: 10,
+	info: 20,
+	warn: 30,
+	error: 40,
+	silent: Infinity,
+};
+
+// Fields whose value is never written to the logs
+const REDACTED_FIELDS = /^(authorization|cookie|set-cookie|password|oldpassword|newpassword|secret|token|refreshtoken|challengetoken|recoverycodes)$/i;
+
+// Fields whose value is never written to the logs when they are found in a given field, by its name
+const REDACTED_NESTED_FIELDS = {
+	body: /^code$/i, // Two-factor codes and recovery codes
+};
+
+// Placeholder written instead of a redacted value
+const REDACTED = '[REDACTED]';
+
+/**
+ * Copies a value, replacing the values of credential fields at any depth.
+ *
+ * @param {*} value - The value to redact.
+ * @param {string} [parentKey] - The name of the field holding the value, if any.
+ * @returns {*} A redacted copy of the value.
+ */
+function redact(value, parentKey) {
+	if (value instanceof Error) {
+		return {
+			name: value.name,
+			message: value.message,
+			code: value.code,
+			stack: value.stack
+		};
+	}
+	if (Array.isArray(value)) return value.map(item => redact(item, parentKey));
+	if (!value || typeof value !== 'object') return value;
+
+	const nestedFields = REDACTED_NESTED_FIELDS[parentKey];
+	const copy = {};
+	for (const [key, fieldValue] of Object.entries(value)) {
+		const redacted = REDACTED_FIELDS.test(key) || (nestedFields && nestedFields.test(key));
+		copy[key] = redacted ? REDACTED : redact(fieldValue, key);
+	}
+	return copy;
+}
+
+/**
+ * Opens the destination log entries are written to.
+ *
+ * @param {string|Object} [destination] - A file path, or an object with a `write(line)` method. Default is the standard output.
+ * @returns {Object} An object with a `write(line)` method.
+ */
+function openDestination(destination) {
+	if (!destination) return process.stdout;
+	if (typeof destination.write === 'function') return destination;
+
+	return fs.createWriteStream(path.resolve(destination), {
+		flags: 'a'
+	});
+}
+
+/**
+ * Creates a structured logger.
+ *
+ * @param {Object} [options] - The logger configuration.
+ * @param {string} [options.level='info'] - The minimum level written.
+ * @param {string|Object} [options.destination] - A file path, or an object with a `write(line)` method. Default is the standard output.
+ * @param {Object} [options.fields={}] - Fields added to every entry.
+ * @returns {Object} The logger, exposing `debug`, `info`, `warn`, `error`, `child` and `close`.
+ */
+function createLogger({
+	level = 'info',
+	destination,
+	fields = {}
+} = {}) {
+	if (!(level in LEVELS)) {
+		throw new Error(`Unknown log level "${level}". Expected one of: ${Object.keys(LEVELS).join(', ')}.`);
+	}
+
+	const output = openDestination(destination);
+	let closed = false;
+
+	/**
+	 * Builds a logger writing to the shared output with the given fields.
+	 *
+	 * @param {Object} baseFields - Fields added to every entry.
+	 * @returns {Object} The logger.
+	 */
+	function build(baseFields) {
+		const log = (entryLevel) => (msg, entryFields = {}) => {
+			if (closed || LEVELS[entryLevel] < LEVELS[level]) return;
+
+			output.write(JSON.stringify({
+				time: new Date().toISOString(),
+				level: entryLevel,
+				msg,
+				...redact({
+					...baseFields,
+					...entryFields
+				}),
+			}) + '\n');
+		};
+
+		return {
+			level,
+			debug: log('debug'),
+			info: log('info'),
+			warn: log('warn'),
+			error: log('error'),
+
+			/**
+			 * Creates a logger that adds fields to every entry.
+			 *
+			 * @param {Object} childFields - The fields to add.
+			 * @returns {Object} The child logger.
+			 */
+			child: (childFields) => build({
+				...baseFields,
+				...childFields
+			}),
+
+			/**
+			 * Checks whether entries of a level are written, to skip building costly fields.
+			 *
+			 * @param {string} entryLevel - The level.
+			 * @returns {boolean} True if entries of the level are written.
+			 */
+			isLevelEnabled: (entryLevel) => LEVELS[entryLevel] >= LEVELS[level],
+
+			/**
+			 * Flushes the written entries and closes the log file. The standard output and
+			 * destinations given as objects are left open.
+			 *
+			 * @returns {Promise<void>}
+			 */
+			close: () => {
+				if (closed) return Promise.resolve();
+				closed = true;
+
+				if (output === process.stdout || output === destination) return Promise.resolve();
+				return new Promise((resolve, reject) => {
+					output.end((err) => err ? reject(err) : resolve());
+				});
+			},
+		};
+	}
+
+	return build(fields);
+}
+
+// Export the logger initialized with the configured level and destination
+module.exports = createLogger({
+	level: config.log.level,
+	destination: config.log.file,
+});
+module.exports.createLogger = createLogger;
+module.exports.redact = redact;
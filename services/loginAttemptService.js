@@ -0,0 +1,209 @@
+/**
+ * This module protects accounts against brute-force login attempts.
+ *
+ * Failed logins are counted per account on the user record (`failedLoginAttempts`),
+ * so the protection holds no matter how many IP addresses an attacker spreads
+ * their attempts over:
+ *
+ * - Progressive delay: every failed attempt is answered after a delay that doubles
+ *   with each consecutive failure, slowing down password guessing.
+ * - Lockout: once the maximum number of consecutive failures is reached, the account
+ *   is locked until `lockedUntil`. While locked, even the correct password is refused.
+ * - A successful login, a password reset or an admin unlock clears both.
+ *
+ * Locked accounts are refused with the same `Invalid credentials.` response as a wrong
+ * password, so lockout does not reveal whether an account exists. For the same reason, the
+ * failures of a username matching no account are counted too, in the memory of the process,
+ * and delayed like the failures of an account.
+ *
+ * Time is read from the injected clock (see `utils/clock.js`), so lockouts can be tested
+ * without waiting.
+ *
+ * Environment Variables:
+ * - `LOGIN_MAX_FAILED_ATTEMPTS`: Consecutive failed logins before the account is locked. Default is 5.
+ * - `LOGIN_LOCKOUT_MINUTES`: Duration of a lockout, in minutes. Default is 15.
+ * - `LOGIN_FAILURE_DELAY_MS`: Delay before answering the first failed login, in milliseconds. Default is 250.
+ */
+
+// Upper bound of the delay, so a request is never held open for long
+const MAX_FAILURE_DELAY_MS = 5000;
+
+// Number of usernames matching no account whose failures are remembered, the oldest being forgotten first
+const MAX_UNKNOWN_USERNAMES = 10000;
+
+/**
+ * Checks whether a user is currently locked out.
+ *
+ * @param {Object} user - The user to check.
+ * @param {number} [now] - The current time, in milliseconds since the epoch. Default is the time of the system.
+ * @returns {boolean} True if the account is locked.
+ */
+function isLocked(user, now = Date.now()) {
+	return Boolean(user.lockedUntil) && new Date(user.lockedUntil).getTime() > now;
+}
+
+/**
+ * Computes the delay before answering a failed login.
+ *
+ * @param {number} failedAttempts - The number of consecutive failed attempts, including this one.
+ * @param {number} baseMs - The delay of the first failed attempt.
+ * @returns {number} The delay in milliseconds.
+ */
+function failureDelay(failedAttempts, baseMs) {
+	const exponent = Math.max(failedAttempts, 1) - 1;
+	return Math.min(baseMs * 2 ** exponent, MAX_FAILURE_DELAY_MS);
+}
+
+/**
+ * Waits for the given number of milliseconds.
+ *
+ * @param {number} ms - The delay.
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Removes the failed-attempt counter and lockout from a user record.
+ *
+ * @param {Object} user - The user.
+ * @returns {Object} A copy of the user without lockout state.
+ */
+function clearLockout(user) {
+	const {
+		failedLoginAttempts,
+		lockedUntil,
+		...unlockedUser
+	} = user;
+	return unlockedUser;
+}
+
+/**
+ * Creates the login attempt service.
+ *
+ * @param {Object} options - The dependencies and settings of the service.
+ * @param {Object} options.userModel - The user model failed attempts are stored with.
+ * @param {Object} options.clock - The clock lockouts are timed with (see `utils/clock.js`).
+ * @param {number} [options.maxFailedAttempts=5] - Consecutive failed logins before the account is locked.
+ * @param {number} [options.lockoutMinutes=15] - Duration of a lockout, in minutes.
+ * @param {number} [options.failureDelayMs=250] - Delay before answering the first failed login, doubled for each further failure.
+ * @returns {Object} The service.
+ */
+function createLoginAttemptService({
+	userModel,
+	clock,
+	maxFailedAttempts = 5,
+	lockoutMinutes = 15,
+	failureDelayMs = 250
+}) {
+	// Failed-attempt counters and lockouts of the usernames matching no account, by username
+	const unknownUsernames = new Map();
+
+	/**
+	 * Checks whether a user is currently locked out, by the time of the clock.
+	 *
+	 * @param {Object} user - The user to check.
+	 * @returns {boolean} True if the account is locked.
+	 */
+	function isLockedNow(user) {
+		return isLocked(user, clock.now());
+	}
+
+	/**
+	 * Counts a failed login on the failed-attempt counter and lockout of an account,
+	 * locking it once the maximum number of consecutive failures is reached. Attempts on
+	 * a locked account do not extend the lockout.
+	 *
+	 * @param {Object} record - The user, or the counter of a username matching no account.
+	 * @returns {{record: Object|null, failedLoginAttempts: number, locked: boolean}} The
+	 * updated record (null if it is locked and left as is), the consecutive failures and
+	 * whether this failure locked the account.
+	 */
+	function countFailure(record) {
+		if (isLockedNow(record)) {
+			return {
+				record: null,
+				failedLoginAttempts: record.failedLoginAttempts,
+				locked: false
+			};
+		}
+
+		// A failure after an expired lockout starts a new series of attempts
+		const updatedRecord = record.lockedUntil ? clearLockout(record) : {
+			...record
+		};
+		updatedRecord.failedLoginAttempts = (updatedRecord.failedLoginAttempts || 0) + 1;
+		const locked = updatedRecord.failedLoginAttempts >= maxFailedAttempts;
+		if (locked) {
+			updatedRecord.lockedUntil = new Date(clock.now() + lockoutMinutes * 60 * 1000).toISOString();
+		}
+		return {
+			record: updatedRecord,
+			failedLoginAttempts: updatedRecord.failedLoginAttempts,
+			locked
+		};
+	}
+
+	/**
+	 * Records a failed login, locks the account once the maximum number of consecutive
+	 * failures is reached, and waits for the progressive delay.
+	 *
+	 * When no user matches the login, the failures are counted by the submitted username
+	 * alike, so the delays do not tell unknown usernames apart from existing accounts.
+	 *
+	 * @param {Object|null} user - The user the login was attempted for, if any.
+	 * @param {string} [username] - The submitted username. Default is the username of the user.
+	 * @returns {Promise<boolean>} True if this failure locked the account.
+	 */
+	async function recordFailure(user, username = user && user.username) {
+		let failure = countFailure({}); // Kept if the user is deleted meanwhile
+		if (user) {
+			// The counter is incremented on the stored user, not on the one read before the
+			// password check, so concurrent failures are all counted
+			await userModel.modifyUser(user.id, (storedUser) => {
+				failure = countFailure(storedUser);
+				return failure.record;
+			});
+		} else {
+			failure = countFailure(unknownUsernames.get(username) || {});
+			if (failure.record) {
+				unknownUsernames.delete(username); // Moved to the end, as the latest username
+				unknownUsernames.set(username, failure.record);
+				if (unknownUsernames.size > MAX_UNKNOWN_USERNAMES) {
+					unknownUsernames.delete(unknownUsernames.keys().next().value);
+				}
+			}
+		}
+
+		await sleep(failureDelay(failure.failedLoginAttempts, failureDelayMs));
+		return failure.locked;
+	}
+
+	/**
+	 * Clears the failed-attempt counter and lockout of a user after a successful login.
+	 *
+	 * @param {Object} user - The user who logged in.
+	 * @returns {Promise<void>}
+	 */
+	async function recordSuccess(user) {
+		if (!user.failedLoginAttempts && !user.lockedUntil) return;
+
+		// Cleared on the stored user, so changes made since the login started are kept
+		await userModel.modifyUser(user.id, storedUser => clearLockout(storedUser));
+	}
+
+	return {
+		isLocked: isLockedNow,
+		recordFailure,
+		recordSuccess,
+		clearLockout,
+	};
+}
+
+module.exports = {
+	isLocked,
+	failureDelay,
+	clearLockout,
+	createLoginAttemptService
+};
@@ -0,0 +1,123 @@
+/**
+ * This module sends the emails of the application through a pluggable transport.
+ *
+ * Available transports:
+ * - `console`: Prints each email to the console (default).
+ * - `file`: Appends each email as a JSON line to a file, e.g. to inspect emails locally.
+ * - `memory`: Keeps sent emails in memory (`transport.messages`), so tests can assert on them.
+ *
+ * Environment Variables:
+ * - `MAIL_TRANSPORT`: The transport to use (`console`, `file` or `memory`).
+ *   Default is `console`, or `memory` when `NODE_ENV` is `test`. Production requires `file`,
+ *   as the configuration refuses transports printing or dropping the tokens sent by email.
+ * - `MAIL_FILE_PATH`: The file written by the `file` transport. Default is `data/mail.log`.
+ * - `MAIL_FROM`: The sender address of outgoing emails. Default is `no-reply@example.com`.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config');
+
+/**
+ * Creates a transport that prints emails to the console.
+ *
+ * @returns {Object} A mail transport.
+ */
+function createConsoleTransport() {
+	return {
+		send: async function(message) {
+			console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+		},
+	};
+}
+
+/**
+ * Creates a transport that appends emails as JSON lines to a file.
+ *
+ * @param {Object} options - Transport options.
+ * @param {string} options.filePath - The file emails are appended to.
+ * @returns {Object} A mail transport.
+ */
+function createFileTransport({
+	filePath
+}) {
+	const resolvedPath = path.resolve(filePath);
+
+	return {
+		send: async function(message) {
+			await fs.appendFile(resolvedPath, JSON.stringify(message) + '\n', 'utf8');
+		},
+	};
+}
+
+/**
+ * Creates a transport that keeps emails in memory.
+ *
+ * @returns {Object} A mail transport exposing the sent emails as `messages`.
+ */
+function createMemoryTransport() {
+	return {
+		messages: [],
+		send: async function(message) {
+			this.messages.push(message);
+		},
+	};
+}
+
+// Mail transports available to the mailer, keyed by name
+const transports = {
+	console: createConsoleTransport,
+	file: createFileTransport,
+	memory: createMemoryTransport,
+};
+
+/**
+ * Creates a mailer sending emails through the given transport.
+ *
+ * @param {Object} options - The mailer configuration.
+ * @param {string} [options.transport='console'] - The name of the transport (`console`, `file` or `memory`).
+ * @param {string} [options.from] - The sender address of outgoing emails.
+ * @param {string} [options.filePath] - The file written by the `file` transport.
+ * @returns {Object} The mailer, exposing `send` and the underlying `transport`.
+ */
+function createMailer({
+	transport = 'console',
+	from = 'no-reply@example.com',
+	...transportOptions
+}) {
+	const createTransport = transports[transport];
+	if (!createTransport) {
+		throw new Error(`Unknown mail transport "${transport}". Expected one of: ${Object.keys(transports).join(', ')}.`);
+	}
+
+	const mailTransport = createTransport(transportOptions);
+
+	return {
+		transport: mailTransport,
+
+		/**
+		 * Sends an email.
+		 *
+		 * @param {Object} message - The email to send.
+		 * @param {string} message.to - The recipient address.
+		 * @param {string} message.subject - The subject line.
+		 * @param {string} message.text - The plain-text body.
+		 * @returns {Promise<void>}
+		 */
+		send: function(message) {
+			return mailTransport.send({
+				from,
+				...message,
+				sentAt: new Date().toISOString(),
+			});
+		},
+	};
+}
+
+// Export the mailer initialized with the configured transport
+module.exports = createMailer({
+	transport: config.mail.transport,
+	from: config.mail.from,
+	filePath: config.mail.filePath,
+});
+module.exports.createMailer = createMailer;
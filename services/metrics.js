@@ -0,0 +1,235 @@
+/**
+ * This module collects the metrics of the application and renders them in the
+ * Prometheus text exposition format, served at `GET /metrics` (see `routes/health.js`).
+ *
+ * Collected metrics:
+ * - `http_requests_total`: Counter of HTTP requests, by `method`, `route` and `status`.
+ * - `http_request_duration_seconds`: Histogram of the latency of HTTP requests, by
+ *   `method`, `route` and `status`.
+ * - `login_attempts_total`: Counter of logins, by `outcome` (`success` or `failure`) and,
+ *   for failures, `reason` (the reason recorded in the audit log, such as `invalid_password`).
+ * - `rate_limit_rejections_total`: Counter of requests rejected by a rate limiter, by `policy`.
+ *
+ * Routes are labelled with their path pattern (such as `/api/users/{id}`) rather than the
+ * requested URL, so the number of series stays bounded. Metrics are kept in the memory of
+ * the process; every application created with `createApp` collects its own.
+ */
+
+// Upper bounds of the latency histogram buckets, in seconds
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Formats the labels of a series, such as `{method="GET",status="200"}`.
+ *
+ * @param {Object} labels - The label values, keyed by label name.
+ * @returns {string} The formatted labels, or an empty string when there are none.
+ */
+function formatLabels(labels) {
+	const pairs = Object.entries(labels)
+		.filter(([, value]) => value !== undefined)
+		.map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+	return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Creates a counter.
+ *
+ * @param {Object} options - The counter definition.
+ * @param {string} options.name - The name of the metric.
+ * @param {string} options.help - The description of the metric.
+ * @returns {Object} The counter, exposing `inc`, `get` and `render`.
+ */
+function createCounter({
+	name,
+	help
+}) {
+	// Values of the series, keyed by their formatted labels
+	const series = new Map();
+
+	return {
+		/**
+		 * Increments the series of the given labels.
+		 *
+		 * @param {Object} [labels] - The label values.
+		 * @param {number} [amount=1] - The amount to add.
+		 */
+		inc: function(labels = {}, amount = 1) {
+			const key = formatLabels(labels);
+			series.set(key, (series.get(key) || 0) + amount);
+		},
+
+		/**
+		 * Returns the value of the series of the given labels.
+		 *
+		 * @param {Object} [labels] - The label values.
+		 * @returns {number} The value, 0 if the series has not been incremented.
+		 */
+		get: function(labels = {}) {
+			return series.get(formatLabels(labels)) || 0;
+		},
+
+		render: function() {
+			const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+			for (const [key, value] of series) lines.push(`${name}${key} ${value}`);
+			return lines.join('\n');
+		},
+	};
+}
+
+/**
+ * Creates a histogram.
+ *
+ * @param {Object} options - The histogram definition.
+ * @param {string} options.name - The name of the metric.
+ * @param {string} options.help - The description of the metric.
+ * @param {Array<number>} options.buckets - The upper bounds of the buckets, in increasing order.
+ * @returns {Object} The histogram, exposing `observe` and `render`.
+ */
+function createHistogram({
+	name,
+	help,
+	buckets
+}) {
+	// Observations of the series, keyed by their formatted labels: { labels, counts, sum, count }
+	const series = new Map();
+
+	return {
+		/**
+		 * Records an observation in the series of the given labels.
+		 *
+		 * @param {Object} labels - The label values.
+		 * @param {number} value - The observed value.
+		 */
+		observe: function(labels, value) {
+			const key = formatLabels(labels);
+			if (!series.has(key)) {
+				series.set(key, {
+					labels,
+					counts: buckets.map(() => 0),
+					sum: 0,
+					count: 0
+				});
+			}
+
+			const observations = series.get(key);
+			buckets.forEach((bound, index) => {
+				if (value <= bound) observations.counts[index]++;
+			});
+			observations.sum += value;
+			observations.count++;
+		},
+
+		render: function() {
+			const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+			for (const [key, observations] of series) {
+				const bucketLabels = (le) => formatLabels({
+					...observations.labels,
+					le
+				});
+				buckets.forEach((bound, index) => {
+					lines.push(`${name}_bucket${bucketLabels(bound)} ${observations.counts[index]}`);
+				});
+				lines.push(`${name}_bucket${bucketLabels('+Inf')} ${observations.count}`);
+				lines.push(`${name}_sum${key} ${observations.sum}`);
+				lines.push(`${name}_count${key} ${observations.count}`);
+			}
+			return lines.join('\n');
+		},
+	};
+}
+
+/**
+ * Creates the metrics of an application.
+ *
+ * @returns {Object} The metrics, exposing `observeRequest`, `recordLogin`, `recordRateLimitRejection`,
+ * `render` and the underlying `httpRequests`, `httpRequestDuration`, `loginAttempts` and `rateLimitRejections`.
+ */
+function createMetrics() {
+	const metrics = {
+		httpRequests: createCounter({
+			name: 'http_requests_total',
+			help: 'Number of HTTP requests, by method, route and status.'
+		}),
+		httpRequestDuration: createHistogram({
+			name: 'http_request_duration_seconds',
+			help: 'Latency of HTTP requests in seconds, by method, route and status.',
+			buckets: DURATION_BUCKETS
+		}),
+		loginAttempts: createCounter({
+			name: 'login_attempts_total',
+			help: 'Number of logins, by outcome and reason of failure.'
+		}),
+		rateLimitRejections: createCounter({
+			name: 'rate_limit_rejections_total',
+			help: 'Number of requests rejected by a rate limiter, by policy.'
+		}),
+
+		/**
+		 * Records a completed HTTP request.
+		 *
+		 * @param {Object} request - The request.
+		 * @param {string} request.method - The HTTP method.
+		 * @param {string} request.route - The path pattern of the route.
+		 * @param {number} request.status - The status code of the response.
+		 * @param {number} request.durationSeconds - The latency of the request, in seconds.
+		 */
+		observeRequest: function({
+			method,
+			route,
+			status,
+			durationSeconds
+		}) {
+			const labels = {
+				method,
+				route,
+				status
+			};
+			metrics.httpRequests.inc(labels);
+			metrics.httpRequestDuration.observe(labels, durationSeconds);
+		},
+
+		/**
+		 * Records a login.
+		 *
+		 * @param {string} outcome - `success` or `failure`.
+		 * @param {string} [reason] - Why the login failed.
+		 */
+		recordLogin: function(outcome, reason) {
+			metrics.loginAttempts.inc({
+				outcome,
+				reason
+			});
+		},
+
+		/**
+		 * Records a request rejected by a rate limiter.
+		 *
+		 * @param {string} policy - The name of the rate-limit policy.
+		 */
+		recordRateLimitRejection: function(policy) {
+			metrics.rateLimitRejections.inc({
+				policy
+			});
+		},
+
+		/**
+		 * Renders every metric in the Prometheus text exposition format.
+		 *
+		 * @returns {string} The metrics.
+		 */
+		render: function() {
+			return [
+				metrics.httpRequests,
+				metrics.httpRequestDuration,
+				metrics.loginAttempts,
+				metrics.rateLimitRejections,
+			].map(metric => metric.render()).join('\n') + '\n';
+		},
+	};
+
+	return metrics;
+}
+
+module.exports = {
+	createMetrics
+};
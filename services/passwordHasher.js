@@ -0,0 +1,204 @@
+/**
+ * This module hashes and verifies user passwords.
+ *
+ * Hashing runs off the event loop (in the libuv thread pool), so logins and password
+ * changes do not block other requests. New hashes use the configured algorithm:
+ * - `bcrypt`: bcrypt with a configurable cost factor (default).
+ * - `scrypt`: scrypt from the Node.js crypto module, stored as
+ *   `$scrypt$ln=<log2 N>,r=<r>,p=<p>$<salt>$<hash>`.
+ * - `argon2`: argon2id, which requires the `argon2` package.
+ *
+ * Stored hashes of every algorithm can be verified, whatever the configured one, so the
+ * algorithm or cost can be changed at any time: `needsRehash` tells whether a stored
+ * hash uses another algorithm or cost, and the login rehashes such passwords with the
+ * current settings once the user has proven to know them.
+ *
+ * Environment Variables:
+ * - `PASSWORD_HASH_ALGORITHM`: The algorithm of new hashes (`bcrypt`, `scrypt` or `argon2`). Default is `bcrypt`.
+ * - `BCRYPT_COST`: The cost factor (log2 of the rounds) of bcrypt hashes, from 4 to 31. Default is 10.
+ * - `SCRYPT_COST`: The cost (log2 of N) of scrypt hashes, from 10 to 20. Default is 15.
+ */
+
+const crypto = require('crypto');
+const util = require('util');
+const bcrypt = require('bcrypt');
+const config = require('../config');
+
+const scrypt = util.promisify(crypto.scrypt);
+
+// Block size and parallelization of scrypt hashes, and the length of their salts and keys
+const SCRYPT_BLOCK_SIZE = 8;
+const SCRYPT_PARALLELIZATION = 1;
+const SCRYPT_SALT_BYTES = 16;
+const SCRYPT_KEY_BYTES = 64;
+
+// Format of stored scrypt hashes
+const SCRYPT_HASH_PATTERN = /^\$scrypt\$ln=(\d+),r=(\d+),p=(\d+)\$([A-Za-z0-9+/]+={0,2})\$([A-Za-z0-9+/]+={0,2})$/;
+
+/**
+ * Loads the `argon2` package.
+ *
+ * @returns {Object} The `argon2` package.
+ * @throws {Error} If the `argon2` package is not installed.
+ */
+function loadArgon2() {
+	try {
+		return require('argon2');
+	} catch (err) {
+		throw new Error('Argon2 password hashes require the "argon2" package. Install it with: npm install argon2');
+	}
+}
+
+/**
+ * Derives the scrypt key of a password.
+ *
+ * @param {string} password - The password, in plain text.
+ * @param {Buffer} salt - The salt.
+ * @param {number} cost - The log2 of the scrypt cost N.
+ * @param {number} blockSize - The scrypt block size r.
+ * @param {number} parallelization - The scrypt parallelization p.
+ * @returns {Promise<Buffer>} The derived key.
+ */
+function deriveScryptKey(password, salt, cost, blockSize, parallelization) {
+	const N = 2 ** cost;
+	return scrypt(password, salt, SCRYPT_KEY_BYTES, {
+		N,
+		r: blockSize,
+		p: parallelization,
+		maxmem: 256 * N * blockSize, // The default limit of 32 MB is too low for the higher costs
+	});
+}
+
+// Password hashing algorithms, keyed by name
+const algorithms = {
+	bcrypt: {
+		identifies: hash => /^\$2[aby]\$/.test(hash),
+		hash: (password, options) => bcrypt.hash(password, options.bcryptCost),
+		verify: (password, hash) => bcrypt.compare(password, hash),
+		needsRehash: (hash, options) => bcrypt.getRounds(hash) !== options.bcryptCost,
+	},
+
+	scrypt: {
+		identifies: hash => hash.startsWith('$scrypt$'),
+		hash: async (password, options) => {
+			const salt = crypto.randomBytes(SCRYPT_SALT_BYTES);
+			const key = await deriveScryptKey(password, salt, options.scryptCost, SCRYPT_BLOCK_SIZE, SCRYPT_PARALLELIZATION);
+			return `$scrypt$ln=${options.scryptCost},r=${SCRYPT_BLOCK_SIZE},p=${SCRYPT_PARALLELIZATION}$${salt.toString('base64')}$${key.toString('base64')}`;
+		},
+		verify: async (password, hash) => {
+			const match = SCRYPT_HASH_PATTERN.exec(hash);
+			if (!match) return false;
+
+			const [, cost, blockSize, parallelization, salt, expected] = match;
+			const key = await deriveScryptKey(password, Buffer.from(salt, 'base64'), Number(cost), Number(blockSize), Number(parallelization));
+			const expectedKey = Buffer.from(expected, 'base64');
+			return key.length === expectedKey.length && crypto.timingSafeEqual(key, expectedKey);
+		},
+		needsRehash: (hash, options) => {
+			const match = SCRYPT_HASH_PATTERN.exec(hash);
+			return !match ||
+				Number(match[1]) !== options.scryptCost ||
+				Number(match[2]) !== SCRYPT_BLOCK_SIZE ||
+				Number(match[3]) !== SCRYPT_PARALLELIZATION;
+		},
+	},
+
+	argon2: {
+		identifies: hash => hash.startsWith('$argon2'),
+		hash: password => loadArgon2().hash(password, {
+			type: loadArgon2().argon2id
+		}),
+		verify: (password, hash) => loadArgon2().verify(hash, password),
+		needsRehash: hash => loadArgon2().needsRehash(hash),
+	},
+};
+
+/**
+ * Finds the algorithm a stored hash was created with.
+ *
+ * @param {string} hash - The stored hash.
+ * @returns {Object|undefined} The algorithm, or undefined if the format is not recognized.
+ */
+function algorithmOf(hash) {
+	return Object.values(algorithms).find(algorithm => algorithm.identifies(hash));
+}
+
+/**
+ * Creates a password hasher.
+ *
+ * @param {Object} [options] - Hashing options.
+ * @param {string} [options.algorithm='bcrypt'] - The algorithm of new hashes (`bcrypt`, `scrypt` or `argon2`).
+ * @param {number} [options.bcryptCost=10] - The cost factor of bcrypt hashes.
+ * @param {number} [options.scryptCost=15] - The log2 of the cost N of scrypt hashes.
+ * @returns {Object} The password hasher, exposing `hash`, `verify` and `needsRehash`.
+ */
+function createPasswordHasher({
+	algorithm = 'bcrypt',
+	bcryptCost = 10,
+	scryptCost = 15
+} = {}) {
+	const current = algorithms[algorithm];
+	if (!current) {
+		throw new Error(`Unknown password hash algorithm "${algorithm}". Expected one of: ${Object.keys(algorithms).join(', ')}.`);
+	}
+
+	const options = {
+		bcryptCost,
+		scryptCost
+	};
+
+	// Hash verified against when there is no stored hash, so both cases take as long
+	let dummyHash = null;
+
+	return {
+		algorithm,
+
+		/**
+		 * Hashes a password with the configured algorithm.
+		 *
+		 * @param {string} password - The password, in plain text.
+		 * @returns {Promise<string>} The hash to store.
+		 */
+		hash: function(password) {
+			return current.hash(password, options);
+		},
+
+		/**
+		 * Checks a password against a stored hash of any supported algorithm. Without a
+		 * stored hash, such as when no user matches a login, a hash is still verified so
+		 * the response takes as long, and the password is rejected.
+		 *
+		 * @param {string} password - The password, in plain text.
+		 * @param {string|null} hash - The stored hash.
+		 * @returns {Promise<boolean>} Whether the password matches.
+		 */
+		verify: async function(password, hash) {
+			if (!hash) {
+				dummyHash = dummyHash || current.hash('dummy-password', options);
+				await current.verify(password, await dummyHash);
+				return false;
+			}
+
+			const hashAlgorithm = algorithmOf(hash);
+			return hashAlgorithm ? hashAlgorithm.verify(password, hash) : false;
+		},
+
+		/**
+		 * Tells whether a stored hash was created with another algorithm or cost than
+		 * the configured ones, and should be replaced.
+		 *
+		 * @param {string} hash - The stored hash.
+		 * @returns {boolean} Whether the password should be rehashed.
+		 */
+		needsRehash: function(hash) {
+			return algorithmOf(hash) !== current || current.needsRehash(hash, options);
+		},
+	};
+}
+
+module.exports = createPasswordHasher({
+	algorithm: config.passwords.hashAlgorithm,
+	bcryptCost: config.passwords.bcryptCost,
+	scryptCost: config.passwords.scryptCost,
+});
+module.exports.createPasswordHasher = createPasswordHasher;
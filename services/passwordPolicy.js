@@ -0,0 +1,133 @@
+/**
+ * This module implements the password policy new passwords must satisfy, on
+ * registration, password changes and password resets.
+ *
+ * A password must:
+ * - Have at least `minLength` characters, and at most `maxLength` bytes in UTF-8. bcrypt
+ *   ignores the bytes after the 72nd, so longer passwords would be accepted as equal to
+ *   any other password sharing their first 72 bytes; `maxLength` is therefore at most 72.
+ * - Not be on the breached-password list, a local text file with one password per line
+ *   (blank lines and lines starting with `#` are ignored). The comparison ignores case.
+ * - Not be the username of the account, ignoring case.
+ *
+ * The length limits are also enforced by the request schemas (see `schemas/userSchemas.js`),
+ * so they are published in the API documentation.
+ *
+ * Environment Variables:
+ * - `PASSWORD_MIN_LENGTH`: The minimum length of passwords. Default is 8.
+ * - `PASSWORD_MAX_LENGTH`: The maximum length of passwords, in UTF-8 bytes, up to 72. Default is 72.
+ * - `PASSWORD_BREACHED_LIST_PATH`: The breached-password list. Default is `config/breached-passwords.txt`.
+ */
+
+const fs = require('fs');
+const config = require('../config');
+
+/**
+ * Raised when a password does not satisfy the password policy.
+ */
+class PasswordPolicyError extends Error {
+	/**
+	 * @param {Array<Object>} violations - The rules the password breaks, each with a `type` and a `message`.
+	 */
+	constructor(violations) {
+		super(violations[0].message);
+		this.name = 'PasswordPolicyError';
+		this.violations = violations;
+	}
+}
+
+/**
+ * Reads a breached-password list.
+ *
+ * @param {string} filePath - The path of the list.
+ * @returns {Set<string>} The passwords of the list, in lower case.
+ */
+function loadBreachedPasswords(filePath) {
+	return new Set(fs.readFileSync(filePath, 'utf8')
+		.split(/\r?\n/)
+		.map(line => line.trim())
+		.filter(line => line !== '' && !line.startsWith('#'))
+		.map(line => line.toLowerCase()));
+}
+
+/**
+ * Creates a password policy.
+ *
+ * @param {Object} [options] - The rules of the policy.
+ * @param {number} [options.minLength=8] - The minimum length of passwords.
+ * @param {number} [options.maxLength=72] - The maximum length of passwords, in UTF-8 bytes.
+ * @param {string} [options.breachedListPath] - The breached-password list. Default is no list.
+ * @returns {Object} The password policy, exposing `check` and `assertAllowed`.
+ */
+function createPasswordPolicy({
+	minLength = 8,
+	maxLength = 72,
+	breachedListPath
+} = {}) {
+	const breachedPasswords = breachedListPath ? loadBreachedPasswords(breachedListPath) : new Set();
+
+	/**
+	 * Lists the rules of the policy a password breaks.
+	 *
+	 * @param {string} password - The password, in plain text.
+	 * @param {Object} [account] - The account the password is for.
+	 * @param {string} [account.username] - The username of the account.
+	 * @returns {Array<Object>} The broken rules, each with a `type` and a `message`. Empty if the password is allowed.
+	 */
+	function check(password, {
+		username
+	} = {}) {
+		const violations = [];
+		if (password.length < minLength) {
+			violations.push({
+				type: 'password.min',
+				message: `Password must be at least ${minLength} characters long.`
+			});
+		}
+		if (Buffer.byteLength(password, 'utf8') > maxLength) {
+			violations.push({
+				type: 'password.max',
+				message: `Password must be at most ${maxLength} bytes long in UTF-8.`
+			});
+		}
+		if (breachedPasswords.has(password.toLowerCase())) {
+			violations.push({
+				type: 'password.breached',
+				message: 'Password is too common and has appeared in data breaches.'
+			});
+		}
+		if (username && password.toLowerCase() === username.toLowerCase()) {
+			violations.push({
+				type: 'password.username',
+				message: 'Password must not be the same as the username.'
+			});
+		}
+		return violations;
+	}
+
+	return {
+		minLength,
+		maxLength,
+		check,
+
+		/**
+		 * Checks a password against the policy.
+		 *
+		 * @param {string} password - The password, in plain text.
+		 * @param {Object} [account] - The account the password is for, with its `username`.
+		 * @throws {PasswordPolicyError} If the password breaks a rule of the policy.
+		 */
+		assertAllowed: function(password, account) {
+			const violations = check(password, account);
+			if (violations.length > 0) throw new PasswordPolicyError(violations);
+		},
+	};
+}
+
+module.exports = createPasswordPolicy({
+	minLength: config.passwords.minLength,
+	maxLength: config.passwords.maxLength,
+	breachedListPath: config.passwords.breachedListPath,
+});
+module.exports.createPasswordPolicy = createPasswordPolicy;
+module.exports.PasswordPolicyError = PasswordPolicyError;
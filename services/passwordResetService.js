@@ -0,0 +1,157 @@
+/**
+ * This module implements the forgot-password / password-reset flow.
+ *
+ * A reset request emails the user a random, single-use reset token. Only a SHA-256
+ * hash of the token is stored on the user record under `passwordReset`, together
+ * with its expiry date, so the token cannot be recovered from the user store.
+ * Redeeming the token sets the new password, discards the token, lifts a login
+ * lockout and revokes every session of the user.
+ *
+ * Tokens have the form `<user ID>.<random secret>` so the user can be looked up
+ * without scanning the whole store.
+ *
+ * Environment Variables:
+ * - `PASSWORD_RESET_TOKEN_TTL_MINUTES`: Lifetime of password reset tokens, in minutes. Default is 30.
+ */
+
+const crypto = require('crypto');
+const parseUserId = require('../utils/parseUserId');
+
+/**
+ * Hashes a reset token secret for storage and comparison.
+ *
+ * @param {string} secret - The random part of the reset token.
+ * @returns {string} The hex-encoded SHA-256 hash.
+ */
+function hashSecret(secret) {
+	return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Checks a reset token secret against the reset stored on a user.
+ *
+ * @param {Object|undefined} passwordReset - The reset stored on the user, if any.
+ * @param {string} secret - The random part of the reset token.
+ * @param {number} now - The current time, in milliseconds since the epoch.
+ * @returns {boolean} True if the secret matches the stored reset and has not expired.
+ */
+function isValidToken(passwordReset, secret, now) {
+	if (!passwordReset) return false;
+	if (new Date(passwordReset.expiresAt).getTime() <= now) return false;
+
+	// Compare hashes in constant time so response timing does not leak the stored hash
+	const expected = Buffer.from(passwordReset.tokenHash, 'hex');
+	const actual = Buffer.from(hashSecret(secret), 'hex');
+	return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Creates the password reset service.
+ *
+ * @param {Object} options - The dependencies and settings of the service.
+ * @param {Object} options.userModel - The user model reset tokens are stored with.
+ * @param {Object} options.mailer - The mailer reset tokens are sent with.
+ * @param {Object} options.loginAttemptService - The login attempt service, whose lockout a reset lifts.
+ * @param {Object} options.passwordHasher - The password hasher new passwords are hashed with.
+ * @param {Object} options.passwordPolicy - The password policy new passwords must satisfy.
+ * @param {Object} options.clock - The clock reset tokens expire by (see `utils/clock.js`).
+ * @param {number} [options.resetTokenTtlMinutes=30] - Lifetime of password reset tokens, in minutes.
+ * @returns {Object} The service.
+ */
+function createPasswordResetService({
+	userModel,
+	mailer,
+	loginAttemptService,
+	passwordHasher,
+	passwordPolicy,
+	clock,
+	resetTokenTtlMinutes = 30
+}) {
+	// Lifetime of password reset tokens, in milliseconds
+	const resetTokenTtl = resetTokenTtlMinutes * 60 * 1000;
+
+	/**
+	 * Emails a password reset token to the user with the given email address, if any.
+	 * Any previously issued token stops being valid.
+	 *
+	 * Only existing accounts cause a write and an email, so the time this takes reveals
+	 * whether an account exists: callers answering a request must not wait for it.
+	 *
+	 * @param {string} email - The email address the reset was requested for.
+	 * @returns {Promise<void>}
+	 */
+	async function requestPasswordReset(email) {
+		const user = await userModel.findUserByEmail(email);
+		if (!user) return; // Nothing to do, but the caller must not reveal it
+
+		const secret = crypto.randomBytes(32).toString('base64url');
+		const expiresAt = new Date(clock.now() + resetTokenTtl).toISOString();
+
+		await userModel.modifyUser(user.id, storedUser => ({
+			...storedUser,
+			passwordReset: {
+				tokenHash: hashSecret(secret),
+				expiresAt,
+			},
+		}));
+
+		await mailer.send({
+			to: user.email,
+			subject: 'Reset your password',
+			text: `Hello ${user.username},\n\nA password reset was requested for your account. Use the following token with POST /api/reset-password to choose a new password:\n\n${user.id}.${secret}\n\nThe token expires on ${expiresAt}. If you did not request a reset, you can ignore this email.`,
+		});
+	}
+
+	/**
+	 * Redeems a password reset token, sets the new password and revokes every session of the user.
+	 * The token stays valid if the new password is refused by the password policy.
+	 *
+	 * @param {string} token - The reset token from the email.
+	 * @param {string} newPassword - The new password, in plain text.
+	 * @returns {Promise<Object|null>} The updated user, or null if the token is invalid, expired or already used.
+	 * @throws {PasswordPolicyError} If the token is valid but the new password breaks a rule of the password policy.
+	 */
+	async function resetPassword(token, newPassword) {
+		const separator = token.lastIndexOf('.');
+		if (separator === -1) return null;
+
+		const userId = parseUserId(token.slice(0, separator));
+		const secret = token.slice(separator + 1);
+
+		const user = await userModel.findUserById(userId);
+		if (!user || !isValidToken(user.passwordReset, secret, clock.now())) return null;
+
+		passwordPolicy.assertAllowed(newPassword, {
+			username: user.username
+		});
+		const password = await passwordHasher.hash(newPassword);
+
+		// The token is checked again and discarded on the stored user in one step, so
+		// concurrent requests redeeming the same token cannot both succeed
+		let redeemed = false;
+		const updatedUser = await userModel.modifyUser(user.id, (storedUser) => {
+			if (!isValidToken(storedUser.passwordReset, secret, clock.now())) return null;
+			redeemed = true;
+
+			const {
+				passwordReset,
+				...resetUser
+			} = storedUser;
+			return {
+				...loginAttemptService.clearLockout(resetUser), // The new password lifts a lockout
+				password,
+				sessions: [], // Sign the user out everywhere, including a possible attacker
+			};
+		});
+		return redeemed ? updatedUser : null;
+	}
+
+	return {
+		requestPasswordReset,
+		resetPassword,
+	};
+}
+
+module.exports = {
+	createPasswordResetService
+};
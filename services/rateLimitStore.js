@@ -0,0 +1,126 @@
+/**
+ * This module provides the store the rate limiters keep their hit counters in.
+ *
+ * The counters are kept by a pluggable store (see `services/rateLimitStores/`), so
+ * limits can survive restarts and be shared between the processes of a deployment:
+ * - `memory`: Counters kept in the memory of the process (default).
+ * - `file`: Counters kept in memory and written to a JSON file, so they survive a restart.
+ * - `sqlite`: Counters kept in an SQLite database file, shared by the processes of a host.
+ * - `redis`: Counters kept in Redis, shared by every process connected to the server.
+ *
+ * One store holds the counters of every rate limiter. `forLimiter` returns the store
+ * object given to `express-rate-limit`, which prefixes the keys of the limiter (such
+ * as `auth:`) so the counters of different limiters never mix.
+ *
+ * Environment Variables:
+ * - `RATE_LIMIT_STORE`: The store to use (`memory`, `file`, `sqlite` or `redis`). Default is `memory`.
+ * - `RATE_LIMIT_STORE_PATH`: The data file used by the `file` and `sqlite` stores.
+ *   Defaults to `data/rate-limits.json` (or `data/rate-limits.sqlite`).
+ * - `RATE_LIMIT_REDIS_URL`: The URL of the Redis server used by the `redis` store.
+ *   Default is `redis://localhost:6379`.
+ */
+
+const config = require('../config');
+
+// Rate-limit stores available to the rate limiters, keyed by name
+const stores = {
+	memory: require('./rateLimitStores/memoryStore'),
+	file: require('./rateLimitStores/fileStore'),
+	sqlite: require('./rateLimitStores/sqliteStore'),
+	redis: require('./rateLimitStores/redisStore'),
+};
+
+/**
+ * Converts a counter of a store to the format expected by `express-rate-limit`.
+ *
+ * @param {Object|undefined} counter - The counter, with its reset time in milliseconds since the epoch.
+ * @returns {Object|undefined} The hit count and reset time of the client.
+ */
+function toClientRateLimitInfo(counter) {
+	return counter ? {
+		totalHits: counter.totalHits,
+		resetTime: new Date(counter.resetTime)
+	} : undefined;
+}
+
+/**
+ * Creates the store the rate limiters keep their hit counters in.
+ *
+ * @param {Object} options - The store configuration.
+ * @param {string} [options.driver='memory'] - The name of the store (`memory`, `file`, `sqlite` or `redis`).
+ * @param {string} [options.filePath] - The data file used by the `file` and `sqlite` stores.
+ * @param {string} [options.url] - The URL of the Redis server used by the `redis` store.
+ * @param {Object} [options.client] - A Redis client used by the `redis` store instead of connecting to `url`.
+ * @param {Object} [options.clock] - The clock the store reads time from. Default is `utils/clock`.
+ * @returns {Object} The rate-limit store, exposing `forLimiter`, `close` and the underlying `store`.
+ */
+function createRateLimitStore({
+	driver = 'memory',
+	...storeOptions
+}) {
+	const createStore = stores[driver];
+	if (!createStore) {
+		throw new Error(`Unknown rate limit store "${driver}". Expected one of: ${Object.keys(stores).join(', ')}.`);
+	}
+
+	const store = createStore(storeOptions);
+
+	return {
+		driver,
+		store,
+
+		/**
+		 * Creates the store object of one rate limiter, as expected by the `store` option
+		 * of `express-rate-limit`.
+		 *
+		 * @param {string} prefix - The prefix of the keys of the limiter, such as `auth:`.
+		 * @returns {Object} The `express-rate-limit` store of the limiter.
+		 */
+		forLimiter: function(prefix) {
+			let windowMs;
+
+			return {
+				prefix,
+				localKeys: store.local,
+
+				init: function(options) {
+					windowMs = options.windowMs;
+				},
+
+				get: async function(key) {
+					return toClientRateLimitInfo(await store.get(prefix + key));
+				},
+
+				increment: async function(key) {
+					return toClientRateLimitInfo(await store.increment(prefix + key, windowMs));
+				},
+
+				decrement: async function(key) {
+					await store.decrement(prefix + key);
+				},
+
+				resetKey: async function(key) {
+					await store.resetKey(prefix + key);
+				},
+			};
+		},
+
+		/**
+		 * Closes the store once its pending writes have finished, e.g. when the server
+		 * shuts down. The rate limiters must not be used afterwards.
+		 *
+		 * @returns {Promise<void>}
+		 */
+		close: function() {
+			return store.close();
+		},
+	};
+}
+
+// Export the rate-limit store initialized with the configured driver
+module.exports = createRateLimitStore({
+	driver: config.rateLimit.store,
+	filePath: config.rateLimit.storePath,
+	url: config.rateLimit.redisUrl,
+});
+module.exports.createRateLimitStore = createRateLimitStore;
@@ -0,0 +1,178 @@
+/**
+ * JSON file rate-limit store.
+ *
+ * Hit counters are kept in memory and written to a JSON file after every change, so
+ * they survive a restart of the process. The file is read once, when the store is
+ * first used; it is therefore meant for a single process, and several processes
+ * sharing limits should use the `sqlite` or `redis` store instead.
+ *
+ * Like the JSON user store, writes go to a temporary file that is renamed over the
+ * data file and run one at a time, and counters whose window has ended are dropped
+ * when the file is written. A file that cannot be parsed raises an error instead of
+ * silently resetting every limit.
+ *
+ * Time is read from an injectable clock (`utils/clock` by default), so window expiry
+ * can be tested without waiting.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const defaultClock = require('../../utils/clock');
+
+/**
+ * Creates a rate-limit store backed by a JSON file.
+ *
+ * @param {Object} options - Store options.
+ * @param {string} options.filePath - The path to the JSON file storing the hit counters.
+ * @param {Object} [options.clock] - The clock time is read from. Default is `utils/clock`.
+ * @returns {Object} A rate-limit store implementing `get`, `increment`, `decrement`, `resetKey` and `close`.
+ */
+function createFileStore({
+	filePath,
+	clock = defaultClock
+}) {
+	// Resolve the absolute path to the data file
+	const resolvedPath = path.resolve(filePath);
+
+	// Hit counters keyed by client key, loaded from the file on first use
+	let counters = null;
+	let loading = null;
+
+	// Tail of the write queue: each write chains onto it
+	let writeQueue = Promise.resolve();
+
+	/**
+	 * Reads the hit counters from the file, once.
+	 *
+	 * @returns {Promise<Object>} The hit counters keyed by client key.
+	 * @throws {Error} If the file cannot be read or does not contain a JSON object.
+	 */
+	function loadCounters() {
+		if (!loading) {
+			loading = (async () => {
+				let data;
+				try {
+					data = await fs.readFile(resolvedPath, 'utf8');
+				} catch (err) {
+					if (err.code === 'ENOENT') return {}; // No limits have been stored yet
+					throw err;
+				}
+
+				let stored;
+				try {
+					stored = JSON.parse(data);
+				} catch (err) {
+					throw new Error(`Rate limit store file "${resolvedPath}" is corrupt: ${err.message}`);
+				}
+				if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+					throw new Error(`Rate limit store file "${resolvedPath}" is corrupt: expected a JSON object of counters.`);
+				}
+				return stored;
+			})().then((stored) => {
+				counters = stored;
+				return counters;
+			}, (err) => {
+				loading = null; // Try again on the next use
+				throw err;
+			});
+		}
+		return loading;
+	}
+
+	/**
+	 * Returns the counter of a key, or undefined if there is none or its window has ended.
+	 *
+	 * @param {string} key - The key of the client.
+	 * @returns {Promise<Object|undefined>} The counter.
+	 */
+	async function currentCounter(key) {
+		await loadCounters();
+		const counter = counters[key];
+		if (counter && counter.resetTime <= clock.now()) {
+			delete counters[key]; // The window has ended
+			return undefined;
+		}
+		return counter;
+	}
+
+	/**
+	 * Writes the hit counters of the current windows to the file atomically, once every
+	 * previously queued write has settled.
+	 *
+	 * @returns {Promise<void>}
+	 */
+	function writeCounters() {
+		const write = writeQueue.then(async () => {
+			const now = clock.now();
+			const active = Object.fromEntries(Object.entries(counters).filter(([, counter]) => counter.resetTime > now));
+
+			const tempPath = `${resolvedPath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+			try {
+				await fs.mkdir(path.dirname(resolvedPath), {
+					recursive: true
+				});
+				await fs.writeFile(tempPath, JSON.stringify(active), 'utf8');
+				await fs.rename(tempPath, resolvedPath);
+			} catch (err) {
+				await fs.rm(tempPath, {
+					force: true
+				});
+				throw err;
+			}
+		});
+		writeQueue = write.catch(() => {}); // A failed write must not block the ones queued after it
+		return write;
+	}
+
+	return {
+		local: true,
+
+		get: async function(key) {
+			const counter = await currentCounter(key);
+			return counter ? {
+				...counter
+			} : undefined;
+		},
+
+		increment: async function(key, windowMs) {
+			let counter = await currentCounter(key);
+			if (!counter) {
+				counter = {
+					totalHits: 0,
+					resetTime: clock.now() + windowMs
+				};
+				counters[key] = counter;
+			}
+			counter.totalHits++;
+			const result = {
+				...counter
+			};
+
+			await writeCounters();
+			return result;
+		},
+
+		decrement: async function(key) {
+			const counter = await currentCounter(key);
+			if (!counter || counter.totalHits === 0) return;
+
+			counter.totalHits--;
+			await writeCounters();
+		},
+
+		resetKey: async function(key) {
+			await loadCounters();
+			if (!(key in counters)) return;
+
+			delete counters[key];
+			await writeCounters();
+		},
+
+		close: async function() {
+			await writeQueue; // Let the queued writes finish, so none is cut off mid-write
+		},
+	};
+}
+
+module.exports = createFileStore;
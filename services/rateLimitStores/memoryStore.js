@@ -0,0 +1,104 @@
+/**
+ * In-memory rate-limit store.
+ *
+ * Hit counters live in a map owned by the store, so they are lost when the process
+ * exits and are not shared with other processes. This is the default store, and the
+ * behaviour the rate limiters had before stores became pluggable.
+ *
+ * Counters whose window has ended are swept periodically, so the map does not grow with
+ * every client ever seen. The sweep timer does not keep the process alive, and closing
+ * the store stops it.
+ *
+ * Time is read from an injectable clock (`utils/clock` by default), so window expiry
+ * can be tested without waiting.
+ */
+
+const defaultClock = require('../../utils/clock');
+
+// Default interval between two sweeps of the counters whose window has ended
+const DEFAULT_SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Creates a rate-limit store that keeps hit counters in memory.
+ *
+ * @param {Object} [options] - Store options.
+ * @param {Object} [options.clock] - The clock time is read from. Default is `utils/clock`.
+ * @param {number} [options.sweepIntervalMs=60000] - Interval between two sweeps of the counters whose window has ended.
+ * @returns {Object} A rate-limit store implementing `get`, `increment`, `decrement`, `resetKey` and `close`, and exposing the number of counters held as `size`.
+ */
+function createMemoryStore({
+	clock = defaultClock,
+	sweepIntervalMs = DEFAULT_SWEEP_INTERVAL_MS
+} = {}) {
+	// Hit counters keyed by client key: { totalHits, resetTime }
+	const counters = new Map();
+
+	// Drops the counters whose window has ended, including those of clients never seen again
+	const sweepTimer = setInterval(() => {
+		const now = clock.now();
+		counters.forEach((counter, key) => {
+			if (counter.resetTime <= now) counters.delete(key);
+		});
+	}, sweepIntervalMs);
+	sweepTimer.unref(); // The sweep must not keep the process alive
+
+	/**
+	 * Returns the counter of a key, or undefined if there is none or its window has ended.
+	 *
+	 * @param {string} key - The key of the client.
+	 * @returns {Object|undefined} The counter.
+	 */
+	function currentCounter(key) {
+		const counter = counters.get(key);
+		if (counter && counter.resetTime <= clock.now()) {
+			counters.delete(key); // The window has ended
+			return undefined;
+		}
+		return counter;
+	}
+
+	return {
+		local: true,
+
+		get size() {
+			return counters.size;
+		},
+
+		get: async function(key) {
+			const counter = currentCounter(key);
+			return counter ? {
+				...counter
+			} : undefined;
+		},
+
+		increment: async function(key, windowMs) {
+			let counter = currentCounter(key);
+			if (!counter) {
+				counter = {
+					totalHits: 0,
+					resetTime: clock.now() + windowMs
+				};
+				counters.set(key, counter);
+			}
+			counter.totalHits++;
+			return {
+				...counter
+			};
+		},
+
+		decrement: async function(key) {
+			const counter = currentCounter(key);
+			if (counter && counter.totalHits > 0) counter.totalHits--;
+		},
+
+		resetKey: async function(key) {
+			counters.delete(key);
+		},
+
+		close: async function() {
+			clearInterval(sweepTimer);
+		},
+	};
+}
+
+module.exports = createMemoryStore;
@@ -0,0 +1,99 @@
+/**
+ * Redis rate-limit store.
+ *
+ * Hit counters are stored as Redis keys that expire at the end of their window, so
+ * every process and host connected to the same Redis server shares the same limits.
+ *
+ * The store only needs a client exposing promise-returning `get`, `incr`, `decr`,
+ * `pexpire`, `pttl` and `del` commands, such as an `ioredis` client. A client can be
+ * passed in (tests use a local stand-in); otherwise an `ioredis` client is created
+ * for the given URL, and the `ioredis` package must then be installed.
+ */
+
+const defaultClock = require('../../utils/clock');
+
+/**
+ * Connects to the Redis server at the given URL.
+ *
+ * @param {string} url - The URL of the Redis server.
+ * @returns {Object} An `ioredis` client.
+ * @throws {Error} If the `ioredis` package is not installed.
+ */
+function connect(url) {
+	let Redis;
+	try {
+		Redis = require('ioredis');
+	} catch (err) {
+		throw new Error('The redis rate limit store requires the "ioredis" package. Install it with: npm install ioredis');
+	}
+	return new Redis(url);
+}
+
+/**
+ * Creates a rate-limit store backed by a Redis server.
+ *
+ * @param {Object} options - Store options.
+ * @param {Object} [options.client] - A Redis client. Default is an `ioredis` client connected to `url`.
+ * @param {string} [options.url] - The URL of the Redis server, used when no client is given.
+ * @param {string} [options.keyPrefix='rate-limit:'] - The prefix of the Redis keys.
+ * @param {Object} [options.clock] - The clock time is read from. Default is `utils/clock`.
+ * @returns {Object} A rate-limit store implementing `get`, `increment`, `decrement`, `resetKey` and `close`.
+ */
+function createRedisStore({
+	client,
+	url,
+	keyPrefix = 'rate-limit:',
+	clock = defaultClock
+}) {
+	const redis = client || connect(url);
+
+	return {
+		local: false,
+		client: redis,
+
+		get: async function(key) {
+			const [hits, ttl] = await Promise.all([
+				redis.get(keyPrefix + key),
+				redis.pttl(keyPrefix + key),
+			]);
+			if (hits === null || ttl < 0) return undefined;
+
+			return {
+				totalHits: Number(hits),
+				resetTime: clock.now() + ttl
+			};
+		},
+
+		increment: async function(key, windowMs) {
+			const totalHits = await redis.incr(keyPrefix + key);
+
+			// The first hit of a window sets the expiry; also repairs a key left without one
+			let ttl = await redis.pttl(keyPrefix + key);
+			if (ttl < 0) {
+				await redis.pexpire(keyPrefix + key, windowMs);
+				ttl = windowMs;
+			}
+
+			return {
+				totalHits,
+				resetTime: clock.now() + ttl
+			};
+		},
+
+		decrement: async function(key) {
+			// Only decrement a live counter, so an ended window is not recreated without an expiry
+			if (await redis.pttl(keyPrefix + key) > 0) await redis.decr(keyPrefix + key);
+		},
+
+		resetKey: async function(key) {
+			await redis.del(keyPrefix + key);
+		},
+
+		close: async function() {
+			// A given client is closed by its owner; the store only closes the connection it opened
+			if (!client) await redis.quit();
+		},
+	};
+}
+
+module.exports = createRedisStore;
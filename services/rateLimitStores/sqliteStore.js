@@ -0,0 +1,91 @@
+/**
+ * SQLite rate-limit store.
+ *
+ * Hit counters are stored in an embedded SQLite database file, one row per client
+ * key. Every increment is a single atomic statement, so several processes on the same
+ * host (for example a cluster behind a load balancer) can share their limits through
+ * the same database file, which is opened in WAL mode for concurrent access.
+ *
+ * A row whose window has ended is reset by the next increment of its key; the rows
+ * of clients that never came back are removed when the store is opened.
+ *
+ * The store relies on the `better-sqlite3` package, which is only loaded when this
+ * store is selected. Time is read from an injectable clock (`utils/clock` by default),
+ * so window expiry can be tested without waiting.
+ */
+
+const path = require('path');
+const defaultClock = require('../../utils/clock');
+
+/**
+ * Creates a rate-limit store backed by an SQLite database file.
+ *
+ * @param {Object} options - Store options.
+ * @param {string} options.filePath - The path to the SQLite database file (or `:memory:`).
+ * @param {Object} [options.clock] - The clock time is read from. Default is `utils/clock`.
+ * @returns {Object} A rate-limit store implementing `get`, `increment`, `decrement`, `resetKey` and `close`.
+ */
+function createSqliteStore({
+	filePath,
+	clock = defaultClock
+}) {
+	const Database = require('better-sqlite3');
+	const db = new Database(filePath === ':memory:' ? filePath : path.resolve(filePath));
+
+	if (filePath !== ':memory:') db.pragma('journal_mode = WAL');
+	db.exec(`
+		CREATE TABLE IF NOT EXISTS rate_limits (
+			key TEXT PRIMARY KEY,
+			total_hits INTEGER NOT NULL,
+			reset_time INTEGER NOT NULL
+		)
+	`);
+
+	const statements = {
+		get: db.prepare('SELECT total_hits AS totalHits, reset_time AS resetTime FROM rate_limits WHERE key = ? AND reset_time > ?'),
+		// Starts a new window when there is no row or its window has ended, otherwise counts the hit
+		increment: db.prepare(`
+			INSERT INTO rate_limits (key, total_hits, reset_time) VALUES (@key, 1, @resetTime)
+			ON CONFLICT (key) DO UPDATE SET
+				total_hits = CASE WHEN reset_time <= @now THEN 1 ELSE total_hits + 1 END,
+				reset_time = CASE WHEN reset_time <= @now THEN @resetTime ELSE reset_time END
+			RETURNING total_hits AS totalHits, reset_time AS resetTime
+		`),
+		decrement: db.prepare('UPDATE rate_limits SET total_hits = total_hits - 1 WHERE key = ? AND total_hits > 0 AND reset_time > ?'),
+		delete: db.prepare('DELETE FROM rate_limits WHERE key = ?'),
+		deleteExpired: db.prepare('DELETE FROM rate_limits WHERE reset_time <= ?'),
+	};
+
+	statements.deleteExpired.run(clock.now());
+
+	return {
+		local: false,
+
+		get: async function(key) {
+			return statements.get.get(key, clock.now());
+		},
+
+		increment: async function(key, windowMs) {
+			const now = clock.now();
+			return statements.increment.get({
+				key,
+				now,
+				resetTime: now + windowMs
+			});
+		},
+
+		decrement: async function(key) {
+			statements.decrement.run(key, clock.now());
+		},
+
+		resetKey: async function(key) {
+			statements.delete.run(key);
+		},
+
+		close: async function() {
+			db.close();
+		},
+	};
+}
+
+module.exports = createSqliteStore;
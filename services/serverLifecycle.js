@@ -0,0 +1,194 @@
+/**
+ * This module runs the HTTP server of an application and shuts it down gracefully.
+ *
+ * The server keeps track of its open connections and of the requests in progress on
+ * each of them. Stopping the server, on `SIGTERM` or `SIGINT` once `handleSignals` has
+ * been called:
+ * 1. Reports the application as not ready, so `GET /readyz` answers '503 Service
+ *    Unavailable' (see `routes/health.js`), and keeps serving for the shutdown delay so
+ *    load balancers stop sending it traffic.
+ * 2. Stops accepting connections, and closes the idle ones.
+ * 3. Waits for the requests in progress, closing each connection once its last response
+ *    has been sent. Connections still busy after the shutdown timeout are destroyed.
+ * 4. Closes the stores of the application (`close`), which wait for their pending
+ *    writes, then flushes and closes the logger.
+ *
+ * A second signal during the shutdown stops the process at once.
+ *
+ * Environment Variables:
+ * - `SHUTDOWN_DELAY_MS`: Time the server keeps serving after reporting itself as not ready. Default is 0.
+ * - `SHUTDOWN_TIMEOUT_MS`: Time the requests in progress are given to finish. Default is 10000.
+ */
+
+const http = require('http');
+
+// Signals that stop the server
+const SHUTDOWN_SIGNALS = ['SIGTERM', 'SIGINT'];
+
+/**
+ * Creates the lifecycle of the HTTP server of an application.
+ *
+ * @param {Object} options - The server options.
+ * @param {Object} options.app - The Express application (see `app.js`).
+ * @param {number} options.port - The port to listen on, 0 for any free port.
+ * @param {Object} options.logger - The logger (see `services/logger.js`), closed last when the server stops.
+ * @param {number} [options.timeoutMs=10000] - Time the requests in progress are given to finish when stopping.
+ * @param {number} [options.delayMs=0] - Time the server keeps serving after reporting itself as not ready.
+ * @param {Function} [options.close] - Closes the stores of the application once the requests have drained.
+ * @returns {Object} The lifecycle, exposing `start`, `stop`, `handleSignals` and the underlying `server`.
+ */
+function createServerLifecycle({
+	app,
+	port,
+	logger,
+	timeoutMs = 10000,
+	delayMs = 0,
+	close = async () => {}
+}) {
+	const server = http.createServer();
+
+	// Open connections, with the number of requests in progress on each
+	const connections = new Map();
+
+	// Settles when the server has stopped; set once stopping has started
+	let stopping = null;
+
+	/**
+	 * Closes a connection if no request is in progress on it.
+	 *
+	 * @param {Object} socket - The socket of the connection.
+	 */
+	function closeIfIdle(socket) {
+		if (connections.get(socket) === 0) socket.end();
+	}
+
+	server.on('connection', (socket) => {
+		connections.set(socket, 0);
+		socket.on('close', () => connections.delete(socket));
+	});
+
+	server.on('request', (req, res) => {
+		const socket = req.socket;
+		connections.set(socket, connections.get(socket) + 1);
+		if (stopping) res.setHeader('Connection', 'close'); // No further request on this connection
+
+		res.on('close', () => {
+			if (!connections.has(socket)) return; // The connection was closed first
+			connections.set(socket, connections.get(socket) - 1);
+			if (stopping) closeIfIdle(socket);
+		});
+	});
+
+	// Requests are counted before the application handles them, so it sees the `Connection` header
+	server.on('request', app);
+
+	/**
+	 * Stops accepting connections and waits for the requests in progress, destroying the
+	 * connections still busy after the shutdown timeout.
+	 *
+	 * @returns {Promise<void>}
+	 */
+	function drain() {
+		return new Promise((resolve) => {
+			const timer = setTimeout(() => {
+				logger.warn('shutdown timeout reached, closing busy connections', {
+					connections: connections.size
+				});
+				connections.forEach((requests, socket) => socket.destroy());
+			}, timeoutMs);
+
+			server.close(() => {
+				clearTimeout(timer);
+				resolve();
+			});
+			connections.forEach((requests, socket) => closeIfIdle(socket));
+		});
+	}
+
+	/**
+	 * Runs the shutdown steps.
+	 *
+	 * @param {string} reason - What stopped the server, such as a signal.
+	 * @returns {Promise<void>}
+	 */
+	async function shutdown(reason) {
+		logger.info('server stopping', {
+			reason,
+			connections: connections.size
+		});
+
+		// Fail the readiness probe first, so no new traffic is routed to this process
+		app.locals.shuttingDown = true;
+		if (delayMs > 0) await new Promise(resolve => setTimeout(resolve, delayMs));
+
+		if (server.listening) await drain();
+
+		try {
+			await close();
+		} finally {
+			logger.info('server stopped', {
+				reason
+			});
+			await logger.close();
+		}
+	}
+
+	const lifecycle = {
+		server,
+
+		/**
+		 * Starts listening.
+		 *
+		 * @returns {Promise<Object>} The HTTP server, once it is listening.
+		 */
+		start: function() {
+			return new Promise((resolve, reject) => {
+				server.once('error', reject);
+				server.listen(port, () => {
+					server.off('error', reject);
+					logger.info('server started', {
+						port: server.address().port
+					});
+					resolve(server);
+				});
+			});
+		},
+
+		/**
+		 * Stops the server gracefully. Calling it again returns the same shutdown.
+		 *
+		 * @param {string} [reason='stop'] - What stopped the server, such as a signal.
+		 * @returns {Promise<void>} Settles once the requests have drained and the stores and logger are closed.
+		 */
+		stop: function(reason = 'stop') {
+			if (!stopping) stopping = shutdown(reason);
+			return stopping;
+		},
+
+		/**
+		 * Stops the server and then the process on `SIGTERM` and `SIGINT`. A second signal
+		 * stops the process at once.
+		 */
+		handleSignals: function() {
+			SHUTDOWN_SIGNALS.forEach(signal => process.on(signal, () => {
+				if (stopping) {
+					logger.warn('shutdown forced', {
+						signal
+					});
+					process.exit(1);
+				}
+
+				lifecycle.stop(signal).then(() => process.exit(0), (err) => {
+					console.error(err); // The logger may already be closed
+					process.exit(1);
+				});
+			}));
+		},
+	};
+
+	return lifecycle;
+}
+
+module.exports = {
+	createServerLifecycle
+};
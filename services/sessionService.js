@@ -0,0 +1,182 @@
+/**
+ * This module manages login sessions and the refresh tokens that keep them alive.
+ *
+ * Every successful login opens a session (a refresh token "family") that is stored
+ * on the user record under `sessions`. Each session remembers the ID of the only
+ * refresh token that may currently be redeemed for it:
+ *
+ * - Rotation: redeeming a refresh token issues a new access/refresh token pair and
+ *   replaces the session's current token ID, so every refresh token is single-use.
+ * - Reuse detection: presenting a correctly signed refresh token that is no longer
+ *   the current one means it was already redeemed (and possibly stolen), so the
+ *   whole session is revoked.
+ * - Revocation: revoked sessions are removed from the user record. Access tokens
+ *   carry their session ID, which lets the authentication middleware reject them
+ *   as soon as their session is gone.
+ *
+ * Sessions are always changed on the stored user with `userModel.modifyUser`, so
+ * concurrent logins, refreshes and revocations never overwrite each other.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Drops sessions whose refresh token has expired.
+ *
+ * @param {Array} sessions - The sessions stored on a user record.
+ * @param {number} now - The current time, in milliseconds since the epoch.
+ * @returns {Array} The sessions that are still usable.
+ */
+function pruneExpiredSessions(sessions, now) {
+	return (sessions || []).filter(session => new Date(session.expiresAt).getTime() > now);
+}
+
+/**
+ * Creates the session service.
+ *
+ * @param {Object} options - The dependencies of the service.
+ * @param {Object} options.userModel - The user model sessions are stored with.
+ * @param {Object} options.tokenService - The token service tokens are signed and verified with.
+ * @param {Object} options.clock - The clock sessions are timed with (see `utils/clock.js`).
+ * @returns {Object} The service.
+ */
+function createSessionService({
+	userModel,
+	tokenService,
+	clock
+}) {
+	/**
+	 * Opens a new session for the user and issues its first token pair.
+	 *
+	 * @param {Object} user - The user logging in.
+	 * @returns {Promise<{token: string, refreshToken: string}>} The access token and refresh token.
+	 */
+	async function createSession(user) {
+		const sessionId = crypto.randomUUID();
+		const refresh = tokenService.signRefreshToken(user, sessionId);
+
+		// The session is added to the stored user rather than to the given copy, so the
+		// sessions of concurrent logins and other changes made meanwhile are kept
+		await userModel.modifyUser(user.id, (storedUser) => {
+			storedUser.sessions = pruneExpiredSessions(storedUser.sessions, clock.now());
+			storedUser.sessions.push({
+				id: sessionId,
+				tokenId: refresh.tokenId,
+				createdAt: new Date(clock.now()).toISOString(),
+				expiresAt: refresh.expiresAt,
+			});
+			return storedUser;
+		});
+
+		return {
+			token: tokenService.signAccessToken(user, sessionId),
+			refreshToken: refresh.token,
+		};
+	}
+
+	/**
+	 * Redeems a refresh token for a new token pair, revoking the whole session if the
+	 * token has already been used.
+	 *
+	 * @param {string} refreshToken - The refresh token presented by the client.
+	 * @returns {Promise<{token: string, refreshToken: string}|null>} The new token pair, or null if the token is not valid.
+	 */
+	async function rotateSession(refreshToken) {
+		const decoded = tokenService.verifyRefreshToken(refreshToken);
+		if (!decoded) return null;
+
+		// The token is checked and rotated on the stored user in one step, so concurrent
+		// requests redeeming the same token cannot both succeed
+		let tokens = null;
+		await userModel.modifyUser(decoded.id, (user) => {
+			const session = (user.sessions || []).find(s => s.id === decoded.sid);
+			if (!session) return null;
+
+			// A valid but outdated token means it has been replayed: revoke the whole family
+			if (session.tokenId !== decoded.jti) {
+				user.sessions = user.sessions.filter(s => s.id !== decoded.sid);
+				return user;
+			}
+
+			const refresh = tokenService.signRefreshToken(user, session.id);
+			session.tokenId = refresh.tokenId;
+			session.expiresAt = refresh.expiresAt;
+			tokens = {
+				token: tokenService.signAccessToken(user, session.id),
+				refreshToken: refresh.token,
+			};
+			return user;
+		});
+
+		return tokens;
+	}
+
+	/**
+	 * Revokes the session a refresh token belongs to.
+	 *
+	 * @param {string} refreshToken - The refresh token presented by the client.
+	 * @returns {Promise<string|number|null>} The ID of the user the session belonged to, or null if the token is not valid.
+	 */
+	async function revokeRefreshToken(refreshToken) {
+		const decoded = tokenService.verifyRefreshToken(refreshToken);
+		if (!decoded) return null;
+
+		await revokeSession(decoded.id, decoded.sid);
+		return decoded.id;
+	}
+
+	/**
+	 * Revokes a single session of a user.
+	 *
+	 * @param {number} userId - The ID of the user owning the session.
+	 * @param {string} sessionId - The ID of the session to revoke.
+	 * @returns {Promise<void>}
+	 */
+	async function revokeSession(userId, sessionId) {
+		await userModel.modifyUser(userId, (user) => {
+			if (!user.sessions) return null;
+
+			user.sessions = user.sessions.filter(session => session.id !== sessionId);
+			return user;
+		});
+	}
+
+	/**
+	 * Revokes every session of a user, signing them out everywhere, except optionally in
+	 * the session the request comes from.
+	 *
+	 * @param {number} userId - The ID of the user whose sessions should be revoked.
+	 * @param {string} [keptSessionId] - The ID of a session to keep.
+	 * @returns {Promise<void>}
+	 */
+	async function revokeAllSessions(userId, keptSessionId) {
+		await userModel.modifyUser(userId, (user) => {
+			user.sessions = (user.sessions || []).filter(session => session.id === keptSessionId);
+			return user;
+		});
+	}
+
+	/**
+	 * Checks whether a session is still active.
+	 *
+	 * @param {Object} user - The user owning the session.
+	 * @param {string} sessionId - The ID of the session to check.
+	 * @returns {boolean} True if the session exists and has not expired.
+	 */
+	function isSessionActive(user, sessionId) {
+		return pruneExpiredSessions(user.sessions, clock.now()).some(session => session.id === sessionId);
+	}
+
+	return {
+		createSession,
+		rotateSession,
+		revokeRefreshToken,
+		revokeSession,
+		revokeAllSessions,
+		isSessionActive,
+	};
+}
+
+module.exports = {
+	createSessionService
+};
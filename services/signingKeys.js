@@ -0,0 +1,195 @@
+/**
+ * This module provides the keys the JSON Web Tokens of the application are signed and
+ * verified with (see `services/tokenService.js`).
+ *
+ * Tokens are signed with one current key, whose algorithm follows from its type:
+ * - A secret (`SECRET_KEY`): HS256.
+ * - An RSA private key (`JWT_PRIVATE_KEY_PATH`): RS256.
+ * - An EC private key on the P-256 curve (`JWT_PRIVATE_KEY_PATH`): ES256.
+ *
+ * Every key is identified by its JWK thumbprint (RFC 7638), sent as the `kid` header of
+ * the tokens it signs. Tokens are verified with the key matching their `kid`, which
+ * can be the current key or a previous one kept for verification only. To rotate keys,
+ * make the new key current and list the old one among the previous keys until the
+ * tokens it signed have expired.
+ *
+ * The public keys of asymmetric key pairs are published as a JSON Web Key Set (JWKS),
+ * so other services can verify the tokens. Secrets are never published.
+ *
+ * In production, a signing key is required and its absence stops the application from
+ * starting (see `config/index.js`). Elsewhere, a random secret is generated for the lifetime of the process,
+ * so tokens stop being valid on restart.
+ *
+ * Environment Variables:
+ * - `SECRET_KEY`: The secret of the current HS256 key.
+ * - `JWT_PRIVATE_KEY_PATH`: A PEM file with the private key of the current RS256 or ES256 key pair, used instead of `SECRET_KEY`.
+ * - `PREVIOUS_SECRET_KEYS`: Comma-separated secrets of previous HS256 keys, accepted for verification.
+ * - `JWT_PREVIOUS_PUBLIC_KEY_PATHS`: Comma-separated PEM files with the public keys of previous key pairs, accepted for verification.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const config = require('../config');
+const logger = require('./logger');
+
+/**
+ * Finds the JWT algorithm of a key.
+ *
+ * @param {KeyObject} key - The key.
+ * @returns {string} The algorithm (`HS256`, `RS256` or `ES256`).
+ * @throws {Error} If keys of this type are not supported.
+ */
+function algorithmOf(key) {
+	if (key.type === 'secret') return 'HS256';
+	if (key.asymmetricKeyType === 'rsa') return 'RS256';
+	if (key.asymmetricKeyType === 'ec' && key.asymmetricKeyDetails.namedCurve === 'prime256v1') return 'ES256';
+	throw new Error('Unsupported JWT key. Expected a secret, an RSA key or an EC key on the P-256 curve.');
+}
+
+/**
+ * Computes the JWK thumbprint (RFC 7638) of a key, used as its key ID.
+ *
+ * @param {KeyObject} key - The secret or public key.
+ * @returns {string} The base64url-encoded SHA-256 thumbprint.
+ */
+function thumbprintOf(key) {
+	const jwk = key.export({
+		format: 'jwk'
+	});
+	// The required members of each key type, in lexicographic order
+	const members = {
+		oct: ['k', 'kty'],
+		RSA: ['e', 'kty', 'n'],
+		EC: ['crv', 'kty', 'x', 'y'],
+	}[jwk.kty];
+	const canonical = JSON.stringify(Object.fromEntries(members.map(member => [member, jwk[member]])));
+	return crypto.createHash('sha256').update(canonical).digest('base64url');
+}
+
+/**
+ * Describes a verification key.
+ *
+ * @param {KeyObject} key - The secret or public key.
+ * @returns {{kid: string, alg: string, key: KeyObject}} The key, with its ID and algorithm.
+ */
+function verificationKey(key) {
+	return {
+		kid: thumbprintOf(key),
+		alg: algorithmOf(key),
+		key,
+	};
+}
+
+/**
+ * Creates the signing and verification keys of the tokens.
+ *
+ * @param {Object} options - The keys.
+ * @param {string} [options.secret] - The secret of the current HS256 key.
+ * @param {string} [options.privateKey] - The PEM private key of the current RS256 or ES256 key pair, used instead of `secret`.
+ * @param {Array<string>} [options.previousSecrets=[]] - Secrets of previous HS256 keys.
+ * @param {Array<string>} [options.previousPublicKeys=[]] - PEM public keys of previous key pairs.
+ * @returns {Object} The keys, exposing `signingKey`, `findVerificationKey` and `jwks`.
+ * @throws {Error} If no current key is given, or a key is not supported.
+ */
+function createSigningKeys({
+	secret,
+	privateKey,
+	previousSecrets = [],
+	previousPublicKeys = []
+}) {
+	if (!secret && !privateKey) {
+		throw new Error('A JWT signing key is required. Set SECRET_KEY or JWT_PRIVATE_KEY_PATH.');
+	}
+
+	let signingKey;
+	let currentKey;
+	if (privateKey) {
+		const key = crypto.createPrivateKey(privateKey);
+		currentKey = verificationKey(crypto.createPublicKey(key));
+		signingKey = {
+			...currentKey,
+			key
+		};
+	} else {
+		currentKey = verificationKey(crypto.createSecretKey(Buffer.from(secret)));
+		signingKey = currentKey;
+	}
+
+	const verificationKeys = new Map([currentKey, ...[
+		...previousSecrets.map(previous => crypto.createSecretKey(Buffer.from(previous))),
+		...previousPublicKeys.map(previous => crypto.createPublicKey(previous)),
+	].map(verificationKey)].map(key => [key.kid, key]));
+
+	return {
+		signingKey,
+
+		/**
+		 * Finds the key a token was signed with.
+		 *
+		 * @param {string} kid - The `kid` header of the token.
+		 * @returns {Object|undefined} The verification key, with its `kid`, `alg` and `key`, or undefined if unknown.
+		 */
+		findVerificationKey: function(kid) {
+			return verificationKeys.get(kid);
+		},
+
+		/**
+		 * Builds the JSON Web Key Set of the public verification keys.
+		 *
+		 * @returns {{keys: Array<Object>}} The JWKS. Empty when only secrets are used.
+		 */
+		jwks: function() {
+			return {
+				keys: [...verificationKeys.values()]
+					.filter(({
+						key
+					}) => key.type === 'public')
+					.map(({
+						kid,
+						alg,
+						key
+					}) => ({
+						...key.export({
+							format: 'jwk'
+						}),
+						kid,
+						alg,
+						use: 'sig',
+					})),
+			};
+		},
+	};
+}
+
+/**
+ * Creates the signing keys of a configuration, reading the key files it names.
+ *
+ * @param {Object} jwtConfig - The `jwt` section of the configuration (see `config/index.js`).
+ * @param {Object} keysLogger - The logger warning about a missing signing key.
+ * @returns {Object} The signing keys.
+ */
+function createSigningKeysFromConfig(jwtConfig, keysLogger) {
+	const {
+		privateKeyPath,
+		previousSecrets,
+		previousPublicKeyPaths
+	} = jwtConfig;
+	let secret = jwtConfig.secret;
+
+	// The configuration requires a signing key in production
+	if (!secret && !privateKeyPath) {
+		secret = crypto.randomBytes(32).toString('hex');
+		keysLogger.warn('no JWT signing key configured, using a random secret until the process exits');
+	}
+
+	return createSigningKeys({
+		secret,
+		privateKey: privateKeyPath && fs.readFileSync(privateKeyPath, 'utf8'),
+		previousSecrets,
+		previousPublicKeys: previousPublicKeyPaths.map(keyPath => fs.readFileSync(keyPath, 'utf8')),
+	});
+}
+
+module.exports = createSigningKeysFromConfig(config.jwt, logger);
+module.exports.createSigningKeys = createSigningKeys;
+module.exports.createSigningKeysFromConfig = createSigningKeysFromConfig;
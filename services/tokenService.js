@@ -0,0 +1,240 @@
+/**
+ * This module centralizes the creation and verification of the JSON Web Tokens
+ * issued by the application. The following kinds of tokens are produced:
+ *
+ * - Access tokens: short-lived tokens sent in the `Authorization` header to reach
+ *   protected routes. They carry the user ID and the ID of the session they belong to.
+ * - Refresh tokens: long-lived tokens that can be exchanged once for a new pair of
+ *   tokens. They carry the user ID, the session ID and a unique token ID (`jti`).
+ * - Email verification tokens: tokens sent by email to confirm an address. They carry
+ *   the user ID, the email address being verified and a unique token ID (`jti`).
+ * - Two-factor challenge tokens: short-lived tokens returned when the password of a user
+ *   with two-factor authentication is correct. They carry the user ID and must be
+ *   exchanged together with a valid code for an access token.
+ *
+ * The `type` claim distinguishes the kinds so that a token can never be used for
+ * another purpose than the one it was issued for.
+ *
+ * Every token carries the `iss` (issuer) and `aud` (audience) claims of the application,
+ * which verification requires. Tokens are signed with the current key of the signing
+ * keys and carry its ID in their `kid` header; verification uses the key matching the
+ * `kid`, restricted to the algorithm of that key (see `services/signingKeys.js`).
+ *
+ * Tokens are issued and checked for expiry at the time of the injected clock (see
+ * `utils/clock.js`), like the sessions they belong to.
+ *
+ * Environment Variables:
+ * - `JWT_ISSUER`: The `iss` claim of the tokens. Default is `backend-design-exercise`.
+ * - `JWT_AUDIENCE`: The `aud` claim of the tokens. Default is `backend-design-exercise`.
+ * - `ACCESS_TOKEN_EXPIRES_IN`: Lifetime of access tokens (e.g. `1h`). Default is `1h`.
+ * - `REFRESH_TOKEN_EXPIRES_IN`: Lifetime of refresh tokens (e.g. `7d`). Default is `7d`.
+ * - `EMAIL_VERIFICATION_TOKEN_EXPIRES_IN`: Lifetime of email verification tokens. Default is `24h`.
+ * - `TWO_FACTOR_CHALLENGE_EXPIRES_IN`: Lifetime of two-factor challenge tokens. Default is `5m`.
+ */
+
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const config = require('../config');
+const signingKeys = require('./signingKeys');
+const defaultClock = require('../utils/clock');
+
+/**
+ * Creates the token service.
+ *
+ * @param {Object} options - Token options.
+ * @param {Object} options.keys - The signing and verification keys (see `services/signingKeys.js`).
+ * @param {string} [options.issuer='backend-design-exercise'] - The `iss` claim of the tokens.
+ * @param {string} [options.audience='backend-design-exercise'] - The `aud` claim of the tokens.
+ * @param {string} [options.accessTokenExpiresIn='1h'] - Lifetime of access tokens, in the format understood by `jsonwebtoken`.
+ * @param {string} [options.refreshTokenExpiresIn='7d'] - Lifetime of refresh tokens.
+ * @param {string} [options.emailVerificationTokenExpiresIn='24h'] - Lifetime of email verification tokens.
+ * @param {string} [options.twoFactorChallengeExpiresIn='5m'] - Lifetime of two-factor challenge tokens.
+ * @param {Object} [options.clock] - The clock tokens are issued and verified by. Default is `utils/clock`.
+ * @returns {Object} The token service.
+ */
+function createTokenService({
+	keys,
+	issuer = 'backend-design-exercise',
+	audience = 'backend-design-exercise',
+	accessTokenExpiresIn = '1h',
+	refreshTokenExpiresIn = '7d',
+	emailVerificationTokenExpiresIn = '24h',
+	twoFactorChallengeExpiresIn = '5m',
+	clock = defaultClock
+}) {
+	/**
+	 * Returns the current time of the clock, in the seconds of the JWT time claims.
+	 *
+	 * @returns {number} The current time in seconds since the epoch.
+	 */
+	function nowInSeconds() {
+		return Math.floor(clock.now() / 1000);
+	}
+
+	/**
+	 * Signs a token with the current signing key.
+	 *
+	 * @param {Object} payload - The claims of the token, including its `type`.
+	 * @param {Object} options - Signing options of `jsonwebtoken`, such as `expiresIn`.
+	 * @returns {string} The signed token.
+	 */
+	function sign(payload, options) {
+		const {
+			kid,
+			alg,
+			key
+		} = keys.signingKey;
+		// The expiry is computed from the `iat` claim
+		return jwt.sign({
+			...payload,
+			iat: nowInSeconds()
+		}, key, {
+			...options,
+			algorithm: alg,
+			keyid: kid,
+			issuer,
+			audience,
+		});
+	}
+
+	/**
+	 * Signs an access token for the given user and session.
+	 *
+	 * @param {Object} user - The user the token is issued to.
+	 * @param {string} sessionId - The ID of the session the token belongs to.
+	 * @returns {string} The signed access token.
+	 */
+	function signAccessToken(user, sessionId) {
+		return sign({
+			id: user.id,
+			sid: sessionId,
+			type: 'access',
+		}, {
+			expiresIn: accessTokenExpiresIn
+		});
+	}
+
+	/**
+	 * Signs a single-use token with a fresh random token ID. The ID is meant to be stored
+	 * server-side so that the token can be redeemed only once.
+	 *
+	 * @param {Object} payload - The claims of the token, including its `type`.
+	 * @param {string} expiresIn - The lifetime of the token.
+	 * @returns {{token: string, tokenId: string, expiresAt: string}} The signed token, its ID and its expiry date.
+	 */
+	function signSingleUseToken(payload, expiresIn) {
+		const tokenId = crypto.randomUUID();
+		const token = sign(payload, {
+			expiresIn,
+			jwtid: tokenId,
+		});
+
+		// Read the computed expiry back from the token so it matches the signed claim exactly
+		const {
+			exp
+		} = jwt.decode(token);
+
+		return {
+			token,
+			tokenId,
+			expiresAt: new Date(exp * 1000).toISOString(),
+		};
+	}
+
+	/**
+	 * Signs a refresh token for the given user and session. Every refresh token gets a
+	 * fresh random token ID so that each one can only be redeemed once.
+	 *
+	 * @param {Object} user - The user the token is issued to.
+	 * @param {string} sessionId - The ID of the session the token belongs to.
+	 * @returns {{token: string, tokenId: string, expiresAt: string}} The signed token, its ID and its expiry date.
+	 */
+	function signRefreshToken(user, sessionId) {
+		return signSingleUseToken({
+			id: user.id,
+			sid: sessionId,
+			type: 'refresh',
+		}, refreshTokenExpiresIn);
+	}
+
+	/**
+	 * Signs an email verification token for one of the user's email addresses.
+	 *
+	 * @param {Object} user - The user whose email address should be verified.
+	 * @param {string} email - The email address to verify.
+	 * @returns {{token: string, tokenId: string, expiresAt: string}} The signed token, its ID and its expiry date.
+	 */
+	function signEmailVerificationToken(user, email) {
+		return signSingleUseToken({
+			id: user.id,
+			email,
+			type: 'email-verification',
+		}, emailVerificationTokenExpiresIn);
+	}
+
+	/**
+	 * Signs a two-factor challenge token for a user whose password has been verified.
+	 *
+	 * @param {Object} user - The user logging in.
+	 * @returns {string} The signed challenge token.
+	 */
+	function signTwoFactorChallengeToken(user) {
+		return sign({
+			id: user.id,
+			type: 'two-factor-challenge',
+		}, {
+			expiresIn: twoFactorChallengeExpiresIn
+		});
+	}
+
+	/**
+	 * Verifies a token of the given type with the key matching its `kid` header.
+	 *
+	 * @param {string} token - The token to verify.
+	 * @param {string} type - The expected token type (`access`, `refresh`, `email-verification` or `two-factor-challenge`).
+	 * @returns {Object|null} The decoded payload, or null if the token is invalid, expired, signed with an
+	 *   unknown key, issued for another issuer or audience, or of the wrong type.
+	 */
+	function verifyToken(token, type) {
+		try {
+			const decoded = jwt.decode(token, {
+				complete: true
+			});
+			const verificationKey = decoded && keys.findVerificationKey(decoded.header.kid);
+			if (!verificationKey) return null;
+
+			const payload = jwt.verify(token, verificationKey.key, {
+				algorithms: [verificationKey.alg],
+				issuer,
+				audience,
+				clockTimestamp: nowInSeconds(),
+			});
+			return payload.type === type ? payload : null;
+		} catch (err) {
+			return null;
+		}
+	}
+
+	return {
+		signAccessToken,
+		signRefreshToken,
+		signEmailVerificationToken,
+		signTwoFactorChallengeToken,
+		verifyAccessToken: (token) => verifyToken(token, 'access'),
+		verifyRefreshToken: (token) => verifyToken(token, 'refresh'),
+		verifyEmailVerificationToken: (token) => verifyToken(token, 'email-verification'),
+		verifyTwoFactorChallengeToken: (token) => verifyToken(token, 'two-factor-challenge'),
+		jwks: () => keys.jwks(),
+	};
+}
+
+module.exports = createTokenService({
+	keys: signingKeys,
+	issuer: config.jwt.issuer,
+	audience: config.jwt.audience,
+	accessTokenExpiresIn: config.jwt.accessTokenExpiresIn,
+	refreshTokenExpiresIn: config.jwt.refreshTokenExpiresIn,
+	emailVerificationTokenExpiresIn: config.jwt.emailVerificationTokenExpiresIn,
+	twoFactorChallengeExpiresIn: config.jwt.twoFactorChallengeExpiresIn,
+});
+module.exports.createTokenService = createTokenService;
@@ -0,0 +1,208 @@
+/**
+ * This module implements opt-in two-factor authentication (2FA) with time-based
+ * one-time passwords (TOTP) from an authenticator app.
+ *
+ * Enrollment happens in two steps, so a user cannot lock themselves out with an
+ * authenticator that was set up incorrectly:
+ *
+ * 1. Setup generates a secret, kept as `pendingSecret` under `twoFactor` on the user
+ *    record, and returns it with an `otpauth://` URI for the authenticator app.
+ * 2. Confirmation with a first valid code enables 2FA (`twoFactorEnabled`) and returns
+ *    one-time recovery codes. Only SHA-256 hashes of the recovery codes are stored.
+ *
+ * Once enabled, logging in requires a code in addition to the password. Each code is
+ * accepted only once: the time step of the last accepted code is stored as
+ * `lastUsedStep`. A recovery code can replace a code once, and is then discarded. Codes
+ * are checked against the stored user and consumed in the same change of the record, so
+ * a code presented by concurrent requests is accepted only once.
+ *
+ * Time is read from the injected clock (see `utils/clock.js`), so the flow can be tested
+ * without waiting.
+ *
+ * Environment Variables:
+ * - `TOTP_ISSUER`: The service name shown in authenticator apps. Default is `Backend Design Exercise`.
+ */
+
+const crypto = require('crypto');
+const totp = require('../utils/totp');
+
+// Number of recovery codes issued when 2FA is enabled
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Hashes a recovery code for storage and comparison. Codes are normalized first, so
+ * they can be entered in any case, with or without the dash.
+ *
+ * @param {string} code - The recovery code.
+ * @returns {string} The hex-encoded SHA-256 hash.
+ */
+function hashRecoveryCode(code) {
+	const normalized = code.toLowerCase().replace(/[\s-]/g, '');
+	return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Generates a set of random recovery codes of the form `xxxxx-xxxxx`.
+ *
+ * @returns {Array<string>} The recovery codes.
+ */
+function generateRecoveryCodes() {
+	return Array.from({
+		length: RECOVERY_CODE_COUNT
+	}, () => {
+		const hex = crypto.randomBytes(5).toString('hex');
+		return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+	});
+}
+
+/**
+ * Checks whether a user has enabled two-factor authentication.
+ *
+ * @param {Object} user - The user to check.
+ * @returns {boolean} True if logging in requires a second factor.
+ */
+function isEnabled(user) {
+	return user.twoFactorEnabled === true;
+}
+
+/**
+ * Creates the two-factor authentication service.
+ *
+ * @param {Object} options - The dependencies and settings of the service.
+ * @param {Object} options.userModel - The user model the second factors are stored with.
+ * @param {Object} options.clock - The clock codes are checked against (see `utils/clock.js`).
+ * @param {string} [options.issuer='Backend Design Exercise'] - The service name shown in authenticator apps.
+ * @returns {Object} The service.
+ */
+function createTwoFactorService({
+	userModel,
+	clock,
+	issuer = 'Backend Design Exercise'
+}) {
+	/**
+	 * Starts the enrollment of an authenticator app by generating a new secret. Any
+	 * previously started, unconfirmed enrollment is replaced.
+	 *
+	 * @param {Object} user - The user enabling 2FA.
+	 * @returns {Promise<{secret: string, otpauthUri: string}>} The secret and the URI to import into the authenticator app.
+	 */
+	async function startEnrollment(user) {
+		const secret = totp.generateSecret();
+
+		await userModel.updateUser({
+			...user,
+			twoFactor: {
+				pendingSecret: secret
+			},
+		});
+
+		return {
+			secret,
+			otpauthUri: totp.buildOtpauthUri(issuer, user.username, secret),
+		};
+	}
+
+	/**
+	 * Confirms the enrollment with a first code from the authenticator app, enabling 2FA.
+	 *
+	 * @param {Object} user - The user enabling 2FA.
+	 * @param {string} code - A code generated from the pending secret.
+	 * @returns {Promise<Array<string>|null>} The recovery codes, or null if the code is invalid.
+	 */
+	async function confirmEnrollment(user, code) {
+		const secret = user.twoFactor.pendingSecret;
+		const step = totp.verifyCode(secret, code, clock.now());
+		if (step === null) return null;
+
+		const recoveryCodes = generateRecoveryCodes();
+		let confirmed = false;
+		await userModel.modifyUser(user.id, (storedUser) => {
+			// The enrollment may have been confirmed or restarted by a concurrent request
+			if (isEnabled(storedUser) || !storedUser.twoFactor || storedUser.twoFactor.pendingSecret !== secret) return null;
+
+			confirmed = true;
+			return {
+				...storedUser,
+				twoFactorEnabled: true,
+				twoFactor: {
+					secret,
+					recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+					lastUsedStep: step,
+				},
+			};
+		});
+
+		return confirmed ? recoveryCodes : null;
+	}
+
+	/**
+	 * Verifies a second factor: a code from the authenticator app that has not been used
+	 * yet, or an unused recovery code, which is discarded.
+	 *
+	 * @param {Object} user - The user logging in.
+	 * @param {string} code - The code or recovery code entered by the user.
+	 * @returns {Promise<Object|null>} The updated user, or null if the second factor is invalid.
+	 */
+	async function verifySecondFactor(user, code) {
+		const secret = user.twoFactor.secret;
+		const step = totp.verifyCode(secret, code, clock.now());
+		const hash = step === null ? hashRecoveryCode(code) : null;
+
+		// Checked against the stored user and consumed in the same change, so concurrent
+		// requests presenting the same code cannot all be accepted
+		let verified = false;
+		const updatedUser = await userModel.modifyUser(user.id, (storedUser) => {
+			const twoFactor = storedUser.twoFactor;
+			if (!isEnabled(storedUser) || twoFactor.secret !== secret) return null;
+
+			if (step !== null) {
+				// Each code is accepted once, and never after a newer one
+				if (step <= twoFactor.lastUsedStep) return null;
+
+				storedUser.twoFactor = {
+					...twoFactor,
+					lastUsedStep: step
+				};
+			} else {
+				if (!twoFactor.recoveryCodes.includes(hash)) return null;
+
+				storedUser.twoFactor = {
+					...twoFactor,
+					recoveryCodes: twoFactor.recoveryCodes.filter(recoveryCode => recoveryCode !== hash),
+				};
+			}
+			verified = true;
+			return storedUser;
+		});
+
+		return verified ? updatedUser : null;
+	}
+
+	/**
+	 * Disables two-factor authentication and discards the secret and recovery codes.
+	 *
+	 * @param {Object} user - The user disabling 2FA.
+	 * @returns {Promise<Object>} The updated user.
+	 */
+	async function disable(user) {
+		const {
+			twoFactor,
+			twoFactorEnabled,
+			...updatedUser
+		} = user;
+		await userModel.updateUser(updatedUser);
+		return updatedUser;
+	}
+
+	return {
+		isEnabled,
+		startEnrollment,
+		confirmEnrollment,
+		verifySecondFactor,
+		disable,
+	};
+}
+
+module.exports = {
+	createTwoFactorService
+};
@@ -0,0 +1,388 @@
+/**
+ * Test Suite for Role-Based Access Control and the Admin API.
+ *
+ * This file defines test cases for restricting the admin routes to admins,
+ * and for listing, viewing, updating, disabling, enabling and deleting users.
+ *
+ * The tests are implemented using Chai and Mocha, with Chai-HTTP used to
+ * simulate HTTP requests.
+ */
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const app = require('../app'); // Import the application to test
+const {
+	registerVerifiedUser
+} = require('./helpers/auth');
+const fs = require('fs');
+const path = require('path');
+
+chai.use(chaiHttp);
+chai.should(); // Enables 'should' style assertions in tests
+
+// Path to the mock user data JSON file for testing
+const testUsersFilePath = path.join(__dirname, '../data/test_users.json');
+
+/**
+ * Gives a user the admin role by editing the mock database directly.
+ *
+ * @param {string} username - The username of the user to promote.
+ */
+function promoteToAdmin(username) {
+	const users = JSON.parse(fs.readFileSync(testUsersFilePath, 'utf8'));
+	users.find(user => user.username === username).role = 'admin';
+	fs.writeFileSync(testUsersFilePath, JSON.stringify(users), 'utf8');
+}
+
+/**
+ * Logs a user in and resolves with their access token.
+ *
+ * @param {string} username - The username.
+ * @param {string} password - The password.
+ * @returns {Promise<string>} The access token.
+ */
+function login(username, password) {
+	return chai.request(app)
+		.post('/api/login')
+		.send({
+			username,
+			password
+		})
+		.then(res => res.body.token);
+}
+
+describe('Admin API', () => {
+	let adminToken;
+	let userToken;
+	let adminId;
+	let userId;
+
+	/**
+	 * Before each test, reset the mock database, then create and log in an admin and a regular user.
+	 */
+	beforeEach(() => {
+		fs.writeFileSync(testUsersFilePath, '[]', 'utf8');
+
+		return registerVerifiedUser(app, {
+				username: 'adminuser',
+				email: 'admin@example.com',
+				password: 'password123',
+			})
+			.then(() => registerVerifiedUser(app, {
+				username: 'testuser',
+				email: 'test@example.com',
+				password: 'password123',
+			}))
+			.then(() => {
+				promoteToAdmin('adminuser');
+				const users = JSON.parse(fs.readFileSync(testUsersFilePath, 'utf8'));
+				adminId = users[0].id;
+				userId = users[1].id;
+				return login('adminuser', 'password123');
+			})
+			.then((token) => {
+				adminToken = token;
+				return login('testuser', 'password123');
+			})
+			.then((token) => {
+				userToken = token;
+			});
+	});
+
+	/**
+	 * Test: authorization
+	 *
+	 * Verifies that admin routes are restricted to authenticated admins.
+	 */
+	describe('Authorization', () => {
+		it('should not allow regular users to access admin routes', (done) => {
+			chai.request(app)
+				.get('/api/admin/users')
+				.set('Authorization', `Bearer ${userToken}`)
+				.end((err, res) => {
+					res.should.have.status(403);
+					res.body.should.have.property('message').eql('Insufficient permissions.');
+					done();
+				});
+		});
+
+		it('should not allow unauthenticated access to admin routes', (done) => {
+			chai.request(app)
+				.get('/api/admin/users')
+				.end((err, res) => {
+					res.should.have.status(403);
+					res.body.should.have.property('message').eql('No token provided.');
+					done();
+				});
+		});
+	});
+
+	/**
+	 * Test: GET /api/admin/users
+	 *
+	 * Verifies pagination and filtering of the user list.
+	 */
+	describe('GET /api/admin/users', () => {
+		it('should list users without sensitive fields', (done) => {
+			chai.request(app)
+				.get('/api/admin/users')
+				.set('Authorization', `Bearer ${adminToken}`)
+				.end((err, res) => {
+					res.should.have.status(200);
+					res.body.users.should.have.lengthOf(2);
+					res.body.users[0].should.not.have.property('password');
+					res.body.users[0].should.not.have.property('sessions');
+					res.body.pagination.should.eql({
+						page: 1,
+						limit: 20,
+						total: 2,
+						totalPages: 1
+					});
+					done();
+				});
+		});
+
+		it('should paginate users', (done) => {
+			chai.request(app)
+				.get('/api/admin/users')
+				.query({
+					page: 2,
+					limit: 1
+				})
+				.set('Authorization', `Bearer ${adminToken}`)
+				.end((err, res) => {
+					res.should.have.status(200);
+					res.body.users.should.have.lengthOf(1);
+					res.body.users[0].should.have.property('username').eql('testuser');
+					res.body.pagination.should.have.property('totalPages').eql(2);
+					done();
+				});
+		});
+
+		it('should filter users by role and search term', (done) => {
+			chai.request(app)
+				.get('/api/admin/users')
+				.query({
+					role: 'user',
+					search: 'TEST'
+				})
+				.set('Authorization', `Bearer ${adminToken}`)
+				.end((err, res) => {
+					res.should.have.status(200);
+					res.body.users.map(user => user.username).should.eql(['testuser']);
+					done();
+				});
+		});
+
+		it('should reject invalid pagination parameters', (done) => {
+			chai.request(app)
+				.get('/api/admin/users')
+				.query({
+					limit: 1000
+				})
+				.set('Authorization', `Bearer ${adminToken}`)
+				.end((err, res) => {
+					res.should.have.status(400);
+					res.body.should.have.property('message');
+					done();
+				});
+		});
+	});
+
+	/**
+	 * Test: GET and PATCH /api/admin/users/:id
+	 *
+	 * Verifies viewing and updating a single user.
+	 */
+	describe('GET and PATCH /api/admin/users/:id', () => {
+		it('should get a user', (done) => {
+			chai.request(app)
+				.get(`/api/admin/users/${userId}`)
+				.set('Authorization', `Bearer ${adminToken}`)
+				.end((err, res) => {
+					res.should.have.status(200);
+					res.body.user.should.have.property('username').eql('testuser');
+					res.body.user.should.have.property('role').eql('user');
+					res.body.user.should.not.have.property('password');
+					done();
+				});
+		});
+
+		it('should return 404 for an unknown user', (done) => {
+			chai.request(app)
+				.get('/api/admin/users/unknown')
+				.set('Authorization', `Bearer ${adminToken}`)
+				.end((err, res) => {
+					res.should.have.status(404);
+					res.body.should.have.property('message').eql('User not found.');
+					done();
+				});
+		});
+
+		it('should update the role of a user', (done) => {
+			chai.request(app)
+				.patch(`/api/admin/users/${userId}`)
+				.set('Authorization', `Bearer ${adminToken}`)
+				.send({
+					role: 'admin'
+				})
+				.end((err, res) => {
+					res.should.have.status(200);
+					res.body.should.have.property('message').eql('User updated successfully.');
+					res.body.user.should.have.property('role').eql('admin');
+
+					// The promoted user can now use the admin routes
+					chai.request(app)
+						.get('/api/admin/users')
+						.set('Authorization', `Bearer ${userToken}`)
+						.end((err, res) => {
+							res.should.have.status(200);
+							done();
+						});
+				});
+		});
+
+		it('should not let an admin change their own role', (done) => {
+			chai.request(app)
+				.patch(`/api/admin/users/${adminId}`)
+				.set('Authorization', `Bearer ${adminToken}`)
+				.send({
+					role: 'user'
+				})
+				.end((err, res) => {
+					res.should.have.status(400);
+					res.body.should.have.property('message').eql('You cannot change your own role.');
+					done();
+				});
+		});
+
+		it('should reject unknown fields and roles', (done) => {
+			chai.request(app)
+				.patch(`/api/admin/users/${userId}`)
+				.set('Authorization', `Bearer ${adminToken}`)
+				.send({
+					role: 'superuser'
+				})
+				.end((err, res) => {
+					res.should.have.status(400);
+					done();
+				});
+		});
+	});
+
+	/**
+	 * Test: POST /api/admin/users/:id/disable and /enable
+	 *
+	 * Verifies that disabled users are signed out and cannot log in until re-enabled.
+	 */
+	describe('POST /api/admin/users/:id/disable and /enable', () => {
+		it('should disable and re-enable a user', (done) => {
+			chai.request(app)
+				.post(`/api/admin/users/${userId}/disable`)
+				.set('Authorization', `Bearer ${adminToken}`)
+				.end((err, res) => {
+					res.should.have.status(200);
+					res.body.should.have.property('message').eql('User disabled successfully.');
+
+					chai.request(app)
+						.post('/api/login')
+						.send({
+							username: 'testuser',
+							password: 'password123',
+						})
+						.end((err, res) => {
+							res.should.have.status(403);
+							res.body.should.have.property('message').eql('Account has been disabled.');
+
+							chai.request(app)
+								.post(`/api/admin/users/${userId}/enable`)
+								.set('Authorization', `Bearer ${adminToken}`)
+								.end((err, res) => {
+									res.should.have.status(200);
+									res.body.should.have.property('message').eql('User enabled successfully.');
+
+									chai.request(app)
+										.post('/api/login')
+										.send({
+											username: 'testuser',
+											password: 'password123',
+										})
+										.end((err, res) => {
+											res.should.have.status(200);
+											done();
+										});
+								});
+						});
+				});
+		});
+
+		it('should revoke the sessions of a disabled user', (done) => {
+			chai.request(app)
+				.post(`/api/admin/users/${userId}/disable`)
+				.set('Authorization', `Bearer ${adminToken}`)
+				.end(() => {
+					chai.request(app)
+						.get('/api/profile')
+						.set('Authorization', `Bearer ${userToken}`)
+						.end((err, res) => {
+							res.should.have.status(401);
+							done();
+						});
+				});
+		});
+
+		it('should not let an admin disable their own account', (done) => {
+			chai.request(app)
+				.post(`/api/admin/users/${adminId}/disable`)
+				.set('Authorization', `Bearer ${adminToken}`)
+				.end((err, res) => {
+					res.should.have.status(400);
+					res.body.should.have.property('message').eql('You cannot disable your own account.');
+					done();
+				});
+		});
+	});
+
+	/**
+	 * Test: DELETE /api/admin/users/:id
+	 *
+	 * Verifies that deleted users are removed and their tokens rejected.
+	 */
+	describe('DELETE /api/admin/users/:id', () => {
+		it('should delete a user', (done) => {
+			chai.request(app)
+				.delete(`/api/admin/users/${userId}`)
+				.set('Authorization', `Bearer ${adminToken}`)
+				.end((err, res) => {
+					res.should.have.status(200);
+					res.body.should.have.property('message').eql('User deleted successfully.');
+
+					chai.request(app)
+						.get('/api/profile')
+						.set('Authorization', `Bearer ${userToken}`)
+						.end((err, res) => {
+							res.should.have.status(401);
+
+							chai.request(app)
+								.get(`/api/admin/users/${userId}`)
+								.set('Authorization', `Bearer ${adminToken}`)
+								.end((err, res) => {
+									res.should.have.status(404);
+									done();
+								});
+						});
+				});
+		});
+
+		it('should not let an admin delete their own account', (done) => {
+			chai.request(app)
+				.delete(`/api/admin/users/${adminId}`)
+				.set('Authorization', `Bearer ${adminToken}`)
+				.end((err, res) => {
+					res.should.have.status(400);
+					res.body.should.have.property('message').eql('You cannot delete your own account.');
+					done();
+				});
+		});
+	});
+});
@@ -0,0 +1,224 @@
+/**
+ * Test Suite for the Application Factory.
+ *
+ * This file defines test cases for applications built by `createApp` from injected
+ * dependencies: applications against their own in-memory store do not share users,
+ * emails or tokens, the injected configuration is applied, and time-dependent logic
+ * reads time from the injected clock.
+ *
+ * The tests are implemented using Chai and Mocha, with Chai-HTTP used to
+ * simulate HTTP requests against isolated applications.
+ */
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const jwt = require('jsonwebtoken');
+const {
+	createApp
+} = require('../app');
+const {
+	loadConfig
+} = require('../config');
+const {
+	createUserModel
+} = require('../models/userModel');
+const {
+	createLogger
+} = require('../services/logger');
+const {
+	createMailer
+} = require('../services/mailer');
+const {
+	createClock
+} = require('../utils/clock');
+const totp = require('../utils/totp');
+
+chai.use(chaiHttp);
+chai.should(); // Enables 'should' style assertions in tests
+
+// Registration data of the test user
+const testUser = {
+	username: 'testuser',
+	email: 'test@example.com',
+	password: 'correct-horse-battery',
+};
+
+/**
+ * Builds an application with its own in-memory store, mailer and clock.
+ *
+ * @param {Object} [env] - Environment variables added to those of the test environment.
+ * @returns {Object} The `app` and its `userModel`, `mailer` and `clock`.
+ */
+function buildApp(env = {}) {
+	const dependencies = {
+		config: loadConfig({
+			NODE_ENV: 'test',
+			...env
+		}),
+		userModel: createUserModel({
+			driver: 'memory'
+		}),
+		logger: createLogger({
+			level: 'silent'
+		}),
+		clock: createClock(),
+		mailer: createMailer({
+			transport: 'memory'
+		}),
+	};
+
+	return {
+		app: createApp(dependencies),
+		...dependencies
+	};
+}
+
+/**
+ * Registers the test user, verifies their email address with the emailed link and
+ * logs them in.
+ *
+ * @param {Object} context - The application and its dependencies, as built by `buildApp`.
+ * @returns {Promise<string>} The access token of the user.
+ */
+function registerAndLogin({
+	app,
+	mailer
+}) {
+	return chai.request(app)
+		.post('/api/register')
+		.send(testUser)
+		.then(() => {
+			const token = mailer.transport.messages[0].text.match(/[?&]token=([^\s&]+)/)[1];
+			return chai.request(app)
+				.get('/api/verify-email')
+				.query({
+					token: decodeURIComponent(token)
+				});
+		})
+		.then(() => chai.request(app)
+			.post('/api/login')
+			.send({
+				username: testUser.username,
+				password: testUser.password
+			}))
+		.then((res) => res.body.token);
+}
+
+describe('Application Factory', () => {
+	it('should keep the users and emails of each application to itself', () => {
+		const first = buildApp();
+		const second = buildApp();
+
+		return registerAndLogin(first)
+			.then(() => first.userModel.findUserByUsername(testUser.username))
+			.then((user) => {
+				user.should.have.property('email', testUser.email);
+				return second.userModel.findUserByUsername(testUser.username);
+			})
+			.then((user) => {
+				chai.expect(user).to.be.null;
+				first.mailer.transport.messages.should.have.lengthOf(1);
+				second.mailer.transport.messages.should.eql([]);
+
+				return chai.request(second.app)
+					.post('/api/register')
+					.send(testUser);
+			})
+			.then((res) => {
+				res.should.have.status(201);
+			});
+	});
+
+	it('should not accept the tokens of another application', () => {
+		const first = buildApp();
+		const second = buildApp();
+
+		return registerAndLogin(first)
+			.then((token) => chai.request(second.app)
+				.get('/api/profile')
+				.set('Authorization', `Bearer ${token}`))
+			.then((res) => {
+				res.should.have.status(401);
+			});
+	});
+
+	it('should apply the injected configuration', () => {
+		return registerAndLogin(buildApp({
+				JWT_ISSUER: 'isolated-app'
+			}))
+			.then((token) => {
+				jwt.decode(token).should.have.property('iss', 'isolated-app');
+			});
+	});
+
+	it('should time lockouts and tokens by the injected clock', () => {
+		const context = buildApp({
+			LOGIN_MAX_FAILED_ATTEMPTS: '1',
+			LOGIN_FAILURE_DELAY_MS: '0'
+		});
+		const login = password => chai.request(context.app)
+			.post('/api/login')
+			.send({
+				username: testUser.username,
+				password
+			});
+		let token;
+
+		return registerAndLogin(context)
+			.then((accessToken) => {
+				token = accessToken;
+				return login('wrong-password');
+			})
+			.then(() => login(testUser.password))
+			.then((res) => {
+				res.should.have.status(401);
+
+				context.clock.advance(16 * 60 * 1000); // Past the lockout, within the lifetime of the access token
+				return login(testUser.password);
+			})
+			.then((res) => {
+				res.should.have.status(200);
+				return chai.request(context.app)
+					.get('/api/profile')
+					.set('Authorization', `Bearer ${token}`);
+			})
+			.then((res) => {
+				res.should.have.status(200);
+
+				context.clock.advance(60 * 60 * 1000); // Past the lifetime of the access token
+				return chai.request(context.app)
+					.get('/api/profile')
+					.set('Authorization', `Bearer ${token}`);
+			})
+			.then((res) => {
+				res.should.have.status(401);
+			});
+	});
+
+	it('should read time from the injected clock', () => {
+		const context = buildApp();
+		let token;
+
+		context.clock.set(new Date('2030-01-01T00:00:00Z')); // The clock of the process is left alone
+
+		return registerAndLogin(context)
+			.then((accessToken) => {
+				token = accessToken;
+				jwt.decode(token).should.have.property('iat', Date.parse('2030-01-01T00:00:00Z') / 1000);
+
+				return chai.request(context.app)
+					.post('/api/2fa/setup')
+					.set('Authorization', `Bearer ${token}`);
+			})
+			.then((res) => chai.request(context.app)
+				.post('/api/2fa/confirm')
+				.set('Authorization', `Bearer ${token}`)
+				.send({
+					code: totp.generateCode(res.body.secret, context.clock.now())
+				}))
+			.then((res) => {
+				res.should.have.status(200);
+				res.body.should.have.property('recoveryCodes');
+			});
+	});
+});
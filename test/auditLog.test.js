@@ -0,0 +1,253 @@
+/**
+ * Test Suite for the Security Audit Trail.
+ *
+ * This file defines test cases for the audit log sinks, the events recorded for
+ * registrations, logins, failed logins and password changes, and the endpoint
+ * listing the security events of the authenticated user.
+ *
+ * The tests are implemented using Chai and Mocha, with Chai-HTTP used to
+ * simulate HTTP requests. The application records events in the in-memory sink.
+ */
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const app = require('../app'); // Import the application to test
+const auditLog = require('../services/auditLog');
+const {
+	createAuditLog
+} = require('../services/auditLog');
+const {
+	registerVerifiedUser
+} = require('./helpers/auth');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+chai.use(chaiHttp);
+chai.should(); // Enables 'should' style assertions in tests
+
+// Path to the mock user data JSON file for testing
+const testUsersFilePath = path.join(__dirname, '../data/test_users.json');
+
+describe('Audit Log', () => {
+	describe('File sink', () => {
+		let filePath;
+		let fileAuditLog;
+
+		beforeEach(() => {
+			filePath = path.join(os.tmpdir(), `audit-${process.pid}-${Date.now()}.log`);
+			fileAuditLog = createAuditLog({
+				sink: 'file',
+				filePath
+			});
+		});
+
+		afterEach(() => {
+			fs.rmSync(filePath, {
+				force: true
+			});
+		});
+
+		it('should append events as JSON lines and return the newest first', () => {
+			return fileAuditLog.record({
+					type: 'login',
+					userId: 'user-1'
+				})
+				.then(() => fileAuditLog.record({
+					type: 'login',
+					userId: 'user-2'
+				}))
+				.then(() => fileAuditLog.record({
+					type: 'password.change',
+					userId: 'user-1'
+				}))
+				.then(() => {
+					fs.readFileSync(filePath, 'utf8').trim().split('\n').should.have.lengthOf(3);
+					return fileAuditLog.findByUser('user-1', 1);
+				})
+				.then((events) => {
+					events.should.have.lengthOf(1);
+					events[0].should.include({
+						type: 'password.change',
+						userId: 'user-1',
+						actorId: 'user-1',
+						outcome: 'success'
+					});
+				});
+		});
+
+		it('should finish pending appends before closing', () => {
+			fileAuditLog.record({
+				type: 'login',
+				userId: 'user-1'
+			});
+			fileAuditLog.record({
+				type: 'logout',
+				userId: 'user-1'
+			});
+
+			return fileAuditLog.close().then(() => {
+				fs.readFileSync(filePath, 'utf8').trim().split('\n')
+					.map(line => JSON.parse(line).type)
+					.should.eql(['login', 'logout']);
+			});
+		});
+
+		it('should skip lines that do not parse', () => {
+			fs.writeFileSync(filePath, [
+				JSON.stringify({
+					type: 'login',
+					userId: 'user-1'
+				}),
+				'{"type":"logout","userId":"us',
+				JSON.stringify({
+					type: 'password.change',
+					userId: 'user-1'
+				}),
+			].join('\n') + '\n', 'utf8');
+
+			return fileAuditLog.findByUser('user-1', 10).then((events) => {
+				events.map(event => event.type).should.eql(['password.change', 'login']);
+			});
+		});
+
+		it('should return no events before anything has been recorded', () => {
+			return fileAuditLog.findByUser('user-1').then((events) => {
+				events.should.eql([]);
+			});
+		});
+	});
+
+	describe('GET /api/profile/security-events', () => {
+		let token;
+		let userId;
+
+		/**
+		 * Before each test, reset the mock database and the recorded events, then register
+		 * a user, fail a login, log in, and change the password.
+		 */
+		beforeEach(() => {
+			fs.writeFileSync(testUsersFilePath, '[]', 'utf8');
+			auditLog.sink.events.length = 0;
+
+			return registerVerifiedUser(app, {
+					username: 'testuser',
+					email: 'test@example.com',
+					password: 'password123',
+				})
+				.then(() => chai.request(app)
+					.post('/api/login')
+					.send({
+						username: 'testuser',
+						password: 'wrongpassword'
+					}))
+				.then(() => chai.request(app)
+					.post('/api/login')
+					.set('User-Agent', 'audit-test-agent')
+					.send({
+						username: 'testuser',
+						password: 'password123'
+					}))
+				.then((res) => {
+					token = res.body.token;
+					userId = JSON.parse(fs.readFileSync(testUsersFilePath, 'utf8'))[0].id;
+
+					return chai.request(app)
+						.put('/api/change-password')
+						.set('Authorization', `Bearer ${token}`)
+						.send({
+							oldPassword: 'password123',
+							newPassword: 'newpass123'
+						});
+				});
+		});
+
+		it('should list the security events of the user, newest first', (done) => {
+			chai.request(app)
+				.get('/api/profile/security-events')
+				.set('Authorization', `Bearer ${token}`)
+				.end((err, res) => {
+					res.should.have.status(200);
+					res.body.events.map(event => [event.type, event.outcome]).should.eql([
+						['password.change', 'success'],
+						['login', 'success'],
+						['login', 'failure'],
+						['email.verify', 'success'],
+						['register', 'success'],
+					]);
+
+					const [, login, failedLogin] = res.body.events;
+					login.should.include({
+						actorId: userId,
+						userAgent: 'audit-test-agent'
+					});
+					login.should.have.property('ip');
+					login.should.have.property('timestamp');
+					failedLogin.should.have.property('reason').eql('invalid_password');
+					done();
+				});
+		});
+
+		it('should limit the number of events', (done) => {
+			chai.request(app)
+				.get('/api/profile/security-events')
+				.query({
+					limit: 2
+				})
+				.set('Authorization', `Bearer ${token}`)
+				.end((err, res) => {
+					res.should.have.status(200);
+					res.body.events.should.have.lengthOf(2);
+					done();
+				});
+		});
+
+		it('should not list the events of other users', (done) => {
+			registerVerifiedUser(app, {
+				username: 'otheruser',
+				email: 'other@example.com',
+				password: 'password123',
+			}).then(() => {
+				chai.request(app)
+					.get('/api/profile/security-events')
+					.set('Authorization', `Bearer ${token}`)
+					.end((err, res) => {
+						res.body.events.should.have.lengthOf(5);
+						res.body.events.forEach(event => event.actorId.should.eql(userId));
+						done();
+					});
+			});
+		});
+
+		it('should record failed logins of unknown users without a user ID', (done) => {
+			chai.request(app)
+				.post('/api/login')
+				.send({
+					username: 'unknownuser',
+					password: 'password123'
+				})
+				.end(() => {
+					const event = auditLog.sink.events[auditLog.sink.events.length - 1];
+					event.should.include({
+						type: 'login',
+						outcome: 'failure',
+						reason: 'unknown_user'
+					});
+					event.details.should.eql({
+						username: 'unknownuser'
+					});
+					JSON.stringify(event).should.not.contain('password123');
+					done();
+				});
+		});
+
+		it('should not list security events without a token', (done) => {
+			chai.request(app)
+				.get('/api/profile/security-events')
+				.end((err, res) => {
+					res.should.have.status(403);
+					done();
+				});
+		});
+	});
+});
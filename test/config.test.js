@@ -0,0 +1,203 @@
+/**
+ * Test Suite for the Configuration.
+ *
+ * This file defines test cases for loading the configuration from environment
+ * variables: the defaults of the schema and of the environment, the conversion of
+ * numbers and comma-separated lists, the rules of the production environment, and
+ * reporting every invalid variable at once, which stops the application at boot.
+ *
+ * The tests are implemented using Chai and Mocha.
+ */
+
+const chai = require('chai');
+const path = require('path');
+const {
+	spawnSync
+} = require('child_process');
+const {
+	loadConfig,
+	ConfigError
+} = require('../config');
+
+chai.should(); // Enables 'should' style assertions in tests
+
+// A secret long enough for production
+const productionSecret = 'a'.repeat(32);
+
+/**
+ * Loads a configuration, returning the error raised if it is invalid.
+ *
+ * @param {Object} env - The environment variables.
+ * @returns {ConfigError} The error.
+ */
+function configErrorOf(env) {
+	try {
+		loadConfig(env);
+	} catch (err) {
+		return err;
+	}
+	throw new Error('Expected the configuration to be invalid');
+}
+
+describe('Configuration', () => {
+	it('should apply the defaults when no variable is set', () => {
+		const config = loadConfig({});
+
+		config.should.include({
+			env: 'development',
+			port: 3000,
+		});
+		config.log.level.should.equal('info');
+		config.userStore.filePath.should.equal(path.join(__dirname, '../data/users.json'));
+		config.mail.appBaseUrl.should.equal('http://localhost:3000');
+		config.rateLimit.global.should.eql({
+			max: 100,
+			windowMinutes: 15
+		});
+		config.rateLimit.allowlist.should.eql([]);
+	});
+
+	it('should apply the defaults of the test environment', () => {
+		const config = loadConfig({
+			NODE_ENV: 'test'
+		});
+
+		config.log.level.should.equal('silent');
+		config.userStore.filePath.should.equal(path.join(__dirname, '../data/test_users.json'));
+		config.auditLog.sink.should.equal('memory');
+		config.mail.transport.should.equal('memory');
+	});
+
+	it('should prefer the variables that are set to the defaults of the environment', () => {
+		loadConfig({
+			NODE_ENV: 'test',
+			MAIL_TRANSPORT: 'console'
+		}).mail.transport.should.equal('console');
+	});
+
+	it('should convert numbers and lists, and ignore empty variables', () => {
+		const config = loadConfig({
+			PORT: '8080',
+			USER_STORE: 'sqlite',
+			RATE_LIMIT_ALLOWLIST: ' 127.0.0.1, ::1,',
+			LOG_LEVEL: '',
+		});
+
+		config.port.should.equal(8080);
+		config.userStore.filePath.should.equal(path.join(__dirname, '../data/users.sqlite'));
+		config.mail.appBaseUrl.should.equal('http://localhost:8080');
+		config.rateLimit.allowlist.should.eql(['127.0.0.1', '::1']);
+		config.log.level.should.equal('info');
+	});
+
+	it('should report every invalid variable at once', () => {
+		const err = configErrorOf({
+			PORT: 'eighty',
+			RATE_LIMIT_MAX: '0',
+			LOG_LEVEL: 'verbose',
+			ACCESS_TOKEN_EXPIRES_IN: '1 hour',
+			PASSWORD_MIN_LENGTH: '12',
+			PASSWORD_MAX_LENGTH: '10',
+			RATE_LIMIT_ALLOWLIST: '127.0.0.1,localhost',
+		});
+
+		err.should.be.an.instanceOf(ConfigError);
+		err.details.map(detail => detail.variable).should.have.members([
+			'PORT',
+			'RATE_LIMIT_MAX',
+			'LOG_LEVEL',
+			'ACCESS_TOKEN_EXPIRES_IN',
+			'PASSWORD_MAX_LENGTH',
+			'RATE_LIMIT_ALLOWLIST',
+		]);
+		err.message.should.contain('Invalid configuration:\n');
+		err.message.should.contain('- PORT must be a number (got "eighty")');
+		err.message.should.contain('- ACCESS_TOKEN_EXPIRES_IN must be a duration such as 15m, 1h or 7d (got "1 hour")');
+		err.message.should.contain('- PASSWORD_MAX_LENGTH must not be less than PASSWORD_MIN_LENGTH (got 10)');
+	});
+
+	it('should refuse a maximum password length bcrypt would truncate', () => {
+		const err = configErrorOf({
+			PASSWORD_MAX_LENGTH: '128',
+		});
+
+		err.details.map(detail => detail.variable).should.eql(['PASSWORD_MAX_LENGTH']);
+		err.message.should.contain('- PASSWORD_MAX_LENGTH must not be more than 72, the number of bytes bcrypt hashes (got 128)');
+	});
+
+	it('should require a signing key, the public URL and a mail transport in production', () => {
+		const err = configErrorOf({
+			NODE_ENV: 'production'
+		});
+
+		err.details.map(detail => detail.message).should.have.members([
+			'SECRET_KEY or JWT_PRIVATE_KEY_PATH is required in production',
+			'APP_BASE_URL is required in production',
+			'MAIL_TRANSPORT is required in production',
+		]);
+	});
+
+	it('should refuse mail transports not delivering emails in production', () => {
+		['console', 'memory'].forEach((transport) => {
+			configErrorOf({
+				NODE_ENV: 'production',
+				SECRET_KEY: productionSecret,
+				APP_BASE_URL: 'https://example.com',
+				MAIL_TRANSPORT: transport
+			}).details.should.eql([{
+				variable: 'MAIL_TRANSPORT',
+				message: `MAIL_TRANSPORT must be file in production, as console prints the emails and memory drops them (got "${transport}")`,
+				value: transport
+			}]);
+		});
+	});
+
+	it('should refuse weak secrets in production', () => {
+		const env = {
+			NODE_ENV: 'production',
+			APP_BASE_URL: 'https://example.com'
+		};
+
+		configErrorOf({
+			...env,
+			SECRET_KEY: 'your_secret_key_here'
+		}).details[0].should.include({
+			variable: 'SECRET_KEY',
+			message: 'SECRET_KEY must be replaced with a random secret in production (got "your_secret_key_here")'
+		});
+		configErrorOf({
+			...env,
+			SECRET_KEY: 'short'
+		}).details[0].message.should.equal('SECRET_KEY must be at least 32 characters long in production (got "short")');
+	});
+
+	it('should accept a complete production configuration', () => {
+		loadConfig({
+			NODE_ENV: 'production',
+			SECRET_KEY: productionSecret,
+			APP_BASE_URL: 'https://example.com',
+			MAIL_TRANSPORT: 'file'
+		}).jwt.secret.should.equal(productionSecret);
+		loadConfig({
+			NODE_ENV: 'production',
+			JWT_PRIVATE_KEY_PATH: 'data/jwt-es256.pem',
+			APP_BASE_URL: 'https://example.com',
+			MAIL_TRANSPORT: 'file'
+		}).jwt.privateKeyPath.should.equal('data/jwt-es256.pem');
+	});
+
+	it('should stop the application at boot with the report of an invalid configuration', () => {
+		const result = spawnSync(process.execPath, ['app.js'], {
+			cwd: path.join(__dirname, '..'),
+			env: {
+				...process.env,
+				RATE_LIMIT_MAX: 'many'
+			},
+			encoding: 'utf8',
+			timeout: 10000,
+		});
+
+		result.status.should.equal(1);
+		result.stderr.should.equal('Invalid configuration:\n- RATE_LIMIT_MAX must be a number (got "many")\n');
+	});
+});
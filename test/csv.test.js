@@ -0,0 +1,54 @@
+/**
+ * Test Suite for the CSV Utilities.
+ *
+ * This file defines test cases for formatting and parsing CSV: quoting of fields with
+ * commas, double quotes and line breaks, empty fields, and malformed input.
+ *
+ * The tests are implemented using Chai and Mocha.
+ */
+
+const chai = require('chai');
+const {
+	formatCsv,
+	parseCsv
+} = require('../utils/csv');
+
+chai.should(); // Enables 'should' style assertions in tests
+
+describe('CSV', () => {
+	it('should quote the fields that need it', () => {
+		formatCsv(['name', 'note'], [{
+			name: 'plain',
+			note: 'a, "quoted"\nnote'
+		}, {
+			name: 'missing'
+		}]).should.equal('name,note\nplain,"a, ""quoted""\nnote"\nmissing,\n');
+	});
+
+	it('should parse what it formats', () => {
+		const records = [{
+			name: 'plain',
+			note: 'a, "quoted"\r\nnote'
+		}, {
+			name: '',
+			note: 'empty name'
+		}];
+
+		parseCsv(formatCsv(['name', 'note'], records)).should.eql(records);
+	});
+
+	it('should accept CRLF line breaks, blank lines and short lines', () => {
+		parseCsv('a,b\r\n1,2\r\n\r\n3\r\n').should.eql([{
+			a: '1',
+			b: '2'
+		}, {
+			a: '3',
+			b: ''
+		}]);
+	});
+
+	it('should reject malformed input', () => {
+		(() => parseCsv('a\n"unterminated')).should.throw('Unterminated quoted field.');
+		(() => parseCsv('a\n1,2')).should.throw('Record 1 has 2 fields, but the header has 1.');
+	});
+});
@@ -0,0 +1,219 @@
+/**
+ * Test Suite for Email Verification.
+ *
+ * This file defines test cases for the email verification flow: the
+ * verification email sent on registration, verifying an address through
+ * the emailed link, resending the verification email, and login being
+ * refused until the address has been verified.
+ *
+ * The tests are implemented using Chai and Mocha, with Chai-HTTP used to
+ * simulate HTTP requests. Emails are captured by the in-memory mail transport.
+ */
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const app = require('../app'); // Import the application to test
+const mailer = require('../services/mailer');
+const {
+	latestVerificationToken
+} = require('./helpers/auth');
+const fs = require('fs');
+const path = require('path');
+
+chai.use(chaiHttp);
+chai.should(); // Enables 'should' style assertions in tests
+
+// Path to the mock user data JSON file for testing
+const testUsersFilePath = path.join(__dirname, '../data/test_users.json');
+
+describe('Email Verification API', () => {
+	const user = {
+		username: 'testuser',
+		email: 'test@example.com',
+		password: 'password123',
+	};
+
+	/**
+	 * Before each test, reset the mock database and the captured emails, then register a user.
+	 */
+	beforeEach((done) => {
+		fs.writeFileSync(testUsersFilePath, '[]', 'utf8');
+		mailer.transport.messages.length = 0;
+
+		chai.request(app)
+			.post('/api/register')
+			.send(user)
+			.end(() => done());
+	});
+
+	/**
+	 * Test: POST /api/register
+	 *
+	 * Verifies that registering stores an unverified user and emails a verification link.
+	 */
+	describe('POST /api/register', () => {
+		it('should store the user as unverified', () => {
+			const [stored] = JSON.parse(fs.readFileSync(testUsersFilePath, 'utf8'));
+			stored.should.have.property('emailVerified').eql(false);
+		});
+
+		it('should email a verification link', () => {
+			mailer.transport.messages.should.have.lengthOf(1);
+			mailer.transport.messages[0].should.have.property('to').eql('test@example.com');
+			mailer.transport.messages[0].text.should.contain('/api/verify-email?token=');
+		});
+	});
+
+	/**
+	 * Test: POST /api/login
+	 *
+	 * Verifies that unverified accounts cannot log in.
+	 */
+	describe('POST /api/login', () => {
+		it('should not login a user whose email is not verified', (done) => {
+			chai.request(app)
+				.post('/api/login')
+				.send({
+					username: 'testuser',
+					password: 'password123',
+				})
+				.end((err, res) => {
+					res.should.have.status(403);
+					res.body.should.have.property('message').eql('Email address has not been verified.');
+					res.body.should.not.have.property('token');
+					done();
+				});
+		});
+	});
+
+	/**
+	 * Test: GET /api/verify-email
+	 *
+	 * Verifies that the emailed token activates the account exactly once.
+	 */
+	describe('GET /api/verify-email', () => {
+		it('should verify the email address and allow login', (done) => {
+			chai.request(app)
+				.get('/api/verify-email')
+				.query({
+					token: latestVerificationToken(user.email)
+				})
+				.end((err, res) => {
+					res.should.have.status(200);
+					res.body.should.have.property('message').eql('Email verified successfully.');
+
+					chai.request(app)
+						.post('/api/login')
+						.send({
+							username: 'testuser',
+							password: 'password123',
+						})
+						.end((err, res) => {
+							res.should.have.status(200);
+							res.body.should.have.property('token');
+							done();
+						});
+				});
+		});
+
+		it('should not accept a verification token twice', (done) => {
+			const token = latestVerificationToken(user.email);
+
+			chai.request(app)
+				.get('/api/verify-email')
+				.query({
+					token
+				})
+				.end(() => {
+					chai.request(app)
+						.get('/api/verify-email')
+						.query({
+							token
+						})
+						.end((err, res) => {
+							res.should.have.status(400);
+							res.body.should.have.property('message').eql('Invalid or expired verification token.');
+							done();
+						});
+				});
+		});
+
+		it('should not verify with an invalid token', (done) => {
+			chai.request(app)
+				.get('/api/verify-email')
+				.query({
+					token: 'invalidtoken'
+				})
+				.end((err, res) => {
+					res.should.have.status(400);
+					res.body.should.have.property('message').eql('Invalid or expired verification token.');
+					done();
+				});
+		});
+
+		it('should not verify without a token', (done) => {
+			chai.request(app)
+				.get('/api/verify-email')
+				.end((err, res) => {
+					res.should.have.status(400);
+					res.body.should.have.property('message');
+					done();
+				});
+		});
+	});
+
+	/**
+	 * Test: POST /api/verify-email/resend
+	 *
+	 * Verifies that a new verification email replaces the previous one, without
+	 * revealing whether an account exists.
+	 */
+	describe('POST /api/verify-email/resend', () => {
+		it('should send a new token and invalidate the previous one', (done) => {
+			const previousToken = latestVerificationToken(user.email);
+
+			chai.request(app)
+				.post('/api/verify-email/resend')
+				.send({
+					email: user.email
+				})
+				.end((err, res) => {
+					res.should.have.status(200);
+					mailer.transport.messages.should.have.lengthOf(2);
+
+					chai.request(app)
+						.get('/api/verify-email')
+						.query({
+							token: previousToken
+						})
+						.end((err, res) => {
+							res.should.have.status(400);
+
+							chai.request(app)
+								.get('/api/verify-email')
+								.query({
+									token: latestVerificationToken(user.email)
+								})
+								.end((err, res) => {
+									res.should.have.status(200);
+									done();
+								});
+						});
+				});
+		});
+
+		it('should respond identically for an unknown email address', (done) => {
+			chai.request(app)
+				.post('/api/verify-email/resend')
+				.send({
+					email: 'unknown@example.com'
+				})
+				.end((err, res) => {
+					res.should.have.status(200);
+					res.body.should.have.property('message').eql('If an unverified account exists for this email address, a verification email has been sent.');
+					mailer.transport.messages.should.have.lengthOf(1);
+					done();
+				});
+		});
+	});
+});
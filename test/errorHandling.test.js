@@ -0,0 +1,134 @@
+/**
+ * Test Suite for Centralized Error Handling.
+ *
+ * This file defines test cases for the JSON error envelope sent for validation
+ * errors, authentication errors, malformed request bodies, unknown routes and
+ * unexpected errors, and for the request ID included in error responses.
+ *
+ * The tests are implemented using Chai and Mocha, with Chai-HTTP used to
+ * simulate HTTP requests.
+ */
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const app = require('../app'); // Import the application to test
+const userModel = require('../models/userModel');
+
+chai.use(chaiHttp);
+chai.should(); // Enables 'should' style assertions in tests
+
+describe('Error Handling', () => {
+	it('should report every invalid field of a request', (done) => {
+		chai.request(app)
+			.post('/api/register')
+			.send({
+				username: 'ab',
+				email: 'not-an-email'
+			})
+			.end((err, res) => {
+				res.should.have.status(400);
+				res.body.should.have.property('code').eql('VALIDATION_ERROR');
+				res.body.should.have.property('message').eql('"username" length must be at least 3 characters long');
+				res.body.details.map(detail => detail.field).should.eql(['username', 'email', 'password']);
+				res.body.details[2].should.eql({
+					field: 'password',
+					location: 'body',
+					message: '"password" is required',
+					type: 'any.required'
+				});
+				done();
+			});
+	});
+
+	it('should respond to malformed JSON with a JSON error', (done) => {
+		chai.request(app)
+			.post('/api/login')
+			.set('Content-Type', 'application/json')
+			.send('{"username": ')
+			.end((err, res) => {
+				res.should.have.status(400);
+				res.should.be.json;
+				res.body.should.have.property('code').eql('INVALID_JSON');
+				res.body.should.have.property('message').eql('Request body is not valid JSON.');
+				done();
+			});
+	});
+
+	it('should respond to unknown routes with a JSON 404', (done) => {
+		chai.request(app)
+			.get('/api/unknown')
+			.end((err, res) => {
+				res.should.have.status(404);
+				res.should.be.json;
+				res.body.should.have.property('code').eql('ROUTE_NOT_FOUND');
+				res.body.should.have.property('message').eql('Route GET /api/unknown not found.');
+				done();
+			});
+	});
+
+	it('should use the error code of the error type', (done) => {
+		chai.request(app)
+			.get('/api/profile')
+			.set('Authorization', 'Bearer invalid')
+			.end((err, res) => {
+				res.should.have.status(401);
+				res.body.should.have.property('code').eql('AUTHENTICATION_FAILED');
+				res.body.should.have.property('message').eql('Failed to authenticate token.');
+				res.body.should.have.property('details').eql([]);
+				done();
+			});
+	});
+
+	it('should include the request ID, reusing the one sent by the client', (done) => {
+		chai.request(app)
+			.get('/api/unknown')
+			.set('X-Request-Id', 'client-request-1')
+			.end((err, res) => {
+				res.should.have.header('x-request-id', 'client-request-1');
+				res.body.should.have.property('requestId').eql('client-request-1');
+
+				chai.request(app)
+					.get('/api/unknown')
+					.set('X-Request-Id', 'not a valid id')
+					.end((err, res) => {
+						res.body.requestId.should.not.eql('not a valid id');
+						res.should.have.header('x-request-id', res.body.requestId);
+						done();
+					});
+			});
+	});
+
+	describe('Unexpected errors', () => {
+		const findUserByUsername = userModel.findUserByUsername;
+
+		/**
+		 * Before each test, make the user store fail.
+		 */
+		beforeEach(() => {
+			userModel.findUserByUsername = () => Promise.reject(new Error('EIO: disk write failed at /secret/path'));
+		});
+
+		/**
+		 * After each test, restore the user store.
+		 */
+		afterEach(() => {
+			userModel.findUserByUsername = findUserByUsername;
+		});
+
+		it('should respond with a generic 500 error without internal details', (done) => {
+			chai.request(app)
+				.post('/api/login')
+				.send({
+					username: 'testuser',
+					password: 'password123'
+				})
+				.end((err, res) => {
+					res.should.have.status(500);
+					res.body.should.have.property('code').eql('INTERNAL_ERROR');
+					res.body.should.have.property('message').eql('An unexpected error occurred.');
+					JSON.stringify(res.body).should.not.contain('/secret/path');
+					done();
+				});
+		});
+	});
+});
@@ -0,0 +1,219 @@
+/**
+ * Test Suite for the Health, Readiness and Metrics Endpoints.
+ *
+ * This file defines test cases for the liveness probe, the readiness probe and its
+ * checks of the configuration and the user store, the Prometheus metrics of requests,
+ * logins and rate limit rejections, and exempting these endpoints from rate limiting.
+ *
+ * The tests are implemented using Chai and Mocha, with Chai-HTTP used to
+ * simulate HTTP requests against isolated applications built with `createApp`.
+ */
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+	createApp
+} = require('../app');
+const {
+	loadConfig
+} = require('../config');
+const {
+	createUserModel
+} = require('../models/userModel');
+const {
+	createLogger
+} = require('../services/logger');
+const {
+	createMailer
+} = require('../services/mailer');
+const {
+	createClock
+} = require('../utils/clock');
+
+chai.use(chaiHttp);
+chai.should(); // Enables 'should' style assertions in tests
+
+// Directory of the data files of the tests
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'health-'));
+
+/**
+ * Builds an application against an in-memory store.
+ *
+ * @param {Object} [env] - Environment variables added to those of the test environment.
+ * @param {Object} [userModel] - The user model. Default is an in-memory store.
+ * @returns {Object} The Express application.
+ */
+function buildApp(env = {}, userModel = createUserModel({
+	driver: 'memory'
+})) {
+	return createApp({
+		config: loadConfig({
+			NODE_ENV: 'test',
+			LOGIN_FAILURE_DELAY_MS: '0',
+			...env
+		}),
+		userModel,
+		logger: createLogger({
+			level: 'silent'
+		}),
+		clock: createClock(),
+		mailer: createMailer({
+			transport: 'memory'
+		}),
+	});
+}
+
+describe('Health and Metrics', () => {
+	after(() => {
+		fs.rmSync(tmpDir, {
+			recursive: true,
+			force: true
+		});
+	});
+
+	describe('GET /healthz', () => {
+		it('should report that the process is alive', () => {
+			return chai.request(buildApp())
+				.get('/healthz')
+				.then((res) => {
+					res.should.have.status(200);
+					res.body.should.eql({
+						status: 'ok'
+					});
+				});
+		});
+	});
+
+	describe('GET /readyz', () => {
+		it('should report a ready application', () => {
+			return chai.request(buildApp())
+				.get('/readyz')
+				.then((res) => {
+					res.should.have.status(200);
+					res.body.should.eql({
+						status: 'ready',
+						checks: {
+							config: 'ok',
+							userStore: 'ok'
+						}
+					});
+				});
+		});
+
+		it('should report an unreadable user store', () => {
+			const filePath = path.join(tmpDir, 'corrupt-users.json');
+			fs.writeFileSync(filePath, 'corrupt', 'utf8');
+
+			return chai.request(buildApp({}, createUserModel({
+					driver: 'json',
+					filePath
+				})))
+				.get('/readyz')
+				.then((res) => {
+					res.should.have.status(503);
+					res.body.should.eql({
+						status: 'unavailable',
+						checks: {
+							config: 'ok',
+							userStore: 'failed'
+						}
+					});
+				});
+		});
+
+		it('should report a file of the configuration that cannot be read anymore', () => {
+			const breachedListPath = path.join(tmpDir, 'breached-passwords.txt');
+			fs.writeFileSync(breachedListPath, 'password\n', 'utf8');
+			const app = buildApp({
+				PASSWORD_BREACHED_LIST_PATH: breachedListPath
+			});
+			fs.rmSync(breachedListPath);
+
+			return chai.request(app)
+				.get('/readyz')
+				.then((res) => {
+					res.should.have.status(503);
+					res.body.checks.should.eql({
+						config: 'failed',
+						userStore: 'ok'
+					});
+				});
+		});
+	});
+
+	describe('GET /metrics', () => {
+		it('should count requests by route and status, and measure their latency', () => {
+			const app = buildApp();
+			const agent = chai.request(app).keepOpen();
+
+			return agent.get('/api/users/123')
+				.then(() => agent.get('/api/users/456'))
+				.then(() => agent.get('/no/such/route'))
+				.then(() => agent.get('/metrics'))
+				.then((res) => {
+					res.should.have.status(200);
+					res.should.have.header('content-type', /^text\/plain;.* version=0\.0\.4/);
+					res.text.should.contain('# TYPE http_requests_total counter\n');
+					res.text.should.contain('http_requests_total{method="GET",route="/api/users/{id}",status="403"} 2\n');
+					res.text.should.contain('http_requests_total{method="GET",route="unmatched",status="404"} 1\n');
+					res.text.should.contain('# TYPE http_request_duration_seconds histogram\n');
+					res.text.should.contain('http_request_duration_seconds_bucket{method="GET",route="/api/users/{id}",status="403",le="+Inf"} 2\n');
+					res.text.should.contain('http_request_duration_seconds_count{method="GET",route="/api/users/{id}",status="403"} 2\n');
+				})
+				.finally(() => agent.close());
+		});
+
+		it('should count logins by outcome', () => {
+			const app = buildApp();
+
+			return chai.request(app)
+				.post('/api/login')
+				.send({
+					username: 'nobody',
+					password: 'wrong-password'
+				})
+				.then(() => chai.request(app).get('/metrics'))
+				.then((res) => {
+					res.text.should.contain('login_attempts_total{outcome="failure",reason="unknown_user"} 1\n');
+				});
+		});
+
+		it('should count rate limit rejections by policy, and never limit the monitoring endpoints', () => {
+			const app = buildApp({
+				RATE_LIMIT_MAX: '1'
+			});
+			const agent = chai.request(app).keepOpen();
+
+			/**
+			 * Sends a rate-limited request.
+			 *
+			 * @param {string} url - The URL of the request.
+			 * @returns {Promise<Object>} The response.
+			 */
+			const get = (url) => agent.get(url).set('x-enable-rate-limit', 'true');
+
+			return get('/api/users/123')
+				.then(() => get('/api/users/123'))
+				.then((res) => {
+					res.should.have.status(429);
+					return get('/healthz');
+				})
+				.then((res) => {
+					res.should.have.status(200);
+					return get('/readyz');
+				})
+				.then((res) => {
+					res.should.have.status(200);
+					return get('/metrics');
+				})
+				.then((res) => {
+					res.should.have.status(200);
+					res.text.should.contain('rate_limit_rejections_total{policy="global"} 1\n');
+				})
+				.finally(() => agent.close());
+		});
+	});
+});
@@ -0,0 +1,115 @@
+/**
+ * Helpers shared by the API test suites for creating and authenticating users.
+ */
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const mailer = require('../../services/mailer');
+
+chai.use(chaiHttp);
+
+/**
+ * Extracts the token from the latest verification email sent to an address.
+ *
+ * @param {string} email - The recipient address.
+ * @returns {string|null} The verification token, or null if no email was sent.
+ */
+function latestVerificationToken(email) {
+	const message = mailer.transport.messages
+		.filter(sent => sent.to === email && sent.subject === 'Verify your email address')
+		.pop();
+	if (!message) return null;
+
+	const match = message.text.match(/[?&]token=([^\s&]+)/);
+	return decodeURIComponent(match[1]);
+}
+
+/**
+ * Extracts the token from the latest password reset email sent to an address.
+ *
+ * @param {string} email - The recipient address.
+ * @returns {string|null} The password reset token, or null if no email was sent.
+ */
+function latestPasswordResetToken(email) {
+	const message = mailer.transport.messages
+		.filter(sent => sent.to === email && sent.subject === 'Reset your password')
+		.pop();
+	if (!message) return null;
+
+	return message.text.match(/^(\S+\.\S+)$/m)[1];
+}
+
+/**
+ * Waits for a password reset email to an address and extracts its token. Reset emails are
+ * sent after the response to the request (see `userController.forgotPassword`).
+ *
+ * @param {string} email - The recipient address.
+ * @param {number} [sentBefore=0] - The number of reset emails sent to the address before the request.
+ * @param {number} [timeoutMs=2000] - How long to wait for the email.
+ * @returns {Promise<string>} The password reset token.
+ */
+async function waitForPasswordResetToken(email, sentBefore = 0, timeoutMs = 2000) {
+	const deadline = Date.now() + timeoutMs;
+	while (passwordResetEmailCount(email) <= sentBefore) {
+		if (Date.now() > deadline) throw new Error(`No password reset email was sent to ${email}.`);
+		await new Promise(resolve => setTimeout(resolve, 5));
+	}
+	return latestPasswordResetToken(email);
+}
+
+/**
+ * Counts the password reset emails sent to an address.
+ *
+ * @param {string} email - The recipient address.
+ * @returns {number} The number of emails.
+ */
+function passwordResetEmailCount(email) {
+	return mailer.transport.messages
+		.filter(sent => sent.to === email && sent.subject === 'Reset your password')
+		.length;
+}
+
+/**
+ * Requests a password reset through the API and waits for the emailed token.
+ *
+ * @param {Object} app - The Express application.
+ * @param {string} email - The email address of the account.
+ * @returns {Promise<string>} The password reset token.
+ */
+function requestPasswordResetToken(app, email) {
+	const sentBefore = passwordResetEmailCount(email);
+
+	return chai.request(app)
+		.post('/api/forgot-password')
+		.send({
+			email
+		})
+		.then(() => waitForPasswordResetToken(email, sentBefore));
+}
+
+/**
+ * Registers a user through the API and verifies their email address using the
+ * emailed verification link, so that the user can log in.
+ *
+ * @param {Object} app - The Express application.
+ * @param {Object} user - The registration data (username, email and password).
+ * @returns {Promise<Object>} The response of the verification request.
+ */
+function registerVerifiedUser(app, user) {
+	return chai.request(app)
+		.post('/api/register')
+		.send(user)
+		.then(() => chai.request(app)
+			.get('/api/verify-email')
+			.query({
+				token: latestVerificationToken(user.email)
+			}));
+}
+
+module.exports = {
+	latestVerificationToken,
+	latestPasswordResetToken,
+	waitForPasswordResetToken,
+	requestPasswordResetToken,
+	registerVerifiedUser,
+};
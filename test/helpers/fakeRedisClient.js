@@ -0,0 +1,83 @@
+/**
+ * A local stand-in for a Redis client, used to test the Redis rate-limit store
+ * without a Redis server.
+ *
+ * It implements the few commands the store uses (`get`, `incr`, `decr`, `pexpire`,
+ * `pttl` and `del`) with the semantics of Redis, returning promises like `ioredis`.
+ * Keys expire according to `utils/clock`, so tests can move time forward.
+ */
+
+const clock = require('../../utils/clock');
+
+/**
+ * Creates an in-memory client answering a subset of the Redis commands.
+ *
+ * @returns {Object} The client, exposing the stored keys as `data`.
+ */
+function createFakeRedisClient() {
+	// Stored keys: { value, expiresAt } with expiresAt null for keys without an expiry
+	const data = new Map();
+
+	/**
+	 * Returns a stored key, dropping it if it has expired.
+	 *
+	 * @param {string} key - The key.
+	 * @returns {Object|undefined} The stored entry.
+	 */
+	function entry(key) {
+		const stored = data.get(key);
+		if (stored && stored.expiresAt !== null && stored.expiresAt <= clock.now()) {
+			data.delete(key);
+			return undefined;
+		}
+		return stored;
+	}
+
+	/**
+	 * Adds a number to the integer stored at a key, creating it without an expiry if needed.
+	 *
+	 * @param {string} key - The key.
+	 * @param {number} amount - The number to add.
+	 * @returns {number} The new value.
+	 */
+	function incrBy(key, amount) {
+		const stored = entry(key) || {
+			value: '0',
+			expiresAt: null
+		};
+		stored.value = String(Number(stored.value) + amount);
+		data.set(key, stored);
+		return Number(stored.value);
+	}
+
+	return {
+		data,
+
+		get: async (key) => {
+			const stored = entry(key);
+			return stored ? stored.value : null;
+		},
+
+		incr: async (key) => incrBy(key, 1),
+
+		decr: async (key) => incrBy(key, -1),
+
+		pexpire: async (key, ms) => {
+			const stored = entry(key);
+			if (!stored) return 0;
+			stored.expiresAt = clock.now() + ms;
+			return 1;
+		},
+
+		pttl: async (key) => {
+			const stored = entry(key);
+			if (!stored) return -2;
+			if (stored.expiresAt === null) return -1;
+			return stored.expiresAt - clock.now();
+		},
+
+		del: async (key) => (data.delete(key) ? 1 : 0),
+	};
+}
+
+module.exports = createFakeRedisClient;
@@ -0,0 +1,63 @@
+/**
+ * Root hooks guarding every API test suite against leaking sensitive user fields.
+ *
+ * This file is loaded before the test suites (see `.mocharc.json`). It records every
+ * JSON response body sent by the application, and fails the running test if a body
+ * contains a field that must never reach a client, such as a password hash or the
+ * records holding token IDs and hashes. The list is kept here rather than imported
+ * from the serializer, so the guard does not depend on the code it checks.
+ */
+
+const express = require('express');
+
+// Fields that must never appear in a response body, at any depth
+const SENSITIVE_FIELDS = ['password', 'sessions', 'emailVerification', 'passwordReset', 'tokenHash', 'tokenId', 'twoFactor'];
+
+// Responses exempt from the guard: the OpenAPI document names request fields such as
+// `password` in its schemas, but never holds their values
+const EXEMPT_PATHS = ['/api/openapi.json'];
+
+// Sensitive fields found in responses sent during the current test
+let leaks = [];
+
+/**
+ * Collects the paths of sensitive fields found in a value.
+ *
+ * @param {*} value - The value to inspect.
+ * @param {string} path - The path of the value in the response body.
+ * @returns {Array<string>} The paths of the sensitive fields found.
+ */
+function findSensitiveFields(value, path = 'body') {
+	if (!value || typeof value !== 'object') return [];
+
+	return Object.keys(value).flatMap((key) => {
+		const fieldPath = `${path}.${key}`;
+		const found = SENSITIVE_FIELDS.includes(key) ? [fieldPath] : [];
+		return found.concat(findSensitiveFields(value[key], fieldPath));
+	});
+}
+
+// Inspect every JSON body sent by any Express application in the test process
+const json = express.response.json;
+express.response.json = function(body) {
+	if (EXEMPT_PATHS.includes(this.req.originalUrl.split('?')[0])) return json.call(this, body);
+
+	findSensitiveFields(body).forEach((field) => {
+		leaks.push(`${this.req.method} ${this.req.originalUrl}: ${field}`);
+	});
+	return json.call(this, body);
+};
+
+exports.SENSITIVE_FIELDS = SENSITIVE_FIELDS;
+exports.findSensitiveFields = findSensitiveFields;
+
+exports.mochaHooks = {
+	beforeEach() {
+		leaks = [];
+	},
+	afterEach() {
+		if (leaks.length > 0) {
+			throw new Error(`Sensitive fields leaked in responses:\n${leaks.join('\n')}`);
+		}
+	},
+};
@@ -0,0 +1,22 @@
+/**
+ * Root hooks removing the user store the API test suites share.
+ *
+ * This file is loaded before the test suites (see `.mocharc.json`). The suites testing
+ * the application of the process store their users in `data/test_users.json`, the user
+ * store of the test environment (see `config/index.js`), and reset it before each test.
+ * The file is removed once every suite has run, so a test run leaves no data behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Path to the mock user data JSON file of the test suites
+const testUsersFilePath = path.join(__dirname, '../../data/test_users.json');
+
+exports.mochaHooks = {
+	afterAll() {
+		fs.rmSync(testUsersFilePath, {
+			force: true
+		});
+	},
+};
@@ -0,0 +1,252 @@
+/**
+ * Test Suite for Structured Logging.
+ *
+ * This file defines test cases for the structured logger (JSON lines, levels,
+ * child loggers, redaction of credentials and closing log files) and for the request logging
+ * middleware (request IDs, status, latency, response size and user ID).
+ *
+ * The tests are implemented using Chai and Mocha, with Chai-HTTP used to
+ * simulate HTTP requests. Entries are written to an in-memory destination.
+ */
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const express = require('express');
+const bodyParser = require('body-parser');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+	createLogger
+} = require('../services/logger');
+const {
+	createLoggerMiddleware
+} = require('../middleware/loggerMiddleware');
+const requestIdMiddleware = require('../middleware/requestIdMiddleware');
+
+chai.use(chaiHttp);
+chai.should(); // Enables 'should' style assertions in tests
+
+/**
+ * Creates a log destination keeping the written entries in memory.
+ *
+ * @returns {Object} A destination exposing the parsed entries as `entries`.
+ */
+function createMemoryDestination() {
+	return {
+		entries: [],
+		write: function(line) {
+			this.entries.push(JSON.parse(line));
+		},
+	};
+}
+
+describe('Logger', () => {
+	let destination;
+
+	beforeEach(() => {
+		destination = createMemoryDestination();
+	});
+
+	it('should write entries as JSON lines with time, level and message', () => {
+		createLogger({
+			destination
+		}).info('hello', {
+			answer: 42
+		});
+
+		destination.entries.should.have.lengthOf(1);
+		destination.entries[0].should.include({
+			level: 'info',
+			msg: 'hello',
+			answer: 42
+		});
+		new Date(destination.entries[0].time).toISOString().should.eql(destination.entries[0].time);
+	});
+
+	it('should drop entries below the configured level', () => {
+		const logger = createLogger({
+			level: 'warn',
+			destination
+		});
+		logger.debug('debug');
+		logger.info('info');
+		logger.warn('warn');
+		logger.error('error');
+
+		destination.entries.map(entry => entry.level).should.eql(['warn', 'error']);
+	});
+
+	it('should add the fields of child loggers to every entry', () => {
+		createLogger({
+			destination
+		}).child({
+			requestId: 'abc'
+		}).child({
+			userId: 1
+		}).info('hello');
+
+		destination.entries[0].should.include({
+			requestId: 'abc',
+			userId: 1
+		});
+	});
+
+	it('should redact credentials at any depth', () => {
+		createLogger({
+			destination
+		}).info('hello', {
+			headers: {
+				Authorization: 'Bearer secret-token'
+			},
+			body: {
+				username: 'testuser',
+				password: 'password123',
+				refreshToken: 'secret-refresh-token'
+			},
+		});
+
+		const entry = destination.entries[0];
+		entry.headers.Authorization.should.eql('[REDACTED]');
+		entry.body.should.eql({
+			username: 'testuser',
+			password: '[REDACTED]',
+			refreshToken: '[REDACTED]'
+		});
+	});
+
+	it('should redact the codes of request bodies only', () => {
+		const err = new Error('no such file');
+		err.code = 'ENOENT';
+
+		createLogger({
+			destination
+		}).info('hello', {
+			body: {
+				challengeToken: 'secret-challenge-token',
+				code: '123456'
+			},
+			code: 'VALIDATION_ERROR',
+			details: [{
+				code: 'any.required'
+			}],
+			err,
+		});
+
+		const entry = destination.entries[0];
+		entry.body.should.eql({
+			challengeToken: '[REDACTED]',
+			code: '[REDACTED]'
+		});
+		entry.should.have.property('code').eql('VALIDATION_ERROR');
+		entry.details.should.eql([{
+			code: 'any.required'
+		}]);
+		entry.err.should.have.property('code').eql('ENOENT');
+	});
+
+	it('should flush a log file when closed, and drop entries logged afterwards', () => {
+		const filePath = path.join(os.tmpdir(), `logger-${process.pid}-${Date.now()}.log`);
+		const logger = createLogger({
+			destination: filePath
+		});
+		logger.info('before');
+
+		return logger.close().then(() => {
+			logger.info('after');
+
+			const entries = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+			entries.map(entry => entry.msg).should.eql(['before']);
+		}).finally(() => fs.rmSync(filePath, {
+			force: true
+		}));
+	});
+
+	it('should reject unknown levels', () => {
+		(() => createLogger({
+			level: 'verbose'
+		})).should.throw('Unknown log level "verbose"');
+	});
+});
+
+describe('Request Logging Middleware', () => {
+	let destination;
+	let app;
+
+	/**
+	 * Before each test, create an application logging its requests at the debug level.
+	 */
+	beforeEach(() => {
+		destination = createMemoryDestination();
+
+		app = express();
+		app.use(requestIdMiddleware);
+		app.use(createLoggerMiddleware(createLogger({
+			level: 'debug',
+			destination
+		})));
+		app.use(bodyParser.json());
+		app.post('/login', (req, res) => {
+			req.userId = 'user-1';
+			req.log.info('handled');
+			res.status(201).json({
+				message: 'ok'
+			});
+		});
+		app.get('/missing', (req, res) => {
+			res.status(404).json({
+				message: 'missing'
+			});
+		});
+	});
+
+	it('should log completed requests with status, latency, size and user ID', (done) => {
+		chai.request(app)
+			.post('/login')
+			.set('X-Request-Id', 'request-1')
+			.set('Authorization', 'Bearer secret-token')
+			.send({
+				username: 'testuser',
+				password: 'password123'
+			})
+			.end((err, res) => {
+				res.should.have.status(201);
+
+				const [handled, completed] = destination.entries;
+				handled.should.include({
+					msg: 'handled',
+					requestId: 'request-1'
+				});
+				completed.should.include({
+					level: 'info',
+					msg: 'request completed',
+					requestId: 'request-1',
+					method: 'POST',
+					url: '/login',
+					status: 201,
+					bytes: Buffer.byteLength(JSON.stringify(res.body)),
+					userId: 'user-1',
+				});
+				completed.durationMs.should.be.a('number');
+				completed.headers.authorization.should.eql('[REDACTED]');
+				completed.body.should.eql({
+					username: 'testuser',
+					password: '[REDACTED]'
+				});
+				done();
+			});
+	});
+
+	it('should log client errors as warnings and redact tokens in the URL', (done) => {
+		chai.request(app)
+			.get('/missing?token=secret-token&page=2')
+			.end(() => {
+				destination.entries[0].should.include({
+					level: 'warn',
+					status: 404,
+					url: '/missing?token=[REDACTED]&page=2',
+				});
+				done();
+			});
+	});
+});
@@ -0,0 +1,292 @@
+/**
+ * Test Suite for Account Lockout and Brute-Force Protection.
+ *
+ * This file defines test cases for counting failed logins per account, locking
+ * the account after too many consecutive failures, responding to locked accounts
+ * like to wrong credentials, refusing disabled accounts only to the correct
+ * password, delaying the failures of unknown usernames like those of accounts,
+ * and lifting the lockout by expiry, a successful login, a password reset or an
+ * admin.
+ *
+ * The tests are implemented using Chai and Mocha, with Chai-HTTP used to
+ * simulate HTTP requests. The progressive delay is disabled by the test script
+ * (`LOGIN_FAILURE_DELAY_MS=0`), except in a service created by a test.
+ */
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const app = require('../app'); // Import the application to test
+const mailer = require('../services/mailer');
+const {
+	failureDelay,
+	createLoginAttemptService
+} = require('../services/loginAttemptService');
+const {
+	createUserModel
+} = require('../models/userModel');
+const {
+	createClock
+} = require('../utils/clock');
+const {
+	requestPasswordResetToken,
+	registerVerifiedUser
+} = require('./helpers/auth');
+const fs = require('fs');
+const path = require('path');
+
+chai.use(chaiHttp);
+chai.should(); // Enables 'should' style assertions in tests
+
+// Path to the mock user data JSON file for testing
+const testUsersFilePath = path.join(__dirname, '../data/test_users.json');
+
+/**
+ * Attempts to log in.
+ *
+ * @param {string} username - The username.
+ * @param {string} password - The password.
+ * @returns {Promise<Object>} The response.
+ */
+function login(username, password) {
+	return chai.request(app)
+		.post('/api/login')
+		.send({
+			username,
+			password
+		});
+}
+
+/**
+ * Attempts to log in with a wrong password a number of times, one attempt after the other.
+ *
+ * @param {number} times - The number of failed attempts.
+ * @returns {Promise<Object>} The response to the last attempt.
+ */
+function failLogins(times) {
+	let attempts = Promise.resolve();
+	for (let i = 0; i < times; i++) {
+		attempts = attempts.then(() => login('testuser', 'wrongpassword'));
+	}
+	return attempts;
+}
+
+/**
+ * Reads the stored test user from the mock database.
+ *
+ * @returns {Object} The stored user.
+ */
+function storedUser() {
+	return JSON.parse(fs.readFileSync(testUsersFilePath, 'utf8'))
+		.find(user => user.username === 'testuser');
+}
+
+describe('Login Lockout', () => {
+	/**
+	 * Before each test, reset the mock database and the captured emails, then register a user.
+	 */
+	beforeEach(() => {
+		fs.writeFileSync(testUsersFilePath, '[]', 'utf8');
+		mailer.transport.messages.length = 0;
+
+		return registerVerifiedUser(app, {
+			username: 'testuser',
+			email: 'test@example.com',
+			password: 'password123',
+		});
+	});
+
+	it('should count failed attempts and reset them after a successful login', () => {
+		return failLogins(4)
+			.then(() => {
+				storedUser().should.have.property('failedLoginAttempts').eql(4);
+				return login('testuser', 'password123');
+			})
+			.then((res) => {
+				res.should.have.status(200);
+				storedUser().should.not.have.property('failedLoginAttempts');
+			});
+	});
+
+	it('should lock the account after too many failed attempts', () => {
+		return failLogins(5)
+			.then((res) => {
+				res.should.have.status(401);
+				storedUser().should.have.property('lockedUntil');
+
+				// Even the correct password is refused while the account is locked
+				return login('testuser', 'password123');
+			})
+			.then((res) => {
+				res.should.have.status(401);
+				res.body.should.have.property('code').eql('AUTHENTICATION_FAILED');
+				res.body.should.have.property('message').eql('Invalid credentials.');
+			});
+	});
+
+	it('should count every failed attempt when they are made in parallel', () => {
+		const attempts = Array.from({
+			length: 5
+		}, () => login('testuser', 'wrongpassword'));
+
+		return Promise.all(attempts)
+			.then(() => {
+				storedUser().should.have.property('failedLoginAttempts').eql(5);
+				storedUser().should.have.property('lockedUntil');
+			});
+	});
+
+	it('should respond to a locked account like to an unknown user', () => {
+		let unknownUserResponse;
+
+		return login('unknownuser', 'password123')
+			.then((res) => {
+				unknownUserResponse = res;
+				return failLogins(5);
+			})
+			.then(() => login('testuser', 'password123'))
+			.then((res) => {
+				// Only the ID of the request differs
+				res.status.should.eql(unknownUserResponse.status);
+				res.body.should.eql({
+					...unknownUserResponse.body,
+					requestId: res.body.requestId
+				});
+			});
+	});
+
+	it('should allow logging in again once the lockout has expired', () => {
+		return failLogins(5)
+			.then(() => {
+				const users = JSON.parse(fs.readFileSync(testUsersFilePath, 'utf8'));
+				users[0].lockedUntil = new Date(Date.now() - 1000).toISOString();
+				fs.writeFileSync(testUsersFilePath, JSON.stringify(users), 'utf8');
+
+				return login('testuser', 'wrongpassword');
+			})
+			.then(() => {
+				// A failure after the lockout starts a new series of attempts
+				storedUser().should.have.property('failedLoginAttempts').eql(1);
+				storedUser().should.not.have.property('lockedUntil');
+				return login('testuser', 'password123');
+			})
+			.then((res) => {
+				res.should.have.status(200);
+			});
+	});
+
+	it('should report a disabled account only to the correct password, without clearing its lockout', () => {
+		let unknownUserResponse;
+
+		return failLogins(2)
+			.then(() => {
+				const users = JSON.parse(fs.readFileSync(testUsersFilePath, 'utf8'));
+				users[0].disabled = true;
+				fs.writeFileSync(testUsersFilePath, JSON.stringify(users), 'utf8');
+
+				return login('unknownuser', 'wrongpassword');
+			})
+			.then((res) => {
+				unknownUserResponse = res;
+				return login('testuser', 'wrongpassword');
+			})
+			.then((res) => {
+				// A wrong password does not confirm that the account exists; only the ID of the request differs
+				res.status.should.eql(unknownUserResponse.status);
+				res.body.should.eql({
+					...unknownUserResponse.body,
+					requestId: res.body.requestId
+				});
+				return login('testuser', 'password123');
+			})
+			.then((res) => {
+				res.should.have.status(403);
+				res.body.should.have.property('message').eql('Account has been disabled.');
+				storedUser().should.have.property('failedLoginAttempts').eql(3);
+			});
+	});
+
+	it('should lift the lockout when the password is reset', () => {
+		return failLogins(5)
+			.then(() => requestPasswordResetToken(app, 'test@example.com'))
+			.then(resetToken => chai.request(app)
+				.post('/api/reset-password')
+				.send({
+					token: resetToken,
+					newPassword: 'newpass123'
+				}))
+			.then(() => login('testuser', 'newpass123'))
+			.then((res) => {
+				res.should.have.status(200);
+			});
+	});
+
+	it('should let an admin unlock the account', () => {
+		let adminToken;
+
+		return registerVerifiedUser(app, {
+				username: 'adminuser',
+				email: 'admin@example.com',
+				password: 'password123',
+			})
+			.then(() => {
+				const users = JSON.parse(fs.readFileSync(testUsersFilePath, 'utf8'));
+				users.find(user => user.username === 'adminuser').role = 'admin';
+				fs.writeFileSync(testUsersFilePath, JSON.stringify(users), 'utf8');
+
+				return login('adminuser', 'password123');
+			})
+			.then((res) => {
+				adminToken = res.body.token;
+				return failLogins(5);
+			})
+			.then(() => chai.request(app)
+				.get(`/api/admin/users/${storedUser().id}`)
+				.set('Authorization', `Bearer ${adminToken}`))
+			.then((res) => {
+				res.body.user.should.have.property('failedLoginAttempts').eql(5);
+				res.body.user.should.have.property('lockedUntil');
+
+				return chai.request(app)
+					.post(`/api/admin/users/${storedUser().id}/unlock`)
+					.set('Authorization', `Bearer ${adminToken}`);
+			})
+			.then((res) => {
+				res.should.have.status(200);
+				res.body.should.have.property('message').eql('User unlocked successfully.');
+				return login('testuser', 'password123');
+			})
+			.then((res) => {
+				res.should.have.status(200);
+			});
+	});
+
+	it('should delay the failures of a username matching no account like those of an account', () => {
+		const loginAttemptService = createLoginAttemptService({
+			userModel: createUserModel({
+				driver: 'memory'
+			}),
+			clock: createClock(),
+			failureDelayMs: 20
+		});
+		const timeFailure = () => {
+			const start = Date.now();
+			return loginAttemptService.recordFailure(null, 'unknownuser').then(() => Date.now() - start);
+		};
+
+		return timeFailure()
+			.then(timeFailure)
+			.then(timeFailure)
+			.then((elapsed) => {
+				// The third consecutive failure waits four times the first delay
+				elapsed.should.be.at.least(failureDelay(3, 20) - 5);
+			});
+	});
+
+	it('should double the delay with each failed attempt, up to a maximum', () => {
+		failureDelay(1, 250).should.eql(250);
+		failureDelay(2, 250).should.eql(500);
+		failureDelay(4, 250).should.eql(2000);
+		failureDelay(10, 250).should.eql(5000);
+		failureDelay(3, 0).should.eql(0);
+	});
+});
@@ -0,0 +1,440 @@
+/**
+ * Test Suite for the User Management CLI.
+ *
+ * This file defines test cases for the commands of `scripts/manage-users.js`: listing
+ * and searching users, creating users, resetting passwords, changing roles, disabling,
+ * enabling and deleting accounts, exporting and importing the store as JSON or CSV, the
+ * dry-run mode, and the exit codes of failures and invalid usage.
+ *
+ * The tests are implemented using Chai and Mocha. Commands run against an in-memory
+ * store and audit log, with their output captured; one test runs the script in a new
+ * process to check its exit code.
+ */
+
+const chai = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+	Readable
+} = require('stream');
+const {
+	spawnSync
+} = require('child_process');
+const {
+	runCli,
+	EXIT_CODES
+} = require('../scripts/manage-users');
+const {
+	createUserModel
+} = require('../models/userModel');
+const {
+	createAuditLog
+} = require('../services/auditLog');
+const {
+	createPasswordHasher
+} = require('../services/passwordHasher');
+const {
+	createPasswordPolicy
+} = require('../services/passwordPolicy');
+
+chai.should(); // Enables 'should' style assertions in tests
+
+// Directory of the exported files of the tests
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'manage-users-'));
+
+const passwordHasher = createPasswordHasher({
+	algorithm: 'bcrypt',
+	bcryptCost: 4
+});
+const passwordPolicy = createPasswordPolicy({
+	breachedListPath: path.join(__dirname, 'fixtures/breached-passwords.txt')
+});
+
+/**
+ * Creates a stream capturing what is written to it.
+ *
+ * @returns {Object} A writable stream exposing the written text as `text`.
+ */
+function createOutput() {
+	return {
+		text: '',
+		write: function(chunk) {
+			this.text += chunk;
+		},
+	};
+}
+
+describe('User Management CLI', () => {
+	let userModel;
+	let auditLog;
+	let alice;
+	let bob;
+
+	/**
+	 * Runs a command of the tool.
+	 *
+	 * @param {Array<string>} argv - The arguments of the command.
+	 * @param {string} [input=''] - The standard input.
+	 * @returns {Promise<{code: number, stdout: string, stderr: string}>} The exit code and output of the command.
+	 */
+	async function run(argv, input = '') {
+		const stdout = createOutput();
+		const stderr = createOutput();
+		const code = await runCli(argv, {
+			userModel,
+			passwordHasher,
+			passwordPolicy,
+			auditLog,
+			stdin: Readable.from([input]),
+			stdout,
+			stderr,
+		});
+		return {
+			code,
+			stdout: stdout.text,
+			stderr: stderr.text
+		};
+	}
+
+	beforeEach(async () => {
+		userModel = createUserModel({
+			driver: 'memory'
+		});
+		auditLog = createAuditLog({
+			sink: 'memory'
+		});
+		alice = await userModel.addUser({
+			username: 'alice',
+			email: 'alice@example.com',
+			password: await passwordHasher.hash('alice-password'),
+			role: 'admin',
+			emailVerified: true,
+		});
+		bob = await userModel.addUser({
+			username: 'bob',
+			email: 'bob@example.org',
+			password: await passwordHasher.hash('bob-password'),
+			role: 'user',
+			emailVerified: false,
+			failedLoginAttempts: 5,
+			lockedUntil: new Date(Date.now() + 60000).toISOString(),
+			sessions: [{
+				id: 'session-1'
+			}],
+		});
+	});
+
+	after(() => {
+		fs.rmSync(tmpDir, {
+			recursive: true,
+			force: true
+		});
+	});
+
+	describe('list', () => {
+		it('should list every user with their role and status', async () => {
+			const result = await run(['list']);
+
+			result.code.should.equal(EXIT_CODES.SUCCESS);
+			const lines = result.stdout.trim().split('\n');
+			lines[0].should.match(/^ID\s+USERNAME\s+EMAIL\s+ROLE\s+STATUS$/);
+			lines[1].should.match(new RegExp(`^${alice.id}\\s+alice\\s+alice@example.com\\s+admin\\s+active$`));
+			lines[2].should.match(new RegExp(`^${bob.id}\\s+bob\\s+bob@example.org\\s+user\\s+locked$`));
+			lines[3].should.equal('2 user(s)');
+		});
+
+		it('should search users and filter them by role as JSON', async () => {
+			const bySearch = await run(['list', '--search', 'EXAMPLE.ORG', '--json']);
+			JSON.parse(bySearch.stdout).map(user => user.username).should.eql(['bob']);
+
+			const byRole = await run(['list', '--role', 'admin', '--json']);
+			const users = JSON.parse(byRole.stdout);
+			users.map(user => user.username).should.eql(['alice']);
+			users[0].should.not.have.property('password');
+		});
+	});
+
+	describe('create', () => {
+		it('should create a user with a hashed password', async () => {
+			const result = await run(['create', 'carol', '--email', 'carol@example.com', '--role', 'admin', '--verified', '--password', 'carol-password']);
+
+			result.code.should.equal(EXIT_CODES.SUCCESS);
+			const carol = await userModel.findUserByUsername('carol');
+			result.stdout.should.equal(`Created user "carol" (${carol.id}).\n`);
+			carol.should.include({
+				email: 'carol@example.com',
+				role: 'admin',
+				emailVerified: true
+			});
+			(await passwordHasher.verify('carol-password', carol.password)).should.equal(true);
+
+			const [event] = await auditLog.findByUser(carol.id);
+			event.should.include({
+				type: 'register',
+				actorId: null
+			});
+			event.details.should.eql({
+				source: 'cli'
+			});
+		});
+
+		it('should read the password from the standard input', async () => {
+			const result = await run(['create', 'carol'], 'carol-password\nignored\n');
+
+			result.code.should.equal(EXIT_CODES.SUCCESS);
+			const carol = await userModel.findUserByUsername('carol');
+			(await passwordHasher.verify('carol-password', carol.password)).should.equal(true);
+		});
+
+		it('should refuse a password breaking the password policy', async () => {
+			const result = await run(['create', 'carol', '--password', 'password']);
+
+			result.code.should.equal(EXIT_CODES.FAILURE);
+			result.stderr.should.contain('The password was refused');
+			(await userModel.findUserByUsername('carol') === null).should.equal(true);
+		});
+
+		it('should refuse an existing username', async () => {
+			const result = await run(['create', 'bob', '--password', 'another-password']);
+
+			result.code.should.equal(EXIT_CODES.FAILURE);
+			result.stderr.should.equal('Error: Username "bob" already exists.\n');
+		});
+	});
+
+	describe('reset-password', () => {
+		it('should set a new password, lift the lockout and sign the user out', async () => {
+			const result = await run(['reset-password', 'bob', '--password', 'new-bob-password']);
+
+			result.code.should.equal(EXIT_CODES.SUCCESS);
+			const updated = await userModel.findUserById(bob.id);
+			(await passwordHasher.verify('new-bob-password', updated.password)).should.equal(true);
+			updated.should.not.have.property('lockedUntil');
+			updated.should.not.have.property('failedLoginAttempts');
+			updated.sessions.should.eql([]);
+		});
+
+		it('should fail for an unknown user', async () => {
+			const result = await run(['reset-password', 'nobody', '--password', 'new-password']);
+
+			result.code.should.equal(EXIT_CODES.FAILURE);
+			result.stderr.should.equal('Error: User "nobody" not found.\n');
+		});
+	});
+
+	describe('set-role, disable, enable and delete', () => {
+		it('should change the role of a user given by ID', async () => {
+			const result = await run(['set-role', bob.id, 'admin']);
+
+			result.code.should.equal(EXIT_CODES.SUCCESS);
+			(await userModel.findUserById(bob.id)).role.should.equal('admin');
+		});
+
+		it('should disable a user and sign them out, then enable them again', async () => {
+			(await run(['disable', 'bob'])).code.should.equal(EXIT_CODES.SUCCESS);
+			const disabled = await userModel.findUserById(bob.id);
+			disabled.disabled.should.equal(true);
+			disabled.sessions.should.eql([]);
+
+			(await run(['enable', 'bob'])).code.should.equal(EXIT_CODES.SUCCESS);
+			(await userModel.findUserById(bob.id)).disabled.should.equal(false);
+
+			(await auditLog.findByUser(bob.id)).map(event => event.type).should.eql(['admin.user.enable', 'admin.user.disable']);
+		});
+
+		it('should delete a user', async () => {
+			const result = await run(['delete', 'bob']);
+
+			result.code.should.equal(EXIT_CODES.SUCCESS);
+			(await userModel.findUserById(bob.id) === null).should.equal(true);
+		});
+
+		it('should refuse to demote, disable or delete the last enabled admin', async () => {
+			for (const argv of [['set-role', 'alice', 'user'], ['disable', 'alice'], ['delete', 'alice']]) {
+				const result = await run(argv);
+				result.code.should.equal(EXIT_CODES.FAILURE);
+				result.stderr.should.contain('is the last enabled admin');
+			}
+			(await userModel.findUserById(alice.id)).should.include({
+				role: 'admin'
+			});
+		});
+
+		it('should report the changes without making them in dry-run mode', async () => {
+			const result = await run(['delete', 'bob', '--dry-run']);
+
+			result.code.should.equal(EXIT_CODES.SUCCESS);
+			result.stdout.should.equal(`Dry run: would delete user "bob" (${bob.id}).\n`);
+			(await userModel.findUserById(bob.id)).should.have.property('username').eql('bob');
+			(await auditLog.findByUser(bob.id)).should.eql([]);
+		});
+	});
+
+	describe('export and import', () => {
+		it('should export the store as JSON and import it into another store', async () => {
+			const filePath = path.join(tmpDir, 'users.json');
+			(await run(['export', '--output', filePath, '--include-secrets'])).code.should.equal(EXIT_CODES.SUCCESS);
+
+			const exported = await userModel.getAllUsers();
+			userModel = createUserModel({
+				driver: 'memory'
+			});
+			const result = await run(['import', filePath]);
+
+			result.code.should.equal(EXIT_CODES.SUCCESS);
+			result.stdout.should.equal('Imported 2 user(s).\n');
+			(await userModel.getAllUsers()).should.eql(exported);
+		});
+
+		it('should export the account fields as CSV and import them', async () => {
+			const filePath = path.join(tmpDir, 'users.csv');
+			await run(['export', '--output', filePath, '--include-secrets']);
+
+			fs.readFileSync(filePath, 'utf8').split('\n')[0].should.equal('id,legacyId,username,email,displayName,role,emailVerified,disabled,password');
+
+			userModel = createUserModel({
+				driver: 'memory'
+			});
+			(await run(['import', filePath])).code.should.equal(EXIT_CODES.SUCCESS);
+
+			const imported = await userModel.findUserByUsername('bob');
+			imported.should.include({
+				id: bob.id,
+				email: 'bob@example.org',
+				role: 'user',
+				emailVerified: false,
+				password: bob.password
+			});
+			imported.should.not.have.property('sessions');
+		});
+
+		it('should leave secrets out of exports unless asked for', async () => {
+			await userModel.updateUser({
+				...alice,
+				twoFactorEnabled: true,
+				twoFactor: {
+					secret: 'JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP',
+					recoveryCodes: ['recovery-code-hash'],
+				},
+				passwordReset: {
+					tokenHash: 'reset-token-hash',
+					expiresAt: new Date(Date.now() + 60000).toISOString(),
+				},
+			});
+
+			const json = JSON.parse((await run(['export'])).stdout);
+			json.should.eql([{
+				id: alice.id,
+				username: 'alice',
+				email: 'alice@example.com',
+				role: 'admin',
+				emailVerified: true
+			}, {
+				id: bob.id,
+				username: 'bob',
+				email: 'bob@example.org',
+				role: 'user',
+				emailVerified: false
+			}]);
+
+			const csv = (await run(['export', '--format', 'csv'])).stdout;
+			csv.split('\n')[0].should.equal('id,legacyId,username,email,displayName,role,emailVerified,disabled');
+			csv.should.not.contain(bob.password);
+		});
+
+		it('should import users without a password only when allowed', async () => {
+			const filePath = path.join(tmpDir, 'passwordless.json');
+			await run(['export', '--output', filePath]);
+			userModel = createUserModel({
+				driver: 'memory'
+			});
+
+			const refused = await run(['import', filePath]);
+			refused.code.should.equal(EXIT_CODES.FAILURE);
+			refused.stderr.should.contain('User 1: "alice" has no password');
+			(await userModel.getAllUsers()).should.eql([]);
+
+			(await run(['import', filePath, '--allow-passwordless'])).code.should.equal(EXIT_CODES.SUCCESS);
+			(await userModel.getAllUsers()).map(user => user.username).should.eql(['alice', 'bob']);
+		});
+
+		it('should record every imported user in the audit log', async () => {
+			const filePath = path.join(tmpDir, 'audited.json');
+			fs.writeFileSync(filePath, JSON.stringify([{
+				username: 'carol'
+			}, {
+				username: 'dave'
+			}]), 'utf8');
+
+			(await run(['import', filePath, '--allow-passwordless'])).code.should.equal(EXIT_CODES.SUCCESS);
+
+			for (const username of ['carol', 'dave']) {
+				const user = await userModel.findUserByUsername(username);
+				const [event] = await auditLog.findByUser(user.id);
+				event.should.include({
+					type: 'register',
+					actorId: null
+				});
+				event.details.should.eql({
+					source: 'import'
+				});
+			}
+		});
+
+		it('should import nothing when a user already exists, unless existing users are skipped', async () => {
+			const filePath = path.join(tmpDir, 'conflict.json');
+			fs.writeFileSync(filePath, JSON.stringify([{
+				username: 'carol'
+			}, {
+				username: 'bob'
+			}]), 'utf8');
+
+			const refused = await run(['import', filePath, '--allow-passwordless']);
+			refused.code.should.equal(EXIT_CODES.FAILURE);
+			refused.stderr.should.contain('User 2: "bob" already exists');
+			(await userModel.getAllUsers()).should.have.lengthOf(2);
+
+			const skipped = await run(['import', filePath, '--allow-passwordless', '--skip-existing']);
+			skipped.code.should.equal(EXIT_CODES.SUCCESS);
+			skipped.stdout.should.equal('Imported 1 user(s), skipping 1 existing user(s).\n');
+			(await userModel.getAllUsers()).should.have.lengthOf(3);
+		});
+
+		it('should import nothing when a user is invalid', async () => {
+			const filePath = path.join(tmpDir, 'invalid.csv');
+			fs.writeFileSync(filePath, 'username,role\ncarol,user\ndave,superuser\n', 'utf8');
+
+			const result = await run(['import', filePath]);
+
+			result.code.should.equal(EXIT_CODES.FAILURE);
+			result.stderr.should.contain('User 2: role must be one of [user, admin]');
+			(await userModel.getAllUsers()).should.have.lengthOf(2);
+		});
+	});
+
+	describe('usage', () => {
+		it('should exit with the usage exit code on an unknown command, option or argument count', async () => {
+			for (const argv of [[], ['promote', 'bob'], ['list', '--verbose'], ['set-role', 'bob'], ['export', '--format', 'xml']]) {
+				const result = await run(argv);
+				result.code.should.equal(EXIT_CODES.USAGE);
+				result.stderr.should.contain('Usage: npm run users --');
+			}
+		});
+
+		it('should set the exit code of the process', () => {
+			const result = spawnSync(process.execPath, ['scripts/manage-users.js', 'delete', 'nobody'], {
+				cwd: path.join(__dirname, '..'),
+				env: {
+					...process.env,
+					USER_STORE: 'memory'
+				},
+				encoding: 'utf8',
+				timeout: 10000,
+			});
+
+			result.status.should.equal(EXIT_CODES.FAILURE);
+			result.stderr.should.equal('Error: User "nobody" not found.\n');
+		});
+	});
+});
@@ -0,0 +1,167 @@
+/**
+ * Test Suite for the OpenAPI Document.
+ *
+ * This file defines test cases for the OpenAPI document generated from the route
+ * table and the Joi schemas, and for the interactive docs page. It fails when a
+ * route is added without being documented, when a request schema is not attached
+ * to any route, or when the documentation of a removed route is left behind.
+ *
+ * The tests are implemented using Chai and Mocha, with Chai-HTTP used to
+ * simulate HTTP requests.
+ */
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const Joi = require('joi');
+const app = require('../app'); // Import the application to test
+const userSchemas = require('../schemas/userSchemas');
+const adminSchemas = require('../schemas/adminSchemas');
+const {
+	SELF_FIELDS,
+	ADMIN_FIELDS,
+	PUBLIC_FIELDS
+} = require('../serializers/userSerializer');
+const {
+	OPERATIONS,
+	RESPONSE_SCHEMAS,
+	listRoutes
+} = require('../docs/openapi');
+const joiToJsonSchema = require('../utils/joiToJsonSchema');
+
+chai.use(chaiHttp);
+chai.should(); // Enables 'should' style assertions in tests
+
+describe('OpenAPI Document', () => {
+	it('should document every route', () => {
+		const undocumented = listRoutes(app.locals.routes)
+			.map(route => `${route.method} ${route.path}`)
+			.filter(route => !OPERATIONS[route]);
+		undocumented.should.eql([]);
+	});
+
+	it('should not document routes that do not exist', () => {
+		const routes = listRoutes(app.locals.routes).map(route => `${route.method} ${route.path}`);
+		Object.keys(OPERATIONS).filter(route => !routes.includes(route)).should.eql([]);
+	});
+
+	it('should attach every request schema to a route', () => {
+		const attached = listRoutes(app.locals.routes).map(route => route.schemas);
+		const schemaModules = {
+			userSchemas,
+			adminSchemas
+		};
+
+		for (const [moduleName, schemas] of Object.entries(schemaModules)) {
+			for (const [name, routeSchemas] of Object.entries(schemas)) {
+				if (Joi.isSchema(routeSchemas)) continue; // Shared schemas, such as `userIdParamsSchema`
+				attached.should.include(routeSchemas, `${moduleName}.${name} is not attached to any route`);
+			}
+		}
+	});
+
+	it('should describe users with the fields of the serializer views', () => {
+		Object.keys(RESPONSE_SCHEMAS.User.describe().keys).should.eql(SELF_FIELDS);
+		Object.keys(RESPONSE_SCHEMAS.AdminUser.describe().keys).should.eql(ADMIN_FIELDS);
+		Object.keys(RESPONSE_SCHEMAS.PublicUser.describe().keys).should.eql(PUBLIC_FIELDS);
+	});
+
+	it('should serve the document with the request schemas of the routes', (done) => {
+		chai.request(app)
+			.get('/api/openapi.json')
+			.end((err, res) => {
+				res.should.have.status(200);
+				res.body.should.have.property('openapi').eql('3.0.3');
+
+				const register = res.body.paths['/api/register'].post;
+				register.requestBody.content['application/json'].schema.should.eql({
+					type: 'object',
+					properties: {
+						username: {
+							type: 'string',
+							minLength: 3
+						},
+						email: {
+							type: 'string',
+							format: 'email'
+						},
+						password: {
+							type: 'string',
+							minLength: 8,
+							maxLength: 72
+						},
+					},
+					required: ['username', 'email', 'password'],
+					additionalProperties: false,
+				});
+				register.responses.should.have.keys('201', '400', '409', '429');
+
+				const getUser = res.body.paths['/api/admin/users/{id}'].get;
+				getUser.parameters.should.eql([{
+					name: 'id',
+					in: 'path',
+					required: true,
+					schema: {
+						type: 'string'
+					},
+				}]);
+				getUser.security.should.eql([{
+					bearerAuth: []
+				}]);
+
+				const listUsers = res.body.paths['/api/admin/users'].get;
+				listUsers.parameters.find(parameter => parameter.name === 'limit').should.eql({
+					name: 'limit',
+					in: 'query',
+					required: false,
+					schema: {
+						type: 'integer',
+						minimum: 1,
+						maximum: 100,
+						default: 20
+					},
+				});
+				done();
+			});
+	});
+
+	it('should serve the interactive docs page and its assets', () => {
+		return chai.request(app)
+			.get('/api/docs')
+			.then((res) => {
+				res.should.have.status(200);
+				res.should.be.html;
+				res.text.should.contain('/api/openapi.json');
+				return chai.request(app).get('/api/docs/swagger-ui-bundle.js');
+			})
+			.then((res) => {
+				res.should.have.status(200);
+			});
+	});
+
+	it('should convert Joi schemas to JSON schemas', () => {
+		joiToJsonSchema(Joi.object({
+			code: Joi.string().pattern(/^\d{6}$/).required(),
+			role: Joi.string().valid('user', 'admin'),
+			displayName: Joi.string().trim().max(50).allow(null),
+		})).should.eql({
+			type: 'object',
+			properties: {
+				code: {
+					type: 'string',
+					pattern: '^\\d{6}$'
+				},
+				role: {
+					type: 'string',
+					enum: ['user', 'admin']
+				},
+				displayName: {
+					type: 'string',
+					maxLength: 50,
+					nullable: true
+				},
+			},
+			required: ['code'],
+			additionalProperties: false,
+		});
+	});
+});
@@ -0,0 +1,176 @@
+/**
+ * Test Suite for Password Hashing.
+ *
+ * This file defines test cases for the password hasher: hashing and verifying with
+ * bcrypt and scrypt, verifying stored hashes of another algorithm, detecting hashes
+ * with an outdated algorithm or cost, and the login transparently rehashing such
+ * passwords with the current settings.
+ *
+ * The tests are implemented using Chai and Mocha, with Chai-HTTP used to
+ * simulate HTTP requests.
+ */
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const bcrypt = require('bcrypt');
+const app = require('../app'); // Import the application to test
+const mailer = require('../services/mailer');
+const userModel = require('../models/userModel');
+const {
+	createPasswordHasher
+} = require('../services/passwordHasher');
+const {
+	registerVerifiedUser
+} = require('./helpers/auth');
+const fs = require('fs');
+const path = require('path');
+
+chai.use(chaiHttp);
+chai.should(); // Enables 'should' style assertions in tests
+
+// Path to the mock user data JSON file for testing
+const testUsersFilePath = path.join(__dirname, '../data/test_users.json');
+
+describe('Password Hashing', () => {
+	describe('Password Hasher', () => {
+		const bcryptHasher = createPasswordHasher({
+			algorithm: 'bcrypt',
+			bcryptCost: 4
+		});
+		const scryptHasher = createPasswordHasher({
+			algorithm: 'scrypt',
+			scryptCost: 10
+		});
+
+		it('should hash and verify passwords with bcrypt', async () => {
+			const hash = await bcryptHasher.hash('password123');
+			hash.should.match(/^\$2b\$04\$/);
+			(await bcryptHasher.verify('password123', hash)).should.equal(true);
+			(await bcryptHasher.verify('wrongpassword', hash)).should.equal(false);
+		});
+
+		it('should hash and verify passwords with scrypt', async () => {
+			const hash = await scryptHasher.hash('password123');
+			hash.should.match(/^\$scrypt\$ln=10,r=8,p=1\$[A-Za-z0-9+/]+={0,2}\$[A-Za-z0-9+/]+={0,2}$/);
+			(await scryptHasher.verify('password123', hash)).should.equal(true);
+			(await scryptHasher.verify('wrongpassword', hash)).should.equal(false);
+		});
+
+		it('should salt every hash', async () => {
+			const first = await scryptHasher.hash('password123');
+			const second = await scryptHasher.hash('password123');
+			first.should.not.equal(second);
+		});
+
+		it('should verify hashes of another algorithm than the configured one', async () => {
+			const hash = await scryptHasher.hash('password123');
+			(await bcryptHasher.verify('password123', hash)).should.equal(true);
+		});
+
+		it('should reject passwords without a stored hash or with an unknown hash format', async () => {
+			(await bcryptHasher.verify('password123', null)).should.equal(false);
+			(await bcryptHasher.verify('password123', 'plain-text')).should.equal(false);
+		});
+
+		it('should require a rehash of hashes with another algorithm or cost', async () => {
+			const hash = await bcryptHasher.hash('password123');
+			bcryptHasher.needsRehash(hash).should.equal(false);
+			createPasswordHasher({
+				bcryptCost: 5
+			}).needsRehash(hash).should.equal(true);
+			scryptHasher.needsRehash(hash).should.equal(true);
+
+			const scryptHash = await scryptHasher.hash('password123');
+			scryptHasher.needsRehash(scryptHash).should.equal(false);
+			createPasswordHasher({
+				algorithm: 'scrypt',
+				scryptCost: 11
+			}).needsRehash(scryptHash).should.equal(true);
+		});
+
+		it('should refuse unknown algorithms', () => {
+			(() => createPasswordHasher({
+				algorithm: 'md5'
+			})).should.throw('Unknown password hash algorithm "md5". Expected one of: bcrypt, scrypt, argon2.');
+		});
+	});
+
+	describe('Rehash on Login', () => {
+		const user = {
+			username: 'testuser',
+			email: 'test@example.com',
+			password: 'password123',
+		};
+
+		/**
+		 * Replaces the stored password hash of the test user.
+		 *
+		 * @param {string} hash - The new hash.
+		 * @returns {Promise<void>}
+		 */
+		async function setStoredHash(hash) {
+			const storedUser = await userModel.findUserByUsername(user.username);
+			await userModel.updateUser({
+				...storedUser,
+				password: hash
+			});
+		}
+
+		/**
+		 * Logs the test user in.
+		 *
+		 * @returns {Promise<Object>} The response.
+		 */
+		function login() {
+			return chai.request(app)
+				.post('/api/login')
+				.send({
+					username: user.username,
+					password: user.password
+				});
+		}
+
+		/**
+		 * Before each test, reset the mock database and the captured emails, then register a user.
+		 */
+		beforeEach(() => {
+			fs.writeFileSync(testUsersFilePath, '[]', 'utf8');
+			mailer.transport.messages.length = 0;
+			return registerVerifiedUser(app, user);
+		});
+
+		it('should rehash a password stored with an outdated cost', async () => {
+			await setStoredHash(await createPasswordHasher({
+				bcryptCost: 4
+			}).hash(user.password));
+
+			const res = await login();
+			res.should.have.status(200);
+
+			const storedUser = await userModel.findUserByUsername(user.username);
+			bcrypt.getRounds(storedUser.password).should.equal(10);
+		});
+
+		it('should rehash a password stored with another algorithm', async () => {
+			await setStoredHash(await createPasswordHasher({
+				algorithm: 'scrypt',
+				scryptCost: 10
+			}).hash(user.password));
+
+			const res = await login();
+			res.should.have.status(200);
+
+			const storedUser = await userModel.findUserByUsername(user.username);
+			storedUser.password.should.match(/^\$2b\$10\$/);
+			(await login()).should.have.status(200);
+		});
+
+		it('should not change a hash with the current settings', async () => {
+			const before = (await userModel.findUserByUsername(user.username)).password;
+
+			(await login()).should.have.status(200);
+
+			(await userModel.findUserByUsername(user.username)).password.should.equal(before);
+		});
+	});
+});
@@ -0,0 +1,189 @@
+/**
+ * Test Suite for the Password Policy.
+ *
+ * This file defines test cases for the rules new passwords must satisfy (length,
+ * the breached-password list and the username), and for the policy being enforced
+ * on registration, password changes and password resets.
+ *
+ * The tests are implemented using Chai and Mocha, with Chai-HTTP used to
+ * simulate HTTP requests. The test script points the policy at the breached-password
+ * list in `test/fixtures/`, which holds `password` and `12345678` among others.
+ */
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const app = require('../app'); // Import the application to test
+const mailer = require('../services/mailer');
+const {
+	createPasswordPolicy,
+	PasswordPolicyError
+} = require('../services/passwordPolicy');
+const {
+	requestPasswordResetToken,
+	registerVerifiedUser
+} = require('./helpers/auth');
+const fs = require('fs');
+const path = require('path');
+
+chai.use(chaiHttp);
+chai.should(); // Enables 'should' style assertions in tests
+
+// Path to the mock user data JSON file for testing
+const testUsersFilePath = path.join(__dirname, '../data/test_users.json');
+
+// Breached-password list of the test suite
+const breachedListPath = path.join(__dirname, 'fixtures/breached-passwords.txt');
+
+describe('Password Policy', () => {
+	describe('Rules', () => {
+		const policy = createPasswordPolicy({
+			minLength: 8,
+			maxLength: 100,
+			breachedListPath
+		});
+
+		it('should allow passwords satisfying every rule', () => {
+			policy.check('correct-horse', {
+				username: 'testuser'
+			}).should.eql([]);
+		});
+
+		it('should enforce the length limits', () => {
+			policy.check('short').map(violation => violation.type).should.eql(['password.min']);
+			policy.check('a'.repeat(101)).map(violation => violation.type).should.eql(['password.max']);
+		});
+
+		it('should measure the maximum length in UTF-8 bytes, up to the 72 bytes bcrypt hashes', () => {
+			const defaultPolicy = createPasswordPolicy();
+
+			defaultPolicy.maxLength.should.eql(72);
+			defaultPolicy.check('é'.repeat(36)).should.eql([]); // 72 bytes
+			defaultPolicy.check('é'.repeat(37)).map(violation => violation.type).should.eql(['password.max']);
+		});
+
+		it('should reject breached passwords, ignoring case and comments', () => {
+			policy.check('PassWord').map(violation => violation.type).should.eql(['password.breached']);
+			const comment = fs.readFileSync(breachedListPath, 'utf8').split('\n')[0];
+			policy.check(comment).should.eql([]);
+		});
+
+		it('should reject the username as password, ignoring case', () => {
+			policy.check('TestUser1', {
+				username: 'testuser1'
+			}).should.eql([{
+				type: 'password.username',
+				message: 'Password must not be the same as the username.'
+			}]);
+		});
+
+		it('should throw every broken rule at once', () => {
+			let err;
+			try {
+				policy.assertAllowed('12345678', {
+					username: '12345678'
+				});
+			} catch (caught) {
+				err = caught;
+			}
+
+			err.should.be.an.instanceOf(PasswordPolicyError);
+			err.violations.map(violation => violation.type).should.eql(['password.breached', 'password.username']);
+		});
+	});
+
+	describe('Enforcement', () => {
+		const user = {
+			username: 'testuser',
+			email: 'test@example.com',
+			password: 'password123',
+		};
+
+		/**
+		 * Before each test, reset the mock database and the captured emails.
+		 */
+		beforeEach(() => {
+			fs.writeFileSync(testUsersFilePath, '[]', 'utf8');
+			mailer.transport.messages.length = 0;
+		});
+
+		it('should refuse to register a user with a breached password', async () => {
+			const res = await chai.request(app)
+				.post('/api/register')
+				.send({
+					...user,
+					password: 'password'
+				});
+
+			res.should.have.status(400);
+			res.body.should.have.property('code').eql('VALIDATION_ERROR');
+			res.body.details.should.eql([{
+				field: 'password',
+				location: 'body',
+				message: 'Password is too common and has appeared in data breaches.',
+				type: 'password.breached'
+			}]);
+			JSON.parse(fs.readFileSync(testUsersFilePath, 'utf8')).should.eql([]);
+		});
+
+		it('should refuse to register a user whose password is their username', async () => {
+			const res = await chai.request(app)
+				.post('/api/register')
+				.send({
+					...user,
+					password: user.username
+				});
+
+			res.should.have.status(400);
+			res.body.details[0].should.have.property('type').eql('password.username');
+		});
+
+		it('should refuse to change the password to a breached one', async () => {
+			await registerVerifiedUser(app, user);
+			const login = await chai.request(app)
+				.post('/api/login')
+				.send({
+					username: user.username,
+					password: user.password
+				});
+
+			const res = await chai.request(app)
+				.put('/api/change-password')
+				.set('Authorization', `Bearer ${login.body.token}`)
+				.send({
+					oldPassword: user.password,
+					newPassword: 'qwerty123'
+				});
+
+			res.should.have.status(400);
+			res.body.details[0].should.include({
+				field: 'newPassword',
+				type: 'password.breached'
+			});
+		});
+
+		it('should refuse to reset the password to a breached one, keeping the token valid', async () => {
+			await registerVerifiedUser(app, user);
+			const token = await requestPasswordResetToken(app, user.email);
+
+			const refused = await chai.request(app)
+				.post('/api/reset-password')
+				.send({
+					token,
+					newPassword: '12345678'
+				});
+			refused.should.have.status(400);
+			refused.body.details[0].should.include({
+				field: 'newPassword',
+				type: 'password.breached'
+			});
+
+			const res = await chai.request(app)
+				.post('/api/reset-password')
+				.send({
+					token,
+					newPassword: 'newpass123'
+				});
+			res.should.have.status(200);
+		});
+	});
+});
@@ -0,0 +1,280 @@
+/**
+ * Test Suite for the Forgot-Password / Password-Reset Flow.
+ *
+ * This file defines test cases for requesting a password reset, resetting the
+ * password with the emailed token, the token being single-use and stored
+ * hashed, and existing sessions being revoked by a reset.
+ *
+ * The tests are implemented using Chai and Mocha, with Chai-HTTP used to
+ * simulate HTTP requests. Emails are captured by the in-memory mail transport.
+ */
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const app = require('../app'); // Import the application to test
+const mailer = require('../services/mailer');
+const {
+	waitForPasswordResetToken,
+	requestPasswordResetToken,
+	registerVerifiedUser
+} = require('./helpers/auth');
+const fs = require('fs');
+const path = require('path');
+
+chai.use(chaiHttp);
+chai.should(); // Enables 'should' style assertions in tests
+
+// Path to the mock user data JSON file for testing
+const testUsersFilePath = path.join(__dirname, '../data/test_users.json');
+
+describe('Password Reset API', () => {
+	const user = {
+		username: 'testuser',
+		email: 'test@example.com',
+		password: 'password123',
+	};
+	let token;
+
+	/**
+	 * Before each test, reset the mock database and the captured emails, then
+	 * register and log in a user.
+	 */
+	beforeEach((done) => {
+		fs.writeFileSync(testUsersFilePath, '[]', 'utf8');
+		mailer.transport.messages.length = 0;
+
+		registerVerifiedUser(app, user).then(() => {
+			chai.request(app)
+				.post('/api/login')
+				.send({
+					username: 'testuser',
+					password: 'password123',
+				})
+				.end((err, res) => {
+					token = res.body.token;
+					done();
+				});
+		});
+	});
+
+	/**
+	 * Test: POST /api/forgot-password
+	 *
+	 * Verifies that a reset token is emailed and stored hashed, without revealing
+	 * whether an account exists.
+	 */
+	describe('POST /api/forgot-password', () => {
+		it('should email a reset token and store only its hash', (done) => {
+			chai.request(app)
+				.post('/api/forgot-password')
+				.send({
+					email: user.email
+				})
+				.end((err, res) => {
+					res.should.have.status(200);
+					res.body.should.have.property('message').eql('If an account exists for this email address, a password reset email has been sent.');
+
+					waitForPasswordResetToken(user.email).then((resetToken) => {
+						resetToken.should.be.a('string');
+
+						const storedData = fs.readFileSync(testUsersFilePath, 'utf8');
+						storedData.should.contain('tokenHash');
+						storedData.should.not.contain(resetToken.split('.')[1]);
+						done();
+					}).catch(done);
+				});
+		});
+
+		it('should respond identically for an unknown email address', (done) => {
+			const sentBefore = mailer.transport.messages.length;
+
+			chai.request(app)
+				.post('/api/forgot-password')
+				.send({
+					email: 'unknown@example.com'
+				})
+				.end((err, res) => {
+					res.should.have.status(200);
+					res.body.should.have.property('message').eql('If an account exists for this email address, a password reset email has been sent.');
+
+					// Only the reset requested afterwards for an existing account sends an email
+					requestPasswordResetToken(app, user.email).then(() => {
+						mailer.transport.messages.should.have.lengthOf(sentBefore + 1);
+						done();
+					}).catch(done);
+				});
+		});
+
+		it('should respond before the reset email is sent', async () => {
+			const send = mailer.transport.send;
+			let release;
+			const held = new Promise(resolve => {
+				release = resolve;
+			});
+			mailer.transport.send = async function(message) {
+				await held;
+				return send.call(this, message);
+			};
+
+			// The request would never be answered if the response waited for the email
+			try {
+				const res = await chai.request(app)
+					.post('/api/forgot-password')
+					.send({
+						email: user.email
+					});
+				res.should.have.status(200);
+			} finally {
+				mailer.transport.send = send;
+				release();
+			}
+			(await waitForPasswordResetToken(user.email)).should.be.a('string');
+		});
+
+		it('should not accept an invalid email address', (done) => {
+			chai.request(app)
+				.post('/api/forgot-password')
+				.send({
+					email: 'not-an-email'
+				})
+				.end((err, res) => {
+					res.should.have.status(400);
+					res.body.should.have.property('message');
+					done();
+				});
+		});
+	});
+
+	/**
+	 * Test: POST /api/reset-password
+	 *
+	 * Verifies that the emailed token resets the password once and revokes existing sessions.
+	 */
+	describe('POST /api/reset-password', () => {
+		let resetToken;
+
+		/**
+		 * Before each reset test, request a password reset to obtain a token.
+		 */
+		beforeEach(() => {
+			return requestPasswordResetToken(app, user.email).then((emailedToken) => {
+				resetToken = emailedToken;
+			});
+		});
+
+		it('should reset the password and revoke existing sessions', (done) => {
+			chai.request(app)
+				.post('/api/reset-password')
+				.send({
+					token: resetToken,
+					newPassword: 'newpass123'
+				})
+				.end((err, res) => {
+					res.should.have.status(200);
+					res.body.should.have.property('message').eql('Password reset successfully.');
+
+					// The session opened before the reset is revoked
+					chai.request(app)
+						.get('/api/profile')
+						.set('Authorization', `Bearer ${token}`)
+						.end((err, res) => {
+							res.should.have.status(401);
+
+							// The new password works
+							chai.request(app)
+								.post('/api/login')
+								.send({
+									username: 'testuser',
+									password: 'newpass123',
+								})
+								.end((err, res) => {
+									res.should.have.status(200);
+									done();
+								});
+						});
+				});
+		});
+
+		it('should not accept a reset token twice', (done) => {
+			chai.request(app)
+				.post('/api/reset-password')
+				.send({
+					token: resetToken,
+					newPassword: 'newpass123'
+				})
+				.end(() => {
+					chai.request(app)
+						.post('/api/reset-password')
+						.send({
+							token: resetToken,
+							newPassword: 'otherpass123'
+						})
+						.end((err, res) => {
+							res.should.have.status(400);
+							res.body.should.have.property('message').eql('Invalid or expired password reset token.');
+							done();
+						});
+				});
+		});
+
+		it('should accept a reset token only once when it is presented concurrently', () => {
+			const resets = ['newpass123', 'otherpass123', 'thirdpass123'].map(newPassword => chai.request(app)
+				.post('/api/reset-password')
+				.send({
+					token: resetToken,
+					newPassword
+				}));
+
+			return Promise.all(resets)
+				.then((responses) => {
+					responses.map(res => res.status).sort().should.eql([200, 400, 400]);
+				});
+		});
+
+		it('should not reset with a tampered token', (done) => {
+			chai.request(app)
+				.post('/api/reset-password')
+				.send({
+					token: `${resetToken.split('.')[0]}.tampered`,
+					newPassword: 'newpass123'
+				})
+				.end((err, res) => {
+					res.should.have.status(400);
+					res.body.should.have.property('message').eql('Invalid or expired password reset token.');
+					done();
+				});
+		});
+
+		it('should not reset with an expired token', (done) => {
+			const users = JSON.parse(fs.readFileSync(testUsersFilePath, 'utf8'));
+			users[0].passwordReset.expiresAt = new Date(Date.now() - 1000).toISOString();
+			fs.writeFileSync(testUsersFilePath, JSON.stringify(users), 'utf8');
+
+			chai.request(app)
+				.post('/api/reset-password')
+				.send({
+					token: resetToken,
+					newPassword: 'newpass123'
+				})
+				.end((err, res) => {
+					res.should.have.status(400);
+					res.body.should.have.property('message').eql('Invalid or expired password reset token.');
+					done();
+				});
+		});
+
+		it('should not reset to a password that is too short', (done) => {
+			chai.request(app)
+				.post('/api/reset-password')
+				.send({
+					token: resetToken,
+					newPassword: '123'
+				})
+				.end((err, res) => {
+					res.should.have.status(400);
+					res.body.should.have.property('message');
+					done();
+				});
+		});
+	});
+});
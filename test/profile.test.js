@@ -0,0 +1,246 @@
+/**
+ * Test Suite for Self-Service Profile Management.
+ *
+ * This file defines test cases for updating the profile of the authenticated
+ * user (including re-verification of a changed email address), retrieving the
+ * public profile of a user, and deleting the account with password confirmation.
+ *
+ * The tests are implemented using Chai and Mocha, with Chai-HTTP used to
+ * simulate HTTP requests. Emails are captured by the in-memory mail transport.
+ */
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const app = require('../app'); // Import the application to test
+const mailer = require('../services/mailer');
+const {
+	latestVerificationToken,
+	registerVerifiedUser
+} = require('./helpers/auth');
+const fs = require('fs');
+const path = require('path');
+
+chai.use(chaiHttp);
+chai.should(); // Enables 'should' style assertions in tests
+
+// Path to the mock user data JSON file for testing
+const testUsersFilePath = path.join(__dirname, '../data/test_users.json');
+
+describe('Profile API', () => {
+	let token;
+	let refreshToken;
+
+	/**
+	 * Before each test, reset the mock database and the captured emails, then
+	 * register and log in a user.
+	 */
+	beforeEach((done) => {
+		fs.writeFileSync(testUsersFilePath, '[]', 'utf8');
+		mailer.transport.messages.length = 0;
+
+		registerVerifiedUser(app, {
+			username: 'testuser',
+			email: 'test@example.com',
+			password: 'password123',
+		}).then(() => {
+			chai.request(app)
+				.post('/api/login')
+				.send({
+					username: 'testuser',
+					password: 'password123',
+				})
+				.end((err, res) => {
+					token = res.body.token;
+					refreshToken = res.body.refreshToken;
+					done();
+				});
+		});
+	});
+
+	/**
+	 * Test: PATCH /api/profile
+	 *
+	 * Verifies updates of editable fields and re-verification of a new email address.
+	 */
+	describe('PATCH /api/profile', () => {
+		it('should update the display name', (done) => {
+			chai.request(app)
+				.patch('/api/profile')
+				.set('Authorization', `Bearer ${token}`)
+				.send({
+					displayName: 'Test User'
+				})
+				.end((err, res) => {
+					res.should.have.status(200);
+					res.body.should.have.property('message').eql('Profile updated successfully.');
+					res.body.user.should.have.property('displayName').eql('Test User');
+
+					chai.request(app)
+						.get('/api/profile')
+						.set('Authorization', `Bearer ${token}`)
+						.end((err, res) => {
+							res.body.user.should.have.property('displayName').eql('Test User');
+							done();
+						});
+				});
+		});
+
+		it('should keep the current email until the new one is verified', (done) => {
+			chai.request(app)
+				.patch('/api/profile')
+				.set('Authorization', `Bearer ${token}`)
+				.send({
+					email: 'new@example.com'
+				})
+				.end((err, res) => {
+					res.should.have.status(200);
+					res.body.should.have.property('message').eql('Profile updated successfully. Please verify your new email address.');
+					res.body.user.should.have.property('email').eql('test@example.com');
+					res.body.user.should.have.property('pendingEmail').eql('new@example.com');
+
+					chai.request(app)
+						.get('/api/verify-email')
+						.query({
+							token: latestVerificationToken('new@example.com')
+						})
+						.end((err, res) => {
+							res.should.have.status(200);
+
+							chai.request(app)
+								.get('/api/profile')
+								.set('Authorization', `Bearer ${token}`)
+								.end((err, res) => {
+									res.body.user.should.have.property('email').eql('new@example.com');
+									res.body.user.should.not.have.property('pendingEmail');
+									done();
+								});
+						});
+				});
+		});
+
+		it('should not accept fields that are not editable', (done) => {
+			chai.request(app)
+				.patch('/api/profile')
+				.set('Authorization', `Bearer ${token}`)
+				.send({
+					role: 'admin'
+				})
+				.end((err, res) => {
+					res.should.have.status(400);
+					res.body.should.have.property('message');
+					done();
+				});
+		});
+
+		it('should not accept an empty update', (done) => {
+			chai.request(app)
+				.patch('/api/profile')
+				.set('Authorization', `Bearer ${token}`)
+				.send({})
+				.end((err, res) => {
+					res.should.have.status(400);
+					done();
+				});
+		});
+
+		it('should not update the profile without a token', (done) => {
+			chai.request(app)
+				.patch('/api/profile')
+				.send({
+					displayName: 'Test User'
+				})
+				.end((err, res) => {
+					res.should.have.status(403);
+					done();
+				});
+		});
+	});
+
+	/**
+	 * Test: GET /api/users/:id
+	 *
+	 * Verifies that the public profile of a user only exposes public fields.
+	 */
+	describe('GET /api/users/:id', () => {
+		it('should return the public profile of a user', (done) => {
+			const [stored] = JSON.parse(fs.readFileSync(testUsersFilePath, 'utf8'));
+
+			chai.request(app)
+				.get(`/api/users/${stored.id}`)
+				.set('Authorization', `Bearer ${token}`)
+				.end((err, res) => {
+					res.should.have.status(200);
+					res.body.user.should.eql({
+						id: stored.id,
+						username: 'testuser'
+					});
+					done();
+				});
+		});
+
+		it('should return 404 for an unknown user', (done) => {
+			chai.request(app)
+				.get('/api/users/unknown')
+				.set('Authorization', `Bearer ${token}`)
+				.end((err, res) => {
+					res.should.have.status(404);
+					res.body.should.have.property('message').eql('User not found.');
+					done();
+				});
+		});
+	});
+
+	/**
+	 * Test: DELETE /api/profile
+	 *
+	 * Verifies that the account is deleted only with the correct password, and that
+	 * its tokens are revoked.
+	 */
+	describe('DELETE /api/profile', () => {
+		it('should delete the account and revoke its tokens', (done) => {
+			chai.request(app)
+				.delete('/api/profile')
+				.set('Authorization', `Bearer ${token}`)
+				.send({
+					password: 'password123'
+				})
+				.end((err, res) => {
+					res.should.have.status(200);
+					res.body.should.have.property('message').eql('Account deleted successfully.');
+					JSON.parse(fs.readFileSync(testUsersFilePath, 'utf8')).should.eql([]);
+
+					chai.request(app)
+						.get('/api/profile')
+						.set('Authorization', `Bearer ${token}`)
+						.end((err, res) => {
+							res.should.have.status(401);
+
+							chai.request(app)
+								.post('/api/token/refresh')
+								.send({
+									refreshToken
+								})
+								.end((err, res) => {
+									res.should.have.status(401);
+									done();
+								});
+						});
+				});
+		});
+
+		it('should not delete the account with an invalid password', (done) => {
+			chai.request(app)
+				.delete('/api/profile')
+				.set('Authorization', `Bearer ${token}`)
+				.send({
+					password: 'wrongpassword'
+				})
+				.end((err, res) => {
+					res.should.have.status(400);
+					res.body.should.have.property('message').eql('Invalid password.');
+					JSON.parse(fs.readFileSync(testUsersFilePath, 'utf8')).should.have.lengthOf(1);
+					done();
+				});
+		});
+	});
+});
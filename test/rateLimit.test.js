@@ -4,7 +4,8 @@
  * This file defines test cases for the rate limiting functionality provided
  * by the Node.js application. It verifies that the rate limiting middleware
  * correctly restricts the number of requests from a single IP address within
- * a defined time window and returns appropriate responses when the limit is exceeded.
+ * a defined time window and returns appropriate responses when the limit is exceeded,
+ * both globally and for the stricter limit of the authentication routes.
  * 
  * The tests are implemented using Chai and Mocha, with Chai-HTTP used to
  * simulate HTTP requests.
@@ -62,6 +63,38 @@ describe('Rate Limiting', () => {
 		delete process.env.RATE_LIMIT_MAX;                  // Reset rate limit configuration after test
 	});
 
+	// Runs first, so the requests stay below the global limit (AUTH_RATE_LIMIT_MAX is set to 3 in test environment)
+	it('should return 429 when the authentication rate limit is exceeded', (done) => {
+		let completedRequests = 0;
+		const totalRequests = 4;
+
+		// Function to handle the completion of each request
+		const checkDone = (err, res) => {
+			completedRequests++;
+			if (completedRequests === totalRequests) {
+				res.should.have.status(429); // Too many requests
+				res.body.should.have.property('message').eql('Too many authentication attempts from this IP, please try again after 15 minutes.');
+				done();
+			}
+		};
+
+		// Send sequential login attempts to exceed the authentication rate limit
+		const sendRequest = () => {
+			chai.request(app)
+				.post('/api/login')
+				.set('x-enable-rate-limit', 'true') // Ensure rate limiting is enabled
+				.send({
+					username: 'testuser',
+					password: 'wrongpassword'
+				})
+				.end((err, res) => {
+					checkDone(err, res);
+					if (completedRequests < totalRequests) sendRequest();
+				});
+		};
+		sendRequest();
+	});
+
 	it('should return 429 when rate limit is exceeded', (done) => {
 		let completedRequests = 0;
 		const totalRequests = 6; // Assuming RATE_LIMIT_MAX is set to 5 in test environment
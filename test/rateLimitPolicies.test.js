@@ -0,0 +1,199 @@
+/**
+ * Test Suite for the Rate-Limit Policies.
+ *
+ * This file defines test cases for the rate limiters created from a policy: the
+ * standard rate limit headers, the '429 Too Many Requests' response with its
+ * `Retry-After` header and a message stating the window of the policy, counting
+ * authenticated traffic per user instead of per IP address, and exempting
+ * allowlisted IP addresses.
+ *
+ * The tests are implemented using Chai and Mocha, with Chai-HTTP used to
+ * simulate HTTP requests against a small application using a rate limiter,
+ * each test with its own in-memory store.
+ */
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const express = require('express');
+const tokenService = require('../services/tokenService');
+const {
+	createRateLimitStore
+} = require('../services/rateLimitStore');
+const {
+	createRateLimiter,
+	formatDuration
+} = require('../middleware/rateLimitMiddleware');
+const {
+	createErrorHandler
+} = require('../middleware/errorMiddleware');
+const {
+	createLogger
+} = require('../services/logger');
+
+chai.use(chaiHttp);
+chai.should(); // Enables 'should' style assertions in tests
+
+/**
+ * Creates an application whose single route is rate limited by a policy.
+ *
+ * @param {Object} policy - The rate-limit policy.
+ * @param {Object} [options] - Rate limiter options, such as the `allowlist`.
+ * @returns {Object} The Express application.
+ */
+function createLimitedApp(policy, options = {}) {
+	return express()
+		.set('trust proxy', 'loopback') // Lets tests set the client IP with X-Forwarded-For
+		.use((req, res, next) => {
+			// Simulates an authentication middleware that ran before the rate limiter
+			if (req.headers['x-user-id']) req.userId = req.headers['x-user-id'];
+			next();
+		})
+		.use(createRateLimiter('test', policy, {
+			store: createRateLimitStore({
+				driver: 'memory'
+			}),
+			tokenService, // Identifies users by their access token
+			...options
+		}))
+		.get('/', (req, res) => res.json({}))
+		.use(createErrorHandler(createLogger({
+			level: 'silent'
+		})));
+}
+
+/**
+ * Sends requests to an application one after the other.
+ *
+ * @param {Object} app - The Express application.
+ * @param {number} times - The number of requests.
+ * @param {Object} [headers] - The request headers.
+ * @returns {Promise<Object>} The response to the last request.
+ */
+function sendRequests(app, times, headers = {}) {
+	const agent = chai.request(app).keepOpen();
+	let requests = Promise.resolve();
+	for (let i = 0; i < times; i++) {
+		requests = requests.then(() => agent.get('/')
+			.set('x-enable-rate-limit', 'true') // Ensure rate limiting is enabled
+			.set(headers));
+	}
+	return requests.finally(() => agent.close());
+}
+
+describe('Rate-Limit Policies', () => {
+	const policy = {
+		windowMs: 60 * 1000,
+		max: 2,
+		keyBy: 'user',
+		subject: 'requests',
+	};
+
+	it('should send the standard rate limit headers', () => {
+		return sendRequests(createLimitedApp(policy), 1).then((res) => {
+			res.should.have.status(200);
+			res.should.have.header('ratelimit-limit', '2');
+			res.should.have.header('ratelimit-remaining', '1');
+			res.should.have.header('ratelimit-reset');
+			res.should.have.header('ratelimit-policy', '2;w=60');
+		});
+	});
+
+	it('should respond with 429, Retry-After and the window of the policy once the limit is exceeded', () => {
+		return sendRequests(createLimitedApp(policy), 3).then((res) => {
+			res.should.have.status(429);
+			res.should.have.header('retry-after');
+			Number(res.headers['retry-after']).should.be.within(1, 60);
+			res.body.should.have.property('code').eql('RATE_LIMITED');
+			res.body.should.have.property('message').eql('Too many requests from this IP, please try again after 1 minute.');
+		});
+	});
+
+	it('should count the requests of authenticated users per user', () => {
+		const app = createLimitedApp(policy);
+
+		return sendRequests(app, 3, {
+				'x-user-id': 'user-1'
+			})
+			.then((res) => {
+				res.should.have.status(429);
+				res.body.should.have.property('message').eql('Too many requests for this account, please try again after 1 minute.');
+
+				// Another user on the same IP address has their own limit
+				return sendRequests(app, 1, {
+					'x-user-id': 'user-2'
+				});
+			})
+			.then((res) => {
+				res.should.have.status(200);
+				return sendRequests(app, 1); // So do anonymous requests from that IP address
+			})
+			.then((res) => {
+				res.should.have.status(200);
+			});
+	});
+
+	it('should identify users by their access token before authentication has run', () => {
+		const app = createLimitedApp(policy);
+		const token = tokenService.signAccessToken({
+			id: 'user-1'
+		}, 'session-1');
+
+		return sendRequests(app, 3, {
+				Authorization: `Bearer ${token}`
+			})
+			.then((res) => {
+				res.should.have.status(429);
+				return sendRequests(app, 1, {
+					'x-user-id': 'user-1'
+				});
+			})
+			.then((res) => {
+				res.should.have.status(429);
+			});
+	});
+
+	it('should count requests per IP address for policies keyed by IP', () => {
+		const app = createLimitedApp({
+			...policy,
+			keyBy: 'ip',
+			subject: 'authentication attempts'
+		});
+
+		return sendRequests(app, 2, {
+				'x-user-id': 'user-1'
+			})
+			.then(() => sendRequests(app, 1, {
+				'x-user-id': 'user-2'
+			}))
+			.then((res) => {
+				res.should.have.status(429);
+				res.body.should.have.property('message').eql('Too many authentication attempts from this IP, please try again after 1 minute.');
+			});
+	});
+
+	it('should never limit allowlisted IP addresses', () => {
+		const app = createLimitedApp(policy, {
+			allowlist: ['10.0.0.1']
+		});
+
+		return sendRequests(app, 5, {
+				'x-forwarded-for': '10.0.0.1'
+			})
+			.then((res) => {
+				res.should.have.status(200);
+				return sendRequests(app, 3, {
+					'x-forwarded-for': '10.0.0.2'
+				});
+			})
+			.then((res) => {
+				res.should.have.status(429);
+			});
+	});
+
+	it('should format the window of a policy', () => {
+		formatDuration(15 * 60 * 1000).should.eql('15 minutes');
+		formatDuration(60 * 60 * 1000).should.eql('1 hour');
+		formatDuration(2 * 60 * 60 * 1000).should.eql('2 hours');
+		formatDuration(90 * 1000).should.eql('90 seconds');
+	});
+});
@@ -0,0 +1,239 @@
+/**
+ * Test Suite for the Rate-Limit Stores.
+ *
+ * This file runs the same set of test cases against every store supported by
+ * `createRateLimitStore`, ensuring that they count hits per window, keep the
+ * counters of different rate limiters apart, and behave identically regardless
+ * of the backend. It also checks that the persistent stores keep their counters
+ * across restarts and processes, and that a rate limiter backed by a store
+ * responds with '429 Too Many Requests'.
+ *
+ * The tests are implemented using Chai and Mocha, with Chai-HTTP used to simulate
+ * HTTP requests. Time is frozen and moved with the controllable clock, and the
+ * Redis store is tested against a local stand-in for a Redis client.
+ */
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const clock = require('../utils/clock');
+const {
+	createRateLimitStore
+} = require('../services/rateLimitStore');
+const createFakeRedisClient = require('./helpers/fakeRedisClient');
+
+chai.use(chaiHttp);
+chai.should(); // Enables 'should' style assertions in tests
+
+// Length of the rate limit window used by the tests
+const WINDOW_MS = 60 * 1000;
+
+// Store configurations under test, each pointing at its own temporary data file
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limit-store-'));
+const stores = {
+	memory: () => ({
+		driver: 'memory'
+	}),
+	file: () => ({
+		driver: 'file',
+		filePath: path.join(tmpDir, `rate-limits-${Date.now()}-${Math.random()}.json`)
+	}),
+	sqlite: () => ({
+		driver: 'sqlite',
+		filePath: path.join(tmpDir, `rate-limits-${Date.now()}-${Math.random()}.sqlite`)
+	}),
+	redis: () => ({
+		driver: 'redis',
+		client: createFakeRedisClient()
+	}),
+};
+
+/**
+ * Creates the store object of a rate limiter, initialized like `express-rate-limit` does.
+ *
+ * @param {Object} rateLimitStore - The rate-limit store.
+ * @param {string} prefix - The prefix of the keys of the limiter.
+ * @returns {Object} The `express-rate-limit` store of the limiter.
+ */
+function limiterStore(rateLimitStore, prefix) {
+	const store = rateLimitStore.forLimiter(prefix);
+	store.init({
+		windowMs: WINDOW_MS
+	});
+	return store;
+}
+
+describe('Rate-Limit Stores', () => {
+	/**
+	 * Before each test, freeze the clock.
+	 */
+	beforeEach(() => {
+		clock.set(new Date('2030-01-01T00:00:00Z'));
+	});
+
+	/**
+	 * After each test, let the clock follow the system clock again.
+	 */
+	afterEach(() => {
+		clock.reset();
+	});
+
+	after(() => {
+		fs.rmSync(tmpDir, {
+			recursive: true,
+			force: true
+		});
+	});
+
+	it('should reject an unknown store', () => {
+		(() => createRateLimitStore({
+			driver: 'unknown'
+		})).should.throw('Unknown rate limit store "unknown".');
+	});
+
+	Object.keys(stores).forEach((name) => {
+		describe(`${name} store`, () => {
+			let store;
+
+			/**
+			 * Before each test, start from an empty store.
+			 */
+			beforeEach(() => {
+				store = limiterStore(createRateLimitStore(stores[name]()), 'global:');
+			});
+
+			it('should count hits and report when the window ends', async () => {
+				(await store.increment('1.2.3.4')).totalHits.should.eql(1);
+				clock.advance(1000);
+
+				const info = await store.increment('1.2.3.4');
+				info.totalHits.should.eql(2);
+				info.resetTime.should.eql(new Date('2030-01-01T00:01:00Z'));
+				(await store.get('1.2.3.4')).should.eql(info);
+			});
+
+			it('should not report clients without hits', async () => {
+				chai.expect(await store.get('1.2.3.4')).to.be.undefined;
+			});
+
+			it('should start a new window once the window has ended', async () => {
+				await store.increment('1.2.3.4');
+				await store.increment('1.2.3.4');
+				clock.advance(WINDOW_MS);
+
+				chai.expect(await store.get('1.2.3.4')).to.be.undefined;
+				const info = await store.increment('1.2.3.4');
+				info.totalHits.should.eql(1);
+				info.resetTime.should.eql(new Date('2030-01-01T00:02:00Z'));
+			});
+
+			it('should decrement and reset the hits of a client', async () => {
+				await store.increment('1.2.3.4');
+				await store.increment('1.2.3.4');
+				await store.decrement('1.2.3.4');
+				(await store.get('1.2.3.4')).totalHits.should.eql(1);
+
+				await store.resetKey('1.2.3.4');
+				chai.expect(await store.get('1.2.3.4')).to.be.undefined;
+			});
+
+			it('should keep the hits of different clients and limiters apart', async () => {
+				const rateLimitStore = createRateLimitStore(stores[name]());
+				const globalStore = limiterStore(rateLimitStore, 'global:');
+				const authStore = limiterStore(rateLimitStore, 'auth:');
+
+				await globalStore.increment('1.2.3.4');
+				await globalStore.increment('1.2.3.4');
+				await globalStore.increment('5.6.7.8');
+				(await authStore.increment('1.2.3.4')).totalHits.should.eql(1);
+				(await globalStore.get('1.2.3.4')).totalHits.should.eql(2);
+			});
+		});
+	});
+
+	it('should sweep the counters of the memory store whose window has ended, until closed', async () => {
+		const rateLimitStore = createRateLimitStore({
+			driver: 'memory',
+			sweepIntervalMs: 10
+		});
+		const store = limiterStore(rateLimitStore, 'global:');
+		const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+		await store.increment('1.2.3.4');
+		await store.increment('5.6.7.8');
+		clock.advance(WINDOW_MS);
+		await store.increment('9.10.11.12');
+		await wait(30);
+		rateLimitStore.store.size.should.eql(1);
+
+		// Closing the store stops the sweep
+		await rateLimitStore.store.close();
+		clock.advance(WINDOW_MS);
+		await wait(30);
+		rateLimitStore.store.size.should.eql(1);
+	});
+
+	it('should keep the hits of the file store across restarts', async () => {
+		const config = stores.file();
+		await limiterStore(createRateLimitStore(config), 'global:').increment('1.2.3.4');
+
+		const restarted = limiterStore(createRateLimitStore(config), 'global:');
+		(await restarted.increment('1.2.3.4')).totalHits.should.eql(2);
+	});
+
+	it('should refuse a corrupt file store instead of resetting the limits', async () => {
+		const config = stores.file();
+		fs.writeFileSync(config.filePath, '{not json', 'utf8');
+
+		const store = limiterStore(createRateLimitStore(config), 'global:');
+		const err = await store.increment('1.2.3.4').catch(err => err);
+		err.should.be.an('error');
+		err.message.should.contain('is corrupt');
+	});
+
+	it('should share the hits of the sqlite store between processes using the same file', async () => {
+		const config = stores.sqlite();
+		const first = limiterStore(createRateLimitStore(config), 'global:');
+		const second = limiterStore(createRateLimitStore(config), 'global:');
+
+		await first.increment('1.2.3.4');
+		(await second.increment('1.2.3.4')).totalHits.should.eql(2);
+		(await first.get('1.2.3.4')).totalHits.should.eql(2);
+	});
+
+	it('should expire the keys of the redis store with their window', async () => {
+		const client = createFakeRedisClient();
+		const store = limiterStore(createRateLimitStore({
+			driver: 'redis',
+			client
+		}), 'global:');
+
+		await store.increment('1.2.3.4');
+		(await client.pttl('rate-limit:global:1.2.3.4')).should.eql(WINDOW_MS);
+	});
+
+	it('should respond with 429 once a limiter backed by a store reaches its limit', async () => {
+		const config = stores.sqlite();
+
+		/**
+		 * Creates an application whose single route is rate limited, like a new process would.
+		 *
+		 * @returns {Object} The Express application.
+		 */
+		const createLimitedApp = () => express()
+			.use(rateLimit({
+				windowMs: WINDOW_MS,
+				max: 2,
+				store: createRateLimitStore(config).forLimiter('global:'),
+			}))
+			.get('/', (req, res) => res.json({}));
+
+		(await chai.request(createLimitedApp()).get('/')).should.have.status(200);
+		(await chai.request(createLimitedApp()).get('/')).should.have.status(200);
+		(await chai.request(createLimitedApp()).get('/')).should.have.status(429);
+	});
+});
@@ -0,0 +1,228 @@
+/**
+ * Test Suite for the Server Lifecycle.
+ *
+ * This file defines test cases for starting and stopping the HTTP server: draining the
+ * requests in progress, destroying the connections still busy after the shutdown timeout,
+ * failing the readiness probe while shutting down, closing the stores and the logger, and
+ * stopping the process gracefully on `SIGTERM`.
+ *
+ * The tests are implemented using Chai and Mocha, with Chai-HTTP used to send HTTP
+ * requests to servers listening on a free port.
+ */
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const express = require('express');
+const path = require('path');
+const {
+	spawn
+} = require('child_process');
+const {
+	createServerLifecycle
+} = require('../services/serverLifecycle');
+const {
+	createApp
+} = require('../app');
+const {
+	loadConfig
+} = require('../config');
+const {
+	createUserModel
+} = require('../models/userModel');
+const {
+	createLogger
+} = require('../services/logger');
+const {
+	createMailer
+} = require('../services/mailer');
+const {
+	createClock
+} = require('../utils/clock');
+
+chai.use(chaiHttp);
+chai.should(); // Enables 'should' style assertions in tests
+
+/**
+ * Builds an application with a `GET /slow` route, whose handler calls `onRequest` with
+ * the response and leaves answering to it.
+ *
+ * @param {Function} onRequest - Called with the HTTP response object of every request.
+ * @returns {Object} The Express application.
+ */
+function buildSlowApp(onRequest) {
+	const app = express();
+	app.get('/slow', (req, res) => onRequest(res));
+	return app;
+}
+
+/**
+ * Starts the server of an application on a free port.
+ *
+ * @param {Object} app - The Express application.
+ * @param {Object} [options] - The other options of `createServerLifecycle`.
+ * @returns {Promise<Object>} The lifecycle, with the base URL of the server as `url`.
+ */
+function startServer(app, options = {}) {
+	const lifecycle = createServerLifecycle({
+		app,
+		port: 0,
+		logger: createLogger({
+			level: 'silent'
+		}),
+		...options
+	});
+
+	return lifecycle.start().then((server) => {
+		lifecycle.url = `http://127.0.0.1:${server.address().port}`;
+		return lifecycle;
+	});
+}
+
+describe('Server Lifecycle', () => {
+	it('should serve requests once started, and refuse connections once stopped', () => {
+		let lifecycle;
+
+		return startServer(buildSlowApp(res => res.json({
+				done: true
+			})))
+			.then((started) => {
+				lifecycle = started;
+				return chai.request(lifecycle.url).get('/slow');
+			})
+			.then((res) => {
+				res.should.have.status(200);
+				return lifecycle.stop();
+			})
+			.then(() => chai.request(lifecycle.url).get('/slow'))
+			.then(() => {
+				throw new Error('The request should have been refused');
+			}, (err) => {
+				err.code.should.eql('ECONNREFUSED');
+			});
+	});
+
+	it('should wait for the requests in progress, then close the stores', () => {
+		const events = [];
+		let requestReceived;
+		const received = new Promise(resolve => requestReceived = resolve);
+
+		const app = buildSlowApp((res) => {
+			res.on('finish', () => events.push('responded'));
+			setTimeout(() => res.json({
+				done: true
+			}), 100);
+			requestReceived();
+		});
+
+		return startServer(app, {
+			close: async () => events.push('closed')
+		}).then((lifecycle) => {
+			const request = chai.request(lifecycle.url).get('/slow').then(res => res); // Sends the request
+			return received.then(() => Promise.all([request, lifecycle.stop()]));
+		}).then(([res]) => {
+			res.should.have.status(200);
+			res.body.should.eql({
+				done: true
+			});
+			events.should.eql(['responded', 'closed']);
+		});
+	});
+
+	it('should destroy the connections still busy after the shutdown timeout', () => {
+		let closed = false;
+		let requestReceived;
+		const received = new Promise(resolve => requestReceived = resolve);
+
+		// The request is never answered
+		const app = buildSlowApp(() => requestReceived());
+
+		return startServer(app, {
+			timeoutMs: 50,
+			close: async () => closed = true
+		}).then((lifecycle) => {
+			const request = chai.request(lifecycle.url).get('/slow').then(() => {
+				throw new Error('The request should have been cut off');
+			}, err => err);
+			return received.then(() => Promise.all([request, lifecycle.stop()]));
+		}).then(([err]) => {
+			err.code.should.eql('ECONNRESET');
+			closed.should.equal(true);
+		});
+	});
+
+	it('should fail the readiness probe while shutting down, and keep serving during the shutdown delay', () => {
+		const app = createApp({
+			config: loadConfig({
+				NODE_ENV: 'test'
+			}),
+			userModel: createUserModel({
+				driver: 'memory'
+			}),
+			logger: createLogger({
+				level: 'silent'
+			}),
+			clock: createClock(),
+			mailer: createMailer({
+				transport: 'memory'
+			}),
+		});
+		let lifecycle;
+		let stopped;
+
+		return startServer(app, {
+			delayMs: 200
+		}).then((started) => {
+			lifecycle = started;
+			stopped = lifecycle.stop();
+			return chai.request(lifecycle.url).get('/readyz');
+		}).then((res) => {
+			res.should.have.status(503);
+			res.body.should.eql({
+				status: 'stopping'
+			});
+			return chai.request(lifecycle.url).get('/healthz');
+		}).then((res) => {
+			res.should.have.status(200);
+			return stopped;
+		});
+	});
+
+	it('should stop the process gracefully on SIGTERM', function() {
+		this.timeout(10000); // Starts the application in a new process
+
+		const child = spawn(process.execPath, ['app.js'], {
+			cwd: path.join(__dirname, '..'),
+			env: {
+				...process.env,
+				PORT: '0',
+				LOG_LEVEL: 'info',
+				USER_STORE: 'memory'
+			},
+		});
+		const killTimer = setTimeout(() => child.kill('SIGKILL'), 9000);
+
+		let output = '';
+		const exited = new Promise(resolve => child.on('exit', code => resolve(code)));
+		const started = new Promise((resolve) => {
+			child.stdout.on('data', (data) => {
+				output += data;
+				const match = output.match(/"msg":"server started","port":(\d+)/);
+				if (match) resolve(Number(match[1]));
+			});
+		});
+
+		return started
+			.then(port => chai.request(`http://127.0.0.1:${port}`).get('/healthz'))
+			.then((res) => {
+				res.should.have.status(200);
+				child.kill('SIGTERM');
+				return exited;
+			})
+			.then((code) => {
+				code.should.equal(0);
+				output.should.match(/"msg":"server stopping","reason":"SIGTERM"/);
+				output.should.match(/"msg":"server stopped","reason":"SIGTERM"/);
+			})
+			.finally(() => clearTimeout(killTimer));
+	});
+});
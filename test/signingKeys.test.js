@@ -0,0 +1,264 @@
+/**
+ * Test Suite for the Token Signing Keys.
+ *
+ * This file defines test cases for signing tokens with secrets (HS256) and key pairs
+ * (RS256 and ES256) identified by a `kid` header, verifying tokens signed with a
+ * previous key during a rotation, requiring the issuer and audience of the
+ * application, publishing the public keys as a JWKS, and refusing to start in
+ * production without a signing key.
+ *
+ * The tests are implemented using Chai and Mocha, with Chai-HTTP used to
+ * simulate HTTP requests.
+ */
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const path = require('path');
+const {
+	spawnSync
+} = require('child_process');
+const app = require('../app'); // Import the application to test
+const tokenService = require('../services/tokenService');
+const {
+	createTokenService
+} = require('../services/tokenService');
+const {
+	createSigningKeys
+} = require('../services/signingKeys');
+
+chai.use(chaiHttp);
+chai.should(); // Enables 'should' style assertions in tests
+
+// A user tokens are issued to
+const user = {
+	id: 'b0b1c2d3-0000-4000-8000-000000000001'
+};
+
+/**
+ * Generates a key pair in PEM format.
+ *
+ * @param {string} type - The key type (`rsa` or `ec`).
+ * @param {Object} options - The key generation options.
+ * @returns {{privateKey: string, publicKey: string}} The PEM-encoded keys.
+ */
+function generateKeyPair(type, options) {
+	return crypto.generateKeyPairSync(type, {
+		...options,
+		publicKeyEncoding: {
+			type: 'spki',
+			format: 'pem'
+		},
+		privateKeyEncoding: {
+			type: 'pkcs8',
+			format: 'pem'
+		},
+	});
+}
+
+describe('Token Signing Keys', () => {
+	const rsaKeys = generateKeyPair('rsa', {
+		modulusLength: 2048
+	});
+	const ecKeys = generateKeyPair('ec', {
+		namedCurve: 'P-256'
+	});
+
+	it('should sign tokens with a kid header and the issuer and audience of the application', () => {
+		const token = tokenService.signAccessToken(user, 'session-1');
+		const {
+			header,
+			payload
+		} = jwt.decode(token, {
+			complete: true
+		});
+
+		header.should.have.property('alg').eql('HS256');
+		header.should.have.property('kid').that.is.a('string');
+		payload.should.include({
+			iss: 'backend-design-exercise',
+			aud: 'backend-design-exercise'
+		});
+		tokenService.verifyAccessToken(token).should.include({
+			id: user.id,
+			sid: 'session-1'
+		});
+	});
+
+	it('should sign and verify tokens with an RSA key pair (RS256)', () => {
+		const keys = createSigningKeys({
+			privateKey: rsaKeys.privateKey
+		});
+		const service = createTokenService({
+			keys
+		});
+
+		const token = service.signAccessToken(user, 'session-1');
+		const {
+			header
+		} = jwt.decode(token, {
+			complete: true
+		});
+
+		header.should.have.property('alg').eql('RS256');
+		header.should.have.property('kid').eql(keys.jwks().keys[0].kid);
+		service.verifyAccessToken(token).should.have.property('id').eql(user.id);
+	});
+
+	it('should sign and verify tokens with an EC key pair (ES256)', () => {
+		const service = createTokenService({
+			keys: createSigningKeys({
+				privateKey: ecKeys.privateKey
+			})
+		});
+
+		const token = service.signTwoFactorChallengeToken(user);
+
+		jwt.decode(token, {
+			complete: true
+		}).header.should.have.property('alg').eql('ES256');
+		service.verifyTwoFactorChallengeToken(token).should.have.property('id').eql(user.id);
+	});
+
+	it('should accept tokens signed with a previous key during a rotation', () => {
+		const previous = createTokenService({
+			keys: createSigningKeys({
+				secret: 'previous-secret'
+			})
+		});
+		const rotated = createTokenService({
+			keys: createSigningKeys({
+				privateKey: rsaKeys.privateKey,
+				previousSecrets: ['previous-secret']
+			})
+		});
+		const retired = createTokenService({
+			keys: createSigningKeys({
+				privateKey: rsaKeys.privateKey
+			})
+		});
+
+		const token = previous.signAccessToken(user, 'session-1');
+
+		rotated.verifyAccessToken(token).should.have.property('id').eql(user.id);
+		(retired.verifyAccessToken(token) === null).should.equal(true);
+	});
+
+	it('should accept tokens signed with a previous key pair from its public key', () => {
+		const previous = createTokenService({
+			keys: createSigningKeys({
+				privateKey: ecKeys.privateKey
+			})
+		});
+		const rotated = createTokenService({
+			keys: createSigningKeys({
+				privateKey: rsaKeys.privateKey,
+				previousPublicKeys: [ecKeys.publicKey]
+			})
+		});
+
+		rotated.verifyAccessToken(previous.signAccessToken(user, 'session-1')).should.have.property('id').eql(user.id);
+	});
+
+	it('should reject tokens of another issuer or audience', () => {
+		const keys = createSigningKeys({
+			secret: 'shared-secret'
+		});
+		const service = createTokenService({
+			keys
+		});
+
+		const otherIssuer = createTokenService({
+			keys,
+			issuer: 'other-service'
+		}).signAccessToken(user, 'session-1');
+		const otherAudience = createTokenService({
+			keys,
+			audience: 'other-service'
+		}).signAccessToken(user, 'session-1');
+
+		(service.verifyAccessToken(otherIssuer) === null).should.equal(true);
+		(service.verifyAccessToken(otherAudience) === null).should.equal(true);
+	});
+
+	it('should reject tokens signed with another algorithm than the one of their key', () => {
+		const keys = createSigningKeys({
+			privateKey: rsaKeys.privateKey
+		});
+		const service = createTokenService({
+			keys
+		});
+
+		// The public key used as an HMAC secret, under the kid of the key pair
+		const forged = jwt.sign({
+			id: user.id,
+			sid: 'session-1',
+			type: 'access'
+		}, crypto.createSecretKey(Buffer.from(rsaKeys.publicKey)), {
+			algorithm: 'HS256',
+			keyid: keys.signingKey.kid,
+			issuer: 'backend-design-exercise',
+			audience: 'backend-design-exercise',
+		});
+
+		(service.verifyAccessToken(forged) === null).should.equal(true);
+	});
+
+	it('should refuse keys of unsupported types', () => {
+		const {
+			privateKey
+		} = generateKeyPair('ec', {
+			namedCurve: 'secp384r1'
+		});
+		(() => createSigningKeys({
+			privateKey
+		})).should.throw('Unsupported JWT key. Expected a secret, an RSA key or an EC key on the P-256 curve.');
+	});
+
+	it('should refuse to start in production without a signing key', () => {
+		const env = {
+			...process.env,
+			NODE_ENV: 'production'
+		};
+		delete env.SECRET_KEY;
+		delete env.JWT_PRIVATE_KEY_PATH;
+
+		const result = spawnSync(process.execPath, ['-e', 'require("./services/signingKeys")'], {
+			cwd: path.join(__dirname, '..'),
+			env,
+			encoding: 'utf8',
+			timeout: 10000,
+		});
+
+		result.status.should.not.equal(0);
+		result.stderr.should.contain('SECRET_KEY or JWT_PRIVATE_KEY_PATH is required in production');
+	});
+
+	describe('GET /.well-known/jwks.json', () => {
+		it('should not publish secrets', () => {
+			return chai.request(app)
+				.get('/.well-known/jwks.json')
+				.then((res) => {
+					res.should.have.status(200);
+					res.body.should.eql({
+						keys: []
+					});
+				});
+		});
+
+		it('should publish the public keys of the key pairs, without their private parts', () => {
+			const keys = createSigningKeys({
+				privateKey: rsaKeys.privateKey,
+				previousSecrets: ['previous-secret'],
+				previousPublicKeys: [ecKeys.publicKey]
+			});
+
+			const jwks = keys.jwks();
+
+			jwks.keys.map(key => `${key.kty} ${key.alg} ${key.use}`).should.eql(['RSA RS256 sig', 'EC ES256 sig']);
+			jwks.keys[0].should.have.keys('kty', 'n', 'e', 'kid', 'alg', 'use');
+			jwks.keys[1].should.have.keys('kty', 'crv', 'x', 'y', 'kid', 'alg', 'use');
+		});
+	});
+});
@@ -0,0 +1,254 @@
+/**
+ * Test Suite for Refresh Tokens and Logout.
+ *
+ * This file defines test cases for the session lifecycle: login issuing a
+ * refresh token, refresh token rotation, reuse detection revoking the whole
+ * session, and logout revoking the session of a refresh token.
+ *
+ * The tests are implemented using Chai and Mocha, with Chai-HTTP used to
+ * simulate HTTP requests.
+ */
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const app = require('../app'); // Import the application to test
+const {
+	registerVerifiedUser
+} = require('./helpers/auth');
+const fs = require('fs');
+const path = require('path');
+
+chai.use(chaiHttp);
+chai.should(); // Enables 'should' style assertions in tests
+
+// Path to the mock user data JSON file for testing
+const testUsersFilePath = path.join(__dirname, '../data/test_users.json');
+
+describe('Session API', () => {
+	let token;
+	let refreshToken;
+
+	/**
+	 * Before each test, reset the mock database, then register and log in a user
+	 * to obtain a fresh access token and refresh token.
+	 */
+	beforeEach((done) => {
+		fs.writeFileSync(testUsersFilePath, '[]', 'utf8');
+
+		registerVerifiedUser(app, {
+			username: 'testuser',
+			email: 'test@example.com',
+			password: 'password123',
+		}).then(() => {
+			chai.request(app)
+				.post('/api/login')
+				.send({
+					username: 'testuser',
+					password: 'password123',
+				})
+				.end((err, res) => {
+					token = res.body.token;
+					refreshToken = res.body.refreshToken;
+					done();
+				});
+		});
+	});
+
+	/**
+	 * Test: POST /api/login
+	 *
+	 * Verifies that logging in returns a refresh token alongside the access token.
+	 */
+	describe('POST /api/login', () => {
+		it('should return a refresh token', () => {
+			token.should.be.a('string');
+			refreshToken.should.be.a('string');
+		});
+
+		it('should keep the sessions of concurrent logins', () => {
+			const logins = Array.from({
+				length: 3
+			}, () => chai.request(app)
+				.post('/api/login')
+				.send({
+					username: 'testuser',
+					password: 'password123',
+				}));
+
+			return Promise.all(logins)
+				.then(responses => Promise.all([token, ...responses.map(res => res.body.token)]
+					.map(accessToken => chai.request(app)
+						.get('/api/profile')
+						.set('Authorization', `Bearer ${accessToken}`))))
+				.then((responses) => {
+					responses.map(res => res.status).should.eql([200, 200, 200, 200]);
+				});
+		});
+	});
+
+	/**
+	 * Test: POST /api/token/refresh
+	 *
+	 * Verifies refresh token rotation and reuse detection.
+	 */
+	describe('POST /api/token/refresh', () => {
+		it('should issue a new token pair for a valid refresh token', (done) => {
+			chai.request(app)
+				.post('/api/token/refresh')
+				.send({
+					refreshToken
+				})
+				.end((err, res) => {
+					res.should.have.status(200);
+					res.body.should.have.property('message').eql('Token refreshed successfully.');
+					res.body.should.have.property('token');
+					res.body.should.have.property('refreshToken').not.eql(refreshToken);
+
+					// The new access token grants access to protected routes
+					chai.request(app)
+						.get('/api/profile')
+						.set('Authorization', `Bearer ${res.body.token}`)
+						.end((err, res) => {
+							res.should.have.status(200);
+							done();
+						});
+				});
+		});
+
+		it('should revoke the whole session when a refresh token is reused', (done) => {
+			chai.request(app)
+				.post('/api/token/refresh')
+				.send({
+					refreshToken
+				})
+				.end((err, res) => {
+					const rotatedRefreshToken = res.body.refreshToken;
+
+					// Replaying the already-used refresh token is rejected...
+					chai.request(app)
+						.post('/api/token/refresh')
+						.send({
+							refreshToken
+						})
+						.end((err, res) => {
+							res.should.have.status(401);
+							res.body.should.have.property('message').eql('Invalid refresh token.');
+
+							// ...and revokes the refresh token issued by the legitimate rotation
+							chai.request(app)
+								.post('/api/token/refresh')
+								.send({
+									refreshToken: rotatedRefreshToken
+								})
+								.end((err, res) => {
+									res.should.have.status(401);
+
+									// Access tokens of the revoked session are rejected as well
+									chai.request(app)
+										.get('/api/profile')
+										.set('Authorization', `Bearer ${token}`)
+										.end((err, res) => {
+											res.should.have.status(401);
+											res.body.should.have.property('message').eql('Session has been revoked.');
+											done();
+										});
+								});
+						});
+				});
+		});
+
+		it('should redeem a refresh token only once when it is presented concurrently', () => {
+			const refresh = token => chai.request(app)
+				.post('/api/token/refresh')
+				.send({
+					refreshToken: token
+				});
+
+			return Promise.all([refresh(refreshToken), refresh(refreshToken)])
+				.then((responses) => {
+					responses.map(res => res.status).sort().should.eql([200, 401]);
+
+					// The second redemption is detected as a reuse, revoking the session
+					const rotated = responses.find(res => res.status === 200);
+					return refresh(rotated.body.refreshToken);
+				})
+				.then((res) => {
+					res.should.have.status(401);
+				});
+		});
+
+		it('should not accept an access token as a refresh token', (done) => {
+			chai.request(app)
+				.post('/api/token/refresh')
+				.send({
+					refreshToken: token
+				})
+				.end((err, res) => {
+					res.should.have.status(401);
+					res.body.should.have.property('message').eql('Invalid refresh token.');
+					done();
+				});
+		});
+
+		it('should not refresh without a refresh token', (done) => {
+			chai.request(app)
+				.post('/api/token/refresh')
+				.send({})
+				.end((err, res) => {
+					res.should.have.status(400);
+					res.body.should.have.property('message');
+					done();
+				});
+		});
+	});
+
+	/**
+	 * Test: POST /api/logout
+	 *
+	 * Verifies that logging out revokes the refresh token and the session's access tokens.
+	 */
+	describe('POST /api/logout', () => {
+		it('should revoke the session of the refresh token', (done) => {
+			chai.request(app)
+				.post('/api/logout')
+				.send({
+					refreshToken
+				})
+				.end((err, res) => {
+					res.should.have.status(200);
+					res.body.should.have.property('message').eql('Logged out successfully.');
+
+					chai.request(app)
+						.get('/api/profile')
+						.set('Authorization', `Bearer ${token}`)
+						.end((err, res) => {
+							res.should.have.status(401);
+							res.body.should.have.property('message').eql('Session has been revoked.');
+
+							chai.request(app)
+								.post('/api/token/refresh')
+								.send({
+									refreshToken
+								})
+								.end((err, res) => {
+									res.should.have.status(401);
+									done();
+								});
+						});
+				});
+		});
+
+		it('should not log out with an invalid refresh token', (done) => {
+			chai.request(app)
+				.post('/api/logout')
+				.send({
+					refreshToken: 'invalidtoken'
+				})
+				.end((err, res) => {
+					res.should.have.status(401);
+					res.body.should.have.property('message').eql('Invalid refresh token.');
+					done();
+				});
+		});
+	});
+});
@@ -0,0 +1,379 @@
+/**
+ * Test Suite for Time-Based One-Time Password (TOTP) Two-Factor Authentication.
+ *
+ * This file defines test cases for the TOTP algorithm against the RFC 6238 test
+ * vectors, enrolling an authenticator app, the two-step login with a challenge
+ * token, single-use codes and recovery codes, and disabling two-factor
+ * authentication.
+ *
+ * The tests are implemented using Chai and Mocha, with Chai-HTTP used to
+ * simulate HTTP requests. Time is frozen and moved with the controllable clock,
+ * so codes are generated offline without waiting.
+ */
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const app = require('../app'); // Import the application to test
+const totp = require('../utils/totp');
+const clock = require('../utils/clock');
+const {
+	registerVerifiedUser
+} = require('./helpers/auth');
+const fs = require('fs');
+const path = require('path');
+
+chai.use(chaiHttp);
+chai.should(); // Enables 'should' style assertions in tests
+
+// Path to the mock user data JSON file for testing
+const testUsersFilePath = path.join(__dirname, '../data/test_users.json');
+
+describe('TOTP', () => {
+	// The ASCII secret "12345678901234567890" of the RFC 6238 test vectors, base32-encoded
+	const rfcSecret = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+	it('should generate the codes of the RFC 6238 test vectors', () => {
+		totp.generateCode(rfcSecret, 59 * 1000, 8).should.eql('94287082');
+		totp.generateCode(rfcSecret, 1111111109 * 1000, 8).should.eql('07081804');
+		totp.generateCode(rfcSecret, 1234567890 * 1000, 8).should.eql('89005924');
+		totp.generateCode(rfcSecret, 2000000000 * 1000, 8).should.eql('69279037');
+		totp.generateCode(rfcSecret, 20000000000 * 1000, 8).should.eql('65353130');
+	});
+
+	it('should round-trip secrets through base32', () => {
+		rfcSecret.should.eql('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+		totp.base32Decode(rfcSecret.toLowerCase()).toString().should.eql('12345678901234567890');
+	});
+
+	it('should accept codes of adjacent time steps only', () => {
+		const time = 1234567890 * 1000;
+		const code = totp.generateCode(rfcSecret, time);
+
+		totp.verifyCode(rfcSecret, code, time).should.eql(totp.timeStep(time));
+		totp.verifyCode(rfcSecret, code, time + 30 * 1000).should.eql(totp.timeStep(time));
+		chai.expect(totp.verifyCode(rfcSecret, code, time + 60 * 1000)).to.be.null;
+		chai.expect(totp.verifyCode(rfcSecret, 'abcdef', time)).to.be.null;
+	});
+});
+
+describe('Two-Factor Authentication API', () => {
+	let token;
+	let secret;
+
+	/**
+	 * Logs the test user in with their password.
+	 *
+	 * @returns {Promise<Object>} The response.
+	 */
+	function login() {
+		return chai.request(app)
+			.post('/api/login')
+			.send({
+				username: 'testuser',
+				password: 'password123',
+			});
+	}
+
+	/**
+	 * Completes a login with a challenge token and a code.
+	 *
+	 * @param {string} challengeToken - The challenge token returned by the login.
+	 * @param {string} code - The code or recovery code.
+	 * @returns {Promise<Object>} The response.
+	 */
+	function completeLogin(challengeToken, code) {
+		return chai.request(app)
+			.post('/api/login/2fa')
+			.send({
+				challengeToken,
+				code
+			});
+	}
+
+	/**
+	 * Before each test, freeze the clock, reset the mock database, then register and
+	 * log in a user and start enrolling an authenticator app.
+	 */
+	beforeEach(() => {
+		clock.set(new Date('2030-01-01T00:00:00Z'));
+		fs.writeFileSync(testUsersFilePath, '[]', 'utf8');
+
+		return registerVerifiedUser(app, {
+				username: 'testuser',
+				email: 'test@example.com',
+				password: 'password123',
+			})
+			.then(() => login())
+			.then((res) => {
+				token = res.body.token;
+				return chai.request(app)
+					.post('/api/2fa/setup')
+					.set('Authorization', `Bearer ${token}`);
+			})
+			.then((res) => {
+				secret = res.body.secret;
+			});
+	});
+
+	/**
+	 * After each test, let the clock follow the system clock again.
+	 */
+	afterEach(() => {
+		clock.reset();
+	});
+
+	/**
+	 * Enables 2FA by confirming the enrollment with the current code.
+	 *
+	 * @returns {Promise<Object>} The response, containing the recovery codes.
+	 */
+	function confirm() {
+		return chai.request(app)
+			.post('/api/2fa/confirm')
+			.set('Authorization', `Bearer ${token}`)
+			.send({
+				code: totp.generateCode(secret, clock.now())
+			});
+	}
+
+	/**
+	 * Test: POST /api/2fa/setup and /api/2fa/confirm
+	 *
+	 * Verifies enrolling an authenticator app.
+	 */
+	describe('POST /api/2fa/setup and /api/2fa/confirm', () => {
+		it('should return a secret and an otpauth URI', () => {
+			return chai.request(app)
+				.post('/api/2fa/setup')
+				.set('Authorization', `Bearer ${token}`)
+				.then((res) => {
+					res.should.have.status(200);
+					res.body.secret.should.match(/^[A-Z2-7]{32}$/);
+					res.body.otpauthUri.should.eql(`otpauth://totp/Backend%20Design%20Exercise%3Atestuser?secret=${res.body.secret}&issuer=Backend%20Design%20Exercise&algorithm=SHA1&digits=6&period=30`);
+				});
+		});
+
+		it('should enable 2FA with a valid code and return hashed recovery codes', () => {
+			return confirm()
+				.then((res) => {
+					res.should.have.status(200);
+					res.body.should.have.property('message').eql('Two-factor authentication enabled successfully.');
+					res.body.recoveryCodes.should.have.lengthOf(10);
+
+					const storedData = fs.readFileSync(testUsersFilePath, 'utf8');
+					res.body.recoveryCodes.forEach((code) => storedData.should.not.contain(code));
+
+					return chai.request(app)
+						.get('/api/profile')
+						.set('Authorization', `Bearer ${token}`);
+				})
+				.then((res) => {
+					res.body.user.should.have.property('twoFactorEnabled').eql(true);
+				});
+		});
+
+		it('should refuse a setup request with input', () => {
+			return chai.request(app)
+				.post('/api/2fa/setup')
+				.set('Authorization', `Bearer ${token}`)
+				.send({
+					secret: 'JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP'
+				})
+				.then((res) => {
+					res.should.have.status(400);
+					res.body.should.have.property('code').eql('VALIDATION_ERROR');
+				});
+		});
+
+		it('should enable 2FA only once when the enrollment is confirmed concurrently', () => {
+			return Promise.all([confirm(), confirm(), confirm()])
+				.then((responses) => {
+					responses.map(res => res.status).sort().should.eql([200, 400, 400]);
+
+					// The stored recovery codes are those returned by the accepted confirmation
+					const recoveryCodes = responses.find(res => res.status === 200).body.recoveryCodes;
+					return login().then(res => completeLogin(res.body.challengeToken, recoveryCodes[0]));
+				})
+				.then((res) => {
+					res.should.have.status(200);
+				});
+		});
+
+		it('should not enable 2FA with an invalid code', () => {
+			return chai.request(app)
+				.post('/api/2fa/confirm')
+				.set('Authorization', `Bearer ${token}`)
+				.send({
+					code: totp.generateCode(secret, clock.now() + 5 * 60 * 1000)
+				})
+				.then((res) => {
+					res.should.have.status(400);
+					res.body.should.have.property('message').eql('Invalid two-factor code.');
+				});
+		});
+	});
+
+	/**
+	 * Test: POST /api/login and /api/login/2fa
+	 *
+	 * Verifies the two-step login of users with 2FA.
+	 */
+	describe('POST /api/login/2fa', () => {
+		let recoveryCodes;
+
+		/**
+		 * Before each login test, enable 2FA and move on to the next time step, as the
+		 * code used for the confirmation cannot be used again.
+		 */
+		beforeEach(() => {
+			return confirm().then((res) => {
+				recoveryCodes = res.body.recoveryCodes;
+				clock.advance(30 * 1000);
+			});
+		});
+
+		it('should require a code after the password', () => {
+			let challengeToken;
+
+			return login()
+				.then((res) => {
+					res.should.have.status(200);
+					res.body.should.have.property('twoFactorRequired').eql(true);
+					res.body.should.not.have.property('token');
+					challengeToken = res.body.challengeToken;
+
+					return completeLogin(challengeToken, totp.generateCode(secret, clock.now()));
+				})
+				.then((res) => {
+					res.should.have.status(200);
+					res.body.should.have.property('message').eql('Login successful.');
+					res.body.should.have.property('token');
+					res.body.should.have.property('refreshToken');
+
+					// The same code cannot be used twice
+					return completeLogin(challengeToken, totp.generateCode(secret, clock.now()));
+				})
+				.then((res) => {
+					res.should.have.status(401);
+					res.body.should.have.property('message').eql('Invalid two-factor code.');
+				});
+		});
+
+		it('should accept a recovery code only once', () => {
+			let challengeToken;
+
+			return login()
+				.then((res) => {
+					challengeToken = res.body.challengeToken;
+					return completeLogin(challengeToken, recoveryCodes[0].toUpperCase());
+				})
+				.then((res) => {
+					res.should.have.status(200);
+					return completeLogin(challengeToken, recoveryCodes[0]);
+				})
+				.then((res) => {
+					res.should.have.status(401);
+				});
+		});
+
+		it('should accept a code only once when it is presented concurrently', () => {
+			const code = totp.generateCode(secret, clock.now());
+
+			return Promise.all([login(), login(), login()])
+				.then(responses => Promise.all(responses.map(res => completeLogin(res.body.challengeToken, code))))
+				.then((responses) => {
+					responses.map(res => res.status).sort().should.eql([200, 401, 401]);
+				});
+		});
+
+		it('should accept a recovery code only once when it is presented concurrently', () => {
+			return Promise.all([login(), login(), login()])
+				.then(responses => Promise.all(responses.map(res => completeLogin(res.body.challengeToken, recoveryCodes[0]))))
+				.then((responses) => {
+					responses.map(res => res.status).sort().should.eql([200, 401, 401]);
+				});
+		});
+
+		it('should lock the account when codes are guessed across logins', () => {
+			const validCode = totp.generateCode(secret, clock.now());
+			const wrongCode = String((Number(validCode) + 1) % 1000000).padStart(6, '0');
+
+			// The correct password must not reset the failures counted for the wrong codes
+			let attempts = Promise.resolve();
+			for (let i = 0; i < 5; i++) {
+				attempts = attempts
+					.then(() => login())
+					.then((res) => {
+						res.should.have.status(200);
+						return completeLogin(res.body.challengeToken, wrongCode);
+					})
+					.then((res) => {
+						res.should.have.status(401);
+					});
+			}
+
+			return attempts
+				.then(() => {
+					const user = JSON.parse(fs.readFileSync(testUsersFilePath, 'utf8'))[0];
+					user.should.have.property('failedLoginAttempts').eql(5);
+					user.should.have.property('lockedUntil');
+					return login();
+				})
+				.then((res) => {
+					res.should.have.status(401);
+					res.body.should.have.property('message').eql('Invalid credentials.');
+				});
+		});
+
+		it('should not accept an invalid challenge token', () => {
+			return completeLogin(token, totp.generateCode(secret, clock.now()))
+				.then((res) => {
+					res.should.have.status(401);
+					res.body.should.have.property('message').eql('Invalid or expired challenge token.');
+				});
+		});
+	});
+
+	/**
+	 * Test: POST /api/2fa/disable
+	 *
+	 * Verifies that disabling 2FA requires the password and a code.
+	 */
+	describe('POST /api/2fa/disable', () => {
+		beforeEach(() => {
+			return confirm().then(() => clock.advance(30 * 1000));
+		});
+
+		it('should not disable 2FA with an invalid password', () => {
+			return chai.request(app)
+				.post('/api/2fa/disable')
+				.set('Authorization', `Bearer ${token}`)
+				.send({
+					password: 'wrongpassword',
+					code: totp.generateCode(secret, clock.now())
+				})
+				.then((res) => {
+					res.should.have.status(400);
+					res.body.should.have.property('message').eql('Invalid password.');
+				});
+		});
+
+		it('should disable 2FA with the password and a code', () => {
+			return chai.request(app)
+				.post('/api/2fa/disable')
+				.set('Authorization', `Bearer ${token}`)
+				.send({
+					password: 'password123',
+					code: totp.generateCode(secret, clock.now())
+				})
+				.then((res) => {
+					res.should.have.status(200);
+					res.body.should.have.property('message').eql('Two-factor authentication disabled successfully.');
+					return login();
+				})
+				.then((res) => {
+					res.body.should.have.property('token');
+				});
+		});
+	});
+});
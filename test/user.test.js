@@ -12,6 +12,9 @@
 const chai = require('chai');
 const chaiHttp = require('chai-http');
 const app = require('../app'); // Import the application to test
+const {
+	registerVerifiedUser
+} = require('./helpers/auth');
 const fs = require('fs');
 const path = require('path');
 
@@ -50,7 +53,7 @@ describe('User API', () => {
 				.end((err, res) => {
 					res.should.have.status(201);
 					res.body.should.have.property('message').eql('User registered successfully.');
-					res.body.user.should.have.property('id');
+					res.body.user.should.have.property('id').that.is.a('string');
 					res.body.user.should.have.property('username').eql('testuser');
 					done();
 				});
@@ -96,6 +99,29 @@ describe('User API', () => {
 					done();
 				});
 		});
+
+		it('should not register a user with an email address already in use', (done) => {
+			fs.writeFileSync(testUsersFilePath, JSON.stringify([{
+				id: 1,
+				username: 'testuser',
+				email: 'test@example.com',
+				password: 'hashedpassword',
+			}]), 'utf8');
+
+			chai.request(app)
+				.post('/api/register')
+				.send({
+					username: 'otheruser',
+					email: 'Test@Example.com',
+					password: 'password123',
+				})
+				.end((err, res) => {
+					res.should.have.status(409);
+					res.body.should.have.property('code').eql('CONFLICT');
+					res.body.should.have.property('message').eql('A user with this email already exists.');
+					done();
+				});
+		});
 	});
 
 	/**
@@ -112,23 +138,20 @@ describe('User API', () => {
 			};
 
 			// First register the user
-			chai.request(app)
-				.post('/api/register')
-				.send(user)
-				.end(() => {
-					// Then login with valid credentials
-					chai.request(app)
-						.post('/api/login')
-						.send({
-							username: 'testuser',
-							password: 'password123',
-						})
-						.end((err, res) => {
-							res.should.have.status(200);
-							res.body.should.have.property('token');
-							done();
-						});
-				});
+			registerVerifiedUser(app, user).then(() => {
+				// Then login with valid credentials
+				chai.request(app)
+					.post('/api/login')
+					.send({
+						username: 'testuser',
+						password: 'password123',
+					})
+					.end((err, res) => {
+						res.should.have.status(200);
+						res.body.should.have.property('token');
+						done();
+					});
+			});
 		});
 
 		it('should not login with incorrect credentials', (done) => {
@@ -161,31 +184,28 @@ describe('User API', () => {
 			};
 
 			// First register the user
-			chai.request(app)
-				.post('/api/register')
-				.send(user)
-				.end(() => {
-					// Then login to get the token
-					chai.request(app)
-						.post('/api/login')
-						.send({
-							username: 'testuser',
-							password: 'password123',
-						})
-						.end((err, res) => {
-							const token = res.body.token;
-							// Use the token to request the profile
-							chai.request(app)
-								.get('/api/profile')
-								.set('Authorization', `Bearer ${token}`)
-								.end((err, res) => {
-									res.should.have.status(200);
-									res.body.should.have.property('user');
-									res.body.user.should.have.property('username').eql('testuser');
-									done();
-								});
-						});
-				});
+			registerVerifiedUser(app, user).then(() => {
+				// Then login to get the token
+				chai.request(app)
+					.post('/api/login')
+					.send({
+						username: 'testuser',
+						password: 'password123',
+					})
+					.end((err, res) => {
+						const token = res.body.token;
+						// Use the token to request the profile
+						chai.request(app)
+							.get('/api/profile')
+							.set('Authorization', `Bearer ${token}`)
+							.end((err, res) => {
+								res.should.have.status(200);
+								res.body.should.have.property('user');
+								res.body.user.should.have.property('username').eql('testuser');
+								done();
+							});
+					});
+			});
 		});
 
 		it('should not get the user profile without a token', (done) => {
@@ -229,21 +249,18 @@ describe('User API', () => {
 				password: 'password123',
 			};
 
-			chai.request(app)
-				.post('/api/register')
-				.send(user)
-				.end(() => {
-					chai.request(app)
-						.post('/api/login')
-						.send({
-							username: 'testuser',
-							password: 'password123',
-						})
-						.end((err, res) => {
-							token = res.body.token; // Save the token for future requests
-							done();
-						});
-				});
+			registerVerifiedUser(app, user).then(() => {
+				chai.request(app)
+					.post('/api/login')
+					.send({
+						username: 'testuser',
+						password: 'password123',
+					})
+					.end((err, res) => {
+						token = res.body.token; // Save the token for future requests
+						done();
+					});
+			});
 		});
 
 		it('should change the user password when valid', (done) => {
@@ -263,6 +280,45 @@ describe('User API', () => {
 				});
 		});
 
+		it('should revoke every other session when the password is changed', () => {
+			let otherToken;
+
+			return chai.request(app)
+				.post('/api/login')
+				.send({
+					username: 'testuser',
+					password: 'password123',
+				})
+				.then((res) => {
+					otherToken = res.body.token;
+					return chai.request(app)
+						.put('/api/change-password')
+						.set('Authorization', `Bearer ${token}`)
+						.send({
+							oldPassword: 'password123',
+							newPassword: 'newpass123',
+						});
+				})
+				.then((res) => {
+					res.should.have.status(200);
+					return chai.request(app)
+						.get('/api/profile')
+						.set('Authorization', `Bearer ${otherToken}`);
+				})
+				.then((res) => {
+					res.should.have.status(401);
+					res.body.should.have.property('message').eql('Session has been revoked.');
+
+					// The session the password was changed from stays signed in
+					return chai.request(app)
+						.get('/api/profile')
+						.set('Authorization', `Bearer ${token}`);
+				})
+				.then((res) => {
+					res.should.have.status(200);
+				});
+		});
+
 		it('should not change the password with invalid old password', (done) => {
 			const passwordData = {
 				oldPassword: 'wrongpass',
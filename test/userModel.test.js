@@ -0,0 +1,371 @@
+/**
+ * Test Suite for the User Model Storage Adapters.
+ *
+ * This file runs the same set of test cases against every storage adapter
+ * supported by `createUserModel`, ensuring that they all honour the same model
+ * API and behave identically regardless of the backend.
+ *
+ * The tests are implemented using Chai and Mocha.
+ */
+
+const chai = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+	createUserModel
+} = require('../models/userModel');
+const {
+	DuplicateUserError
+} = require('../models/errors');
+
+chai.should(); // Enables 'should' style assertions in tests
+
+// Storage configurations under test, each pointing at its own temporary data file
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'user-model-'));
+const stores = {
+	json: () => ({
+		driver: 'json',
+		filePath: path.join(tmpDir, 'users.json')
+	}),
+	memory: () => ({
+		driver: 'memory'
+	}),
+	sqlite: () => ({
+		driver: 'sqlite',
+		filePath: path.join(tmpDir, `users-${Date.now()}-${Math.random()}.sqlite`)
+	}),
+};
+
+describe('User Model', () => {
+	after(() => {
+		fs.rmSync(tmpDir, {
+			recursive: true,
+			force: true
+		});
+	});
+
+	it('should reject an unknown storage adapter', () => {
+		(() => createUserModel({
+			driver: 'unknown'
+		})).should.throw('Unknown user store "unknown".');
+	});
+
+	Object.keys(stores).forEach((name) => {
+		describe(`${name} adapter`, () => {
+			let userModel;
+			const user = {
+				id: 1,
+				username: 'testuser',
+				email: 'test@example.com',
+				password: 'hashedpassword',
+			};
+
+			/**
+			 * Before each test, start from an empty store.
+			 */
+			beforeEach(() => {
+				fs.rmSync(path.join(tmpDir, 'users.json'), {
+					force: true
+				});
+				userModel = createUserModel(stores[name]());
+			});
+
+			it('should start empty', async () => {
+				(await userModel.getAllUsers()).should.eql([]);
+			});
+
+			it('should add and find users', async () => {
+				await userModel.addUser(user);
+
+				(await userModel.getAllUsers()).should.eql([user]);
+				(await userModel.findUserById(1)).should.eql(user);
+				(await userModel.findUserByUsername('testuser')).should.eql(user);
+				(await userModel.findUserByEmail('Test@Example.com')).should.eql(user);
+			});
+
+			it('should return null for missing users', async () => {
+				chai.expect(await userModel.findUserById(42)).to.equal(null);
+				chai.expect(await userModel.findUserByUsername('nobody')).to.equal(null);
+				chai.expect(await userModel.findUserByEmail('nobody@example.com')).to.equal(null);
+			});
+
+			it('should update an existing user', async () => {
+				await userModel.addUser(user);
+
+				const updated = await userModel.updateUser({
+					...user,
+					email: 'new@example.com',
+					sessions: [{
+						id: 'session'
+					}]
+				});
+
+				updated.should.equal(true);
+				const stored = await userModel.findUserById(1);
+				stored.should.have.property('email').eql('new@example.com');
+				stored.should.have.property('sessions').eql([{
+					id: 'session'
+				}]);
+			});
+
+			it('should not update a missing user', async () => {
+				(await userModel.updateUser(user)).should.equal(false);
+			});
+
+			it('should modify a user from its stored state', async () => {
+				await userModel.addUser(user);
+
+				const increment = stored => ({
+					...stored,
+					count: (stored.count || 0) + 1
+				});
+				await Promise.all([userModel.modifyUser(1, increment), userModel.modifyUser(1, increment)]);
+
+				(await userModel.findUserById(1)).should.have.property('count').eql(2);
+				(await userModel.modifyUser(1, () => null)).should.have.property('count').eql(2);
+				chai.expect(await userModel.modifyUser(42, increment)).to.equal(null);
+			});
+
+			it('should delete a user', async () => {
+				await userModel.addUser(user);
+
+				(await userModel.deleteUser(1)).should.equal(true);
+				(await userModel.getAllUsers()).should.eql([]);
+				(await userModel.deleteUser(1)).should.equal(false);
+			});
+
+			it('should generate a UUID for users added without an ID', async () => {
+				const {
+					id,
+					...userWithoutId
+				} = user;
+
+				const stored = await userModel.addUser(userWithoutId);
+
+				stored.should.have.property('id').that.matches(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+				(await userModel.findUserById(stored.id)).should.eql(stored);
+			});
+
+			it('should reject a user with a duplicate ID', async () => {
+				await userModel.addUser(user);
+
+				const err = await userModel.addUser({
+					...user,
+					username: 'otheruser'
+				}).catch(err => err);
+				err.should.be.instanceOf(DuplicateUserError);
+				err.should.have.property('field').eql('id');
+			});
+
+			it('should reject a user with a duplicate username', async () => {
+				await userModel.addUser(user);
+
+				const err = await userModel.addUser({
+					...user,
+					id: 2
+				}).catch(err => err);
+				err.should.be.instanceOf(DuplicateUserError);
+				err.should.have.property('field').eql('username');
+				(await userModel.getAllUsers()).should.have.lengthOf(1);
+			});
+
+			it('should reject a user with a duplicate email address, whatever its case', async () => {
+				await userModel.addUser(user);
+
+				const err = await userModel.addUser({
+					...user,
+					id: 2,
+					username: 'otheruser',
+					email: 'TEST@example.com'
+				}).catch(err => err);
+				err.should.be.instanceOf(DuplicateUserError);
+				err.should.have.property('field').eql('email');
+				(await userModel.getAllUsers()).should.have.lengthOf(1);
+			});
+
+			it('should reject updates taking the username or email address of another user', async () => {
+				const otherUser = {
+					id: 2,
+					username: 'otheruser',
+					email: 'other@example.com'
+				};
+				await userModel.addUser(user);
+				await userModel.addUser(otherUser);
+
+				const usernameErr = await userModel.updateUser({
+					...otherUser,
+					username: 'testuser'
+				}).catch(err => err);
+				usernameErr.should.be.instanceOf(DuplicateUserError);
+				usernameErr.should.have.property('field').eql('username');
+
+				const emailErr = await userModel.modifyUser(2, stored => ({
+					...stored,
+					email: 'Test@Example.com'
+				})).catch(err => err);
+				emailErr.should.be.instanceOf(DuplicateUserError);
+				emailErr.should.have.property('field').eql('email');
+
+				(await userModel.findUserById(2)).should.eql(otherUser);
+
+				// Updates keeping the user's own username and email address are accepted
+				(await userModel.updateUser({
+					...user,
+					role: 'admin'
+				})).should.equal(true);
+			});
+
+			it('should migrate legacy numeric IDs to UUIDs', async () => {
+				await userModel.addUser(user);
+				await userModel.addUser({
+					...user,
+					id: 2,
+					username: 'otheruser',
+					email: 'other@example.com'
+				});
+				await userModel.addUser({
+					username: 'newuser'
+				});
+
+				(await userModel.migrateLegacyIds()).should.equal(2);
+
+				const users = await userModel.getAllUsers();
+				users.forEach(migrated => migrated.id.should.be.a('string'));
+
+				// Legacy IDs keep resolving to the same users
+				const migratedUser = await userModel.findUserById(1);
+				migratedUser.should.have.property('username').eql('testuser');
+				migratedUser.should.have.property('legacyId').eql(1);
+				(await userModel.findUserById(migratedUser.id)).should.eql(migratedUser);
+				(await userModel.findUserById(2)).should.have.property('username').eql('otheruser');
+
+				// Running the migration again changes nothing
+				(await userModel.migrateLegacyIds()).should.equal(0);
+			});
+
+			it('should not change stored users when a returned object is mutated', async () => {
+				await userModel.addUser(user);
+
+				const found = await userModel.findUserById(1);
+				found.email = 'mutated@example.com';
+
+				(await userModel.findUserById(1)).should.have.property('email').eql('test@example.com');
+			});
+
+			it('should pass the health check', async () => {
+				await userModel.addUser(user);
+
+				await userModel.checkHealth();
+			});
+		});
+	});
+
+	describe('json adapter persistence', () => {
+		const filePath = path.join(tmpDir, 'persistence.json');
+		let userModel;
+
+		beforeEach(() => {
+			fs.rmSync(filePath, {
+				force: true
+			});
+			userModel = createUserModel({
+				driver: 'json',
+				filePath
+			});
+		});
+
+		it('should not lose users when writes overlap', async () => {
+			const usernames = Array.from({
+				length: 20
+			}, (_, i) => `user${i}`);
+
+			// Start every write at once so their read-modify-write cycles would interleave
+			await Promise.all(usernames.map(username => userModel.addUser({
+				username
+			})));
+
+			const users = await userModel.getAllUsers();
+			users.map(user => user.username).should.have.members(usernames);
+		});
+
+		it('should not leave temporary files behind', async () => {
+			await userModel.addUser({
+				id: 1,
+				username: 'testuser'
+			});
+
+			fs.readdirSync(tmpDir).filter(file => file.endsWith('.tmp')).should.eql([]);
+		});
+
+		it('should migrate users sharing a duplicated legacy ID', async () => {
+			fs.writeFileSync(filePath, JSON.stringify([{
+				id: 3,
+				username: 'first'
+			}, {
+				id: 3,
+				username: 'second'
+			}]), 'utf8');
+
+			(await userModel.migrateLegacyIds()).should.equal(2);
+
+			const users = await userModel.getAllUsers();
+			users[0].id.should.not.eql(users[1].id);
+			(await userModel.findUserById(3)).should.have.property('username').eql('first');
+			users[1].should.not.have.property('legacyId');
+		});
+
+		it('should raise an error when the data file is corrupt', async () => {
+			fs.writeFileSync(filePath, '[{"id": 1, "username": "testu', 'utf8');
+
+			const err = await userModel.getAllUsers().catch(err => err);
+			err.should.be.an('error');
+			err.message.should.contain('is corrupt');
+		});
+
+		it('should fail the health check when the data file is corrupt', async () => {
+			fs.writeFileSync(filePath, 'corrupt', 'utf8');
+
+			const err = await userModel.checkHealth().catch(err => err);
+			err.should.be.an('error');
+			err.message.should.contain('is corrupt');
+		});
+
+		it('should not overwrite a corrupt data file', async () => {
+			fs.writeFileSync(filePath, '{"not": "a list"}', 'utf8');
+
+			const err = await userModel.addUser({
+				id: 1,
+				username: 'testuser'
+			}).catch(err => err);
+			err.should.be.an('error');
+			fs.readFileSync(filePath, 'utf8').should.eql('{"not": "a list"}');
+		});
+
+		it('should finish pending writes before closing', async () => {
+			const writes = Promise.all(['first', 'second'].map(username => userModel.addUser({
+				username
+			})));
+			await userModel.close();
+
+			JSON.parse(fs.readFileSync(filePath, 'utf8')).map(user => user.username).should.eql(['first', 'second']);
+			await writes;
+		});
+
+		it('should keep processing writes after a failed one', async () => {
+			fs.writeFileSync(filePath, 'corrupt', 'utf8');
+			await userModel.addUser({
+				id: 1,
+				username: 'testuser'
+			}).catch(() => {});
+
+			fs.writeFileSync(filePath, '[]', 'utf8');
+			await userModel.addUser({
+				id: 2,
+				username: 'otheruser'
+			});
+
+			(await userModel.getAllUsers()).should.have.lengthOf(1);
+		});
+	});
+});
@@ -0,0 +1,100 @@
+/**
+ * Test Suite for the User Serializer.
+ *
+ * This file defines test cases for the self, admin and public views of a user,
+ * verifying that each view only exposes the fields of its allowlist and never
+ * a sensitive field of the stored user record.
+ *
+ * The tests are implemented using Chai and Mocha. Every API test suite is also
+ * guarded against sensitive fields in responses by `helpers/sensitiveFieldGuard.js`.
+ */
+
+const chai = require('chai');
+const {
+	toSelfView,
+	toAdminView,
+	toPublicView
+} = require('../serializers/userSerializer');
+const {
+	findSensitiveFields
+} = require('./helpers/sensitiveFieldGuard');
+
+chai.should(); // Enables 'should' style assertions in tests
+
+describe('User Serializer', () => {
+	// A stored user record with every kind of field, including sensitive ones
+	const user = {
+		id: 'b3c1c6a2-5d6e-4f7a-8b9c-0d1e2f3a4b5c',
+		legacyId: 1,
+		username: 'testuser',
+		email: 'test@example.com',
+		pendingEmail: 'new@example.com',
+		displayName: 'Test User',
+		password: '$2b$10$abcdefghijklmnopqrstuvwxyz123456',
+		role: 'user',
+		emailVerified: true,
+		twoFactorEnabled: true,
+		disabled: false,
+		failedLoginAttempts: 2,
+		sessions: [{
+			id: 'session',
+			tokenId: 'token'
+		}],
+		emailVerification: {
+			tokenId: 'token'
+		},
+		passwordReset: {
+			tokenHash: 'hash'
+		},
+		twoFactor: {
+			secret: 'secret'
+		},
+		someFutureField: 'secret',
+	};
+
+	it('should expose only the self fields', () => {
+		toSelfView(user).should.eql({
+			id: user.id,
+			username: 'testuser',
+			email: 'test@example.com',
+			pendingEmail: 'new@example.com',
+			displayName: 'Test User',
+			role: 'user',
+			emailVerified: true,
+			twoFactorEnabled: true,
+		});
+	});
+
+	it('should expose only the admin fields', () => {
+		toAdminView(user).should.eql({
+			...toSelfView(user),
+			disabled: false,
+			failedLoginAttempts: 2,
+			legacyId: 1,
+		});
+	});
+
+	it('should expose only the public fields', () => {
+		toPublicView(user).should.eql({
+			id: user.id,
+			username: 'testuser',
+			displayName: 'Test User',
+		});
+	});
+
+	it('should never expose sensitive fields', () => {
+		[toSelfView, toAdminView, toPublicView].forEach((view) => {
+			findSensitiveFields(view(user)).should.eql([]);
+		});
+	});
+
+	it('should leave out fields that are not set', () => {
+		toSelfView({
+			id: 1,
+			username: 'legacyuser'
+		}).should.eql({
+			id: 1,
+			username: 'legacyuser'
+		});
+	});
+});
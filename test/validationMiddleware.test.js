@@ -0,0 +1,159 @@
+/**
+ * Test Suite for the Validation Middleware.
+ *
+ * This file defines test cases for the `validate` middleware: reporting every invalid
+ * field of every request location at once, rejecting or stripping unknown keys, and
+ * handing the validated values, with the defaults and conversions of the schemas
+ * applied, to the route handler as `req.validated`.
+ *
+ * The tests are implemented using Chai and Mocha, with Chai-HTTP used to
+ * simulate HTTP requests against a small application using the middleware.
+ */
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const express = require('express');
+const Joi = require('joi');
+const {
+	validate
+} = require('../middleware/validationMiddleware');
+const {
+	createErrorHandler
+} = require('../middleware/errorMiddleware');
+const {
+	createLogger
+} = require('../services/logger');
+
+chai.use(chaiHttp);
+chai.should(); // Enables 'should' style assertions in tests
+
+// Schemas of the test route
+const schemas = {
+	params: Joi.object({
+		id: Joi.number().integer().required(),
+	}),
+	query: Joi.object({
+		limit: Joi.number().integer().min(1).default(20),
+	}),
+	headers: Joi.object({
+		'x-client-version': Joi.string().pattern(/^\d+\.\d+$/),
+	}),
+	body: Joi.object({
+		name: Joi.string().trim().required(),
+		email: Joi.string().email().required(),
+	}),
+};
+
+/**
+ * Creates an application whose single route is validated against the test schemas and
+ * responds with `req.validated`.
+ *
+ * @param {Object} [options] - Validation options, such as `unknown`.
+ * @returns {Object} The Express application.
+ */
+function createValidatedApp(options) {
+	return express()
+		.use(express.json())
+		.post('/items/:id', validate(schemas, options), (req, res) => res.json(req.validated))
+		.use(createErrorHandler(createLogger({
+			level: 'silent'
+		})));
+}
+
+describe('Validation Middleware', () => {
+	it('should hand the validated values with defaults and conversions to the handler', () => {
+		return chai.request(createValidatedApp())
+			.post('/items/42')
+			.set('X-Client-Version', '1.2')
+			.send({
+				name: '  Widget  ',
+				email: 'widget@example.com'
+			})
+			.then((res) => {
+				res.should.have.status(200);
+				res.body.params.should.eql({
+					id: 42
+				});
+				res.body.query.should.eql({
+					limit: 20
+				});
+				res.body.headers.should.eql({
+					'x-client-version': '1.2'
+				});
+				res.body.body.should.eql({
+					name: 'Widget',
+					email: 'widget@example.com'
+				});
+			});
+	});
+
+	it('should report every invalid field of every location at once', () => {
+		return chai.request(createValidatedApp())
+			.post('/items/abc?limit=0')
+			.set('X-Client-Version', 'latest')
+			.send({
+				email: 'not-an-email'
+			})
+			.then((res) => {
+				res.should.have.status(400);
+				res.body.should.have.property('code').eql('VALIDATION_ERROR');
+				res.body.details.map(detail => `${detail.location}.${detail.field}`).should.eql([
+					'params.id',
+					'query.limit',
+					'headers.x-client-version',
+					'body.name',
+					'body.email',
+				]);
+				res.body.should.have.property('message').eql(res.body.details[0].message);
+			});
+	});
+
+	it('should reject unknown keys by default', () => {
+		return chai.request(createValidatedApp())
+			.post('/items/42?sort=name')
+			.send({
+				name: 'Widget',
+				email: 'widget@example.com',
+				role: 'admin'
+			})
+			.then((res) => {
+				res.should.have.status(400);
+				res.body.details.should.eql([{
+					field: 'sort',
+					location: 'query',
+					message: '"sort" is not allowed',
+					type: 'object.unknown'
+				}, {
+					field: 'role',
+					location: 'body',
+					message: '"role" is not allowed',
+					type: 'object.unknown'
+				}]);
+			});
+	});
+
+	it('should strip unknown keys when configured to', () => {
+		return chai.request(createValidatedApp({
+				unknown: 'strip'
+			}))
+			.post('/items/42?sort=name')
+			.send({
+				name: 'Widget',
+				email: 'widget@example.com',
+				role: 'admin'
+			})
+			.then((res) => {
+				res.should.have.status(200);
+				res.body.query.should.eql({
+					limit: 20
+				});
+				res.body.body.should.not.have.property('role');
+			});
+	});
+
+	it('should refuse schemas for unknown request locations', () => {
+		(() => validate({
+			cookies: Joi.object()
+		})).should.throw('Unknown request location "cookies". Expected one of: params, query, headers, body.');
+	});
+});
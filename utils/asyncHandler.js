@@ -0,0 +1,11 @@
+/**
+ * Wraps an asynchronous route handler so that a rejected promise (e.g. a storage
+ * failure in the user model) is passed to Express's error handling through `next`
+ * instead of becoming an unhandled rejection that leaves the request hanging.
+ *
+ * @param {Function} handler - An `async (req, res, next)` route handler.
+ * @returns {Function} A route handler that forwards errors to `next`.
+ */
+module.exports = (handler) => (req, res, next) => {
+	Promise.resolve(handler(req, res, next)).catch(next);
+};
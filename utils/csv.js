@@ -0,0 +1,88 @@
+/**
+ * Reads and writes CSV (RFC 4180): comma-separated fields, one record per line, with
+ * fields containing a comma, a double quote or a line break enclosed in double quotes
+ * and their double quotes doubled. The first line names the columns.
+ */
+
+/**
+ * Formats a field, quoting it if needed.
+ *
+ * @param {string} value - The value of the field.
+ * @returns {string} The formatted field.
+ */
+function formatField(value) {
+	return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Formats records as CSV.
+ *
+ * @param {Array<string>} columns - The columns, in order.
+ * @param {Array<Object>} records - The records, keyed by column. Missing values are written as empty fields.
+ * @returns {string} The CSV text, with a header line and a line break after every line.
+ */
+function formatCsv(columns, records) {
+	return [columns, ...records.map(record => columns.map(column => record[column] === undefined || record[column] === null ? '' : String(record[column])))]
+		.map(fields => fields.map(formatField).join(',') + '\n')
+		.join('');
+}
+
+/**
+ * Parses CSV text into records.
+ *
+ * @param {string} text - The CSV text.
+ * @returns {Array<Object>} The records, keyed by the columns of the header line. Blank lines are ignored.
+ * @throws {Error} If a quoted field is not closed, or a line has more fields than the header.
+ */
+function parseCsv(text) {
+	const rows = [];
+	let row = [];
+	let field = '';
+	let quoted = false;
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+
+		if (quoted) {
+			if (char === '"' && text[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				field += char;
+			}
+		} else if (char === '"') {
+			quoted = true;
+		} else if (char === ',') {
+			row.push(field);
+			field = '';
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && text[i + 1] === '\n') i++;
+			row.push(field);
+			rows.push(row);
+			row = [];
+			field = '';
+		} else {
+			field += char;
+		}
+	}
+	if (quoted) throw new Error('Unterminated quoted field.');
+	if (field !== '' || row.length > 0) {
+		row.push(field);
+		rows.push(row);
+	}
+
+	const [columns = [], ...lines] = rows.filter(fields => fields.length > 1 || fields[0] !== '');
+	return lines.map((fields, index) => {
+		if (fields.length > columns.length) {
+			throw new Error(`Record ${index + 1} has ${fields.length} fields, but the header has ${columns.length}.`);
+		}
+		return Object.fromEntries(columns.map((column, i) => [column, fields[i] === undefined ? '' : fields[i]]));
+	});
+}
+
+module.exports = {
+	formatCsv,
+	parseCsv
+};
@@ -0,0 +1,167 @@
+/**
+ * Errors that map to an HTTP error response.
+ *
+ * Controllers and middleware throw (or pass to `next`) one of these errors instead of
+ * building error responses themselves. The error-handling middleware turns them into
+ * the error envelope of the API (see `middleware/errorMiddleware.js`):
+ *
+ *   { "code": "NOT_FOUND", "message": "User not found.", "details": [], "requestId": "..." }
+ *
+ * `code` is a stable, machine-readable identifier of the kind of error, while `message`
+ * is meant for humans and may change.
+ */
+
+/**
+ * Base class of the errors that map to an HTTP error response.
+ */
+class HttpError extends Error {
+	/**
+	 * @param {string} message - The message sent to the client.
+	 * @param {Object} [options]
+	 * @param {number} [options.status=500] - The HTTP status code.
+	 * @param {string} [options.code='INTERNAL_ERROR'] - The machine-readable error code.
+	 * @param {Array<Object>} [options.details=[]] - Details about the error, such as invalid fields.
+	 */
+	constructor(message, {
+		status = 500,
+		code = 'INTERNAL_ERROR',
+		details = []
+	} = {}) {
+		super(message);
+		this.name = this.constructor.name;
+		this.status = status;
+		this.code = code;
+		this.details = details;
+	}
+}
+
+/**
+ * Raised when a request is malformed or breaks a business rule (400).
+ */
+class BadRequestError extends HttpError {
+	constructor(message, options = {}) {
+		super(message, {
+			status: 400,
+			code: 'BAD_REQUEST',
+			...options
+		});
+	}
+}
+
+/**
+ * Raised when request data fails validation (400). Each detail names an invalid field.
+ */
+class ValidationError extends HttpError {
+	constructor(message, options = {}) {
+		super(message, {
+			status: 400,
+			code: 'VALIDATION_ERROR',
+			...options
+		});
+	}
+
+	/**
+	 * Creates a validation error from Joi validation errors, with one detail per
+	 * invalid field. The message is the one of the first invalid field.
+	 *
+	 * @param {Object|Array<Object>} joiErrors - The `error` returned by `schema.validate`, or
+	 *   several of them along with the request location they were found in (`{ error, location }`).
+	 * @returns {ValidationError} The validation error.
+	 */
+	static fromJoi(joiErrors) {
+		const errors = Array.isArray(joiErrors) ? joiErrors : [{
+			error: joiErrors
+		}];
+		const details = errors.flatMap(({
+			error,
+			location
+		}) => error.details.map(detail => ({
+			field: detail.path.join('.'),
+			...(location ? {
+				location
+			} : {}),
+			message: detail.message,
+			type: detail.type,
+		})));
+
+		return new ValidationError(details[0].message, {
+			details
+		});
+	}
+}
+
+/**
+ * Raised when the client could not be authenticated (401).
+ */
+class AuthenticationError extends HttpError {
+	constructor(message, options = {}) {
+		super(message, {
+			status: 401,
+			code: 'AUTHENTICATION_FAILED',
+			...options
+		});
+	}
+}
+
+/**
+ * Raised when the client is not allowed to perform the request (403).
+ */
+class ForbiddenError extends HttpError {
+	constructor(message, options = {}) {
+		super(message, {
+			status: 403,
+			code: 'FORBIDDEN',
+			...options
+		});
+	}
+}
+
+/**
+ * Raised when the requested resource does not exist (404).
+ */
+class NotFoundError extends HttpError {
+	constructor(message, options = {}) {
+		super(message, {
+			status: 404,
+			code: 'NOT_FOUND',
+			...options
+		});
+	}
+}
+
+/**
+ * Raised when the request conflicts with the current state, such as a taken username (409).
+ */
+class ConflictError extends HttpError {
+	constructor(message, options = {}) {
+		super(message, {
+			status: 409,
+			code: 'CONFLICT',
+			...options
+		});
+	}
+}
+
+/**
+ * Raised when the client has sent too many requests (429).
+ */
+class TooManyRequestsError extends HttpError {
+	constructor(message, options = {}) {
+		super(message, {
+			status: 429,
+			code: 'RATE_LIMITED',
+			...options
+		});
+	}
+}
+
+module.exports = {
+	HttpError,
+	BadRequestError,
+	ValidationError,
+	AuthenticationError,
+	ForbiddenError,
+	NotFoundError,
+	ConflictError,
+	TooManyRequestsError,
+};
@@ -0,0 +1,147 @@
+/**
+ * Converts Joi schemas to the JSON Schema dialect of OpenAPI 3.0.
+ *
+ * The conversion reads the description of a schema (`schema.describe()`), so the
+ * validation rules of the API are documented from the very schemas that enforce them.
+ * It covers the Joi features used by the application: strings, numbers, booleans,
+ * dates, objects, arrays and alternatives, with their presence, allowed values,
+ * defaults, length and range limits, formats (email, URI, UUID, ISO date), patterns,
+ * descriptions and examples. Rules without a JSON Schema equivalent, such as `trim`,
+ * are left out.
+ */
+
+// JSON Schema formats of the Joi string rules
+const STRING_FORMATS = {
+	email: 'email',
+	uri: 'uri',
+	guid: 'uuid',
+	isoDate: 'date-time',
+};
+
+/**
+ * Converts a regular expression, as written in a Joi description (`/^\d{6}$/`), to a pattern.
+ *
+ * @param {string} regex - The regular expression literal.
+ * @returns {string} The pattern, without delimiters and flags.
+ */
+function toPattern(regex) {
+	return regex.slice(1, regex.lastIndexOf('/'));
+}
+
+/**
+ * Applies the rules of a Joi description (`min`, `max`, `email`, ...) to a JSON schema.
+ *
+ * @param {Object} schema - The JSON schema, modified in place.
+ * @param {Object} description - The Joi description.
+ */
+function applyRules(schema, description) {
+	const limits = {
+		string: ['minLength', 'maxLength'],
+		array: ['minItems', 'maxItems'],
+		object: ['minProperties', 'maxProperties'],
+	} [description.type] || ['minimum', 'maximum'];
+
+	for (const rule of description.rules || []) {
+		const args = rule.args || {};
+		switch (rule.name) {
+			case 'min':
+				schema[limits[0]] = args.limit;
+				break;
+			case 'max':
+				schema[limits[1]] = args.limit;
+				break;
+			case 'length':
+				schema[limits[0]] = args.limit;
+				schema[limits[1]] = args.limit;
+				break;
+			case 'integer':
+				schema.type = 'integer';
+				break;
+			case 'pattern':
+				schema.pattern = toPattern(args.regex);
+				break;
+			default:
+				if (STRING_FORMATS[rule.name]) schema.format = STRING_FORMATS[rule.name];
+		}
+	}
+}
+
+/**
+ * Converts a Joi description to a JSON schema.
+ *
+ * @param {Object} description - The Joi description, as returned by `schema.describe()`.
+ * @returns {Object} The JSON schema.
+ */
+function convert(description) {
+	const flags = description.flags || {};
+	let schema;
+
+	switch (description.type) {
+		case 'string':
+		case 'number':
+		case 'boolean':
+			schema = {
+				type: description.type
+			};
+			break;
+		case 'date':
+			schema = {
+				type: 'string',
+				format: 'date-time'
+			};
+			break;
+		case 'array':
+			schema = {
+				type: 'array',
+				items: description.items && description.items.length === 1 ? convert(description.items[0]) : {}
+			};
+			break;
+		case 'object':
+			schema = {
+				type: 'object'
+			};
+			if (description.keys) {
+				const keys = Object.entries(description.keys)
+					.filter(([, key]) => !key.flags || key.flags.presence !== 'forbidden');
+				schema.properties = Object.fromEntries(keys.map(([name, key]) => [name, convert(key)]));
+
+				const required = keys.filter(([, key]) => key.flags && key.flags.presence === 'required').map(([name]) => name);
+				if (required.length > 0) schema.required = required;
+
+				// Joi refuses unknown keys of objects with keys, unless told otherwise
+				schema.additionalProperties = flags.unknown === true;
+			}
+			break;
+		case 'alternatives':
+			schema = {
+				oneOf: description.matches.filter(match => match.schema).map(match => convert(match.schema))
+			};
+			break;
+		default:
+			schema = {};
+	}
+
+	applyRules(schema, description);
+
+	const allowed = description.allow || [];
+	if (allowed.includes(null)) schema.nullable = true;
+	if (flags.only) schema.enum = allowed;
+
+	if (flags.default !== undefined && typeof flags.default !== 'function') schema.default = flags.default;
+	if (flags.description) schema.description = flags.description;
+	if (description.examples) schema.example = description.examples[0];
+
+	return schema;
+}
+
+/**
+ * Converts a Joi schema to a JSON schema.
+ *
+ * @param {Object} joiSchema - The Joi schema.
+ * @returns {Object} The JSON schema, in the dialect of OpenAPI 3.0.
+ */
+function joiToJsonSchema(joiSchema) {
+	return convert(joiSchema.describe());
+}
+
+module.exports = joiToJsonSchema;
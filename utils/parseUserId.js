@@ -0,0 +1,9 @@
+/**
+ * Converts a user ID received as a string (e.g. a route parameter) to the type it is
+ * stored with. IDs are UUID strings, but users that were never migrated from the
+ * legacy scheme still have numeric IDs.
+ *
+ * @param {string} rawId - The user ID as a string.
+ * @returns {string|number} The user ID, as a number if it is made of digits only.
+ */
+module.exports = (rawId) => (/^\d+$/.test(rawId) ? Number(rawId) : rawId);
@@ -0,0 +1,166 @@
+/**
+ * Time-based one-time passwords (TOTP, RFC 6238) as used by authenticator apps.
+ *
+ * A TOTP code is the HMAC-based one-time password (HOTP, RFC 4226) of the number of
+ * 30-second time steps elapsed since the epoch. Secrets are exchanged with
+ * authenticator apps as base32 strings, usually through an `otpauth://` URI.
+ *
+ * Only Node's `crypto` module is used, so codes can be generated and checked offline.
+ */
+
+const crypto = require('crypto');
+
+// Alphabet of the base32 encoding (RFC 4648)
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Length of a time step, in seconds
+const PERIOD_SECONDS = 30;
+
+// Number of digits of a code
+const DIGITS = 6;
+
+/**
+ * Encodes bytes as base32, without padding.
+ *
+ * @param {Buffer} buffer - The bytes to encode.
+ * @returns {string} The base32 string.
+ */
+function base32Encode(buffer) {
+	let bits = '';
+	for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+	let encoded = '';
+	for (let i = 0; i < bits.length; i += 5) {
+		encoded += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+	}
+	return encoded;
+}
+
+/**
+ * Decodes a base32 string, ignoring case, spaces and padding.
+ *
+ * @param {string} encoded - The base32 string.
+ * @returns {Buffer} The decoded bytes.
+ * @throws {Error} If the string contains characters outside the base32 alphabet.
+ */
+function base32Decode(encoded) {
+	let bits = '';
+	for (const char of encoded.toUpperCase().replace(/[\s=]/g, '')) {
+		const value = BASE32_ALPHABET.indexOf(char);
+		if (value === -1) throw new Error(`Invalid base32 character "${char}".`);
+		bits += value.toString(2).padStart(5, '0');
+	}
+
+	const bytes = [];
+	for (let i = 0; i + 8 <= bits.length; i += 8) {
+		bytes.push(parseInt(bits.slice(i, i + 8), 2));
+	}
+	return Buffer.from(bytes);
+}
+
+/**
+ * Generates a random secret for a new authenticator.
+ *
+ * @returns {string} A base32-encoded 160-bit secret.
+ */
+function generateSecret() {
+	return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Computes the time step a point in time falls into.
+ *
+ * @param {number} time - The time in milliseconds since the epoch.
+ * @returns {number} The time step.
+ */
+function timeStep(time) {
+	return Math.floor(time / 1000 / PERIOD_SECONDS);
+}
+
+/**
+ * Computes the HOTP code of a counter value (RFC 4226).
+ *
+ * @param {string} secret - The base32-encoded secret.
+ * @param {number} counter - The counter value (for TOTP, the time step).
+ * @param {number} [digits=6] - The number of digits of the code.
+ * @returns {string} The code, left-padded with zeros.
+ */
+function hotp(secret, counter, digits = DIGITS) {
+	const message = Buffer.alloc(8);
+	message.writeBigUInt64BE(BigInt(counter));
+
+	const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+
+	// Dynamic truncation: read 31 bits at the offset given by the last nibble
+	const offset = hmac[hmac.length - 1] & 0x0f;
+	const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+	return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * Computes the TOTP code for a point in time.
+ *
+ * @param {string} secret - The base32-encoded secret.
+ * @param {number} time - The time in milliseconds since the epoch.
+ * @param {number} [digits=6] - The number of digits of the code.
+ * @returns {string} The code.
+ */
+function generateCode(secret, time, digits = DIGITS) {
+	return hotp(secret, timeStep(time), digits);
+}
+
+/**
+ * Checks a TOTP code, accepting the codes of the adjacent time steps to tolerate
+ * clock drift between the server and the authenticator.
+ *
+ * @param {string} secret - The base32-encoded secret.
+ * @param {string} code - The code entered by the user.
+ * @param {number} time - The current time in milliseconds since the epoch.
+ * @param {number} [window=1] - The number of adjacent time steps accepted on each side.
+ * @returns {number|null} The time step the code belongs to, or null if it does not match.
+ */
+function verifyCode(secret, code, time, window = 1) {
+	if (!/^\d{6}$/.test(code)) return null;
+
+	const current = timeStep(time);
+	for (let step = current - window; step <= current + window; step++) {
+		if (crypto.timingSafeEqual(Buffer.from(hotp(secret, step)), Buffer.from(code))) return step;
+	}
+	return null;
+}
+
+/**
+ * Builds the `otpauth://` URI that authenticator apps import, usually as a QR code.
+ *
+ * @param {string} issuer - The name of the service shown in the authenticator app.
+ * @param {string} accountName - The name of the account, such as the username.
+ * @param {string} secret - The base32-encoded secret.
+ * @returns {string} The otpauth URI.
+ */
+function buildOtpauthUri(issuer, accountName, secret) {
+	const label = encodeURIComponent(`${issuer}:${accountName}`);
+	const params = {
+		secret,
+		issuer,
+		algorithm: 'SHA1',
+		digits: DIGITS,
+		period: PERIOD_SECONDS,
+	};
+
+	// Percent-encode spaces rather than using `+`, which some authenticator apps show literally
+	const query = Object.entries(params)
+		.map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+		.join('&');
+	return `otpauth://totp/${label}?${query}`;
+}
+
+module.exports = {
+	base32Encode,
+	base32Decode,
+	generateSecret,
+	timeStep,
+	generateCode,
+	verifyCode,
+	buildOtpauthUri,
+};